@@ -0,0 +1,17 @@
+// Upload restrictions for creators without the verified creator badge
+
+export const getUnverifiedCreatorLimits = () => ({
+  maxPrice: parseFloat(process.env.UNVERIFIED_CREATOR_MAX_PRICE) || 50,
+  requireModeration: process.env.UNVERIFIED_CREATOR_REQUIRE_MODERATION !== 'false'
+});
+
+// Restrictions that apply to a user's uploads, or null for trusted creators
+export const getUploadRestrictions = (user) => {
+  if (user.isTrustedCreator()) return null;
+  return getUnverifiedCreatorLimits();
+};
+
+export default {
+  getUnverifiedCreatorLimits,
+  getUploadRestrictions
+};
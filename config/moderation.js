@@ -0,0 +1,56 @@
+// Moderation settings
+// auto: uploads go live unless something needs a human look (unverified creator, AI flags)
+// pre:  every upload waits in the moderation queue
+
+export const MODERATION_MODES = ['auto', 'pre'];
+
+export const MODERATION_ACTIONS = [
+  'auto-approve', // Published without review
+  'submit', // Queued for review
+  'approve',
+  'reject',
+  'flag', // Hidden while under investigation
+  'appeal', // Creator contested a decision
+  'appeal-upheld', // Original decision stands
+  'appeal-overturned', // Decision reversed, asset approved
+  'report', // User reported the asset
+  'report-dismissed',
+  'takedown', // Removed following a report (e.g. DMCA notice)
+  'counter-notice', // Creator disputed a takedown
+  'reinstate', // Counter-notice accepted, asset back online
+  'takedown-upheld', // Counter-notice rejected
+  'review-hidden', // Buyer review removed from the asset page
+  'review-restored'
+];
+
+export const REPORT_REASONS = [
+  'copyright', // DMCA / stolen work
+  'trademark',
+  'stolen-content',
+  'inappropriate',
+  'spam',
+  'other'
+];
+
+export const getModerationMode = () => (
+  MODERATION_MODES.includes(process.env.MODERATION_MODE) ? process.env.MODERATION_MODE : 'auto'
+);
+
+// Accounts younger than this count as new creators in the queue filters
+export const getNewCreatorDays = () => parseInt(process.env.MODERATION_NEW_CREATOR_DAYS) || 30;
+
+// Reviews flagged by this many users are hidden until a moderator looks at them
+export const getReviewAutoHideFlags = () => parseInt(process.env.REVIEW_AUTO_HIDE_FLAGS) || 5;
+
+// Only flags from buyers of the asset or from accounts at least this old count towards auto-hide
+export const getReviewFlagMinAccountDays = () => parseInt(process.env.REVIEW_FLAG_MIN_ACCOUNT_DAYS) || 7;
+
+export default {
+  MODERATION_MODES,
+  MODERATION_ACTIONS,
+  REPORT_REASONS,
+  getModerationMode,
+  getNewCreatorDays,
+  getReviewAutoHideFlags,
+  getReviewFlagMinAccountDays
+};
@@ -0,0 +1,64 @@
+// Role and permission definitions for access control
+// Roles are ordered from least to most privileged; each role inherits the permissions of the roles before it
+
+export const ROLES = ['buyer', 'creator', 'moderator', 'admin'];
+
+export const PERMISSIONS = [
+  'assets:create', // Upload and mint own assets
+  'assets:manage', // Update or delete any asset
+  'assets:moderate', // Review and moderate assets
+  'payments:read', // View any user's payments and stats
+  'payments:refund', // Refund completed payments
+  'users:manage', // Change user roles and permissions
+  'ai:analyze', // Creator AI tools (analysis, validation, duplicate check)
+  'ai:batch' // Batch image comparison
+];
+
+// Scopes that can be granted to personal API keys
+export const API_KEY_SCOPES = [
+  'assets:read', // Read own assets in every state
+  'assets:write', // Upload, update and delete own assets
+  'payments:read' // Read own payment history and stats
+];
+
+// Permissions an API-key request keeps from its owner. Keys only cover the owner's own data, so
+// role-wide permissions that reach other users' data (assets:manage, payments:read, ...) are dropped.
+export const API_KEY_PERMISSIONS = ['assets:create'];
+
+// Roles inside an organization (studio) and what each may do with the organization's resources
+export const ORG_ROLES = ['owner', 'editor', 'finance'];
+
+const ORG_ROLE_CAPABILITIES = {
+  owner: ['members:manage', 'org:update', 'assets:edit', 'assets:delete', 'payments:read'],
+  editor: ['assets:edit'],
+  finance: ['payments:read']
+};
+
+export const getOrgRoleCapabilities = (role) => ORG_ROLE_CAPABILITIES[role] || [];
+
+const ROLE_GRANTS = {
+  buyer: [],
+  creator: ['assets:create', 'ai:analyze', 'ai:batch'],
+  moderator: ['assets:moderate', 'payments:read'],
+  admin: ['assets:manage', 'payments:refund', 'users:manage']
+};
+
+// Resolve the full permission set of a role, including inherited permissions
+export const getRolePermissions = (role) => {
+  const index = ROLES.indexOf(role);
+  if (index === -1) return [];
+
+  return ROLES
+    .slice(0, index + 1)
+    .flatMap(inheritedRole => ROLE_GRANTS[inheritedRole]);
+};
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  API_KEY_PERMISSIONS,
+  ORG_ROLES,
+  getRolePermissions,
+  getOrgRoleCapabilities
+};
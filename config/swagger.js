@@ -32,6 +32,12 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Personal API key; only accepted on routes that list it, and only with the required scope'
         }
       },
       schemas: {
@@ -53,9 +59,17 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'creator', 'admin'],
+              enum: ['buyer', 'creator', 'moderator', 'admin'],
               description: 'User role'
             },
+            isCreator: {
+              type: 'boolean',
+              description: 'Whether the user can upload assets (derived from role)'
+            },
+            verifiedCreator: {
+              type: 'boolean',
+              description: 'Verified creator badge granted through a reviewed creator application'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { API_KEY_SCOPES } from '../config/roles.js';
+
+const KEY_PREFIX = 'azk';
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  // Visible part of the key, used for lookup and shown in listings
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  rateLimitPerMinute: {
+    type: Number,
+    default: 60,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    max: [1000, 'Rate limit cannot exceed 1000 requests per minute']
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Hash the secret part of a key for storage
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Method to check if the key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to check a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Method to get key data safe to show the owner (never the secret)
+apiKeySchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    rateLimitPerMinute: this.rateLimitPerMinute,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to create a key; the plain key is only returned here, once
+apiKeySchema.statics.generate = async function(userId, { name, scopes, expiresAt, rateLimitPerMinute }) {
+  const prefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    rateLimitPerMinute
+  });
+
+  return { key, apiKey };
+};
+
+// Static method to resolve a presented key; null if unknown, wrong, revoked or expired
+apiKeySchema.statics.findByKey = async function(key) {
+  const match = String(key || '').match(new RegExp(`^(${KEY_PREFIX}_[0-9a-f]{8})_[A-Za-z0-9_-]+$`));
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1] }).select('+keyHash');
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey;
+};
+
+// Static method to revoke every active key of a user
+apiKeySchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 
+// Price ranges counted in search facets (the last one is open-ended)
+export const PRICE_FACET_BOUNDARIES = [0, 10, 25, 50, 100, 250];
+export const TAG_FACET_LIMIT = 20;
+
 const assetSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -18,6 +22,12 @@ const assetSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Creator is required']
   },
+  // Owning organization (studio); when set, earnings go to the organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -88,13 +98,33 @@ const assetSchema = new mongoose.Schema({
     path: String,
     paymentUrl: String
   },
+  // File version the fields above belong to (history lives in AssetVersion)
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
   
   // Status and visibility
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived', 'flagged'],
+    enum: ['draft', 'scheduled', 'published', 'archived', 'flagged'],
     default: 'draft'
   },
+  // Unlisted assets are reachable by direct link but left out of listings and search
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted'],
+    default: 'public'
+  },
+  // When a scheduled asset goes live
+  publishAt: Date,
+  publishedAt: Date,
+  // Trash: deleted assets can be restored (back to their previous status) until they are purged
+  archivedAt: Date,
+  archivedFromStatus: String,
+  purgedAt: Date,
+  // Status before a takedown, restored if the asset is reinstated
+  takenDownFromStatus: String,
   isPublic: {
     type: Boolean,
     default: true
@@ -121,6 +151,20 @@ const assetSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Number of Favorite likes, kept in sync by Favorite.addEntry/removeEntry
+  likes: {
+    type: Number,
+    default: 0
+  },
+  // Average of published buyer reviews, kept in sync by Review.updateAssetRating
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
   
   // AI verification
   aiVerified: {
@@ -181,21 +225,60 @@ const assetSchema = new mongoose.Schema({
     default: 'pending'
   },
   moderationNotes: String,
+  moderationReason: String,
   moderatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  moderatedAt: Date
+  moderatedAt: Date,
+  // Result of the AI content check at upload
+  aiModeration: {
+    isAppropriate: Boolean,
+    confidence: Number,
+    flags: [String],
+    reason: String,
+    checkedAt: Date
+  },
+  // Open user reports against this asset
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // Creator's appeal against a reject/flag decision
+  appeal: {
+    status: {
+      type: String,
+      enum: ['pending', 'upheld', 'overturned']
+    },
+    message: String,
+    submittedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    resolutionNotes: String
+  }
 }, {
   timestamps: true
 });
 
 // Indexes for performance
-assetSchema.index({ creator: 1, status: 1 });
+assetSchema.index({ creator: 1, status: 1, publishedAt: -1 }); // Creator pages and feeds
+assetSchema.index({ status: 1, publishAt: 1 }); // Scheduled publishing
+assetSchema.index({ status: 1, archivedAt: 1 }); // Trash and purging
+assetSchema.index({ organization: 1, status: 1 });
+assetSchema.index({ moderationStatus: 1, createdAt: 1 }); // Moderation queue
+assetSchema.index({ 'appeal.status': 1, 'appeal.submittedAt': 1 });
 assetSchema.index({ category: 1, status: 1 });
 assetSchema.index({ price: 1 });
 assetSchema.index({ createdAt: -1 });
 assetSchema.index({ views: -1 });
+assetSchema.index({ likes: -1 });
+assetSchema.index({ ratingAverage: -1 });
+assetSchema.index({ license: 1 });
+assetSchema.index({ fileFormat: 1 });
+assetSchema.index({ tags: 1 });
 assetSchema.index({ 'originalFile.hash': 1 }); // For duplicate detection
 assetSchema.index({ title: 'text', description: 'text', tags: 'text' }); // For search
 
@@ -254,6 +337,7 @@ assetSchema.methods.getPublicData = function() {
     title: this.title,
     description: this.description,
     creator: this.creator,
+    organization: this.organization,
     category: this.category,
     tags: this.tags,
     price: this.price,
@@ -261,13 +345,21 @@ assetSchema.methods.getPublicData = function() {
     formattedPrice: this.formattedPrice,
     thumbnail: this.thumbnail,
     qrCode: this.qrCode,
+    currentVersion: this.currentVersion,
     status: this.status,
+    visibility: this.visibility,
+    publishAt: this.publishAt,
+    publishedAt: this.publishedAt,
     isPublic: this.isPublic,
     isApproved: this.isApproved,
+    moderationStatus: this.moderationStatus,
     views: this.views,
     downloads: this.downloads,
     purchases: this.purchases,
     revenue: this.revenue,
+    likes: this.likes,
+    ratingAverage: this.ratingAverage,
+    ratingCount: this.ratingCount,
     aiVerified: this.aiVerified,
     dimensions: this.dimensions,
     fileFormat: this.fileFormat,
@@ -278,6 +370,122 @@ assetSchema.methods.getPublicData = function() {
   };
 };
 
+// Static method to publish scheduled assets whose time has come
+assetSchema.statics.publishScheduled = async function() {
+  const now = new Date();
+  const result = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    { $set: { status: 'published', publishedAt: now } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🗓️ Published ${result.modifiedCount} scheduled asset(s)`);
+  }
+  return result.modifiedCount;
+};
+
+// Static method to get public stats for a creator's published assets
+assetSchema.statics.getCreatorStats = async function(creatorId, { topCategories = 5 } = {}) {
+  const match = {
+    creator: new mongoose.Types.ObjectId(creatorId),
+    status: 'published',
+    visibility: { $ne: 'unlisted' },
+    isPublic: true,
+    isApproved: true
+  };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              publishedAssets: { $sum: 1 },
+              totalViews: { $sum: '$views' },
+              totalPurchases: { $sum: '$purchases' }
+            }
+          }
+        ],
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 }, purchases: { $sum: '$purchases' } } },
+          { $sort: { count: -1, purchases: -1 } },
+          { $limit: topCategories }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || {};
+  return {
+    publishedAssets: totals.publishedAssets || 0,
+    totalViews: totals.totalViews || 0,
+    totalPurchases: totals.totalPurchases || 0,
+    topCategories: result.categories.map(category => ({
+      category: category._id,
+      count: category.count,
+      purchases: category.purchases
+    }))
+  };
+};
+
+// Static method to count search results per category, license, file format, price range and tag.
+// `filter` applies to every facet (a $text search must be part of it); `facetFilters` holds the
+// selected values per facet, and each facet ignores its own selection so that the other values
+// of a multi-select keep their counts.
+assetSchema.statics.getSearchFacets = async function(filter, facetFilters = {}) {
+  const matchOthers = (facet) => {
+    const conditions = Object.entries(facetFilters)
+      .filter(([name, condition]) => name !== facet && condition)
+      .map(([, condition]) => condition);
+    return conditions.length > 0 ? [{ $match: Object.assign({}, ...conditions) }] : [];
+  };
+  const countBy = (facet, field, limit = null) => [
+    ...matchOthers(facet),
+    ...(facet === 'tags' ? [{ $unwind: '$tags' }] : []),
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { count: -1, _id: 1 } },
+    ...(limit ? [{ $limit: limit }] : [])
+  ];
+
+  const [result] = await this.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        categories: countBy('category', '$category'),
+        licenses: countBy('license', '$license'),
+        fileFormats: countBy('fileFormat', '$fileFormat'),
+        tags: countBy('tags', '$tags', TAG_FACET_LIMIT),
+        priceRanges: [
+          ...matchOthers('price'),
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_FACET_BOUNDARIES,
+              default: PRICE_FACET_BOUNDARIES[PRICE_FACET_BOUNDARIES.length - 1],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const toCounts = rows => rows.map(row => ({ value: row._id, count: row.count }));
+  return {
+    categories: toCounts(result.categories),
+    licenses: toCounts(result.licenses),
+    fileFormats: toCounts(result.fileFormats),
+    tags: toCounts(result.tags),
+    priceRanges: result.priceRanges.map(bucket => ({
+      min: bucket._id,
+      max: PRICE_FACET_BOUNDARIES[PRICE_FACET_BOUNDARIES.indexOf(bucket._id) + 1] ?? null,
+      count: bucket.count
+    }))
+  };
+};
+
 const Asset = mongoose.model('Asset', assetSchema);
 
 export default Asset;
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+// A file revision of an asset; the asset document always mirrors its latest version
+const assetVersionSchema = new mongoose.Schema({
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    required: [true, 'Asset is required']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: [1, 'Version must be at least 1']
+  },
+  changelog: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Changelog cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // File information (same shape as on Asset)
+  originalFile: {
+    filename: String,
+    path: String,
+    size: Number,
+    mimetype: String,
+    hash: String,
+    perceptualHash: String
+  },
+  watermarkedFile: {
+    filename: String,
+    path: String,
+    size: Number,
+    mimetype: String
+  },
+  thumbnail: {
+    filename: String,
+    path: String,
+    size: Number
+  },
+  qrCode: {
+    filename: String,
+    path: String,
+    paymentUrl: String
+  },
+  ipfsData: {
+    cid: String,
+    url: String,
+    gateway: String,
+    provider: String,
+    hash: String,
+    metadataCid: String,
+    metadataUrl: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+assetVersionSchema.index({ asset: 1, version: -1 }, { unique: true });
+
+// Static method to build (unsaved) version 1 from an asset that was never replaced
+assetVersionSchema.statics.fromAsset = function(asset) {
+  return new this({
+    asset: asset._id,
+    version: 1,
+    changelog: 'Initial upload',
+    createdBy: asset.creator,
+    originalFile: asset.originalFile,
+    watermarkedFile: asset.watermarkedFile,
+    thumbnail: asset.thumbnail,
+    qrCode: asset.qrCode,
+    ipfsData: asset.ipfsData,
+    createdAt: asset.createdAt
+  });
+};
+
+// Method to get version data without file paths
+assetVersionSchema.methods.getPublicData = function() {
+  return {
+    version: this.version,
+    changelog: this.changelog,
+    file: {
+      filename: this.originalFile?.filename,
+      size: this.originalFile?.size,
+      mimetype: this.originalFile?.mimetype,
+      hash: this.originalFile?.hash
+    },
+    thumbnail: this.thumbnail,
+    createdAt: this.createdAt
+  };
+};
+
+const AssetVersion = mongoose.model('AssetVersion', assetVersionSchema);
+
+export default AssetVersion;
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+// Background import of many assets from a ZIP archive with a manifest
+const bulkImportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // Applied to every item
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+
+  // Uploaded archive, removed once the import has run
+  archivePath: {
+    type: String,
+    select: false
+  },
+  archiveName: String,
+  manifestFormat: {
+    type: String,
+    enum: ['csv', 'json']
+  },
+
+  items: [{
+    _id: false,
+    index: Number,
+    file: String,
+    title: String,
+    description: String,
+    category: String,
+    price: mongoose.Schema.Types.Mixed,
+    tags: mongoose.Schema.Types.Mixed,
+    license: String,
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset'
+    },
+    error: String,
+    details: mongoose.Schema.Types.Mixed,
+    processedAt: Date
+  }],
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+bulkImportSchema.index({ user: 1, createdAt: -1 });
+bulkImportSchema.index({ status: 1, createdAt: 1 });
+bulkImportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep job history for 30 days
+
+// Method to get a summary without the per-item results
+bulkImportSchema.methods.getSummary = function() {
+  return {
+    _id: this._id,
+    status: this.status,
+    archiveName: this.archiveName,
+    organization: this.organization,
+    totalItems: this.items.length,
+    processed: this.succeeded + this.failed,
+    succeeded: this.succeeded,
+    failed: this.failed,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt
+  };
+};
+
+// Method to get the summary with per-item results
+bulkImportSchema.methods.getPublicData = function() {
+  return {
+    ...this.getSummary(),
+    items: this.items.map(item => ({
+      index: item.index,
+      file: item.file,
+      title: item.title,
+      status: item.status,
+      asset: item.asset,
+      error: item.error,
+      details: item.details,
+      processedAt: item.processedAt
+    }))
+  };
+};
+
+const BulkImport = mongoose.model('BulkImport', bulkImportSchema);
+
+export default BulkImport;
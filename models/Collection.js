@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+export const MAX_COLLECTION_ASSETS = 500;
+
+// An ordered, curated list of assets: a creator's series or a buyer's saved gallery
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  // Asset whose thumbnail is shown as the cover (defaults to the first asset)
+  cover: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
+  // In display order
+  assets: {
+    type: [{
+      _id: false,
+      asset: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Asset',
+        required: true
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    validate: [assets => assets.length <= MAX_COLLECTION_ASSETS, `A collection can hold at most ${MAX_COLLECTION_ASSETS} assets`]
+  },
+  isPublic: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+collectionSchema.index({ owner: 1, updatedAt: -1 });
+collectionSchema.index({ isPublic: 1, updatedAt: -1 });
+collectionSchema.index({ 'assets.asset': 1 });
+
+// Method to check if an asset is in the collection
+collectionSchema.methods.hasAsset = function(assetId) {
+  return this.assets.some(entry => entry.asset.toString() === assetId.toString());
+};
+
+// Method to check if a user owns the collection
+collectionSchema.methods.isOwner = function(user) {
+  return Boolean(user) && (this.owner._id || this.owner).toString() === user._id.toString();
+};
+
+// Method to get public collection data; `stats` comes from Collection.getStats
+collectionSchema.methods.getPublicData = function(stats = null) {
+  return {
+    _id: this._id,
+    owner: this.owner,
+    title: this.title,
+    description: this.description,
+    cover: this.cover || this.assets[0]?.asset || null,
+    isPublic: this.isPublic,
+    stats: stats || undefined,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to get asset count and price/view stats per collection, counting only the
+// assets matching `assetFilter` (e.g. what the viewer may see)
+collectionSchema.statics.getStats = async function(collections, assetFilter = {}) {
+  const assetIds = [...new Set(collections.flatMap(collection => collection.assets.map(entry => entry.asset.toString())))];
+  const assets = await mongoose.model('Asset')
+    .find({ ...assetFilter, _id: { $in: assetIds } })
+    .select('price views thumbnail');
+  const assetsById = new Map(assets.map(asset => [asset._id.toString(), asset]));
+
+  return new Map(collections.map(collection => {
+    const members = collection.assets
+      .map(entry => assetsById.get(entry.asset.toString()))
+      .filter(Boolean);
+    const prices = members.map(asset => asset.price || 0);
+    const totalPrice = prices.reduce((sum, price) => sum + price, 0);
+    const coverAsset = assetsById.get((collection.cover || collection.assets[0]?.asset)?.toString()) || members[0];
+
+    return [collection._id.toString(), {
+      assetCount: members.length,
+      totalPrice: Math.round(totalPrice * 100) / 100,
+      averagePrice: members.length > 0 ? Math.round((totalPrice / members.length) * 100) / 100 : 0,
+      minPrice: members.length > 0 ? Math.min(...prices) : 0,
+      maxPrice: members.length > 0 ? Math.max(...prices) : 0,
+      totalViews: members.reduce((sum, asset) => sum + (asset.views || 0), 0),
+      coverThumbnail: coverAsset?.thumbnail || null
+    }];
+  }));
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export default Collection;
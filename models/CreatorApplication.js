@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+const creatorApplicationSchema = new mongoose.Schema({
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Applicant is required']
+  },
+
+  // Work the reviewers can look at
+  portfolioLinks: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [300, 'Portfolio link cannot exceed 300 characters']
+    }],
+    validate: [links => links.length <= 10, 'Maximum 10 portfolio links allowed']
+  },
+  sampleAssets: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset'
+    }],
+    validate: [assets => assets.length <= 5, 'Maximum 5 sample assets allowed']
+  },
+  statement: {
+    type: String,
+    maxlength: [2000, 'Statement cannot exceed 2000 characters'],
+    default: ''
+  },
+
+  // Must be one of the applicant's verified wallets
+  payoutWallet: {
+    type: String,
+    required: [true, 'Payout wallet is required'],
+    lowercase: true
+  },
+
+  // Identity attestation supplied by the applicant
+  identityAttestation: {
+    method: {
+      type: String,
+      enum: ['kyc-provider', 'onchain-attestation', 'document'],
+      required: [true, 'Attestation method is required']
+    },
+    provider: String,
+    reference: {
+      type: String,
+      required: [true, 'Attestation reference is required'],
+      maxlength: [500, 'Attestation reference cannot exceed 500 characters']
+    },
+    legalName: String,
+    attestedAt: Date
+  },
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: {
+    type: String,
+    maxlength: [2000, 'Review notes cannot exceed 2000 characters']
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+creatorApplicationSchema.index({ status: 1, createdAt: 1 }); // Review queue, oldest first
+creatorApplicationSchema.index({ applicant: 1, createdAt: -1 });
+// Only one open application per user
+creatorApplicationSchema.index(
+  { applicant: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Method to record a reviewer's decision
+creatorApplicationSchema.methods.review = function(reviewerId, decision, notes) {
+  this.status = decision === 'approve' ? 'approved' : 'rejected';
+  this.reviewer = reviewerId;
+  this.reviewNotes = notes;
+  this.reviewedAt = new Date();
+
+  return this.save();
+};
+
+const CreatorApplication = mongoose.model('CreatorApplication', creatorApplicationSchema);
+
+export default CreatorApplication;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+
+  // Generated archive
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  error: String,
+  // Times a worker picked the job up (more than one means an earlier run was interrupted)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  downloadedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+dataExportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep job history for 30 days
+
+// Method to check if the archive can be downloaded
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'ready' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to get export data safe to show the owner
+dataExportSchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    status: this.status,
+    fileSize: this.fileSize,
+    error: this.status === 'failed' ? 'Export failed, please request a new one' : undefined,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    downloadedAt: this.downloadedAt
+  };
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
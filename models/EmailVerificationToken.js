@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+
+const TOKEN_PURPOSE = 'email-verification';
+
+const emailVerificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Address the token was issued for - tokens die when the user changes email
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+emailVerificationTokenSchema.index({ user: 1, createdAt: -1 });
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // Keep a day after expiry, then drop
+
+// Static method to issue a new signed token for a user
+emailVerificationTokenSchema.statics.issue = async function(user) {
+  const jti = uuidv4();
+  const token = jwt.sign(
+    { id: user._id, email: user.email, jti, purpose: TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h' }
+  );
+
+  const { exp } = jwt.decode(token);
+  const record = await this.create({
+    user: user._id,
+    email: user.email,
+    jti,
+    expiresAt: new Date(exp * 1000)
+  });
+
+  return { token, record };
+};
+
+// Static method to verify and consume a token (single use)
+// Returns the consumed record, or null if the token is invalid, expired, used or revoked
+emailVerificationTokenSchema.statics.consume = async function(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== TOKEN_PURPOSE || !decoded.jti) {
+    return null;
+  }
+
+  // Atomically mark as used so the same token cannot be consumed twice
+  return this.findOneAndUpdate(
+    { jti: decoded.jti, usedAt: null, revokedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to revoke every outstanding token for a user
+emailVerificationTokenSchema.statics.revokeForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, usedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Static method to get seconds left before another token may be sent
+emailVerificationTokenSchema.statics.getCooldownRemaining = async function(userId) {
+  const cooldownSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 60;
+  const latest = await this.findOne({ user: userId }).sort({ createdAt: -1 });
+
+  if (!latest) return 0;
+
+  const elapsed = (Date.now() - latest.createdAt.getTime()) / 1000;
+  return Math.max(0, Math.ceil(cooldownSeconds - elapsed));
+};
+
+const EmailVerificationToken = mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
+
+export default EmailVerificationToken;
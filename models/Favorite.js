@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+export const FAVORITE_TYPES = ['like', 'wishlist'];
+
+// A user's like or wishlist entry for an asset (one of each per user and asset)
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    required: [true, 'Asset is required']
+  },
+  type: {
+    type: String,
+    enum: FAVORITE_TYPES,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+favoriteSchema.index({ user: 1, asset: 1, type: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, type: 1, createdAt: -1 });
+favoriteSchema.index({ asset: 1, type: 1 });
+
+// Static method to add a like or wishlist entry (no-op if it exists); likes are counted on the asset
+favoriteSchema.statics.addEntry = async function(userId, assetId, type) {
+  let result;
+  try {
+    result = await this.updateOne(
+      { user: userId, asset: assetId, type },
+      { $setOnInsert: { user: userId, asset: assetId, type } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent call inserted the same entry first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  // Only count the entry if this call created it, so repeated or concurrent calls stay consistent
+  if (result.upsertedCount === 1 && type === 'like') {
+    await mongoose.model('Asset').updateOne({ _id: assetId }, { $inc: { likes: 1 } });
+  }
+  return result.upsertedCount === 1;
+};
+
+// Static method to remove a like or wishlist entry (no-op if it doesn't exist)
+favoriteSchema.statics.removeEntry = async function(userId, assetId, type) {
+  const result = await this.deleteOne({ user: userId, asset: assetId, type });
+  if (result.deletedCount === 1 && type === 'like') {
+    await mongoose.model('Asset').updateOne({ _id: assetId, likes: { $gt: 0 } }, { $inc: { likes: -1 } });
+  }
+  return result.deletedCount === 1;
+};
+
+// Static method to remove all entries of a user (account deletion), keeping like counts right
+favoriteSchema.statics.removeAllForUser = async function(userId) {
+  const likes = await this.find({ user: userId, type: 'like' }).select('asset');
+  for (const like of likes) {
+    await this.removeEntry(userId, like.asset, 'like');
+  }
+  await this.deleteMany({ user: userId });
+};
+
+// Static method to get whether a user liked and wishlisted an asset
+favoriteSchema.statics.getUserState = async function(userId, assetId) {
+  const entries = await this.find({ user: userId, asset: assetId }).select('type');
+  const types = entries.map(entry => entry.type);
+  return {
+    liked: types.includes('like'),
+    wishlisted: types.includes('wishlist')
+  };
+};
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+export default Favorite;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const loginAttemptSchema = new mongoose.Schema({
+  // Email as typed - kept even when no account matches
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  method: {
+    type: String,
+    enum: ['password', 'siwe', 'mfa'],
+    default: 'password'
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'success',
+      'mfa-required',
+      'unknown-user',
+      'invalid-password',
+      'invalid-mfa-code',
+      'locked',
+      'throttled',
+      'unverified'
+    ]
+  },
+
+  // Metadata
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (parseInt(process.env.LOGIN_AUDIT_RETENTION_DAYS) || 90) * 24 * 60 * 60 }
+);
+
+// Static method to record an attempt from a request
+loginAttemptSchema.statics.record = function(req, { email, user, method = 'password', success, reason }) {
+  return this.create({
+    email,
+    user: user?._id || user,
+    method,
+    success,
+    reason,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+// Static method to check if a user has logged in successfully from this client before
+loginAttemptSchema.statics.isKnownDevice = async function(userId, req) {
+  const previous = await this.exists({
+    user: userId,
+    success: true,
+    userAgent: req.get('User-Agent')
+  });
+
+  return Boolean(previous);
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { MODERATION_ACTIONS } from '../config/moderation.js';
+
+// Audit trail of moderation decisions on assets
+const moderationActionSchema = new mongoose.Schema({
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    required: [true, 'Asset is required']
+  },
+  // Null for automatic decisions
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  // Report that led to this action, if any
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null
+  },
+  // Review the action applies to, if any
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    default: null
+  },
+  previousStatus: String,
+  newStatus: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+moderationActionSchema.index({ asset: 1, createdAt: -1 });
+moderationActionSchema.index({ actor: 1, createdAt: -1 });
+moderationActionSchema.index({ report: 1, createdAt: 1 });
+
+const ModerationAction = mongoose.model('ModerationAction', moderationActionSchema);
+
+export default ModerationAction;
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import { ORG_ROLES, getOrgRoleCapabilities } from '../config/roles.js';
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    minlength: [2, 'Organization name must be at least 2 characters long'],
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]{2,50}$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  website: String,
+
+  // Where sales of organization-owned assets are paid out
+  payoutWallet: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ORG_ROLES,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Earnings from organization-owned assets
+  totalEarnings: {
+    type: Number,
+    default: 0
+  },
+  totalSales: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+organizationSchema.index({ 'members.user': 1 });
+
+// Method to get a user's role in the organization, or null
+organizationSchema.methods.getMemberRole = function(userId) {
+  // Works whether or not members.user is populated
+  const member = this.members.find(entry => (entry.user._id || entry.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Method to check if a user may perform an action in the organization
+organizationSchema.methods.can = function(userId, capability) {
+  return getOrgRoleCapabilities(this.getMemberRole(userId)).includes(capability);
+};
+
+// Method to count owners (an organization must always keep one)
+organizationSchema.methods.countOwners = function() {
+  return this.members.filter(entry => entry.role === 'owner').length;
+};
+
+// Method to get public organization data
+organizationSchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    slug: this.slug,
+    description: this.description,
+    website: this.website,
+    memberCount: this.members.length,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to check a user's capability on an organization by ID
+organizationSchema.statics.userCan = async function(organizationId, userId, capability) {
+  const organization = await this.findById(organizationId).select('members');
+  return Boolean(organization && organization.can(userId, capability));
+};
+
+// Static method to list the organizations a user belongs to
+organizationSchema.statics.findForMember = function(userId) {
+  return this.find({ 'members.user': userId }).sort({ name: 1 });
+};
+
+// Static method to list the organizations where a user is the only owner
+organizationSchema.statics.findSoleOwnedBy = async function(userId) {
+  const organizations = await this.find({ members: { $elemMatch: { user: userId, role: 'owner' } } });
+  return organizations.filter(organization => organization.countOwners() === 1);
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
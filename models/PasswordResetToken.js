@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // HMAC of the emailed one-time code - the code itself is never stored
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: Date,
+  revokedAt: Date,
+
+  // Metadata
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+passwordResetTokenSchema.index({ user: 1, createdAt: -1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // Keep a day after expiry for auditing
+
+// Hash a code with the server secret so leaked rows can't be brute-forced offline
+const hashCode = (code) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(String(code))
+    .digest('hex');
+};
+
+// Static method to issue a new one-time code for a user
+// Any earlier outstanding codes are revoked so only the newest email works
+passwordResetTokenSchema.statics.issue = async function(user, { ipAddress, userAgent } = {}) {
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 15;
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await this.updateMany(
+    { user: user._id, usedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const record = await this.create({
+    user: user._id,
+    codeHash: hashCode(code),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    ipAddress,
+    userAgent
+  });
+
+  return { code, record, expiresInMinutes };
+};
+
+// Static method to check a code and consume it (single use)
+// Returns the consumed record, or null if the code is wrong, expired or out of attempts.
+// Every check counts as an attempt, including the successful one.
+passwordResetTokenSchema.statics.consume = async function(userId, code) {
+  const maxAttempts = parseInt(process.env.PASSWORD_RESET_MAX_ATTEMPTS) || 5;
+
+  const active = {
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  };
+
+  const latest = await this.findOne({ user: userId, ...active }).sort({ createdAt: -1 });
+  if (!latest) {
+    return null;
+  }
+
+  // Count the attempt atomically before checking the code, so concurrent guesses can't exceed the cap
+  const record = await this.findOneAndUpdate(
+    { _id: latest._id, ...active, attempts: { $lt: maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) {
+    return null;
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(code), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  // Atomically mark as used so the same code cannot be consumed twice
+  return this.findOneAndUpdate(
+    { _id: record._id, usedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+export default PasswordResetToken;
@@ -14,7 +14,13 @@ const paymentSchema = new mongoose.Schema({
   seller: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Seller is required']
+    required: [function() { return !this.anonymizedAt; }, 'Seller is required']
+  },
+  // Set when the asset is organization-owned; earnings are credited to the organization
+  sellerOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
   },
   
   // Payment details
@@ -91,7 +97,7 @@ const paymentSchema = new mongoose.Schema({
   // Delivery
   deliveryEmail: {
     type: String,
-    required: [true, 'Delivery email is required']
+    required: [function() { return !this.anonymizedAt; }, 'Delivery email is required']
   },
   originalFileSent: {
     type: Boolean,
@@ -114,6 +120,9 @@ const paymentSchema = new mongoose.Schema({
   userAgent: String,
   notes: String,
   
+  // Set when a party's account was deleted; amounts are kept for accounting
+  anonymizedAt: Date,
+
   // Timestamps
   paidAt: Date,
   refundedAt: Date
@@ -124,6 +133,7 @@ const paymentSchema = new mongoose.Schema({
 // Indexes for performance
 paymentSchema.index({ asset: 1, buyer: 1 });
 paymentSchema.index({ seller: 1, paymentStatus: 1 });
+paymentSchema.index({ sellerOrganization: 1, paymentStatus: 1 });
 // Removed duplicate transactionId index (already defined in schema)
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ paymentStatus: 1, createdAt: -1 });
@@ -160,6 +170,29 @@ paymentSchema.methods.grantAccess = function() {
   return this.save();
 };
 
+// Filter for payments whose buyer can still download the file
+const activeAccessFilter = () => ({
+  accessGranted: true,
+  $and: [{ $or: [{ accessExpiresAt: null }, { accessExpiresAt: { $gt: new Date() } }] }]
+});
+
+// Static method to check if a user bought an asset (as account or from a linked wallet);
+// with activeAccess, the purchase must also still grant download access
+paymentSchema.statics.hasCompletedPurchase = async function(assetId, user, { activeAccess = false } = {}) {
+  const walletAddresses = (user.wallets || []).map(wallet => wallet.address);
+  const buyerFilter = walletAddresses.length > 0
+    ? { $or: [{ buyer: user._id }, { buyerAddress: { $in: walletAddresses } }] }
+    : { buyer: user._id };
+  const accessFilter = activeAccess ? activeAccessFilter() : {};
+
+  return Boolean(await this.exists({ asset: assetId, paymentStatus: 'completed', ...buyerFilter, ...accessFilter }));
+};
+
+// Static method to check if any buyer can still download an asset under its payment access
+paymentSchema.statics.hasActiveAccess = async function(assetId) {
+  return Boolean(await this.exists({ asset: assetId, paymentStatus: 'completed', ...activeAccessFilter() }));
+};
+
 // Method to mark file as sent
 paymentSchema.methods.markFileSent = function() {
   this.originalFileSent = true;
@@ -190,8 +223,11 @@ paymentSchema.methods.calculateFees = function() {
 };
 
 // Static method to get payment statistics
-paymentSchema.statics.getStats = async function(userId, timeframe = 'all') {
-  const matchStage = { seller: userId };
+// Personal stats leave out organization sales, whose earnings belong to the organization
+paymentSchema.statics.getStats = async function(userId, timeframe = 'all', { organization = false } = {}) {
+  const matchStage = organization
+    ? { sellerOrganization: userId }
+    : { seller: userId, sellerOrganization: null };
   
   if (timeframe === 'month') {
     const startOfMonth = new Date();
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { REPORT_REASONS } from '../config/moderation.js';
+
+// User report against an asset, including DMCA takedown notices and counter-notices
+const reportSchema = new mongoose.Schema({
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    required: [true, 'Asset is required']
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'Reason is required']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  evidenceUrls: [{
+    type: String,
+    trim: true
+  }],
+  // The reporter's own asset this one allegedly copies
+  claimedOriginalAsset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
+  // Sworn statement required for copyright notices
+  goodFaithStatement: {
+    type: Boolean,
+    default: false
+  },
+  // open -> dismissed | taken-down -> counter-noticed -> reinstated | upheld
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'taken-down', 'counter-noticed', 'reinstated', 'upheld'],
+    default: 'open'
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: {
+    type: String,
+    maxlength: [2000, 'Review notes cannot exceed 2000 characters']
+  },
+  reviewedAt: Date,
+
+  // Creator's response to a takedown
+  counterNotice: {
+    statement: {
+      type: String,
+      maxlength: [5000, 'Counter-notice cannot exceed 5000 characters']
+    },
+    legalName: String,
+    contactEmail: String,
+    consentToJurisdiction: Boolean,
+    submittedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    resolutionNotes: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+reportSchema.index({ status: 1, createdAt: 1 }); // Review queue, oldest first
+reportSchema.index({ asset: 1, status: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+// One open report per reporter and asset
+reportSchema.index(
+  { asset: 1, reporter: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Method to check if the report is still waiting for a decision
+reportSchema.methods.isOpen = function() {
+  return this.status === 'open';
+};
+
+// Method to get report data as shown to the asset creator (reporter identity withheld)
+reportSchema.methods.getCreatorView = function() {
+  return {
+    _id: this._id,
+    asset: this.asset,
+    reason: this.reason,
+    description: this.description,
+    evidenceUrls: this.evidenceUrls,
+    claimedOriginalAsset: this.claimedOriginalAsset,
+    status: this.status,
+    reviewNotes: this.reviewNotes,
+    reviewedAt: this.reviewedAt,
+    counterNotice: this.counterNotice?.submittedAt ? {
+      statement: this.counterNotice.statement,
+      submittedAt: this.counterNotice.submittedAt,
+      resolvedAt: this.counterNotice.resolvedAt,
+      resolutionNotes: this.counterNotice.resolutionNotes
+    } : null,
+    createdAt: this.createdAt
+  };
+};
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+// Buyer review of an asset; only users with a completed payment for the asset can write one
+const reviewSchema = new mongoose.Schema({
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    required: [true, 'Asset is required']
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reviewer is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: [Number.isInteger, 'Rating must be a whole number']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters'],
+    default: ''
+  },
+  editedAt: Date,
+
+  // Public response from the asset's creator (or an organization editor)
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters']
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    repliedAt: Date
+  },
+
+  // Moderation: hidden reviews don't count towards the rating
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  moderationReason: String,
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  // Users who flagged the review for moderators
+  flags: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Whether the flag counts towards auto-hide (see ModerationService.flagReview)
+    trusted: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  flagCount: {
+    type: Number,
+    default: 0
+  },
+  trustedFlagCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+reviewSchema.index({ asset: 1, reviewer: 1 }, { unique: true }); // One review per buyer and asset
+reviewSchema.index({ asset: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, flagCount: -1, createdAt: 1 }); // Moderation queue
+reviewSchema.index({ reviewer: 1, createdAt: -1 });
+
+// Method to get review data for asset pages
+reviewSchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    asset: this.asset,
+    reviewer: this.reviewer,
+    rating: this.rating,
+    text: this.text,
+    verifiedPurchase: true,
+    editedAt: this.editedAt,
+    reply: this.reply?.text ? {
+      text: this.reply.text,
+      repliedAt: this.reply.repliedAt
+    } : null,
+    status: this.status,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to recompute the rating stored on an asset from its published reviews
+reviewSchema.statics.updateAssetRating = async function(assetId) {
+  const [result] = await this.aggregate([
+    { $match: { asset: new mongoose.Types.ObjectId(assetId), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const ratingAverage = result ? Math.round(result.average * 10) / 10 : 0;
+  const ratingCount = result ? result.count : 0;
+  await mongoose.model('Asset').updateOne({ _id: assetId }, { ratingAverage, ratingCount });
+
+  return { ratingAverage, ratingCount };
+};
+
+// Static method to count published reviews of an asset per star rating
+reviewSchema.statics.getDistribution = async function(assetId) {
+  const rows = await this.aggregate([
+    { $match: { asset: new mongoose.Types.ObjectId(assetId), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach(row => { distribution[row._id] = row.count; });
+  return distribution;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
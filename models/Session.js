@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  // Refresh token rotation - one session is one token family
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+
+  // Client information
+  device: String,
+  ipAddress: String,
+  userAgent: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse-detected', 'password-change']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // Keep a week after expiry for auditing
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke the session (and with it every token in the family)
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+
+  return this.save();
+};
+
+// Method to get session data safe to show the owner
+sessionSchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    device: this.device,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked', exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
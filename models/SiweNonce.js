@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const siweNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+
+  // Metadata
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// Expired nonces are removed automatically
+siweNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a fresh nonce for a sign-in message
+siweNonceSchema.statics.issue = async function(ipAddress) {
+  const expiresInMinutes = parseInt(process.env.SIWE_NONCE_EXPIRES_MINUTES) || 10;
+
+  return this.create({
+    nonce: crypto.randomBytes(16).toString('hex'),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    ipAddress
+  });
+};
+
+// Static method to consume a nonce (single use)
+// Returns the consumed record, or null if unknown, expired or already used
+siweNonceSchema.statics.consume = function(nonce) {
+  return this.findOneAndUpdate(
+    { nonce, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const SiweNonce = mongoose.model('SiweNonce', siweNonceSchema);
+
+export default SiweNonce;
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// Resumable chunked upload in progress
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+  mimetype: {
+    type: String,
+    required: [true, 'Mimetype is required']
+  },
+  // Declared total size and SHA-256 (hex) of the complete file
+  size: {
+    type: Number,
+    required: [true, 'Size is required'],
+    min: [1, 'Size must be at least 1 byte']
+  },
+  sha256: {
+    type: String,
+    required: [true, 'SHA-256 is required'],
+    lowercase: true,
+    match: [/^[a-f0-9]{64}$/, 'SHA-256 must be 64 hex characters']
+  },
+  // Bytes stored so far; the next chunk must start here
+  receivedBytes: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'processing', 'completed', 'failed', 'cancelled', 'expired'],
+    default: 'uploading'
+  },
+
+  tempPath: {
+    type: String,
+    select: false
+  },
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
+  error: String,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+uploadSessionSchema.index({ user: 1, status: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+uploadSessionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // Keep session history for 7 days
+
+// Method to check if more chunks can be appended
+uploadSessionSchema.methods.isResumable = function() {
+  return this.status === 'uploading' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to get session data safe to show the owner
+uploadSessionSchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    filename: this.filename,
+    mimetype: this.mimetype,
+    size: this.size,
+    offset: this.receivedBytes,
+    status: this.status,
+    asset: this.asset,
+    error: this.error,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt
+  };
+};
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+export default UploadSession;
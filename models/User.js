@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLES, PERMISSIONS, API_KEY_PERMISSIONS, getRolePermissions } from '../config/roles.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -23,6 +24,12 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
   fullName: {
     type: String,
     required: [true, 'Full name is required'],
@@ -33,23 +40,100 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Processed avatar files (square WebP); avatar holds the default-size URL
+  avatarVariants: [{
+    _id: false,
+    size: Number,
+    filename: String,
+    url: String
+  }],
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters'],
     default: ''
   },
-  isCreator: {
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'buyer'
+  },
+  // Extra fine-grained grants on top of the role
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  // Trusted creator badge, granted by approving a creator application
+  verifiedCreator: {
     type: Boolean,
     default: false
   },
+  verifiedCreatorAt: Date,
   isVerified: {
     type: Boolean,
     default: false
   },
+  // Primary (payout) wallet - must be one of the verified wallets below
   walletAddress: {
     type: String,
     default: null
   },
+  // Wallets proven via Sign-In With Ethereum
+  wallets: [{
+    address: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    chainId: Number,
+    label: String,
+    verifiedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Two-factor authentication (TOTP)
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: -1,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    requireForSensitive: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    // Wrong codes entered with the current login tickets; bumping ticketVersion invalidates them
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    ticketVersion: {
+      type: Number,
+      default: 0,
+      select: false
+    }
+  },
   totalEarnings: {
     type: Number,
     default: 0
@@ -66,6 +150,11 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Account deletion requested; the account is erased after the grace period
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date
+  },
   socialLinks: {
     website: String,
     twitter: String,
@@ -73,11 +162,25 @@ const userSchema = new mongoose.Schema({
     linkedin: String
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for search functionality
 userSchema.index({ username: 'text', fullName: 'text', bio: 'text' });
+userSchema.index({ totalSales: -1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+// A wallet can only be linked to one account
+userSchema.index(
+  { 'wallets.address': 1 },
+  { unique: true, partialFilterExpression: { 'wallets.address': { $exists: true } } }
+);
+
+// Virtual kept for compatibility with clients that read isCreator
+userSchema.virtual('isCreator').get(function() {
+  return this.hasPermission('assets:create');
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -97,6 +200,103 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to get every permission granted by the role and explicit grants
+userSchema.methods.getPermissions = function() {
+  const permissions = [...new Set([...getRolePermissions(this.role), ...(this.permissions || [])])];
+  if (this.$locals.apiKeyRequest) {
+    return permissions.filter(permission => API_KEY_PERMISSIONS.includes(permission));
+  }
+  return permissions;
+};
+
+// Method to limit this (request-scoped) user to the permissions an API key may use
+userSchema.methods.limitToApiKey = function() {
+  this.$locals.apiKeyRequest = true;
+  return this;
+};
+
+// Method to check a single permission
+userSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Method to get seconds until the next login attempt is allowed (0 when not locked)
+userSchema.methods.getLockRemaining = function() {
+  if (!this.lockUntil) return 0;
+  return Math.max(0, Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000));
+};
+
+// Method to check if the account is in a full lockout (not just a short delay)
+userSchema.methods.isLockedOut = function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  return this.failedLoginAttempts >= maxAttempts && this.getLockRemaining() > 0;
+};
+
+// Method to record a failed login: progressive delay, then a temporary lockout
+// The count is incremented atomically so concurrent failures can't overwrite each other.
+// Returns true when this failure triggered the lockout
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+  const User = this.constructor;
+
+  // Start over once a previous lockout has expired
+  if (this.failedLoginAttempts >= maxAttempts && this.getLockRemaining() === 0) {
+    await User.updateOne(
+      { _id: this._id, failedLoginAttempts: { $gte: maxAttempts }, lockUntil: { $lte: new Date() } },
+      { failedLoginAttempts: 0 }
+    );
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  const attempts = updated.failedLoginAttempts;
+
+  let lockUntil = null;
+  if (attempts >= maxAttempts) {
+    lockUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+  } else if (attempts >= 3) {
+    // 2s, 4s, 8s... between attempts before the lockout kicks in
+    const delaySeconds = Math.min(2 ** (attempts - 2), 60);
+    lockUntil = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  if (lockUntil) {
+    // $max keeps the longest lock when concurrent failures finish out of order
+    await User.updateOne({ _id: this._id }, { $max: { lockUntil } });
+  }
+
+  this.failedLoginAttempts = attempts;
+  this.lockUntil = lockUntil || updated.lockUntil;
+
+  // Only the failure that reached the limit reports the lockout, so the notice goes out once
+  return attempts === maxAttempts;
+};
+
+// Method to clear failed login tracking after a successful login or password reset
+userSchema.methods.resetLoginAttempts = function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return Promise.resolve(this);
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  return this.save();
+};
+
+// Method to check if an address is one of the user's verified wallets
+userSchema.methods.hasVerifiedWallet = function(address) {
+  if (!address) return false;
+  const normalized = address.toLowerCase();
+  return (this.wallets || []).some(wallet => wallet.address === normalized);
+};
+
+// Method to check if the user's uploads skip the unverified-creator restrictions
+userSchema.methods.isTrustedCreator = function() {
+  return this.verifiedCreator || this.hasPermission('assets:moderate');
+};
+
 // Method to get public profile (without sensitive data)
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -104,10 +304,12 @@ userSchema.methods.getPublicProfile = function() {
     username: this.username,
     fullName: this.fullName,
     avatar: this.avatar,
+    avatarVariants: this.avatarVariants.map(({ size, url }) => ({ size, url })),
     bio: this.bio,
+    role: this.role,
     isCreator: this.isCreator,
+    verifiedCreator: this.verifiedCreator,
     isVerified: this.isVerified,
-    totalEarnings: this.totalEarnings,
     totalSales: this.totalSales,
     followers: this.followers.length,
     following: this.following.length,
@@ -116,6 +318,55 @@ userSchema.methods.getPublicProfile = function() {
   };
 };
 
+// Method to get the profile shown to the user themselves (adds earnings, which are private)
+userSchema.methods.getOwnProfile = function() {
+  return {
+    ...this.getPublicProfile(),
+    totalEarnings: this.totalEarnings
+  };
+};
+
+// Static method to follow a user
+// Both sides are written with $addToSet, so repeating the call is a no-op and repairs a half-applied follow
+userSchema.statics.follow = async function(followerId, targetId) {
+  await Promise.all([
+    this.updateOne({ _id: followerId }, { $addToSet: { following: targetId } }),
+    this.updateOne({ _id: targetId }, { $addToSet: { followers: followerId } })
+  ]);
+};
+
+// Static method to unfollow a user (idempotent, like follow)
+userSchema.statics.unfollow = async function(followerId, targetId) {
+  await Promise.all([
+    this.updateOne({ _id: followerId }, { $pull: { following: targetId } }),
+    this.updateOne({ _id: targetId }, { $pull: { followers: followerId } })
+  ]);
+};
+
+// Static method to get one page of a user's followers or following list, most recent first
+userSchema.statics.getFollowPage = async function(userId, listName, { skip = 0, limit = 20 } = {}) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(userId) } },
+    {
+      $project: {
+        total: { $size: `$${listName}` },
+        ids: { $slice: [{ $reverseArray: `$${listName}` }, skip, limit] }
+      }
+    }
+  ]);
+
+  if (!result) return null;
+
+  // Keep the list order when loading the profiles
+  const users = await this.find({ _id: { $in: result.ids } });
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+  return {
+    total: result.total,
+    users: result.ids.map(id => byId.get(id.toString())).filter(Boolean)
+  };
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,233 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { protect, requireMfa } from '../middleware/auth.js';
+import User from '../models/User.js';
+import DataExport from '../models/DataExport.js';
+import AccountDataService from '../utils/accountDataService.js';
+
+const router = express.Router();
+
+// Initialize services
+const accountDataService = new AccountDataService();
+
+// @route   POST /api/account/exports
+// @desc    Request a ZIP export of your personal data
+// @access  Private
+router.post('/exports', protect, async (req, res) => {
+  try {
+    const inProgress = await DataExport.exists({
+      user: req.user._id,
+      status: { $in: ['pending', 'processing'] }
+    });
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        error: 'An export is already being prepared'
+      });
+    }
+
+    const dataExport = await DataExport.create({ user: req.user._id });
+
+    // Build in the background; the scheduler retries anything left pending
+    accountDataService.runExport(dataExport._id)
+      .catch(error => console.error('Data export error:', error));
+
+    res.status(202).json({
+      success: true,
+      message: 'Data export requested. We will email you when it is ready to download.',
+      data: {
+        export: dataExport.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while requesting data export'
+    });
+  }
+});
+
+// @route   GET /api/account/exports
+// @desc    List your data exports
+// @access  Private
+router.get('/exports', protect, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(20);
+
+    res.json({
+      success: true,
+      data: {
+        exports: exports.map(dataExport => dataExport.getPublicData())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching data exports'
+    });
+  }
+});
+
+// @route   GET /api/account/exports/:exportId/download
+// @desc    Download a finished data export
+// @access  Private
+router.get('/exports/:exportId/download', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.exportId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export ID'
+      });
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: req.params.exportId,
+      user: req.user._id
+    }).select('+filePath');
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export not found'
+      });
+    }
+
+    if (!dataExport.isDownloadable()) {
+      return res.status(410).json({
+        success: false,
+        error: 'This export is not available for download'
+      });
+    }
+
+    dataExport.downloadedAt = new Date();
+    await dataExport.save();
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    res.download(dataExport.filePath, `authenzia-data-export-${date}.zip`);
+
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while downloading data export'
+    });
+  }
+});
+
+// @route   GET /api/account/deletion
+// @desc    Get the account deletion status
+// @access  Private
+router.get('/deletion', protect, async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      scheduled: Boolean(req.user.deletion?.scheduledFor),
+      requestedAt: req.user.deletion?.requestedAt || null,
+      scheduledFor: req.user.deletion?.scheduledFor || null,
+      gracePeriodDays: accountDataService.deletionGraceDays
+    }
+  });
+});
+
+// @route   POST /api/account/deletion
+// @desc    Schedule account deletion after the grace period
+// @access  Private
+router.post('/deletion', protect, requireMfa(), [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete your account')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(409).json({
+        success: false,
+        error: 'Account deletion is already scheduled',
+        data: {
+          scheduledFor: user.deletion.scheduledFor
+        }
+      });
+    }
+
+    const blockers = await accountDataService.getDeletionBlockers(user);
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'You are the only owner of these organizations. Make another member an owner before deleting your account.',
+        data: {
+          organizations: blockers
+        }
+      });
+    }
+
+    const scheduledFor = await accountDataService.scheduleDeletion(user);
+
+    res.json({
+      success: true,
+      message: 'Account deletion scheduled. You can cancel it until the date below.',
+      data: {
+        scheduledFor
+      }
+    });
+
+  } catch (error) {
+    console.error('Schedule account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while scheduling account deletion'
+    });
+  }
+});
+
+// @route   DELETE /api/account/deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.delete('/deletion', protect, async (req, res) => {
+  try {
+    if (!req.user.deletion?.scheduledFor) {
+      return res.status(404).json({
+        success: false,
+        error: 'No account deletion is scheduled'
+      });
+    }
+
+    await accountDataService.cancelDeletion(req.user);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while cancelling account deletion'
+    });
+  }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import { body, validationResult } from 'express-validator';
-import { protect, optionalAuth } from '../middleware/auth.js';
+import { protect, optionalAuth, requirePermission } from '../middleware/auth.js';
 import AIService from '../utils/aiService.js';
 import ImageProcessor from '../utils/imageProcessor.js';
 import Asset from '../models/Asset.js';
@@ -199,8 +199,8 @@ router.post('/compare', upload.array('images', 2), [
 
 // @route   POST /api/ai/check-duplicate
 // @desc    Check if uploaded image is duplicate of existing assets
-// @access  Private
-router.post('/check-duplicate', protect, upload.single('image'), [
+// @access  Private (ai:analyze)
+router.post('/check-duplicate', protect, requirePermission('ai:analyze'), upload.single('image'), [
   body('image')
     .custom((value, { req }) => {
       if (!req.file) {
@@ -276,8 +276,8 @@ router.post('/check-duplicate', protect, upload.single('image'), [
 
 // @route   POST /api/ai/analyze
 // @desc    Analyze image content and generate suggestions
-// @access  Private
-router.post('/analyze', protect, upload.single('image'), [
+// @access  Private (ai:analyze)
+router.post('/analyze', protect, requirePermission('ai:analyze'), upload.single('image'), [
   body('image')
     .custom((value, { req }) => {
       if (!req.file) {
@@ -337,8 +337,8 @@ router.post('/analyze', protect, upload.single('image'), [
 
 // @route   POST /api/ai/validate
 // @desc    Validate image content for appropriateness
-// @access  Private
-router.post('/validate', protect, upload.single('image'), [
+// @access  Private (ai:analyze)
+router.post('/validate', protect, requirePermission('ai:analyze'), upload.single('image'), [
   body('image')
     .custom((value, { req }) => {
       if (!req.file) {
@@ -421,6 +421,7 @@ router.get('/similar/:assetId', optionalAuth, async (req, res) => {
       _id: { $ne: assetId },
       'originalFile.hash': { $exists: true },
       status: 'published',
+      visibility: { $ne: 'unlisted' },
       isPublic: true,
       isApproved: true
     }).limit(parseInt(limit));
@@ -473,8 +474,8 @@ router.get('/similar/:assetId', optionalAuth, async (req, res) => {
 
 // @route   POST /api/ai/batch-compare
 // @desc    Compare multiple images in batch
-// @access  Private
-router.post('/batch-compare', protect, upload.array('images', 10), [
+// @access  Private (ai:batch)
+router.post('/batch-compare', protect, requirePermission('ai:batch'), upload.array('images', 10), [
   body('images')
     .custom((value, { req }) => {
       if (!req.files || req.files.length < 2) {
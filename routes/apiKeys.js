@@ -0,0 +1,152 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { protect } from '../middleware/auth.js';
+import ApiKey from '../models/ApiKey.js';
+import { API_KEY_SCOPES } from '../config/roles.js';
+
+const router = express.Router();
+
+// @route   GET /api/api-keys
+// @desc    List the current user's API keys
+// @access  Private (session only)
+router.get('/', protect, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(apiKey => ({
+          ...apiKey.getPublicData(),
+          active: apiKey.isActive()
+        })),
+        availableScopes: API_KEY_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching API keys'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key; the full key is only returned in this response
+// @access  Private (session only)
+router.post('/', protect, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date'),
+  body('rateLimitPerMinute')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Rate limit must be between 1 and 1000 requests per minute')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt, rateLimitPerMinute } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Expiry must be in the future'
+      });
+    }
+
+    const maxKeys = parseInt(process.env.API_KEYS_MAX_PER_USER) || 10;
+    const activeKeys = await ApiKey.countDocuments({
+      user: req.user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeKeys >= maxKeys) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${maxKeys} active API keys`
+      });
+    }
+
+    const { key, apiKey } = await ApiKey.generate(req.user._id, {
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      rateLimitPerMinute: rateLimitPerMinute ? parseInt(rateLimitPerMinute) : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: {
+        key,
+        apiKey: apiKey.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating API key'
+    });
+  }
+});
+
+// @route   DELETE /api/api-keys/:keyId
+// @desc    Revoke an API key
+// @access  Private (session only)
+router.delete('/:keyId', protect, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.keyId,
+      user: req.user._id
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while revoking API key'
+    });
+  }
+});
+
+export default router;
@@ -1,22 +1,73 @@
 import express from 'express';
 import multer from 'multer';
-import { protect, optionalAuth } from '../middleware/auth.js';
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import rateLimit from 'express-rate-limit';
+import { protect, optionalAuth, requirePermission, requireMfa, allowApiKey } from '../middleware/auth.js';
 import Asset from '../models/Asset.js';
+import AssetVersion from '../models/AssetVersion.js';
+import Payment from '../models/Payment.js';
+import Favorite from '../models/Favorite.js';
 import User from '../models/User.js';
-import ImageProcessor from '../utils/imageProcessor.js';
-import AIService from '../utils/aiService.js';
+import Organization from '../models/Organization.js';
+import { getUploadRestrictions } from '../config/creatorPolicy.js';
 import IPFSService from '../utils/ipfsService.js';
+import AssetUploadService, { UploadRejectedError, parseTags, resolvePublishing } from '../utils/assetUploadService.js';
+import ChunkedUploadService, { CHUNKED_UPLOAD_TYPES, categoryForMimetype } from '../utils/chunkedUploadService.js';
+import UploadSession from '../models/UploadSession.js';
+import BulkImport from '../models/BulkImport.js';
+import BulkImportService from '../utils/bulkImportService.js';
+import TrashService from '../utils/trashService.js';
+import { removeFile } from '../utils/fileUtils.js';
 // X402Service not needed - middleware handles everything
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 
 const router = express.Router();
 
+// Check if a user may edit (or delete) an asset: its creator, a member of the owning
+// organization with the capability, or anyone with assets:manage (creator/organization may be populated)
+const canManageAsset = async (user, asset, capability = 'assets:edit') => {
+  if (user.hasPermission('assets:manage')) return true;
+  if (asset.organization) {
+    return Organization.userCan(asset.organization._id, user._id, capability);
+  }
+  return asset.creator._id.toString() === user._id.toString();
+};
+
+// Sort fields of the public listing; relevance (text score) needs a search
+const LISTING_SORT_FIELDS = ['relevance', 'createdAt', 'publishedAt', 'price', 'views', 'likes', 'purchases', 'downloads', 'ratingAverage', 'title'];
+const ORIENTATIONS = ['landscape', 'portrait', 'square'];
+
+// Multi-select query values: repeated parameters (?license=a&license=b) or a comma-separated list
+const parseList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
 // Initialize services
-const imageProcessor = new ImageProcessor();
-const aiService = new AIService();
 const ipfsService = new IPFSService();
+const assetUploadService = new AssetUploadService();
+const chunkedUploadService = new ChunkedUploadService();
+const bulkImportService = new BulkImportService();
+const trashService = new TrashService();
 // X402 middleware handles payment automatically
 
+// Rate limiting for resumable upload chunks (per user); they skip the global per-IP limiter,
+// which a large file would exhaust on its own
+const uploadChunkLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.UPLOAD_CHUNKS_MAX_PER_MINUTE) || 120,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `user:${req.user._id}`,
+  message: { success: false, error: 'Too many upload chunks, please slow down.' }
+});
+
+// Check if a request appends a resumable upload chunk (server.js exempts these from the global limiter)
+export const isUploadChunkRequest = (req) => (
+  req.method === 'PATCH' && /^\/api\/assets\/uploads\/[^/?]+(\?|$)/.test(req.originalUrl)
+);
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -47,6 +98,28 @@ const upload = multer({
   }
 });
 
+// Configure multer for bulk import archives (written to disk, not memory)
+const bulkImportUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(bulkImportService.importPath, { recursive: true })
+        .then(() => cb(null, bulkImportService.importPath), cb);
+    },
+    filename: (req, file, cb) => cb(null, `${req.user._id}_${Date.now()}.zip`)
+  }),
+  limits: {
+    fileSize: bulkImportService.maxArchiveSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.zip')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Bulk imports must be a ZIP archive.'), false);
+    }
+  }
+});
+
 /**
  * @swagger
  * /assets/upload:
@@ -56,6 +129,7 @@ const upload = multer({
  *     tags: [Assets]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -104,6 +178,18 @@ const upload = multer({
  *               usageRights:
  *                 type: string
  *                 description: Usage rights description (optional)
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published]
+ *                 description: Publishing state (optional, defaults to published)
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publication time for scheduled assets
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted]
+ *                 description: Unlisted assets are only reachable by direct link (optional)
  *     responses:
  *       201:
  *         description: Asset uploaded successfully
@@ -148,302 +234,508 @@ const upload = multer({
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/upload', protect, upload.single('file'), async (req, res) => {
+router.post('/upload', allowApiKey('assets:write'), protect, requirePermission('assets:create'), upload.single('file'), (req, res) => (
+  createAssetFromUpload(req, res, req.file)
+));
+
+// Run the shared upload pipeline for a multipart or resumable upload and send the response.
+// On success the created asset is also left in res.locals.asset.
+async function createAssetFromUpload(req, res, file) {
   try {
     // Debug: Log incoming request
     console.log('=== Asset Upload Request ===');
     console.log('Request body:', req.body);
-    console.log('Request file:', req.file ? {
-      filename: req.file.originalname,
-      mimetype: req.file.mimetype,
-      size: req.file.size
+    console.log('Request file:', file ? {
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size
     } : 'No file');
     console.log('User:', req.user ? {
       _id: req.user._id,
-      isCreator: req.user.isCreator
+      role: req.user.role
     } : 'No user');
     console.log('===========================');
-    
-    // Manual validation after multer processes the data
-    const { title, description, category, price, tags, license, usageRights } = req.body;
 
-    // Validate and sanitize price
-    const assetPrice = (isNaN(price) || price === undefined || price === null) ? 0 : Number(price);
-    if (assetPrice < 0) {
+    const asset = await assetUploadService.createAsset(req.user, file, req.body);
+    res.locals.asset = asset;
+
+    res.status(201).json({
+      success: true,
+      message: asset.isApproved
+        ? 'Asset uploaded successfully'
+        : 'Asset uploaded successfully and is awaiting moderation',
+      data: {
+        asset: asset.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof UploadRejectedError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+    console.error('Asset upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during asset upload'
+    });
+  }
+}
+
+// Load the current user's upload session from :uploadId
+const loadUploadSession = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.uploadId)) {
       return res.status(400).json({
         success: false,
-        error: 'Price cannot be negative'
+        error: 'Invalid upload ID'
       });
     }
 
-    // Relaxed validation: only check for file presence and user creator status
-    if (!req.file) {
+    const session = await UploadSession.findOne({
+      _id: req.params.uploadId,
+      user: req.user._id
+    }).select('+tempPath');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found'
+      });
+    }
+
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    console.error('Load upload session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while loading upload'
+    });
+  }
+};
+
+// @route   POST /api/assets/uploads
+// @desc    Start a resumable upload (for large video, audio and 3D files)
+// @access  Private (assets:create)
+router.post('/uploads', allowApiKey('assets:write'), protect, requirePermission('assets:create'), [
+  body('filename')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Filename is required'),
+  body('mimetype')
+    .isIn(CHUNKED_UPLOAD_TYPES)
+    .withMessage('Unsupported file type'),
+  body('size')
+    .isInt({ min: 1, max: chunkedUploadService.maxFileSize })
+    .withMessage(`Size must be between 1 and ${chunkedUploadService.maxFileSize} bytes`)
+    .toInt(),
+  body('sha256')
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .withMessage('SHA-256 must be 64 hex characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        error: 'No file uploaded'
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
-    if (!req.user.isCreator) {
-      return res.status(403).json({
+
+    const { filename, mimetype, size, sha256 } = req.body;
+
+    // Images are processed in memory, so they can't be larger than a regular upload
+    if (mimetype.startsWith('image/') && size > chunkedUploadService.inMemoryLimit) {
+      return res.status(413).json({
         success: false,
-        error: 'Only creators can upload assets'
+        error: `Images cannot exceed ${chunkedUploadService.inMemoryLimit} bytes`
       });
     }
-    // Parse tags from FormData - handle both array and individual tag fields
-    let parsedTags = [];
-    if (tags) {
-      if (Array.isArray(tags)) {
-        parsedTags = tags.filter(tag => tag && tag.trim().length > 0);
-      } else if (typeof tags === 'string') {
-        try {
-          const jsonTags = JSON.parse(tags);
-          if (Array.isArray(jsonTags)) {
-            parsedTags = jsonTags.filter(tag => tag && tag.trim().length > 0);
-          }
-        } catch (error) {
-          parsedTags = tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-        }
+
+    const session = await chunkedUploadService.create(req.user, { filename, mimetype, size, sha256 });
+
+    res.set('Upload-Offset', '0');
+    res.status(201).json({
+      success: true,
+      message: 'Upload started',
+      data: {
+        upload: session.getPublicData(),
+        chunkSize: chunkedUploadService.maxChunkSize
       }
+    });
+
+  } catch (error) {
+    console.error('Start upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while starting upload'
+    });
+  }
+});
+
+// @route   GET /api/assets/uploads/:uploadId
+// @desc    Get upload progress (the offset to resume from)
+// @access  Private
+router.get('/uploads/:uploadId', allowApiKey('assets:write'), protect, loadUploadSession, (req, res) => {
+  res.set('Upload-Offset', String(req.uploadSession.receivedBytes));
+  res.json({
+    success: true,
+    data: {
+      upload: req.uploadSession.getPublicData()
     }
-    // Validate tags length
-    if (parsedTags.length > 10) {
-      return res.status(400).json({
+  });
+});
+
+// @route   PATCH /api/assets/uploads/:uploadId
+// @desc    Append a chunk (raw body) at the offset given in the Upload-Offset header
+// @access  Private
+router.patch('/uploads/:uploadId', allowApiKey('assets:write'), protect, uploadChunkLimiter, loadUploadSession, async (req, res) => {
+  try {
+    const session = req.uploadSession;
+
+    if (!session.isResumable()) {
+      return res.status(410).json({
         success: false,
-        error: 'Maximum 10 tags allowed'
+        error: `Upload is ${session.status === 'uploading' ? 'expired' : session.status}`
       });
     }
 
-    // Generate payment URL (placeholder for Coinbase integration)
-    const paymentUrl = `${process.env.FRONTEND_URL}/payment/placeholder`;
-
-    // Process image if it's an image file
-    let processedFiles = {};
-    let imageHash = null;
-
-    if (req.file.mimetype.startsWith('image/')) {
-      try {
-        // Process image: create watermarked version, thumbnail, and QR code
-        processedFiles = await imageProcessor.processImage(
-          req.file.buffer,
-          req.user._id,
-          paymentUrl
-        );
-
-        // Get image hash for duplicate detection
-        imageHash = await imageProcessor.getImageHash(req.file.buffer);
-
-        // Check for duplicates using AI
-        const existingAssets = await Asset.find({
-          'originalFile.hash': { $exists: true },
-          creator: { $ne: req.user._id } // Don't check against user's own assets
-        }).limit(50); // Limit for performance
-
-        // AI duplicate check (optional - don't fail upload if AI service fails)
-        let duplicateCheck = null;
-        if (existingAssets.length > 0) {
-          try {
-            duplicateCheck = await aiService.checkForDuplicates(req.file.buffer, existingAssets);
-
-            if (duplicateCheck && duplicateCheck.hasDuplicates) {
-              return res.status(400).json({
-                success: false,
-                error: 'Duplicate content detected',
-                details: {
-                  message: 'This image appears to be similar to existing content on the platform',
-                  duplicates: duplicateCheck.duplicates
-                }
-              });
-            }
-          } catch (aiError) {
-            console.warn('AI duplicate check failed, continuing with upload:', aiError.message);
-          }
+    const offset = parseInt(req.get('Upload-Offset'));
+    if (offset !== session.receivedBytes) {
+      res.set('Upload-Offset', String(session.receivedBytes));
+      return res.status(409).json({
+        success: false,
+        error: 'Upload-Offset does not match the current upload offset',
+        data: {
+          offset: session.receivedBytes
         }
+      });
+    }
+
+    const updated = await chunkedUploadService.appendChunk(session, req);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'Another chunk was written at this offset; fetch the upload to resume'
+      });
+    }
+
+    res.set('Upload-Offset', String(updated.receivedBytes));
+    res.json({
+      success: true,
+      data: {
+        upload: updated.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'CHUNK_TOO_LARGE') {
+      return res.status(413).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Append upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while storing chunk'
+    });
+  }
+});
+
+// @route   POST /api/assets/uploads/:uploadId/complete
+// @desc    Verify the SHA-256 of a finished upload and create the asset (same fields as /upload)
+// @access  Private (assets:create)
+router.post('/uploads/:uploadId/complete', allowApiKey('assets:write'), protect, requirePermission('assets:create'), loadUploadSession, async (req, res) => {
+  try {
+    const session = req.uploadSession;
+
+    if (!session.isResumable()) {
+      return res.status(410).json({
+        success: false,
+        error: `Upload is ${session.status === 'uploading' ? 'expired' : session.status}`
+      });
+    }
 
-        // AI content validation (optional - don't fail upload if AI service fails)
-        try {
-          const contentValidation = await aiService.validateImageContent(req.file.buffer);
-
-          if (!contentValidation.isAppropriate) {
-            return res.status(400).json({
-              success: false,
-              error: 'Content not appropriate for platform',
-              details: contentValidation
-            });
-          }
-        } catch (aiError) {
-          console.warn('AI content validation failed, continuing with upload:', aiError.message);
+    if (session.receivedBytes !== session.size) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload is not complete yet',
+        data: {
+          offset: session.receivedBytes,
+          size: session.size
         }
+      });
+    }
+
+    // Check the listing fields before the (possibly large) file is hashed and moved
+    await assetUploadService.validateFields(req.user, req.body);
+
+    const { session: claimed, file } = await chunkedUploadService.verify(session);
 
-        // AI processing completed successfully
+    req.body.category = req.body.category || categoryForMimetype(file.mimetype);
+    await createAssetFromUpload(req, res, file);
 
-      } catch (error) {
-        console.error('Image processing error:', error);
-        return res.status(500).json({
+    try {
+      await chunkedUploadService.finish(claimed, res.locals.asset);
+    } catch (finishError) {
+      console.error('Finish upload session error:', finishError);
+    }
+
+  } catch (error) {
+    if (error instanceof UploadRejectedError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+    if (error.code === 'UPLOAD_BUSY') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error.code === 'CHECKSUM_MISMATCH') {
+      return res.status(422).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Complete upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while completing upload'
+    });
+  }
+});
+
+// @route   DELETE /api/assets/uploads/:uploadId
+// @desc    Cancel an upload and discard its data
+// @access  Private
+router.delete('/uploads/:uploadId', allowApiKey('assets:write'), protect, loadUploadSession, async (req, res) => {
+  try {
+    if (req.uploadSession.status !== 'uploading') {
+      return res.status(400).json({
+        success: false,
+        error: `Upload is already ${req.uploadSession.status}`
+      });
+    }
+
+    await chunkedUploadService.cancel(req.uploadSession);
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while cancelling upload'
+    });
+  }
+});
+
+// @route   POST /api/assets/bulk-imports
+// @desc    Import many assets from a ZIP with manifest.csv or manifest.json (processed in the background)
+// @access  Private (assets:create)
+router.post('/bulk-imports', allowApiKey('assets:write'), protect, requirePermission('assets:create'), bulkImportUpload.single('archive'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No archive uploaded'
+      });
+    }
+
+    // Importing on behalf of an organization requires an editor or owner role there
+    const { organizationId } = req.body;
+    if (organizationId) {
+      const canPublish = mongoose.Types.ObjectId.isValid(organizationId) &&
+        await Organization.userCan(organizationId, req.user._id, 'assets:edit');
+      if (!canPublish) {
+        await removeFile(req.file.path);
+        return res.status(403).json({
           success: false,
-          error: 'Failed to process image'
+          error: 'Not authorized to publish for this organization'
         });
       }
-    } else {
-      // For non-image files, just save the original
-      const filename = `${Date.now()}_${req.file.originalname}`;
-      const filePath = `./uploads/documents/${filename}`;
-      
-      // Ensure directory exists
-      await imageProcessor.ensureDirectories();
-      
-      // Save file
-      const fs = await import('fs/promises');
-      await fs.writeFile(filePath, req.file.buffer);
-
-      processedFiles = {
-        original: {
-          filename,
-          path: filePath,
-          size: req.file.size,
-          mimetype: req.file.mimetype
-        }
-      };
     }
 
-    // Enhanced duplicate detection using multiple methods
-    console.log('🔍 Running enhanced duplicate detection...');
-    const existingAssets = await Asset.find({
-      creator: { $ne: req.user._id } // Don't check against user's own assets
-    }).limit(100); // Limit for performance
+    const job = await bulkImportService.createJob(req.user, req.file, { organizationId });
 
-    const duplicateResult = await aiService.detectDuplicates(req.file.buffer, existingAssets);
+    // Process in the background; the scheduler retries anything left pending
+    bulkImportService.runImport(job._id)
+      .catch(error => console.error('Bulk import error:', error));
 
-    if (duplicateResult.isDuplicate && duplicateResult.confidence > 0.8) {
-      return res.status(409).json({
+    res.status(202).json({
+      success: true,
+      message: 'Import queued. Check the job status for per-item results.',
+      data: {
+        import: job.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof UploadRejectedError) {
+      return res.status(error.statusCode).json({
         success: false,
-        error: 'Duplicate content detected',
-        details: {
-          confidence: duplicateResult.confidence,
-          matches: duplicateResult.matches,
-          methods: duplicateResult.methods
-        }
+        error: error.message
       });
     }
+    console.error('Bulk import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while starting bulk import'
+    });
+  }
+});
 
-    // Process image for duplicate detection (get hashes)
-    const hashData = await aiService.processImageForDuplicateDetection(req.file.buffer);
+// @route   GET /api/assets/bulk-imports
+// @desc    List your bulk imports
+// @access  Private
+router.get('/bulk-imports', allowApiKey('assets:read'), protect, async (req, res) => {
+  try {
+    const jobs = await BulkImport.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(20);
 
-    // Upload to IPFS
-    let ipfsData = null;
-    try {
-      console.log('📤 Uploading original file to IPFS...');
-      ipfsData = await ipfsService.uploadFile(
-        req.file.buffer,
-        processedFiles.original.filename,
-        {
-          title,
-          description,
-          category: category || 'digital-art',
-          creator: req.user.username,
-          uploadedAt: new Date().toISOString(),
-          contentHash: hashData.sha256Hash
-        }
-      );
-      if (ipfsData) {
-        console.log('✅ IPFS upload successful:', ipfsData.cid);
-      } else {
-        console.log('⚠️ IPFS upload skipped - no services configured');
-      }
-    } catch (error) {
-      console.warn('⚠️ IPFS upload failed, continuing with local storage:', error.message);
-      // Continue without IPFS - the asset will still work with local storage
-    }
-
-    // Use AI-enhanced or user-provided values
-    const finalTags = parsedTags.length > 0 ? parsedTags : [];
-    const finalCategory = category || 'digital-art';
-    const finalDescription = description;
-
-    // Create asset record
-    const asset = new Asset({
-      title,
-      description: finalDescription,
-      creator: req.user._id,
-      category: finalCategory,
-      tags: finalTags,
-      price: assetPrice,
-      license: license || 'personal',
-      usageRights: usageRights || [],
-      originalFile: {
-        filename: processedFiles.original.filename,
-        path: processedFiles.original.path,
-        size: processedFiles.original.size,
-        mimetype: processedFiles.original.mimetype,
-        hash: hashData.sha256Hash,
-        perceptualHash: hashData.perceptualHash
-      },
-      watermarkedFile: processedFiles.watermarked || null,
-      thumbnail: processedFiles.thumbnail || null,
-      qrCode: processedFiles.qrCode || null,
-      ipfsData: ipfsData || null, // IPFS storage information
-      status: 'published', // Auto-publish uploaded assets
-      isPublic: true,
-      isApproved: true, // Auto-approve for now (can add moderation later)
-      aiVerified: true,
-      duplicateCheck: {
-        isDuplicate: duplicateResult.isDuplicate,
-        confidence: duplicateResult.confidence,
-        methods: duplicateResult.methods,
-        matches: duplicateResult.matches,
-        checkedAt: new Date()
+    res.json({
+      success: true,
+      data: {
+        imports: jobs.map(job => job.getSummary())
       }
     });
 
-    await asset.save();
+  } catch (error) {
+    console.error('Get bulk imports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching bulk imports'
+    });
+  }
+});
+
+// @route   GET /api/assets/bulk-imports/:jobId
+// @desc    Bulk import status with per-item results
+// @access  Private
+router.get('/bulk-imports/:jobId', allowApiKey('assets:read'), protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import ID'
+      });
+    }
 
-    // X402 payment will be handled by middleware automatically
-    console.log('💰 Asset ready for X402 payment protection:', asset._id);
+    const job = await BulkImport.findOne({ _id: req.params.jobId, user: req.user._id });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Asset uploaded successfully',
       data: {
-        asset: asset.getPublicData()
+        import: job.getPublicData()
       }
     });
 
   } catch (error) {
-    console.error('Asset upload error:', error);
+    console.error('Get bulk import error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during asset upload'
+      error: 'Server error while fetching bulk import'
     });
   }
 });
 
 // @route   GET /api/assets
-// @desc    Get all public assets with filtering and pagination
+// @desc    Search public assets with multi-select filters, sorting and facet counts
 // @access  Public
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, [
+  query('sortBy')
+    .optional()
+    .isIn(LISTING_SORT_FIELDS)
+    .withMessage(`Sort must be one of: ${LISTING_SORT_FIELDS.join(', ')}`),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  query('orientation')
+    .optional()
+    .isIn(ORIENTATIONS)
+    .withMessage(`Orientation must be one of: ${ORIENTATIONS.join(', ')}`),
+  query(['minPrice', 'maxPrice'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price filters must be positive numbers'),
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum rating must be between 0 and 5'),
+  query(['minWidth', 'maxWidth', 'minHeight', 'maxHeight'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Dimension filters must be positive whole numbers (pixels)'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const {
       page = 1,
       limit = 12,
-      category,
       search,
       minPrice,
       maxPrice,
-      sortBy = 'createdAt',
+      minRating,
+      minWidth,
+      maxWidth,
+      minHeight,
+      maxHeight,
+      orientation,
+      facets = 'true',
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter object
+    // Build filter object (unlisted assets are only reachable by direct link)
     const filter = {
       status: 'published',
+      visibility: { $ne: 'unlisted' },
       isPublic: true,
       isApproved: true
     };
 
-    if (category) filter.category = category;
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+    if (minRating) filter.ratingAverage = { $gte: parseFloat(minRating) };
+
+    // Dimension and orientation filters only match assets with known dimensions (images)
+    if (minWidth || maxWidth || minHeight || maxHeight || orientation) {
+      filter['dimensions.width'] = { $gt: 0 };
+      filter['dimensions.height'] = { $gt: 0 };
+      if (minWidth) filter['dimensions.width'].$gte = parseInt(minWidth);
+      if (maxWidth) filter['dimensions.width'].$lte = parseInt(maxWidth);
+      if (minHeight) filter['dimensions.height'].$gte = parseInt(minHeight);
+      if (maxHeight) filter['dimensions.height'].$lte = parseInt(maxHeight);
+      if (orientation) {
+        const operator = { landscape: '$gt', portrait: '$lt', square: '$eq' }[orientation];
+        filter.$expr = { [operator]: ['$dimensions.width', '$dimensions.height'] };
+      }
     }
 
     // Build search query
@@ -451,22 +743,51 @@ router.get('/', optionalAuth, async (req, res) => {
       filter.$text = { $search: search };
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Facet selections; several values of one facet match any of them
+    const categories = parseList(req.query.category);
+    const licenses = parseList(req.query.license);
+    const fileFormats = parseList(req.query.fileFormat).map(format => format.toLowerCase());
+    const tags = parseList(req.query.tags);
+    const facetFilters = {
+      category: categories.length > 0 ? { category: { $in: categories } } : null,
+      license: licenses.length > 0 ? { license: { $in: licenses } } : null,
+      fileFormat: fileFormats.length > 0 ? { fileFormat: { $in: fileFormats } } : null,
+      tags: tags.length > 0 ? { tags: { $in: tags } } : null,
+      price: null
+    };
+    if (minPrice || maxPrice) {
+      facetFilters.price = { price: {} };
+      if (minPrice) facetFilters.price.price.$gte = parseFloat(minPrice);
+      if (maxPrice) facetFilters.price.price.$lte = parseFloat(maxPrice);
+    }
+    const resultFilter = Object.assign({}, filter, ...Object.values(facetFilters).filter(Boolean));
+
+    // Build sort object (searches are sorted by relevance unless asked otherwise)
+    let sortBy = req.query.sortBy || (search ? 'relevance' : 'createdAt');
+    if (sortBy === 'relevance' && !search) sortBy = 'createdAt';
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    const sort = sortBy === 'relevance'
+      ? { score: { $meta: 'textScore' }, _id: -1 }
+      : { [sortBy]: direction, _id: direction };
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Execute query
-    const [assets, total] = await Promise.all([
-      Asset.find(filter)
-        .populate('creator', 'username fullName avatar')
+    const [assets, total, facetCounts] = await Promise.all([
+      Asset.find(resultFilter)
+        .populate('creator', 'username fullName avatar verifiedCreator')
+        .populate('organization', 'name slug')
         .sort(sort)
         .skip(skip)
         .limit(parseInt(limit))
-        .select('-originalFile.path -watermarkedFile.path'),
-      Asset.countDocuments(filter)
+        .select({
+          'originalFile.path': 0,
+          'watermarkedFile.path': 0,
+          ...(search && { score: { $meta: 'textScore' } })
+        }),
+      Asset.countDocuments(resultFilter),
+      facets === 'false' ? null : Asset.getSearchFacets(filter, facetFilters)
     ]);
 
     // Format response
@@ -478,9 +799,11 @@ router.get('/', optionalAuth, async (req, res) => {
           _id: asset.creator._id,
           username: asset.creator.username,
           fullName: asset.creator.fullName,
-          avatar: asset.creator.avatar
+          avatar: asset.creator.avatar,
+          verifiedCreator: asset.creator.verifiedCreator
         };
       }
+      if (search) assetData.score = asset.get('score');
       return assetData;
     });
 
@@ -488,6 +811,7 @@ router.get('/', optionalAuth, async (req, res) => {
       success: true,
       data: {
         assets: formattedAssets,
+        ...(facetCounts && { facets: facetCounts }),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
@@ -507,14 +831,216 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
-// @route   GET /api/assets/:id
-// @desc    Get asset by ID
-// @access  Public
-router.get('/:id', optionalAuth, async (req, res) => {
+// @route   GET /api/assets/mine
+// @desc    Get the current user's own assets in every state (drafts, scheduled, unlisted, archived, ...),
+//          or an organization's assets with `organizationId`
+// @access  Private (organization assets: editors and owners)
+router.get('/mine', allowApiKey('assets:read'), protect, async (req, res) => {
   try {
-    const asset = await Asset.findById(req.params.id)
-      .populate('creator', 'username fullName avatar bio isVerified')
-      .select('-originalFile.path -watermarkedFile.path');
+    const { page = 1, limit = 12, status, visibility, organizationId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    let owner = { creator: req.user._id };
+    if (organizationId) {
+      const canManage = mongoose.Types.ObjectId.isValid(organizationId) &&
+        await Organization.userCan(organizationId, req.user._id, 'assets:edit');
+      if (!canManage) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to manage assets of this organization'
+        });
+      }
+      owner = { organization: new mongoose.Types.ObjectId(organizationId) };
+    }
+
+    const filter = { ...owner };
+    if (status) filter.status = status;
+    if (visibility === 'unlisted') filter.visibility = 'unlisted';
+    if (visibility === 'public') filter.visibility = { $ne: 'unlisted' };
+
+    const [assets, total, statusCounts] = await Promise.all([
+      Asset.find(filter)
+        .populate('organization', 'name slug')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-originalFile.path -watermarkedFile.path'),
+      Asset.countDocuments(filter),
+      Asset.aggregate([
+        { $match: owner },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        assets: assets.map(asset => asset.getPublicData()),
+        counts: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalAssets: total,
+          hasNextPage: skip + parseInt(limit) < total,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my assets error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching your assets'
+    });
+  }
+});
+
+// @route   GET /api/assets/trash
+// @desc    Get deleted assets that can still be restored (own, or an organization's with organizationId)
+// @access  Private
+router.get('/trash', allowApiKey('assets:read'), protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 12, organizationId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {
+      status: 'archived',
+      archivedAt: { $exists: true },
+      purgedAt: null
+    };
+
+    if (organizationId) {
+      const canDelete = mongoose.Types.ObjectId.isValid(organizationId) &&
+        await Organization.userCan(organizationId, req.user._id, 'assets:delete');
+      if (!canDelete) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view the trash of this organization'
+        });
+      }
+      filter.organization = organizationId;
+    } else {
+      filter.creator = req.user._id;
+    }
+
+    const [assets, total] = await Promise.all([
+      Asset.find(filter)
+        .sort({ archivedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-originalFile.path -watermarkedFile.path'),
+      Asset.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        assets: assets.map(asset => ({
+          ...asset.getPublicData(),
+          archivedAt: asset.archivedAt,
+          restorableUntil: trashService.getPurgeDate(asset)
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalAssets: total,
+          hasNextPage: skip + parseInt(limit) < total,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching deleted assets'
+    });
+  }
+});
+
+// List the current user's likes or wishlist, most recently added first
+const listFavorites = (type) => async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+    const skip = (page - 1) * limit;
+    const filter = { user: req.user._id, type };
+
+    const [favorites, total] = await Promise.all([
+      Favorite.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate({
+          path: 'asset',
+          select: '-originalFile.path -watermarkedFile.path',
+          populate: { path: 'creator', select: 'username fullName avatar verifiedCreator' }
+        }),
+      Favorite.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        assets: favorites
+          .filter(favorite => favorite.asset)
+          .map(({ asset, createdAt }) => {
+            // Assets that were unpublished, taken down or deleted since stay in the list as a stub
+            if (asset.status !== 'published' || !asset.isPublic || !asset.isApproved) {
+              return { _id: asset._id, unavailable: true, addedAt: createdAt };
+            }
+            return {
+              ...asset.getPublicData(),
+              creator: asset.creator && {
+                _id: asset.creator._id,
+                username: asset.creator.username,
+                fullName: asset.creator.fullName,
+                avatar: asset.creator.avatar,
+                verifiedCreator: asset.creator.verifiedCreator
+              },
+              addedAt: createdAt
+            };
+          }),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalAssets: total,
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error(`Get ${type} list error:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching your saved assets'
+    });
+  }
+};
+
+// @route   GET /api/assets/favorites
+// @desc    Get the assets the current user liked
+// @access  Private
+router.get('/favorites', allowApiKey('assets:read'), protect, listFavorites('like'));
+
+// @route   GET /api/assets/wishlist
+// @desc    Get the current user's wishlist
+// @access  Private
+router.get('/wishlist', allowApiKey('assets:read'), protect, listFavorites('wishlist'));
+
+// @route   GET /api/assets/:id
+// @desc    Get asset by ID
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id)
+      .populate('creator', 'username fullName avatar bio isVerified verifiedCreator')
+      .populate('organization', 'name slug')
+      .select('-originalFile.path -watermarkedFile.path');
 
     if (!asset) {
       return res.status(404).json({
@@ -523,15 +1049,34 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
+    // Published assets (listed or unlisted) are public; drafts and scheduled assets can be
+    // previewed by the people who can edit them
     if (!asset.isPublic || asset.status !== 'published') {
-      return res.status(404).json({
-        success: false,
-        error: 'Asset not found'
-      });
+      const canPreview = asset.isPublic && ['draft', 'scheduled'].includes(asset.status) &&
+        req.user && asset.creator && await canManageAsset(req.user, asset);
+      if (!canPreview) {
+        return res.status(404).json({
+          success: false,
+          error: 'Asset not found'
+        });
+      }
+    }
+
+    // Assets awaiting or failing moderation are only visible to their creator and moderators
+    if (!asset.isApproved) {
+      const isCreator = req.user && asset.creator && asset.creator._id.equals(req.user._id);
+      if (!isCreator && !req.user?.hasPermission('assets:moderate')) {
+        return res.status(404).json({
+          success: false,
+          error: 'Asset not found'
+        });
+      }
     }
 
-    // Increment views
-    await asset.incrementViews();
+    // Increment views (previews of unpublished assets don't count)
+    if (asset.status === 'published') {
+      await asset.incrementViews();
+    }
 
     // Format response
     const assetData = asset.getPublicData();
@@ -542,14 +1087,16 @@ router.get('/:id', optionalAuth, async (req, res) => {
         fullName: asset.creator.fullName,
         avatar: asset.creator.avatar,
         bio: asset.creator.bio,
-        isVerified: asset.creator.isVerified
+        isVerified: asset.creator.isVerified,
+        verifiedCreator: asset.creator.verifiedCreator
       };
     }
 
     res.json({
       success: true,
       data: {
-        asset: assetData
+        asset: assetData,
+        ...(req.user && { viewer: await Favorite.getUserState(req.user._id, asset._id) })
       }
     });
 
@@ -563,31 +1110,50 @@ router.get('/:id', optionalAuth, async (req, res) => {
 });
 
 // @route   GET /api/assets/creator/:userId
-// @desc    Get assets by creator
+// @desc    Get assets by creator, or by organization when given an organization ID
 // @access  Public
 router.get('/creator/:userId', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 12 } = req.query;
+    const { page = 1, limit = 12, includeOrganizations } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const filter = {
+      status: 'published',
+      visibility: { $ne: 'unlisted' },
+      isPublic: true,
+      isApproved: true
+    };
+
+    const organization = await Organization.findById(req.params.userId);
+    if (organization) {
+      filter.organization = organization._id;
+    } else if (includeOrganizations === 'true') {
+      // The creator's own uploads plus everything published by their organizations
+      const memberships = await Organization.find({ 'members.user': req.params.userId }).select('_id');
+      filter.$or = [
+        { creator: req.params.userId },
+        { organization: { $in: memberships.map(org => org._id) } }
+      ];
+    } else {
+      filter.creator = req.params.userId;
+    }
+
     const [assets, total] = await Promise.all([
-      Asset.find({
-        creator: req.params.userId,
-        status: 'published',
-        isPublic: true,
-        isApproved: true
-      })
-        .populate('creator', 'username fullName avatar')
+      Asset.find(filter)
+        .populate('creator', 'username fullName avatar verifiedCreator')
+        .populate('organization', 'name slug')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
         .select('-originalFile.path -watermarkedFile.path'),
-      Asset.countDocuments({
-        creator: req.params.userId,
-        status: 'published',
-        isPublic: true,
-        isApproved: true
-      })
+      Asset.countDocuments(filter)
     ]);
 
     const formattedAssets = assets.map(asset => {
@@ -597,7 +1163,8 @@ router.get('/creator/:userId', optionalAuth, async (req, res) => {
           _id: asset.creator._id,
           username: asset.creator.username,
           fullName: asset.creator.fullName,
-          avatar: asset.creator.avatar
+          avatar: asset.creator.avatar,
+          verifiedCreator: asset.creator.verifiedCreator
         };
       }
       return assetData;
@@ -607,6 +1174,7 @@ router.get('/creator/:userId', optionalAuth, async (req, res) => {
       success: true,
       data: {
         assets: formattedAssets,
+        ...(organization && { organization: organization.getPublicData() }),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
@@ -628,8 +1196,8 @@ router.get('/creator/:userId', optionalAuth, async (req, res) => {
 
 // @route   PUT /api/assets/:id
 // @desc    Update asset
-// @access  Private (creator only)
-router.put('/:id', protect, [
+// @access  Private (creator, organization editor/owner, or assets:manage)
+router.put('/:id', allowApiKey('assets:write'), protect, [
   body('title')
     .optional()
     .isLength({ min: 3, max: 100 })
@@ -641,7 +1209,11 @@ router.put('/:id', protect, [
   body('price')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number')
+    .withMessage('Price must be a positive number'),
+  body('publishAt')
+    .optional()
+    .isISO8601()
+    .withMessage('publishAt must be an ISO 8601 date')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -661,15 +1233,18 @@ router.put('/:id', protect, [
       });
     }
 
-    // Check if user is the creator
-    if (asset.creator.toString() !== req.user._id.toString()) {
+    // Check if user is the creator, an organization editor/owner, or can manage any asset
+    if (!await canManageAsset(req.user, asset)) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update this asset'
       });
     }
 
-    const { title, description, price, tags, category, license } = req.body;
+    const { title, description, price, tags, category, license, status, publishAt, visibility } = req.body;
+
+    // Draft, scheduled or published, and public or unlisted
+    const publishing = resolvePublishing({ status, publishAt, visibility }, asset);
 
     // Validate and sanitize price
     const assetPrice = (isNaN(price) || price === undefined || price === null) ? asset.price : Number(price);
@@ -680,26 +1255,17 @@ router.put('/:id', protect, [
       });
     }
 
-    // Parse tags from FormData - handle both array and individual tag fields
-    let parsedTags = [];
-    if (tags) {
-      if (Array.isArray(tags)) {
-        // If tags come as array from FormData
-        parsedTags = tags.filter(tag => tag && tag.trim().length > 0);
-      } else if (typeof tags === 'string') {
-        try {
-          // Try to parse as JSON if it's a string
-          const jsonTags = JSON.parse(tags);
-          if (Array.isArray(jsonTags)) {
-            parsedTags = jsonTags.filter(tag => tag && tag.trim().length > 0);
-          }
-        } catch (error) {
-          // If not JSON, treat as comma-separated string
-          parsedTags = tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-        }
-      }
+    // Price cap for unverified creators applies to edits too
+    const uploadRestrictions = getUploadRestrictions(req.user);
+    if (uploadRestrictions && assetPrice > uploadRestrictions.maxPrice && assetPrice !== asset.price) {
+      return res.status(403).json({
+        success: false,
+        error: `Unverified creators can list assets for at most ${uploadRestrictions.maxPrice}. Apply for creator verification to lift this limit.`
+      });
     }
 
+    const parsedTags = parseTags(tags);
+
     // Validate tags length
     if (parsedTags.length > 10) {
       return res.status(400).json({
@@ -717,7 +1283,8 @@ router.put('/:id', protect, [
         price: assetPrice,
         tags: parsedTags,
         category,
-        license
+        license,
+        ...publishing
       },
       { new: true, runValidators: true }
     );
@@ -731,6 +1298,12 @@ router.put('/:id', protect, [
     });
 
   } catch (error) {
+    if (error instanceof UploadRejectedError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Update asset error:', error);
     res.status(500).json({
       success: false,
@@ -739,10 +1312,182 @@ router.put('/:id', protect, [
   }
 });
 
+// @route   PUT /api/assets/:id/file
+// @desc    Replace the asset file with a new version (views, purchases and revenue are kept)
+// @access  Private (creator, organization editor/owner, or assets:manage)
+router.put('/:id/file', allowApiKey('assets:write'), protect, upload.single('file'), [
+  body('changelog')
+    .trim()
+    .isLength({ min: 3, max: 1000 })
+    .withMessage('Changelog must be between 3 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const asset = await Asset.findById(req.params.id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    if (!await canManageAsset(req.user, asset)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this asset'
+      });
+    }
+
+    const updatedAsset = await assetUploadService.replaceFile(asset, req.user, req.file, req.body.changelog);
+
+    res.json({
+      success: true,
+      message: updatedAsset.isApproved
+        ? `Asset file replaced (version ${updatedAsset.currentVersion})`
+        : `Asset file replaced (version ${updatedAsset.currentVersion}) and is awaiting moderation`,
+      data: {
+        asset: updatedAsset.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof UploadRejectedError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+    console.error('Replace asset file error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while replacing asset file'
+    });
+  }
+});
+
+// @route   GET /api/assets/:id/versions
+// @desc    Get the version history of an asset with changelogs
+// @access  Private (asset managers and buyers)
+router.get('/:id/versions', allowApiKey('assets:read'), protect, async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    const isManager = await canManageAsset(req.user, asset);
+    if (!isManager && !await Payment.hasCompletedPurchase(asset._id, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view versions of this asset'
+      });
+    }
+
+    let versions = await AssetVersion.find({ asset: asset._id }).sort({ version: -1 });
+    if (versions.length === 0) {
+      versions = [AssetVersion.fromAsset(asset)];
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: asset.currentVersion,
+        versions: versions.map(version => ({
+          ...version.getPublicData(),
+          isCurrent: version.version === asset.currentVersion,
+          ...(isManager && { ipfsData: version.ipfsData })
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get asset versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching asset versions'
+    });
+  }
+});
+
+// @route   GET /api/assets/:id/versions/:version/download
+// @desc    Download the original file of a version (`latest` for the current one)
+// @access  Private (asset managers: any version; buyers: latest version)
+router.get('/:id/versions/:version/download', allowApiKey('assets:read'), protect, async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    const version = req.params.version === 'latest' ? asset.currentVersion : parseInt(req.params.version);
+    if (!Number.isInteger(version) || version < 1 || version > asset.currentVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    const isManager = await canManageAsset(req.user, asset);
+    if (!isManager) {
+      // Buyers with active download access get the latest file, unless the asset was taken down
+      const isBuyer = asset.status !== 'flagged' &&
+        await Payment.hasCompletedPurchase(asset._id, req.user, { activeAccess: true });
+      if (!isBuyer || version !== asset.currentVersion) {
+        return res.status(403).json({
+          success: false,
+          error: isBuyer
+            ? 'Buyers can only download the latest version'
+            : 'Purchase this asset to download it'
+        });
+      }
+    }
+
+    const file = version === asset.currentVersion
+      ? asset.originalFile
+      : (await AssetVersion.findOne({ asset: asset._id, version }))?.originalFile;
+    try {
+      await fs.access(file?.path);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    if (!isManager) {
+      await asset.incrementDownloads();
+    }
+
+    res.download(file.path, file.filename);
+
+  } catch (error) {
+    console.error('Download asset version error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while downloading asset version'
+    });
+  }
+});
+
 // @route   DELETE /api/assets/:id
 // @desc    Delete asset
-// @access  Private (creator only)
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (creator, organization owner, or assets:manage)
+router.delete('/:id', allowApiKey('assets:write'), protect, async (req, res) => {
   try {
     const asset = await Asset.findById(req.params.id);
     if (!asset) {
@@ -752,21 +1497,23 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check if user is the creator
-    if (asset.creator.toString() !== req.user._id.toString()) {
+    // Check if user is the creator, an organization owner, or can manage any asset
+    if (!await canManageAsset(req.user, asset, 'assets:delete')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete this asset'
       });
     }
 
-    // Delete asset (soft delete by changing status)
-    asset.status = 'archived';
-    await asset.save();
+    // Delete asset (soft delete: moves it to the trash until it is purged)
+    await trashService.archive(asset);
 
     res.json({
       success: true,
-      message: 'Asset deleted successfully'
+      message: 'Asset deleted successfully',
+      data: {
+        restorableUntil: trashService.getPurgeDate(asset)
+      }
     });
 
   } catch (error) {
@@ -778,10 +1525,126 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
+// Add or remove a like / wishlist entry; only for assets that are live
+const toggleFavorite = (type, add) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid asset ID'
+      });
+    }
+
+    const asset = await Asset.findById(req.params.id).select('status isPublic isApproved');
+    if (!asset || (add && (asset.status !== 'published' || !asset.isPublic || !asset.isApproved))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    const changed = add
+      ? await Favorite.addEntry(req.user._id, asset._id, type)
+      : await Favorite.removeEntry(req.user._id, asset._id, type);
+    const state = await Favorite.getUserState(req.user._id, asset._id);
+
+    res.json({
+      success: true,
+      message: changed
+        ? `Asset ${add ? 'added to' : 'removed from'} your ${type === 'like' ? 'likes' : 'wishlist'}`
+        : 'Nothing changed',
+      data: {
+        ...state,
+        ...(type === 'like' && { likes: (await Asset.findById(asset._id).select('likes')).likes })
+      }
+    });
+
+  } catch (error) {
+    console.error(`Update ${type} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating your saved assets'
+    });
+  }
+};
+
+// @route   POST /api/assets/:id/like
+// @desc    Like an asset (no-op if already liked)
+// @access  Private
+router.post('/:id/like', protect, toggleFavorite('like', true));
+
+// @route   DELETE /api/assets/:id/like
+// @desc    Remove a like
+// @access  Private
+router.delete('/:id/like', protect, toggleFavorite('like', false));
+
+// @route   POST /api/assets/:id/wishlist
+// @desc    Add an asset to the wishlist (no-op if already there)
+// @access  Private
+router.post('/:id/wishlist', protect, toggleFavorite('wishlist', true));
+
+// @route   DELETE /api/assets/:id/wishlist
+// @desc    Remove an asset from the wishlist
+// @access  Private
+router.delete('/:id/wishlist', protect, toggleFavorite('wishlist', false));
+
+// @route   POST /api/assets/:id/restore
+// @desc    Restore a deleted asset to the state it was deleted from
+// @access  Private (creator, organization owner, or assets:manage)
+router.post('/:id/restore', allowApiKey('assets:write'), protect, async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    if (!await canManageAsset(req.user, asset, 'assets:delete')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to restore this asset'
+      });
+    }
+
+    if (asset.purgedAt) {
+      return res.status(410).json({
+        success: false,
+        error: 'Asset has been permanently deleted'
+      });
+    }
+
+    if (!trashService.isRestorable(asset)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Asset is not in the trash'
+      });
+    }
+
+    await trashService.restore(asset);
+
+    res.json({
+      success: true,
+      message: 'Asset restored successfully',
+      data: {
+        asset: asset.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore asset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while restoring asset'
+    });
+  }
+});
+
 // @route   POST /api/assets/:id/mint
 // @desc    Mint asset as NFT
 // @access  Private (creator only)
-router.post('/:id/mint', protect, async (req, res) => {
+router.post('/:id/mint', protect, requirePermission('assets:create'), requireMfa(), async (req, res) => {
   try {
     const asset = await Asset.findById(req.params.id);
     if (!asset) {
@@ -822,7 +1685,7 @@ router.post('/:id/mint', protect, async (req, res) => {
       tokenId: Math.floor(Math.random() * 10000).toString(),
       chainId: parseInt(process.env.CHAIN_ID) || 84532,
       transactionHash: `0x${Math.random().toString(16).substr(2, 64)}`,
-      ownerAddress: req.user.walletAddress || req.user.email,
+      ownerAddress: req.user.hasVerifiedWallet(req.user.walletAddress) ? req.user.walletAddress : req.user.email,
       isMinted: true,
       isLazyMinted: false,
       mintedAt: new Date(),
@@ -961,8 +1824,8 @@ router.post('/:id/auction', protect, [
       });
     }
 
-    // Check if user owns the NFT
-    if (asset.nftData?.ownerAddress !== req.user.walletAddress &&
+    // Check if user owns the NFT (only wallets proven via SIWE count)
+    if (!req.user.hasVerifiedWallet(asset.nftData?.ownerAddress) &&
         asset.creator.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
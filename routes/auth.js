@@ -1,19 +1,176 @@
 import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import rateLimit from 'express-rate-limit';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { protect } from '../middleware/auth.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import Session from '../models/Session.js';
+import SiweNonce from '../models/SiweNonce.js';
+import ApiKey from '../models/ApiKey.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { protect, optionalAuth, requireMfa } from '../middleware/auth.js';
+import Mailer from '../utils/mailer.js';
+import SessionService from '../utils/sessionService.js';
+import SiweService from '../utils/siweService.js';
+import TotpService from '../utils/totpService.js';
+import ImageProcessor from '../utils/imageProcessor.js';
+import AIService from '../utils/aiService.js';
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Initialize services
+const mailer = new Mailer();
+const sessionService = new SessionService();
+const siweService = new SiweService();
+const totpService = new TotpService();
+const imageProcessor = new ImageProcessor();
+const aiService = new AIService();
+
+// Configure multer for avatar uploads
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.AVATAR_MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Invalid file type. Avatars must be JPEG, PNG, GIF or WebP images.');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  }
+});
+
+// Remove a user's processed avatar files
+const removeAvatarFiles = (variants = []) => imageProcessor.cleanupTempFiles(
+  variants.map(variant => path.join(imageProcessor.uploadPath, 'avatars', variant.filename))
+);
+
+// Rate limiting for password reset (per IP and per target email)
+const passwordResetWindowMs = parseInt(process.env.PASSWORD_RESET_WINDOW_MS) || 60 * 60 * 1000; // 1 hour
+// Per-email limiters run after the validators, so this is the normalized address (Gmail dots and
+// +tags removed) and variants of one address share a limit
+const requestEmailKey = (req) => String(req.body?.email || '').trim().toLowerCase();
+
+const passwordResetIpLimiter = rateLimit({
+  windowMs: passwordResetWindowMs,
+  max: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many password reset requests from this IP, please try again later.' }
+});
+
+const passwordResetEmailLimiter = rateLimit({
+  windowMs: passwordResetWindowMs,
+  max: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `email:${requestEmailKey(req)}`,
+  skip: (req) => !requestEmailKey(req),
+  message: { success: false, error: 'Too many password reset requests for this account, please try again later.' }
+});
+
+// Rate limiting for login (per IP + email pair); throttled attempts are still audited
+const loginLimiter = rateLimit({
+  windowMs: parseInt(process.env.LOGIN_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_MAX_PER_IP_EMAIL) || 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `login:${req.ip}:${requestEmailKey(req)}`,
+  handler: (req, res, next, options) => {
+    LoginAttempt.record(req, { email: requestEmailKey(req), success: false, reason: 'throttled' })
+      .catch(error => console.warn('Login attempt audit failed:', error.message));
+    res.status(options.statusCode).json(options.message);
+  },
+  message: { success: false, error: 'Too many login attempts, please try again later.' }
+});
+
+// Rate limiting for the 2FA login step (per IP)
+const mfaVerifyLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: parseInt(process.env.MFA_VERIFY_MAX_ATTEMPTS) || 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many two-factor attempts, please try again later.' }
+});
+
+// Record a successful login and warn the user when it came from a new device
+const recordSuccessfulLogin = async (user, req, method) => {
+  const [hasLoggedInBefore, knownDevice] = await Promise.all([
+    LoginAttempt.exists({ user: user._id, success: true }),
+    LoginAttempt.isKnownDevice(user._id, req)
+  ]);
+
+  await user.resetLoginAttempts();
+  await LoginAttempt.record(req, { email: user.email, user, method, success: true, reason: 'success' });
+
+  if (hasLoggedInBefore && !knownDevice) {
+    try {
+      await mailer.sendNewDeviceLoginEmail(user, {
+        device: sessionService.describeDevice(req.get('User-Agent') || ''),
+        ipAddress: req.ip
+      });
+    } catch (mailError) {
+      console.warn('New device notification failed:', mailError.message);
+    }
+  }
+};
+
+// Finish a primary login: start a session, or hand out an MFA ticket when 2FA is enabled
+const completeLogin = async (user, req, res, method = 'password') => {
+  if (user.mfa?.enabled) {
+    // First factor passed - reset the lockout counter but the login isn't complete yet
+    await user.resetLoginAttempts();
+    await LoginAttempt.record(req, { email: user.email, user, method, success: false, reason: 'mfa-required' });
+
+    const mfaTicket = jwt.sign(
+      { id: user._id, purpose: 'mfa-login', version: await totpService.getTicketVersion(user._id) },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.MFA_TICKET_EXPIRES_IN || '5m' }
+    );
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        mfaRequired: true,
+        mfaTicket
+      }
+    });
+  }
+
+  await recordSuccessfulLogin(user, req, method);
+
+  // Start a session and issue tokens
+  const { token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.getOwnProfile(),
+      token,
+      refreshToken,
+      expiresIn
+    }
   });
 };
 
+// Issue a verification token and email the link to the user
+const sendVerification = async (user) => {
+  const { token } = await EmailVerificationToken.issue(user);
+  await mailer.sendVerificationEmail(user, token);
+};
+
 /**
  * @swagger
  * /auth/register:
@@ -59,7 +216,7 @@ const generateToken = (id) => {
  *               isCreator:
  *                 type: boolean
  *                 default: false
- *                 description: Whether user is a creator
+ *                 description: Register with the creator role (buyer otherwise)
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -73,7 +230,7 @@ const generateToken = (id) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: User registered successfully
+ *                   example: User registered successfully. Please check your email to verify your account.
  *                 data:
  *                   type: object
  *                   properties:
@@ -81,7 +238,13 @@ const generateToken = (id) => {
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
- *                       description: JWT token
+ *                       description: Short-lived JWT access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Rotating refresh token for POST /auth/refresh
+ *                     expiresIn:
+ *                       type: string
+ *                       description: Access token lifetime (e.g. 15m)
  *       400:
  *         description: Validation error or user already exists
  *         content:
@@ -144,20 +307,29 @@ router.post('/register', [
       password,
       fullName,
       bio: bio || '',
-      isCreator: isCreator || false
+      role: (isCreator === true || isCreator === 'true') ? 'creator' : 'buyer'
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (don't fail registration if the mailer is down)
+    try {
+      await sendVerification(user);
+    } catch (mailError) {
+      console.warn('Verification email failed, user can request a resend:', mailError.message);
+    }
+
+    // Start a session and issue tokens
+    const { token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       data: {
-        user: user.getPublicProfile(),
-        token
+        user: user.getOwnProfile(),
+        token,
+        refreshToken,
+        expiresIn
       }
     });
 
@@ -215,7 +387,19 @@ router.post('/register', [
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
- *                       description: JWT token
+ *                       description: Short-lived JWT access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Rotating refresh token for POST /auth/refresh
+ *                     expiresIn:
+ *                       type: string
+ *                       description: Access token lifetime (e.g. 15m)
+ *                     mfaRequired:
+ *                       type: boolean
+ *                       description: Present when 2FA is enabled; no tokens are issued yet
+ *                     mfaTicket:
+ *                       type: string
+ *                       description: Short-lived ticket for POST /auth/2fa/verify
  *       401:
  *         description: Invalid credentials or account not verified
  *         content:
@@ -243,7 +427,7 @@ router.post('/login', [
   body('password')
     .notEmpty()
     .withMessage('Password is required')
-], async (req, res) => {
+], loginLimiter, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -260,15 +444,44 @@ router.post('/login', [
     // Check if user exists
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await LoginAttempt.record(req, { email, success: false, reason: 'unknown-user' });
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
 
+    // Refuse attempts during a progressive delay or lockout, even with the right password
+    const lockRemaining = user.getLockRemaining();
+    if (lockRemaining > 0) {
+      await LoginAttempt.record(req, { email, user, success: false, reason: 'locked' });
+      res.set('Retry-After', String(lockRemaining));
+      return res.status(429).json({
+        success: false,
+        error: user.isLockedOut()
+          ? 'Account temporarily locked after too many failed login attempts. Try again later or reset your password.'
+          : 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter: lockRemaining
+      });
+    }
+
     // Check if password matches
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const lockedOut = await user.registerFailedLogin();
+      await LoginAttempt.record(req, { email, user, success: false, reason: 'invalid-password' });
+
+      if (lockedOut) {
+        try {
+          await mailer.sendAccountLockedEmail(user, {
+            lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+            ipAddress: req.ip
+          });
+        } catch (mailError) {
+          console.warn('Account lockout notification failed:', mailError.message);
+        }
+      }
+
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
@@ -277,23 +490,14 @@ router.post('/login', [
 
     // Check if user is verified
     if (!user.isVerified) {
+      await LoginAttempt.record(req, { email, user, success: false, reason: 'unverified' });
       return res.status(401).json({
         success: false,
         error: 'Account not verified. Please verify your email first.'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: user.getPublicProfile(),
-        token
-      }
-    });
+    await completeLogin(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -349,7 +553,13 @@ router.get('/me', protect, async (req, res) => {
     res.json({
       success: true,
       data: {
-        user: user.getPublicProfile()
+        user: {
+          ...user.getOwnProfile(),
+          mfa: {
+            enabled: user.mfa?.enabled || false,
+            requireForSensitive: user.mfa?.requireForSensitive || false
+          }
+        }
       }
     });
 
@@ -365,11 +575,16 @@ router.get('/me', protect, async (req, res) => {
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', protect, [
+router.put('/profile', protect, requireMfa(req => req.body.walletAddress !== undefined), [
   body('fullName')
     .optional()
     .isLength({ min: 2, max: 100 })
     .withMessage('Full name must be between 2 and 100 characters'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
   body('bio')
     .optional()
     .isLength({ max: 500 })
@@ -402,25 +617,65 @@ router.put('/profile', protect, [
       });
     }
 
-    const { fullName, bio, socialLinks, walletAddress } = req.body;
+    const { fullName, bio, socialLinks, walletAddress, email } = req.body;
+
+    const updates = {
+      fullName,
+      bio,
+      socialLinks
+    };
+
+    // Payout wallet must be proven with Sign-In With Ethereum first
+    if (walletAddress !== undefined) {
+      if (walletAddress && !req.user.hasVerifiedWallet(walletAddress)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Wallet address must be verified with Sign-In With Ethereum before it can be used'
+        });
+      }
+      updates.walletAddress = walletAddress ? walletAddress.toLowerCase() : null;
+    }
+
+    // Changing email requires verifying the new address
+    const emailChanged = email && email !== req.user.email;
+    if (emailChanged) {
+      const emailTaken = await User.exists({ email, _id: { $ne: req.user._id } });
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email is already in use'
+        });
+      }
+
+      updates.email = email;
+      updates.isVerified = false;
+    }
 
     // Update user profile
     const updatedUser = await User.findByIdAndUpdate(
       req.user._id,
-      {
-        fullName,
-        bio,
-        socialLinks,
-        walletAddress
-      },
+      updates,
       { new: true, runValidators: true }
     );
 
+    if (emailChanged) {
+      // Links sent to the old address must no longer verify the account
+      await EmailVerificationToken.revokeForUser(updatedUser._id);
+
+      try {
+        await sendVerification(updatedUser);
+      } catch (mailError) {
+        console.warn('Verification email failed, user can request a resend:', mailError.message);
+      }
+    }
+
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: emailChanged
+        ? 'Profile updated successfully. Please verify your new email address.'
+        : 'Profile updated successfully',
       data: {
-        user: updatedUser.getPublicProfile()
+        user: updatedUser.getOwnProfile()
       }
     });
 
@@ -433,6 +688,96 @@ router.put('/profile', protect, [
   }
 });
 
+// @route   PUT /api/auth/profile/avatar
+// @desc    Upload a new avatar (square WebP in 64/256/512px, metadata stripped)
+// @access  Private
+router.put('/profile/avatar', protect, avatarUpload.single('avatar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No avatar image uploaded'
+      });
+    }
+
+    // Moderate before anything is written to disk
+    const contentValidation = await aiService.validateImageContent(req.file.buffer);
+    if (contentValidation && contentValidation.isAppropriate === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'Avatar image is not appropriate for the platform',
+        details: contentValidation
+      });
+    }
+
+    let variants;
+    try {
+      variants = await imageProcessor.processAvatar(req.file.buffer, req.user._id);
+    } catch (processingError) {
+      console.warn('Avatar processing failed:', processingError.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Could not process the uploaded image'
+      });
+    }
+
+    const previousVariants = req.user.avatarVariants.map(variant => variant.toObject());
+
+    const defaultVariant = variants.find(variant => variant.size === 256) || variants[variants.length - 1];
+    req.user.avatar = defaultVariant.url;
+    req.user.avatarVariants = variants.map(({ size, filename, url }) => ({ size, filename, url }));
+    await req.user.save();
+
+    // Only drop the old files once the new avatar is saved
+    await removeAvatarFiles(previousVariants);
+
+    res.json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: {
+        user: req.user.getOwnProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while uploading avatar'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/profile/avatar
+// @desc    Remove the current avatar
+// @access  Private
+router.delete('/profile/avatar', protect, async (req, res) => {
+  try {
+    const previousVariants = req.user.avatarVariants.map(variant => variant.toObject());
+
+    req.user.avatar = null;
+    req.user.avatarVariants = [];
+    await req.user.save();
+
+    await removeAvatarFiles(previousVariants);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed successfully',
+      data: {
+        user: req.user.getOwnProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Avatar delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while removing avatar'
+    });
+  }
+});
+
 // @route   PUT /api/auth/password
 // @desc    Change user password
 // @access  Private
@@ -473,9 +818,23 @@ router.put('/password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; keep this session with a fresh access token
+    await Session.revokeAllForUser(user._id, 'password-change', req.authSession._id);
+    // API keys were created under the old password, so they stop working too
+    await ApiKey.revokeAllForUser(user._id);
+
+    try {
+      await mailer.sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.warn('Password change notification failed:', mailError.message);
+    }
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token: sessionService.signAccessToken(user._id, req.authSession._id)
+      }
     });
 
   } catch (error) {
@@ -487,36 +846,935 @@ router.put('/password', protect, [
   }
 });
 
-// @route   POST /api/auth/verify
-// @desc    Verify user account (placeholder for email verification)
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
 // @access  Public
-router.post('/verify', [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email')
+router.post('/refresh', [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
 ], async (req, res) => {
   try {
-    const { email } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
+    const { token, refreshToken, expiresIn } = await sessionService.rotate(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        error: 'User not found'
+        error: error.message
       });
     }
 
-    if (user.isVerified) {
-      return res.status(400).json({
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out and revoke the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.getPublicData(),
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    Recent login attempts on the current user's account
+// @access  Private
+router.get('/login-history', protect, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const attempts = await LoginAttempt.find({ user: req.user._id })
+      .select('method success reason ipAddress userAgent createdAt')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        attempts: attempts.map(attempt => ({
+          ...attempt.toObject(),
+          device: sessionService.describeDevice(attempt.userAgent || '')
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching login history'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        error: 'Account is already verified'
+        error: 'Session not found'
       });
     }
 
-    // For now, just mark as verified (in production, implement email verification)
-    user.isVerified = true;
-    await user.save();
+    if (!session.revokedAt) {
+      await session.revoke('revoked');
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'revoked', req.authSession._id);
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while revoking sessions'
+    });
+  }
+});
+
+// @route   GET /api/auth/siwe/nonce
+// @desc    Get a one-time nonce for a Sign-In With Ethereum message
+// @access  Public
+router.get('/siwe/nonce', async (req, res) => {
+  try {
+    const record = await SiweNonce.issue(req.ip);
+
+    res.json({
+      success: true,
+      data: {
+        nonce: record.nonce,
+        domain: siweService.domain,
+        expiresAt: record.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('SIWE nonce error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating nonce'
+    });
+  }
+});
+
+// @route   POST /api/auth/siwe/verify
+// @desc    Verify a signed SIWE message; logs in with a linked wallet, or links it when authenticated
+// @access  Public (links the wallet if a valid token is sent)
+router.post('/siwe/verify', optionalAuth, [
+  body('message')
+    .notEmpty()
+    .withMessage('SIWE message is required'),
+  body('signature')
+    .matches(/^0x[0-9a-fA-F]{130}$/)
+    .withMessage('Valid signature is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    let verified;
+    try {
+      verified = await siweService.verify(req.body.message, req.body.signature);
+    } catch (verifyError) {
+      return res.status(401).json({
+        success: false,
+        error: verifyError.message
+      });
+    }
+
+    const address = verified.address.toLowerCase();
+    const owner = await User.findOne({ 'wallets.address': address });
+
+    // Authenticated: link the wallet to the current account
+    if (req.user) {
+      if (owner && !owner._id.equals(req.user._id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Wallet is already linked to another account'
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+      if (!user.hasVerifiedWallet(address)) {
+        user.wallets.push({
+          address,
+          chainId: verified.chainId,
+          label: req.body.label
+        });
+      }
+
+      // First linked wallet becomes the payout wallet
+      if (!user.walletAddress || !user.hasVerifiedWallet(user.walletAddress)) {
+        user.walletAddress = address;
+      }
+
+      try {
+        await user.save();
+      } catch (saveError) {
+        // Another account linked the same wallet since the check above
+        if (saveError.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            error: 'Wallet is already linked to another account'
+          });
+        }
+        throw saveError;
+      }
+
+      return res.json({
+        success: true,
+        message: 'Wallet linked successfully',
+        data: {
+          wallets: user.wallets,
+          walletAddress: user.walletAddress
+        }
+      });
+    }
+
+    // Not authenticated: log in with the linked wallet
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        error: 'No account is linked to this wallet. Log in and link it first.'
+      });
+    }
+
+    if (!owner.isVerified) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account not verified. Please verify your email first.'
+      });
+    }
+
+    await completeLogin(owner, req, res, 'siwe');
+
+  } catch (error) {
+    console.error('SIWE verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during wallet verification'
+    });
+  }
+});
+
+// @route   GET /api/auth/wallets
+// @desc    List the current user's verified wallets
+// @access  Private
+router.get('/wallets', protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        wallets: req.user.wallets,
+        walletAddress: req.user.walletAddress
+      }
+    });
+
+  } catch (error) {
+    console.error('Get wallets error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching wallets'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/wallets/:address
+// @desc    Unlink a verified wallet
+// @access  Private
+router.delete('/wallets/:address', protect, requireMfa(), async (req, res) => {
+  try {
+    const address = req.params.address.toLowerCase();
+    const user = await User.findById(req.user._id);
+
+    if (!user.hasVerifiedWallet(address)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Wallet not linked to this account'
+      });
+    }
+
+    user.wallets = user.wallets.filter(wallet => wallet.address !== address);
+    if (user.walletAddress?.toLowerCase() === address) {
+      user.walletAddress = user.wallets[0]?.address || null;
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Wallet unlinked successfully',
+      data: {
+        wallets: user.wallets,
+        walletAddress: user.walletAddress
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlink wallet error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while unlinking wallet'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrollment: returns a secret and otpauth QR code
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    if (req.user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totpService.generateSecret();
+    const otpauthUrl = totpService.buildOtpauthUrl(secret, req.user.email);
+    const qrCode = await totpService.generateQRCodeDataUrl(otpauthUrl);
+
+    await User.findByIdAndUpdate(req.user._id, {
+      'mfa.pendingSecret': totpService.encryptSecret(secret)
+    });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm TOTP enrollment with a code; returns one-time recovery codes
+// @access  Private
+router.post('/2fa/enable', protect, [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+mfa.pendingSecret');
+    if (user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.mfa?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const secret = totpService.decryptSecret(user.mfa.pendingSecret);
+    const step = totpService.verifyCode(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+
+    user.mfa.enabled = true;
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.lastUsedStep = step;
+    user.mfa.recoveryCodes = hashes;
+    user.mfa.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete login with the MFA ticket and a TOTP or recovery code
+// @access  Public
+router.post('/2fa/verify', mfaVerifyLimiter, [
+  body('mfaTicket')
+    .notEmpty()
+    .withMessage('MFA ticket is required'),
+  body('code')
+    .notEmpty()
+    .withMessage('Two-factor or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.mfaTicket, process.env.JWT_SECRET);
+    } catch (ticketError) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'mfa-login') {
+      return res.status(401).json({
+        success: false,
+        error: 'MFA ticket is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const result = await totpService.verifyLoginCode(decoded.id, decoded.version, req.body.code);
+    if (!result.valid) {
+      await LoginAttempt.record(req, { user: decoded.id, method: 'mfa', success: false, reason: 'invalid-mfa-code' });
+      return res.status(401).json({
+        success: false,
+        error: result.ticketInvalid
+          ? 'Too many invalid two-factor codes. Please log in again.'
+          : 'Invalid two-factor code'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    await recordSuccessfulLogin(user, req, 'mfa');
+    const { token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.getOwnProfile(),
+        token,
+        refreshToken,
+        expiresIn,
+        ...(result.method === 'recovery-code' && { remainingRecoveryCodes: result.remainingRecoveryCodes })
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during two-factor verification'
+    });
+  }
+});
+
+// @route   PUT /api/auth/2fa/settings
+// @desc    Choose whether sensitive actions require a fresh two-factor code
+// @access  Private
+router.put('/2fa/settings', protect, [
+  body('requireForSensitive')
+    .isBoolean()
+    .withMessage('requireForSensitive must be a boolean'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { valid } = await totpService.verifyUserCode(req.user._id, req.body.code);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    const requireForSensitive = req.body.requireForSensitive === true || req.body.requireForSensitive === 'true';
+    await User.findByIdAndUpdate(req.user._id, {
+      'mfa.requireForSensitive': requireForSensitive
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor settings updated',
+      data: {
+        requireForSensitive
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating two-factor settings'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/2fa/recovery-codes', protect, [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { valid } = await totpService.verifyUserCode(req.user._id, req.body.code);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    await User.findByIdAndUpdate(req.user._id, {
+      'mfa.recoveryCodes': hashes
+    });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while regenerating recovery codes'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', protect, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .notEmpty()
+    .withMessage('Two-factor or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    const { valid } = await totpService.verifyUserCode(req.user._id, req.body.code, { allowRecoveryCode: true });
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $set: { 'mfa.enabled': false, 'mfa.requireForSensitive': false, 'mfa.lastUsedStep': -1 },
+      $unset: { 'mfa.secret': '', 'mfa.pendingSecret': '', 'mfa.recoveryCodes': '', 'mfa.enabledAt': '' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a one-time password reset code
+// @access  Public
+router.post('/forgot-password', passwordResetIpLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], passwordResetEmailLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const user = await User.findOne({ email });
+    if (user) {
+      const { code, expiresInMinutes } = await PasswordResetToken.issue(user, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      await mailer.sendPasswordResetCode(user, code, expiresInMinutes);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset code has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with an emailed one-time code
+// @access  Public
+router.post('/reset-password', passwordResetIpLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Reset code must be 6 digits'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+], passwordResetEmailLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email, code, newPassword } = req.body;
+
+    const user = await User.findOne({ email }).select('+password');
+    const record = user ? await PasswordResetToken.consume(user._id, code) : null;
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset code is invalid or has expired'
+      });
+    }
+
+    // Update password and lift any lockout
+    user.password = newPassword;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    // Sign out every device and revoke the API keys
+    await Session.revokeAllForUser(user._id, 'password-change');
+    await ApiKey.revokeAllForUser(user._id);
+
+    try {
+      await mailer.sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.warn('Password change notification failed:', mailError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify
+// @desc    Send (or resend) the email verification link
+// @access  Public
+router.post('/verify', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account is already verified'
+      });
+    }
+
+    // Enforce resend cooldown
+    const retryAfter = await EmailVerificationToken.getCooldownRemaining(user._id);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Please wait ${retryAfter} seconds before requesting another verification email`,
+        retryAfter
+      });
+    }
+
+    // Only the newest link should work
+    await EmailVerificationToken.revokeForUser(user._id);
+    await sendVerification(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Verification email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify/confirm
+// @desc    Confirm email address with the token from the verification link
+// @access  Public
+router.post('/verify/confirm', [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const record = await EmailVerificationToken.consume(req.body.token);
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(record.user);
+    if (!user || user.email !== record.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isVerified = true;
+    await user.save();
+
+    // Any other outstanding links are now pointless
+    await EmailVerificationToken.revokeForUser(user._id);
 
     res.json({
       success: true,
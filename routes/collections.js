@@ -0,0 +1,450 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { protect, optionalAuth } from '../middleware/auth.js';
+import Collection, { MAX_COLLECTION_ASSETS } from '../models/Collection.js';
+import Asset from '../models/Asset.js';
+
+const router = express.Router();
+
+// Assets anyone may see in a collection (same rules as the asset listings)
+const LISTED_ASSET_FILTER = {
+  status: 'published',
+  visibility: { $ne: 'unlisted' },
+  isPublic: true,
+  isApproved: true
+};
+
+// Assets a viewer may see: listed ones, plus their own unpublished work
+const visibleAssetFilter = (user) => (user
+  ? { $or: [LISTED_ASSET_FILTER, { creator: user._id, status: { $ne: 'archived' } }] }
+  : LISTED_ASSET_FILTER);
+
+// Load the collection from :id; private collections are only visible to their owner
+const loadCollection = ({ ownerOnly = false } = {}) => async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid collection ID'
+      });
+    }
+
+    const collection = await Collection.findById(req.params.id);
+    if (!collection || (!collection.isPublic && !collection.isOwner(req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found'
+      });
+    }
+
+    if (ownerOnly && !collection.isOwner(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to modify this collection'
+      });
+    }
+
+    req.collection = collection;
+    next();
+  } catch (error) {
+    console.error('Load collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while loading collection'
+    });
+  }
+};
+
+// Validation errors as a 400 response
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const collectionValidation = (optional) => [
+  (optional ? body('title').optional() : body('title'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+    .toBoolean()
+];
+
+// Paginated collection list with stats over the assets the viewer can see
+const listCollections = async (req, res, filter) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+  const skip = (page - 1) * limit;
+
+  const [collections, total] = await Promise.all([
+    Collection.find(filter)
+      .populate('owner', 'username fullName avatar verifiedCreator')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Collection.countDocuments(filter)
+  ]);
+  const stats = await Collection.getStats(collections, visibleAssetFilter(req.user));
+
+  res.json({
+    success: true,
+    data: {
+      collections: collections.map(collection => collection.getPublicData(stats.get(collection._id.toString()))),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalCollections: total,
+        hasNextPage: skip + limit < total,
+        hasPrevPage: page > 1
+      }
+    }
+  });
+};
+
+// @route   GET /api/collections
+// @desc    List public collections, optionally by owner
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const filter = { isPublic: true };
+    if (req.query.owner) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.owner)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid owner ID'
+        });
+      }
+      filter.owner = req.query.owner;
+    }
+
+    await listCollections(req, res, filter);
+
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching collections'
+    });
+  }
+});
+
+// @route   GET /api/collections/mine
+// @desc    List the current user's collections, public and private
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+  try {
+    await listCollections(req, res, { owner: req.user._id });
+
+  } catch (error) {
+    console.error('Get own collections error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching collections'
+    });
+  }
+});
+
+// @route   POST /api/collections
+// @desc    Create a collection
+// @access  Private
+router.post('/', protect, collectionValidation(false), checkValidation, async (req, res) => {
+  try {
+    const { title, description, isPublic } = req.body;
+
+    const collection = await Collection.create({
+      owner: req.user._id,
+      title,
+      description,
+      isPublic
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: {
+        collection: collection.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Create collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating collection'
+    });
+  }
+});
+
+// @route   GET /api/collections/:id
+// @desc    Get a collection with stats and a page of its assets in order
+// @access  Public (private collections: owner only)
+router.get('/:id', optionalAuth, loadCollection(), async (req, res) => {
+  try {
+    const collection = req.collection;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 24, 100);
+    const skip = (page - 1) * limit;
+
+    await collection.populate('owner', 'username fullName avatar verifiedCreator');
+
+    // Keep the collection order while leaving out assets the viewer can't see
+    const visibleAssets = await Asset.find({
+      ...visibleAssetFilter(req.user),
+      _id: { $in: collection.assets.map(entry => entry.asset) }
+    })
+      .populate('creator', 'username fullName avatar verifiedCreator')
+      .select('-originalFile.path -watermarkedFile.path');
+    const assetsById = new Map(visibleAssets.map(asset => [asset._id.toString(), asset]));
+    const ordered = collection.assets
+      .map(entry => ({ asset: assetsById.get(entry.asset.toString()), addedAt: entry.addedAt }))
+      .filter(entry => entry.asset);
+
+    const stats = await Collection.getStats([collection], visibleAssetFilter(req.user));
+    const total = ordered.length;
+
+    res.json({
+      success: true,
+      data: {
+        collection: collection.getPublicData(stats.get(collection._id.toString())),
+        assets: ordered.slice(skip, skip + limit).map(({ asset, addedAt }) => ({
+          ...asset.getPublicData(),
+          creator: asset.creator && {
+            _id: asset.creator._id,
+            username: asset.creator.username,
+            fullName: asset.creator.fullName,
+            avatar: asset.creator.avatar,
+            verifiedCreator: asset.creator.verifiedCreator
+          },
+          addedAt
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalAssets: total,
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching collection'
+    });
+  }
+});
+
+// @route   PUT /api/collections/:id
+// @desc    Update title, description, visibility or cover
+// @access  Private (owner)
+router.put('/:id', protect, loadCollection({ ownerOnly: true }), collectionValidation(true), checkValidation, async (req, res) => {
+  try {
+    const collection = req.collection;
+    const { title, description, isPublic, cover } = req.body;
+
+    if (cover !== undefined) {
+      if (cover && !collection.hasAsset(cover)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cover must be an asset in the collection'
+        });
+      }
+      collection.cover = cover || null;
+    }
+    if (title !== undefined) collection.title = title;
+    if (description !== undefined) collection.description = description;
+    if (isPublic !== undefined) collection.isPublic = isPublic;
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: {
+        collection: collection.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Update collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating collection'
+    });
+  }
+});
+
+// @route   DELETE /api/collections/:id
+// @desc    Delete a collection (the assets themselves are not affected)
+// @access  Private (owner)
+router.delete('/:id', protect, loadCollection({ ownerOnly: true }), async (req, res) => {
+  try {
+    await req.collection.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting collection'
+    });
+  }
+});
+
+// @route   POST /api/collections/:id/assets
+// @desc    Add an asset (at the end, or at `position`)
+// @access  Private (owner)
+router.post('/:id/assets', protect, loadCollection({ ownerOnly: true }), [
+  body('assetId')
+    .isMongoId()
+    .withMessage('assetId must be a valid asset ID'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt()
+], checkValidation, async (req, res) => {
+  try {
+    const collection = req.collection;
+    const { assetId, position } = req.body;
+
+    const asset = await Asset.findOne({ ...visibleAssetFilter(req.user), _id: assetId });
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    if (collection.hasAsset(asset._id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Asset is already in this collection'
+      });
+    }
+
+    if (collection.assets.length >= MAX_COLLECTION_ASSETS) {
+      return res.status(400).json({
+        success: false,
+        error: `A collection can hold at most ${MAX_COLLECTION_ASSETS} assets`
+      });
+    }
+
+    const index = position === undefined ? collection.assets.length : Math.min(position, collection.assets.length);
+    collection.assets.splice(index, 0, { asset: asset._id });
+    await collection.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Asset added to collection',
+      data: {
+        collection: collection.getPublicData(),
+        position: index
+      }
+    });
+
+  } catch (error) {
+    console.error('Add collection asset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while adding asset to collection'
+    });
+  }
+});
+
+// @route   DELETE /api/collections/:id/assets/:assetId
+// @desc    Remove an asset from the collection
+// @access  Private (owner)
+router.delete('/:id/assets/:assetId', protect, loadCollection({ ownerOnly: true }), async (req, res) => {
+  try {
+    const collection = req.collection;
+
+    if (!collection.hasAsset(req.params.assetId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset is not in this collection'
+      });
+    }
+
+    collection.assets = collection.assets.filter(entry => entry.asset.toString() !== req.params.assetId);
+    if (collection.cover && collection.cover.toString() === req.params.assetId) {
+      collection.cover = null;
+    }
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Asset removed from collection'
+    });
+
+  } catch (error) {
+    console.error('Remove collection asset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while removing asset from collection'
+    });
+  }
+});
+
+// @route   PUT /api/collections/:id/assets/order
+// @desc    Reorder the collection; `assetIds` must list every asset in it exactly once
+// @access  Private (owner)
+router.put('/:id/assets/order', protect, loadCollection({ ownerOnly: true }), [
+  body('assetIds')
+    .isArray()
+    .withMessage('assetIds must be an array')
+], checkValidation, async (req, res) => {
+  try {
+    const collection = req.collection;
+    const assetIds = req.body.assetIds.map(String);
+
+    const current = new Map(collection.assets.map(entry => [entry.asset.toString(), entry]));
+    if (assetIds.length !== current.size || new Set(assetIds).size !== assetIds.length ||
+        !assetIds.every(id => current.has(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'assetIds must contain every asset of the collection exactly once'
+      });
+    }
+
+    collection.assets = assetIds.map(id => ({ asset: current.get(id).asset, addedAt: current.get(id).addedAt }));
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection reordered',
+      data: {
+        assetIds
+      }
+    });
+
+  } catch (error) {
+    console.error('Reorder collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while reordering collection'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,354 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import CreatorApplication from '../models/CreatorApplication.js';
+import Asset from '../models/Asset.js';
+import User from '../models/User.js';
+import Mailer from '../utils/mailer.js';
+
+const router = express.Router();
+
+// Initialize services
+const mailer = new Mailer();
+
+// @route   POST /api/creator-applications
+// @desc    Apply for the verified creator badge
+// @access  Private
+router.post('/', protect, [
+  body('portfolioLinks')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Portfolio links must be an array of at most 10 URLs'),
+  body('portfolioLinks.*')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Portfolio links must be valid http(s) URLs'),
+  body('sampleAssets')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Sample assets must be an array of at most 5 asset IDs'),
+  body('sampleAssets.*')
+    .isMongoId()
+    .withMessage('Invalid sample asset ID'),
+  body('statement')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Statement cannot exceed 2000 characters'),
+  body('payoutWallet')
+    .matches(/^0x[a-fA-F0-9]{40}$/)
+    .withMessage('Payout wallet must be a valid Ethereum address'),
+  body('identityAttestation.method')
+    .isIn(['kyc-provider', 'onchain-attestation', 'document'])
+    .withMessage('Attestation method must be one of: kyc-provider, onchain-attestation, document'),
+  body('identityAttestation.reference')
+    .notEmpty()
+    .isLength({ max: 500 })
+    .withMessage('Attestation reference is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (req.user.verifiedCreator) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already a verified creator'
+      });
+    }
+
+    const { portfolioLinks = [], sampleAssets = [], statement, payoutWallet, identityAttestation } = req.body;
+
+    if (portfolioLinks.length === 0 && sampleAssets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide at least one portfolio link or sample asset'
+      });
+    }
+
+    // Payouts can only go to a wallet the applicant has proven they control
+    if (!req.user.hasVerifiedWallet(payoutWallet)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payout wallet must be one of your verified wallets. Link it with Sign-In With Ethereum first.'
+      });
+    }
+
+    // Sample assets must be the applicant's own
+    const ownSamples = await Asset.countDocuments({
+      _id: { $in: sampleAssets },
+      creator: req.user._id
+    });
+    if (ownSamples !== new Set(sampleAssets).size) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sample assets must be assets you uploaded'
+      });
+    }
+
+    const existing = await CreatorApplication.exists({ applicant: req.user._id, status: 'pending' });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have an application under review'
+      });
+    }
+
+    const application = await CreatorApplication.create({
+      applicant: req.user._id,
+      portfolioLinks,
+      sampleAssets: [...new Set(sampleAssets)],
+      statement,
+      payoutWallet,
+      identityAttestation: {
+        method: identityAttestation.method,
+        provider: identityAttestation.provider,
+        reference: identityAttestation.reference,
+        legalName: identityAttestation.legalName,
+        attestedAt: new Date()
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Creator application submitted for review',
+      data: {
+        application
+      }
+    });
+
+  } catch (error) {
+    // Lost a race against another submission
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have an application under review'
+      });
+    }
+
+    console.error('Submit creator application error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while submitting creator application'
+    });
+  }
+});
+
+// @route   GET /api/creator-applications/me
+// @desc    Get the current user's applications
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const applications = await CreatorApplication.find({ applicant: req.user._id })
+      .populate('sampleAssets', 'title thumbnail status')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        verifiedCreator: req.user.verifiedCreator,
+        applications
+      }
+    });
+
+  } catch (error) {
+    console.error('Get own creator applications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching creator applications'
+    });
+  }
+});
+
+// @route   POST /api/creator-applications/:id/withdraw
+// @desc    Withdraw a pending application
+// @access  Private (applicant)
+router.post('/:id/withdraw', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid application ID'
+      });
+    }
+
+    const application = await CreatorApplication.findOneAndUpdate(
+      { _id: req.params.id, applicant: req.user._id, status: 'pending' },
+      { status: 'withdrawn' },
+      { new: true }
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending application not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Creator application withdrawn',
+      data: {
+        application
+      }
+    });
+
+  } catch (error) {
+    console.error('Withdraw creator application error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while withdrawing creator application'
+    });
+  }
+});
+
+// @route   GET /api/creator-applications
+// @desc    Review queue (oldest first)
+// @access  Private (assets:moderate)
+router.get('/', protect, requirePermission('assets:moderate'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = status === 'all' ? {} : { status };
+
+    const [applications, total] = await Promise.all([
+      CreatorApplication.find(filter)
+        .populate('applicant', 'username fullName avatar email role createdAt totalSales')
+        .populate('sampleAssets', 'title thumbnail category price status')
+        .populate('reviewer', 'username')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit),
+      CreatorApplication.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        applications,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalApplications: total,
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get creator applications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching creator applications'
+    });
+  }
+});
+
+// @route   PUT /api/creator-applications/:id/review
+// @desc    Approve or reject an application with notes
+// @access  Private (assets:moderate)
+router.put('/:id/review', protect, requirePermission('assets:moderate'), [
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+  body('notes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid application ID'
+      });
+    }
+
+    const application = await CreatorApplication.findById(req.params.id);
+    if (!application || application.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending application not found'
+      });
+    }
+
+    if (application.applicant.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot review your own application'
+      });
+    }
+
+    const applicant = await User.findById(application.applicant);
+    if (!applicant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Applicant not found'
+      });
+    }
+
+    const { decision, notes } = req.body;
+
+    if (decision === 'approve') {
+      // The wallet must still be linked at approval time
+      if (!applicant.hasVerifiedWallet(application.payoutWallet)) {
+        return res.status(400).json({
+          success: false,
+          error: 'The payout wallet is no longer linked to the applicant'
+        });
+      }
+
+      applicant.verifiedCreator = true;
+      applicant.verifiedCreatorAt = new Date();
+      applicant.walletAddress = application.payoutWallet;
+      if (applicant.role === 'buyer') {
+        applicant.role = 'creator';
+      }
+      await applicant.save();
+    }
+
+    await application.review(req.user._id, decision, notes);
+
+    try {
+      await mailer.sendCreatorApplicationDecisionEmail(applicant, application);
+    } catch (mailError) {
+      console.warn('Creator application notification failed:', mailError.message);
+    }
+
+    res.json({
+      success: true,
+      message: `Creator application ${application.status}`,
+      data: {
+        application,
+        user: applicant.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Review creator application error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while reviewing creator application'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,98 @@
+import express from 'express';
+import Asset from '../models/Asset.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// @route   GET /api/feed
+// @desc    Newly published assets from creators the current user follows
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+    const skip = (page - 1) * limit;
+
+    const following = req.user.following || [];
+    if (following.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          assets: [],
+          pagination: {
+            currentPage: page,
+            totalPages: 0,
+            totalAssets: 0,
+            hasNextPage: false,
+            hasPrevPage: page > 1
+          }
+        }
+      });
+    }
+
+    // Served by the { creator, status, publishedAt } index
+    const filter = {
+      creator: { $in: following },
+      status: 'published',
+      visibility: { $ne: 'unlisted' },
+      isPublic: true,
+      isApproved: true
+    };
+
+    // Optionally only return assets published after a timestamp (e.g. the last feed visit);
+    // scheduled assets are created long before they go out, so createdAt would miss them
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (!isNaN(since.getTime())) {
+        filter.publishedAt = { $gt: since };
+      }
+    }
+
+    const [assets, total] = await Promise.all([
+      Asset.find(filter)
+        .populate('creator', 'username fullName avatar verifiedCreator')
+        .sort({ publishedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-originalFile.path -watermarkedFile.path'),
+      Asset.countDocuments(filter)
+    ]);
+
+    const formattedAssets = assets.map(asset => {
+      const assetData = asset.getPublicData();
+      if (asset.creator) {
+        assetData.creator = {
+          _id: asset.creator._id,
+          username: asset.creator.username,
+          fullName: asset.creator.fullName,
+          avatar: asset.creator.avatar,
+          verifiedCreator: asset.creator.verifiedCreator
+        };
+      }
+      return assetData;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        assets: formattedAssets,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalAssets: total,
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching feed'
+    });
+  }
+});
+
+export default router;
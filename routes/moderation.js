@@ -0,0 +1,396 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import Asset from '../models/Asset.js';
+import ModerationService from '../utils/moderationService.js';
+import { getNewCreatorDays } from '../config/moderation.js';
+
+const router = express.Router();
+
+// Initialize services
+const moderationService = new ModerationService();
+
+// Load the asset from :id
+const loadAsset = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid asset ID'
+      });
+    }
+
+    const asset = await Asset.findById(req.params.id);
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    req.asset = asset;
+    next();
+  } catch (error) {
+    console.error('Load asset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while loading asset'
+    });
+  }
+};
+
+const isAssetCreator = (user, asset) => asset.creator && asset.creator.equals(user._id);
+
+// @route   GET /api/moderation/queue
+// @desc    Assets waiting for review, oldest first
+// @access  Private (assets:moderate)
+router.get('/queue', protect, requirePermission('assets:moderate'), [
+  query('status')
+    .optional()
+    .isIn(['pending', 'rejected', 'flagged', 'approved'])
+    .withMessage('Status must be one of: pending, rejected, flagged, approved'),
+  query('aiFlagged').optional().isBoolean().toBoolean(),
+  query('newCreators').optional().isBoolean().toBoolean(),
+  query('reported').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status = 'pending', aiFlagged, newCreators, reported, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { moderationStatus: status };
+    // Older assets were published with a pending status; only unpublished ones need review
+    if (status === 'pending') {
+      filter.isApproved = false;
+    }
+    if (aiFlagged) {
+      filter['aiModeration.flags.0'] = { $exists: true };
+    }
+    if (newCreators) {
+      filter.creator = { $in: await moderationService.getNewCreatorIds(getNewCreatorDays()) };
+    }
+    if (reported) {
+      filter.reportCount = { $gt: 0 };
+    }
+
+    const [assets, total] = await Promise.all([
+      Asset.find(filter)
+        .populate('creator', 'username fullName verifiedCreator createdAt')
+        .select('-originalFile.path -watermarkedFile.path')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Asset.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        assets: assets.map(asset => ({
+          ...asset.getPublicData(),
+          creator: asset.creator,
+          aiModeration: asset.aiModeration,
+          reportCount: asset.reportCount,
+          moderationReason: asset.moderationReason
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalAssets: total,
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching moderation queue'
+    });
+  }
+});
+
+// Moderator decision handler shared by approve, reject and flag
+const decide = (action) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const record = await moderationService.applyDecision(req.asset, req.user, action, {
+      reason: req.body.reason,
+      notes: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      message: `Asset ${record.newStatus}`,
+      data: {
+        asset: req.asset.getPublicData(),
+        action: record
+      }
+    });
+
+  } catch (error) {
+    console.error(`Moderation ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while moderating asset'
+    });
+  }
+};
+
+const decisionValidation = (reasonRequired) => [
+  reasonRequired
+    ? body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason (up to 500 characters) is required')
+    : body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+];
+
+// @route   POST /api/moderation/assets/:id/approve
+// @desc    Approve an asset and publish it
+// @access  Private (assets:moderate)
+router.post('/assets/:id/approve', protect, requirePermission('assets:moderate'), loadAsset, decisionValidation(false), decide('approve'));
+
+// @route   POST /api/moderation/assets/:id/reject
+// @desc    Reject an asset with a reason
+// @access  Private (assets:moderate)
+router.post('/assets/:id/reject', protect, requirePermission('assets:moderate'), loadAsset, decisionValidation(true), decide('reject'));
+
+// @route   POST /api/moderation/assets/:id/flag
+// @desc    Hide an asset while it is investigated
+// @access  Private (assets:moderate)
+router.post('/assets/:id/flag', protect, requirePermission('assets:moderate'), loadAsset, decisionValidation(true), decide('flag'));
+
+// @route   POST /api/moderation/assets/:id/appeal
+// @desc    Appeal a reject or flag decision on your asset
+// @access  Private (asset creator)
+router.post('/assets/:id/appeal', protect, loadAsset, [
+  body('message')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Appeal message must be between 10 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const asset = req.asset;
+    if (!isAssetCreator(req.user, asset)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the creator can appeal a moderation decision'
+      });
+    }
+
+    // Takedowns are disputed through a counter-notice on the report instead
+    if (asset.status === 'flagged') {
+      return res.status(400).json({
+        success: false,
+        error: 'This asset was taken down following a report. File a counter-notice instead.'
+      });
+    }
+
+    if (!['rejected', 'flagged'].includes(asset.moderationStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only rejected or flagged assets can be appealed'
+      });
+    }
+
+    if (asset.appeal?.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'An appeal for this asset is already pending'
+      });
+    }
+
+    await moderationService.submitAppeal(asset, req.user, req.body.message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted. A moderator will review it.',
+      data: {
+        appeal: asset.appeal
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit appeal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while submitting appeal'
+    });
+  }
+});
+
+// @route   GET /api/moderation/appeals
+// @desc    Pending appeals, oldest first
+// @access  Private (assets:moderate)
+router.get('/appeals', protect, requirePermission('assets:moderate'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { 'appeal.status': 'pending' };
+
+    const [assets, total] = await Promise.all([
+      Asset.find(filter)
+        .populate('creator', 'username fullName verifiedCreator')
+        .select('-originalFile.path -watermarkedFile.path')
+        .sort({ 'appeal.submittedAt': 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Asset.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        appeals: assets.map(asset => ({
+          asset: asset.getPublicData(),
+          creator: asset.creator,
+          moderationReason: asset.moderationReason,
+          appeal: asset.appeal
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalAppeals: total,
+          hasNextPage: skip + parseInt(limit) < total,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get appeals error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching appeals'
+    });
+  }
+});
+
+// @route   POST /api/moderation/assets/:id/appeal/resolve
+// @desc    Overturn or uphold a pending appeal
+// @access  Private (assets:moderate)
+router.post('/assets/:id/appeal/resolve', protect, requirePermission('assets:moderate'), loadAsset, [
+  body('decision')
+    .isIn(['overturn', 'uphold'])
+    .withMessage('Decision must be overturn or uphold'),
+  body('notes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const asset = req.asset;
+    if (asset.appeal?.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'This asset has no pending appeal'
+      });
+    }
+
+    await moderationService.resolveAppeal(asset, req.user, req.body.decision, req.body.notes);
+
+    res.json({
+      success: true,
+      message: req.body.decision === 'overturn'
+        ? 'Appeal accepted and asset approved'
+        : 'Appeal rejected, the original decision stands',
+      data: {
+        asset: asset.getPublicData(),
+        appeal: asset.appeal
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve appeal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while resolving appeal'
+    });
+  }
+});
+
+// @route   GET /api/moderation/assets/:id/history
+// @desc    Moderation history of an asset
+// @access  Private (asset creator or assets:moderate)
+router.get('/assets/:id/history', protect, loadAsset, async (req, res) => {
+  try {
+    const asset = req.asset;
+    const isModerator = req.user.hasPermission('assets:moderate');
+    if (!isModerator && !isAssetCreator(req.user, asset)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this asset\'s moderation history'
+      });
+    }
+
+    const history = await moderationService.getHistory(asset._id);
+
+    res.json({
+      success: true,
+      data: {
+        moderationStatus: asset.moderationStatus,
+        appeal: asset.appeal || null,
+        // Creators see the decisions, not which moderator made them or internal notes
+        history: isModerator
+          ? history
+          : history.map(entry => ({
+            action: entry.action,
+            reason: entry.reason,
+            previousStatus: entry.previousStatus,
+            newStatus: entry.newStatus,
+            createdAt: entry.createdAt
+          }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching moderation history'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,462 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { protect, optionalAuth, requirePermission, allowApiKey } from '../middleware/auth.js';
+import Organization from '../models/Organization.js';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import { ORG_ROLES } from '../config/roles.js';
+
+const router = express.Router();
+
+// Load the organization from :orgId and check the current user's capability in it
+const loadOrganization = (capability = null) => async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.orgId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid organization ID'
+      });
+    }
+
+    const organization = await Organization.findById(req.params.orgId);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    if (capability && !organization.can(req.user._id, capability)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your role in this organization does not allow this action'
+      });
+    }
+
+    req.organization = organization;
+    next();
+  } catch (error) {
+    console.error('Load organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while loading organization'
+    });
+  }
+};
+
+// Member list with basic profile info
+const formatMembers = async (organization) => {
+  await organization.populate('members.user', 'username fullName avatar');
+  return organization.members
+    .filter(member => member.user)
+    .map(member => ({
+      user: {
+        _id: member.user._id,
+        username: member.user.username,
+        fullName: member.user.fullName,
+        avatar: member.user.avatar
+      },
+      role: member.role,
+      joinedAt: member.joinedAt
+    }));
+};
+
+// @route   POST /api/organizations
+// @desc    Create an organization (the creator becomes its owner)
+// @access  Private (assets:create)
+router.post('/', protect, requirePermission('assets:create'), [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('slug')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9-]{2,50}$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and dashes (2-50 characters)'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('website')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid website URL')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, slug, description, website } = req.body;
+
+    const existing = await Organization.exists({ slug });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'Slug is already taken'
+      });
+    }
+
+    const organization = await Organization.create({
+      name,
+      slug,
+      description,
+      website,
+      members: [{ user: req.user._id, role: 'owner', addedBy: req.user._id }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: {
+        organization: organization.getPublicData(),
+        role: 'owner'
+      }
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating organization'
+    });
+  }
+});
+
+// @route   GET /api/organizations/mine
+// @desc    List the organizations the current user belongs to
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+  try {
+    const organizations = await Organization.findForMember(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        organizations: organizations.map(organization => ({
+          ...organization.getPublicData(),
+          role: organization.getMemberRole(req.user._id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get own organizations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching organizations'
+    });
+  }
+});
+
+// @route   GET /api/organizations/:orgId
+// @desc    Get an organization (members see roles, owners and finance see earnings)
+// @access  Public
+router.get('/:orgId', optionalAuth, loadOrganization(), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const role = req.user ? organization.getMemberRole(req.user._id) : null;
+
+    res.json({
+      success: true,
+      data: {
+        organization: {
+          ...organization.getPublicData(),
+          ...(role && organization.can(req.user._id, 'payments:read') && {
+            payoutWallet: organization.payoutWallet,
+            totalEarnings: organization.totalEarnings,
+            totalSales: organization.totalSales
+          })
+        },
+        members: await formatMembers(organization),
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching organization'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/:orgId
+// @desc    Update organization details and payout wallet
+// @access  Private (owner)
+router.put('/:orgId', protect, loadOrganization('org:update'), [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('website')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid website URL'),
+  body('payoutWallet')
+    .optional()
+    .matches(/^0x[a-fA-F0-9]{40}$/)
+    .withMessage('Payout wallet must be a valid Ethereum address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const organization = req.organization;
+    const { name, description, website, payoutWallet } = req.body;
+
+    // The owner setting the payout wallet must have proven control of it
+    if (payoutWallet !== undefined && !req.user.hasVerifiedWallet(payoutWallet)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payout wallet must be one of your verified wallets'
+      });
+    }
+
+    if (name !== undefined) organization.name = name;
+    if (description !== undefined) organization.description = description;
+    if (website !== undefined) organization.website = website;
+    if (payoutWallet !== undefined) organization.payoutWallet = payoutWallet;
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: {
+        organization: {
+          ...organization.getPublicData(),
+          payoutWallet: organization.payoutWallet
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating organization'
+    });
+  }
+});
+
+// @route   POST /api/organizations/:orgId/members
+// @desc    Add a member by username with a role
+// @access  Private (owner)
+router.post('/:orgId/members', protect, loadOrganization('members:manage'), [
+  body('username')
+    .notEmpty()
+    .withMessage('Username is required'),
+  body('role')
+    .isIn(ORG_ROLES)
+    .withMessage(`Role must be one of: ${ORG_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const organization = req.organization;
+    const user = await User.findOne({ username: req.body.username });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (organization.getMemberRole(user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'User is already a member of this organization'
+      });
+    }
+
+    organization.members.push({ user: user._id, role: req.body.role, addedBy: req.user._id });
+    await organization.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: {
+        members: await formatMembers(organization)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while adding member'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/:orgId/members/:userId
+// @desc    Change a member's role
+// @access  Private (owner)
+router.put('/:orgId/members/:userId', protect, loadOrganization('members:manage'), [
+  body('role')
+    .isIn(ORG_ROLES)
+    .withMessage(`Role must be one of: ${ORG_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const organization = req.organization;
+    const member = organization.members.find(entry => entry.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && req.body.role !== 'owner' && organization.countOwners() === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'An organization must keep at least one owner'
+      });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        members: await formatMembers(organization)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating member'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/:orgId/members/:userId
+// @desc    Remove a member (owners), or leave the organization (yourself)
+// @access  Private
+router.delete('/:orgId/members/:userId', protect, loadOrganization(), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const isSelf = req.params.userId === req.user._id.toString();
+
+    if (!isSelf && !organization.can(req.user._id, 'members:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your role in this organization does not allow this action'
+      });
+    }
+
+    const member = organization.members.find(entry => entry.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && organization.countOwners() === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'An organization must keep at least one owner'
+      });
+    }
+
+    organization.members = organization.members.filter(entry => entry !== member);
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the organization' : 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while removing member'
+    });
+  }
+});
+
+// @route   GET /api/organizations/:orgId/payments
+// @desc    Sales of the organization's assets
+// @access  Private (owner, finance)
+router.get('/:orgId/payments', allowApiKey('payments:read'), protect, loadOrganization('payments:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { sellerOrganization: req.organization._id };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .populate('asset', 'title thumbnail')
+        .populate('seller', 'username fullName')
+        .select('-deliveryEmail -ipAddress -userAgent -coinbaseWebhookData')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Payment.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalPayments: total,
+          hasNextPage: skip + parseInt(limit) < total,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organization payments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching organization payments'
+    });
+  }
+});
+
+export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body, validationResult } from 'express-validator';
-import { protect, optionalAuth } from '../middleware/auth.js';
+import { protect, optionalAuth, requirePermission, allowApiKey } from '../middleware/auth.js';
 import Payment from '../models/Payment.js';
 import Asset from '../models/Asset.js';
 import User from '../models/User.js';
+import Organization from '../models/Organization.js';
 
 const router = express.Router();
 
@@ -205,6 +207,7 @@ router.post('/create', [
       asset: assetId,
       buyer: buyer ? buyer._id : null,
       seller: asset.creator._id,
+      sellerOrganization: asset.organization || null,
       amount: assetPrice,
       currency: asset.currency || 'USD',
       paymentMethod: 'coinbase', // Placeholder for future integration
@@ -307,9 +310,10 @@ router.post('/:paymentId/process', [
     const purchaseAmount = (isNaN(payment.amount) || payment.amount === undefined) ? 0 : Number(payment.amount);
     await payment.asset.recordPurchase(purchaseAmount);
 
-    // Update seller earnings
+    // Update seller earnings (the organization's, for organization-owned assets)
     const creatorAmount = (isNaN(payment.creatorAmount) || payment.creatorAmount === undefined) ? 0 : Number(payment.creatorAmount);
-    await User.findByIdAndUpdate(payment.seller._id, {
+    const earningsModel = payment.sellerOrganization ? Organization : User;
+    await earningsModel.findByIdAndUpdate(payment.sellerOrganization || payment.seller._id, {
       $inc: { totalEarnings: creatorAmount, totalSales: 1 }
     });
 
@@ -485,30 +489,118 @@ router.get('/:paymentId/status', async (req, res) => {
   }
 });
 
+// @route   POST /api/payments/:paymentId/refund
+// @desc    Refund a completed payment and revoke download access
+// @access  Private (payments:refund)
+router.post('/:paymentId/refund', protect, requirePermission('payments:refund'), [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.paymentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid payment ID'
+      });
+    }
+
+    if (!await Payment.exists({ _id: req.params.paymentId })) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    // Claim the refund atomically so concurrent requests can't reverse the statistics twice
+    const now = new Date();
+    const payment = await Payment.findOneAndUpdate(
+      { _id: req.params.paymentId, paymentStatus: 'completed' },
+      {
+        paymentStatus: 'refunded',
+        refundedAt: now,
+        accessGranted: false,
+        accessExpiresAt: now,
+        ...(req.body.reason && { notes: `Refund: ${req.body.reason}` })
+      },
+      { new: true }
+    );
+    if (!payment) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only completed payments can be refunded'
+      });
+    }
+
+    // Reverse asset statistics and seller earnings
+    const amount = (isNaN(payment.amount) || payment.amount === undefined) ? 0 : Number(payment.amount);
+    const creatorAmount = (isNaN(payment.creatorAmount) || payment.creatorAmount === undefined) ? 0 : Number(payment.creatorAmount);
+
+    await Asset.findByIdAndUpdate(payment.asset, {
+      $inc: { purchases: -1, revenue: -amount }
+    });
+    const earningsModel = payment.sellerOrganization ? Organization : User;
+    await earningsModel.findByIdAndUpdate(payment.sellerOrganization || payment.seller, {
+      $inc: { totalEarnings: -creatorAmount, totalSales: -1 }
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment refunded successfully',
+      data: {
+        payment: {
+          _id: payment._id,
+          status: payment.paymentStatus,
+          amount: payment.amount,
+          refundedAt: payment.refundedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while refunding payment'
+    });
+  }
+});
+
 // @route   GET /api/payments/user/:userId
 // @desc    Get user's payment history
 // @access  Private
-router.get('/user/:userId', protect, async (req, res) => {
+router.get('/user/:userId', allowApiKey('payments:read'), protect, async (req, res) => {
   try {
-    // Check if user is requesting their own payments or is admin
-    if (req.params.userId !== req.user._id.toString()) {
+    // Check if user is requesting their own payments or may read any payments
+    if (req.params.userId !== req.user._id.toString() && !req.user.hasPermission('payments:read')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view other user payments'
       });
     }
 
+    const userId = req.params.userId;
     const { page = 1, limit = 10, type = 'all' } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Build filter
     let filter = {};
     if (type === 'purchases') {
-      filter.buyer = req.user._id;
+      filter.buyer = userId;
     } else if (type === 'sales') {
-      filter.seller = req.user._id;
+      filter.seller = userId;
     } else {
-      filter.$or = [{ buyer: req.user._id }, { seller: req.user._id }];
+      filter.$or = [{ buyer: userId }, { seller: userId }];
     }
 
     const [payments, total] = await Promise.all([
@@ -546,33 +638,77 @@ router.get('/user/:userId', protect, async (req, res) => {
 });
 
 // @route   GET /api/payments/stats/:userId
-// @desc    Get user's payment statistics
-// @access  Private
-router.get('/stats/:userId', protect, async (req, res) => {
+// @desc    Get payment statistics for a user, or for an organization by its ID
+// @access  Private (own stats, organization finance roles, or payments:read)
+router.get('/stats/:userId', allowApiKey('payments:read'), protect, async (req, res) => {
   try {
-    // Check if user is requesting their own stats or is admin
-    if (req.params.userId !== req.user._id.toString()) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const id = new mongoose.Types.ObjectId(req.params.userId);
+
+    // Organization stats for its owners and finance viewers
+    const organization = await Organization.findById(id);
+    if (organization) {
+      if (!organization.can(req.user._id, 'payments:read') && !req.user.hasPermission('payments:read')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view this organization\'s stats'
+        });
+      }
+
+      const [allTime, monthly, weekly] = await Promise.all([
+        Payment.getStats(id, 'all', { organization: true }),
+        Payment.getStats(id, 'month', { organization: true }),
+        Payment.getStats(id, 'week', { organization: true })
+      ]);
+
+      return res.json({
+        success: true,
+        data: {
+          organization: organization.getPublicData(),
+          allTime,
+          monthly,
+          weekly
+        }
+      });
+    }
+
+    // Check if user is requesting their own stats or may read any payments
+    if (req.params.userId !== req.user._id.toString() && !req.user.hasPermission('payments:read')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to view other user stats'
       });
     }
 
-    const { timeframe = 'all' } = req.query;
-
     // Get stats for different timeframes
     const [allTime, monthly, weekly] = await Promise.all([
-      Payment.getStats(req.user._id, 'all'),
-      Payment.getStats(req.user._id, 'month'),
-      Payment.getStats(req.user._id, 'week')
+      Payment.getStats(id, 'all'),
+      Payment.getStats(id, 'month'),
+      Payment.getStats(id, 'week')
     ]);
 
+    // All-time totals of the organizations whose finances this user can see
+    const memberships = (await Organization.findForMember(id))
+      .filter(org => org.can(id, 'payments:read'));
+    const organizations = await Promise.all(memberships.map(async org => ({
+      organization: org.getPublicData(),
+      role: org.getMemberRole(id),
+      allTime: await Payment.getStats(org._id, 'all', { organization: true })
+    })));
+
     res.json({
       success: true,
       data: {
         allTime,
         monthly,
-        weekly
+        weekly,
+        organizations
       }
     });
 
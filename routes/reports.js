@@ -0,0 +1,574 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import rateLimit from 'express-rate-limit';
+import { body, query, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import Report from '../models/Report.js';
+import Asset from '../models/Asset.js';
+import ModerationAction from '../models/ModerationAction.js';
+import ModerationService from '../utils/moderationService.js';
+import { REPORT_REASONS } from '../config/moderation.js';
+
+const router = express.Router();
+
+// Initialize services
+const moderationService = new ModerationService();
+
+// Reasons that are legal notices and need a good-faith statement
+const LEGAL_REASONS = ['copyright', 'trademark'];
+
+// Rate limiting for new reports (per user)
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.REPORTS_MAX_PER_HOUR) || 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `user:${req.user._id}`,
+  message: { success: false, error: 'Too many reports, please try again later.' }
+});
+
+// Load the report from :id together with its asset
+const loadReport = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid report ID'
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    req.report = report;
+    req.asset = await Asset.findById(report.asset);
+    next();
+  } catch (error) {
+    console.error('Load report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while loading report'
+    });
+  }
+};
+
+// Reject decisions on reports whose asset has since been removed
+const requireAsset = (req, res, next) => {
+  if (!req.asset) {
+    return res.status(410).json({
+      success: false,
+      error: 'The reported asset no longer exists'
+    });
+  }
+  next();
+};
+
+const isAssetCreator = (user, asset) => Boolean(asset?.creator && asset.creator.equals(user._id));
+
+// @route   POST /api/reports
+// @desc    Report an asset (copyright/DMCA, trademark, stolen content, inappropriate, spam)
+// @access  Private
+router.post('/', protect, reportLimiter, [
+  body('assetId')
+    .isMongoId()
+    .withMessage('Valid asset ID is required'),
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters'),
+  body('evidenceUrls')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Evidence URLs must be an array of at most 10 URLs'),
+  body('evidenceUrls.*')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Evidence URLs must be valid http(s) URLs'),
+  body('claimedOriginalAssetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid claimed original asset ID'),
+  body('goodFaithStatement')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { assetId, reason, description, evidenceUrls, claimedOriginalAssetId, goodFaithStatement } = req.body;
+
+    if (LEGAL_REASONS.includes(reason) && !goodFaithStatement) {
+      return res.status(400).json({
+        success: false,
+        error: 'Copyright and trademark notices require a good-faith statement that the use is not authorized'
+      });
+    }
+
+    const asset = await Asset.findById(assetId);
+    if (!asset || asset.status === 'archived') {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    if (isAssetCreator(req.user, asset)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot report your own asset'
+      });
+    }
+
+    if (claimedOriginalAssetId) {
+      if (claimedOriginalAssetId === assetId) {
+        return res.status(400).json({
+          success: false,
+          error: 'The claimed original must be a different asset'
+        });
+      }
+      const original = await Asset.exists({ _id: claimedOriginalAssetId });
+      if (!original) {
+        return res.status(400).json({
+          success: false,
+          error: 'Claimed original asset not found'
+        });
+      }
+    }
+
+    const existing = await Report.exists({ asset: asset._id, reporter: req.user._id, status: 'open' });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have an open report for this asset'
+      });
+    }
+
+    const report = await moderationService.submitReport(asset, req.user, {
+      reason,
+      description,
+      evidenceUrls,
+      claimedOriginalAsset: claimedOriginalAssetId || null,
+      goodFaithStatement: Boolean(goodFaithStatement)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted. Our moderators will review it.',
+      data: {
+        report
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while submitting report'
+    });
+  }
+});
+
+// @route   GET /api/reports/mine
+// @desc    Reports you filed
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+  try {
+    const reports = await Report.find({ reporter: req.user._id })
+      .populate('asset', 'title thumbnail status')
+      .select('-counterNotice.legalName -counterNotice.contactEmail')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: {
+        reports
+      }
+    });
+
+  } catch (error) {
+    console.error('Get own reports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reports'
+    });
+  }
+});
+
+// @route   GET /api/reports/received
+// @desc    Takedowns against your assets (for filing counter-notices)
+// @access  Private
+router.get('/received', protect, async (req, res) => {
+  try {
+    const assetIds = await Asset.find({ creator: req.user._id }).distinct('_id');
+    const reports = await Report.find({
+      asset: { $in: assetIds },
+      status: { $in: ['taken-down', 'counter-noticed', 'reinstated', 'upheld'] }
+    })
+      .populate('asset', 'title thumbnail status')
+      .sort({ reviewedAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map(report => report.getCreatorView())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get received reports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reports'
+    });
+  }
+});
+
+// @route   GET /api/reports
+// @desc    Report queue, oldest first
+// @access  Private (assets:moderate)
+router.get('/', protect, requirePermission('assets:moderate'), [
+  query('status')
+    .optional()
+    .isIn(['open', 'dismissed', 'taken-down', 'counter-noticed', 'reinstated', 'upheld'])
+    .withMessage('Invalid status'),
+  query('reason')
+    .optional()
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status = 'open', reason, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = { status };
+    if (reason) filter.reason = reason;
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .populate('asset', 'title thumbnail status moderationStatus creator reportCount')
+        .populate('reporter', 'username fullName email')
+        .populate('claimedOriginalAsset', 'title thumbnail creator createdAt')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Report.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalReports: total,
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reports'
+    });
+  }
+});
+
+// @route   GET /api/reports/:id
+// @desc    Get a report with its audit trail
+// @access  Private (reporter, asset creator or assets:moderate)
+router.get('/:id', protect, loadReport, async (req, res) => {
+  try {
+    const { report, asset } = req;
+    const isModerator = req.user.hasPermission('assets:moderate');
+    const isReporter = report.reporter.equals(req.user._id);
+
+    if (isModerator) {
+      const history = await ModerationAction.find({ report: report._id })
+        .populate('actor', 'username fullName role')
+        .sort({ createdAt: 1 });
+
+      return res.json({
+        success: true,
+        data: {
+          report,
+          asset: asset ? asset.getPublicData() : null,
+          history
+        }
+      });
+    }
+
+    if (isReporter) {
+      return res.json({
+        success: true,
+        data: {
+          report: {
+            ...report.getCreatorView(),
+            goodFaithStatement: report.goodFaithStatement
+          }
+        }
+      });
+    }
+
+    if (isAssetCreator(req.user, asset) && report.status !== 'open' && report.status !== 'dismissed') {
+      return res.json({
+        success: true,
+        data: {
+          report: report.getCreatorView()
+        }
+      });
+    }
+
+    res.status(404).json({
+      success: false,
+      error: 'Report not found'
+    });
+
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching report'
+    });
+  }
+});
+
+const notesValidation = [
+  body('notes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+];
+
+// @route   POST /api/reports/:id/dismiss
+// @desc    Close a report without action
+// @access  Private (assets:moderate)
+router.post('/:id/dismiss', protect, requirePermission('assets:moderate'), loadReport, requireAsset, notesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.report.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only open reports can be dismissed'
+      });
+    }
+
+    await moderationService.dismissReport(req.report, req.asset, req.user, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Report dismissed',
+      data: {
+        report: req.report
+      }
+    });
+
+  } catch (error) {
+    console.error('Dismiss report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while dismissing report'
+    });
+  }
+});
+
+// @route   POST /api/reports/:id/takedown
+// @desc    Take the reported asset down (moves it to flagged and hides it)
+// @access  Private (assets:moderate)
+router.post('/:id/takedown', protect, requirePermission('assets:moderate'), loadReport, requireAsset, notesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.report.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only open reports can lead to a takedown'
+      });
+    }
+
+    await moderationService.takedown(req.report, req.asset, req.user, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Asset taken down',
+      data: {
+        report: req.report,
+        asset: req.asset.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Takedown error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while taking down asset'
+    });
+  }
+});
+
+// @route   POST /api/reports/:id/counter-notice
+// @desc    Dispute a takedown of your asset
+// @access  Private (asset creator)
+router.post('/:id/counter-notice', protect, loadReport, requireAsset, [
+  body('statement')
+    .trim()
+    .isLength({ min: 20, max: 5000 })
+    .withMessage('Statement must be between 20 and 5000 characters'),
+  body('legalName')
+    .trim()
+    .notEmpty()
+    .withMessage('Legal name is required'),
+  body('contactEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('A valid contact email is required'),
+  body('consentToJurisdiction')
+    .isBoolean()
+    .toBoolean()
+    .custom(value => value === true)
+    .withMessage('You must consent to jurisdiction to file a counter-notice')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { report, asset } = req;
+    if (!isAssetCreator(req.user, asset)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the creator can file a counter-notice'
+      });
+    }
+
+    if (report.status !== 'taken-down') {
+      return res.status(400).json({
+        success: false,
+        error: 'A counter-notice can only be filed against an active takedown'
+      });
+    }
+
+    const { statement, legalName, contactEmail, consentToJurisdiction } = req.body;
+    await moderationService.submitCounterNotice(report, asset, req.user, {
+      statement,
+      legalName,
+      contactEmail,
+      consentToJurisdiction
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Counter-notice filed. The reporter has been notified and a moderator will review it.',
+      data: {
+        report: report.getCreatorView()
+      }
+    });
+
+  } catch (error) {
+    console.error('Counter-notice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while filing counter-notice'
+    });
+  }
+});
+
+// @route   POST /api/reports/:id/counter-notice/resolve
+// @desc    Reinstate the asset or uphold the takedown
+// @access  Private (assets:moderate)
+router.post('/:id/counter-notice/resolve', protect, requirePermission('assets:moderate'), loadReport, requireAsset, [
+  body('decision')
+    .isIn(['reinstate', 'uphold'])
+    .withMessage('Decision must be reinstate or uphold'),
+  ...notesValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (req.report.status !== 'counter-noticed') {
+      return res.status(400).json({
+        success: false,
+        error: 'This report has no pending counter-notice'
+      });
+    }
+
+    await moderationService.resolveCounterNotice(req.report, req.asset, req.user, req.body.decision, req.body.notes);
+
+    res.json({
+      success: true,
+      message: req.body.decision === 'reinstate'
+        ? 'Counter-notice accepted and asset reinstated'
+        : 'Counter-notice rejected, the takedown stands',
+      data: {
+        report: req.report,
+        asset: req.asset.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve counter-notice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while resolving counter-notice'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,576 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import { protect, optionalAuth, requirePermission } from '../middleware/auth.js';
+import Review from '../models/Review.js';
+import Asset from '../models/Asset.js';
+import Payment from '../models/Payment.js';
+import Organization from '../models/Organization.js';
+import ModerationService from '../utils/moderationService.js';
+
+const router = express.Router();
+
+// Initialize services
+const moderationService = new ModerationService();
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Validation errors as a 400 response
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Load the published asset from :assetId
+const loadAsset = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.assetId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid asset ID'
+      });
+    }
+
+    const asset = await Asset.findById(req.params.assetId);
+    if (!asset || asset.status !== 'published' || !asset.isPublic) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    req.asset = asset;
+    next();
+  } catch (error) {
+    console.error('Load asset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while loading asset'
+    });
+  }
+};
+
+// Load the review from :id together with its asset
+const loadReview = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid review ID'
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+
+    req.review = review;
+    req.asset = await Asset.findById(review.asset);
+    next();
+  } catch (error) {
+    console.error('Load review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while loading review'
+    });
+  }
+};
+
+// The asset's creator, or an editor of the organization that owns it, may reply to reviews
+const canReply = async (user, asset) => {
+  if (!asset) return false;
+  if (asset.organization) {
+    return Organization.userCan(asset.organization, user._id, 'assets:edit');
+  }
+  return asset.creator.equals(user._id);
+};
+
+const isReviewer = (user, review) => review.reviewer.equals(user._id);
+
+// The asset's creator and members of the organization that owns it
+const isAssetTeam = async (user, asset) => {
+  if (!asset) return false;
+  if (asset.creator.equals(user._id)) return true;
+  if (!asset.organization) return false;
+  const organization = await Organization.findById(asset.organization).select('members');
+  return Boolean(organization?.getMemberRole(user._id));
+};
+
+// @route   GET /api/reviews/asset/:assetId
+// @desc    Published reviews of an asset with the rating summary
+// @access  Public
+router.get('/asset/:assetId', optionalAuth, loadAsset, [
+  query('sort')
+    .optional()
+    .isIn(Object.keys(REVIEW_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], checkValidation, async (req, res) => {
+  try {
+    const { sort = 'newest', page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = { asset: req.asset._id, status: 'published' };
+
+    const [reviews, total, distribution, ownReview] = await Promise.all([
+      Review.find(filter)
+        .populate('reviewer', 'username fullName avatar')
+        .sort(REVIEW_SORTS[sort])
+        .skip(skip)
+        .limit(limit),
+      Review.countDocuments(filter),
+      Review.getDistribution(req.asset._id),
+      req.user ? Review.findOne({ asset: req.asset._id, reviewer: req.user._id }) : null
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          ratingAverage: req.asset.ratingAverage,
+          ratingCount: req.asset.ratingCount,
+          distribution
+        },
+        reviews: reviews.map(review => review.getPublicData()),
+        ...(req.user && { ownReview: ownReview ? ownReview.getPublicData() : null }),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalReviews: total,
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @route   POST /api/reviews/asset/:assetId
+// @desc    Review an asset you bought (1-5 rating and optional text)
+// @access  Private (buyers with a completed payment)
+router.post('/asset/:assetId', protect, loadAsset, [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review cannot exceed 2000 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const { asset } = req;
+    const { rating, text } = req.body;
+
+    if (asset.creator.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot review your own asset'
+      });
+    }
+
+    if (!await Payment.hasCompletedPurchase(asset._id, req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only buyers with a completed purchase can review this asset'
+      });
+    }
+
+    if (await Review.exists({ asset: asset._id, reviewer: req.user._id })) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already reviewed this asset; edit your existing review instead'
+      });
+    }
+
+    const review = await Review.create({
+      asset: asset._id,
+      reviewer: req.user._id,
+      rating,
+      text
+    });
+    const summary = await Review.updateAssetRating(asset._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review published',
+      data: {
+        review: review.getPublicData(),
+        summary
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already reviewed this asset; edit your existing review instead'
+      });
+    }
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating review'
+    });
+  }
+});
+
+// @route   GET /api/reviews
+// @desc    Review moderation queue: flagged reviews (most flags first) or hidden ones
+// @access  Private (assets:moderate)
+router.get('/', protect, requirePermission('assets:moderate'), [
+  query('status')
+    .optional()
+    .isIn(['flagged', 'hidden'])
+    .withMessage('Status must be flagged or hidden'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], checkValidation, async (req, res) => {
+  try {
+    const { status = 'flagged', page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = status === 'hidden'
+      ? { status: 'hidden' }
+      : { status: 'published', flagCount: { $gt: 0 } };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('asset', 'title thumbnail creator')
+        .populate('reviewer', 'username fullName email')
+        .populate('flags.user', 'username')
+        .sort(status === 'hidden' ? { moderatedAt: -1 } : { flagCount: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalReviews: total,
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit your review
+// @access  Private (reviewer)
+router.put('/:id', protect, loadReview, [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review cannot exceed 2000 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const { review } = req;
+
+    if (!isReviewer(req.user, review)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to edit this review'
+      });
+    }
+
+    const { rating, text } = req.body;
+    if (rating !== undefined) review.rating = rating;
+    if (text !== undefined) review.text = text;
+    review.editedAt = new Date();
+    await review.save();
+    await Review.updateAssetRating(review.asset);
+
+    res.json({
+      success: true,
+      message: 'Review updated',
+      data: {
+        review: review.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating review'
+    });
+  }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete a review
+// @access  Private (reviewer or assets:moderate)
+router.delete('/:id', protect, loadReview, async (req, res) => {
+  try {
+    const { review } = req;
+
+    if (!isReviewer(req.user, review) && !req.user.hasPermission('assets:moderate')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to delete this review'
+      });
+    }
+
+    await review.deleteOne();
+    await Review.updateAssetRating(review.asset);
+
+    res.json({
+      success: true,
+      message: 'Review deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting review'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/reply
+// @desc    Reply to a review publicly (replaces an earlier reply)
+// @access  Private (asset creator or organization editor)
+router.post('/:id/reply', protect, loadReview, [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reply must be between 1 and 1000 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const { review, asset } = req;
+
+    if (!await canReply(req.user, asset)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the creator of this asset can reply to its reviews'
+      });
+    }
+
+    review.reply = {
+      text: req.body.text,
+      author: req.user._id,
+      repliedAt: new Date()
+    };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Reply published',
+      data: {
+        review: review.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while replying to review'
+    });
+  }
+});
+
+// @route   DELETE /api/reviews/:id/reply
+// @desc    Remove the reply to a review
+// @access  Private (asset creator, organization editor or assets:moderate)
+router.delete('/:id/reply', protect, loadReview, async (req, res) => {
+  try {
+    const { review, asset } = req;
+
+    if (!await canReply(req.user, asset) && !req.user.hasPermission('assets:moderate')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to remove this reply'
+      });
+    }
+
+    review.reply = undefined;
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Reply removed'
+    });
+
+  } catch (error) {
+    console.error('Remove review reply error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while removing reply'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/flag
+// @desc    Flag a review for moderators (spam, abuse, off-topic, ...)
+// @access  Private
+router.post('/:id/flag', protect, loadReview, [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const { review } = req;
+
+    if (isReviewer(req.user, review)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot flag your own review'
+      });
+    }
+
+    // Creators could otherwise bury negative reviews of their own assets
+    if (await isAssetTeam(req.user, req.asset)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot flag reviews of your own assets; reply to the review instead'
+      });
+    }
+
+    const flagged = await moderationService.flagReview(review, req.user, req.body.reason);
+    if (!flagged) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already flagged this review'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks, our moderators will take a look'
+    });
+
+  } catch (error) {
+    console.error('Flag review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while flagging review'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/hide
+// @desc    Hide a review from the asset page (it stops counting towards the rating)
+// @access  Private (assets:moderate)
+router.post('/:id/hide', protect, requirePermission('assets:moderate'), loadReview, [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const { review } = req;
+
+    if (review.status === 'hidden') {
+      return res.status(400).json({
+        success: false,
+        error: 'Review is already hidden'
+      });
+    }
+
+    const record = await moderationService.setReviewStatus(review, req.user, 'hidden', req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Review hidden',
+      data: {
+        review,
+        action: record
+      }
+    });
+
+  } catch (error) {
+    console.error('Hide review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while hiding review'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/restore
+// @desc    Publish a hidden review again, or dismiss the flags on a published one
+// @access  Private (assets:moderate)
+router.post('/:id/restore', protect, requirePermission('assets:moderate'), loadReview, [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const { review } = req;
+
+    if (review.status === 'published' && review.flagCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Review is published and has no open flags'
+      });
+    }
+
+    const record = await moderationService.setReviewStatus(review, req.user, 'published', req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Review restored',
+      data: {
+        review,
+        action: record
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while restoring review'
+    });
+  }
+});
+
+export default router;
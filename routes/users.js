@@ -0,0 +1,359 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import User from '../models/User.js';
+import Asset from '../models/Asset.js';
+import { ROLES, PERMISSIONS, getRolePermissions } from '../config/roles.js';
+
+const router = express.Router();
+
+// Roles that can publish assets without an extra permission grant
+const CREATOR_ROLES = ROLES.filter(role => getRolePermissions(role).includes('assets:create'));
+
+// Fields never loaded for public user listings
+const PRIVATE_USER_FIELDS = {
+  password: 0,
+  email: 0,
+  mfa: 0,
+  wallets: 0,
+  failedLoginAttempts: 0,
+  lockUntil: 0
+};
+
+// @route   GET /api/users
+// @desc    Search users by username, name or bio
+// @access  Public
+router.get('/', [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('creators')
+    .optional()
+    .isBoolean()
+    .withMessage('creators must be true or false')
+    .toBoolean(),
+  query('sortBy')
+    .optional()
+    .isIn(['relevance', 'followers', 'sales', 'newest'])
+    .withMessage('sortBy must be one of: relevance, followers, sales, newest')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { search, creators } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const sortBy = req.query.sortBy || (search ? 'relevance' : 'newest');
+
+    // Build filter object
+    const filter = {};
+    if (search) {
+      filter.$text = { $search: search };
+    }
+    if (creators === true) {
+      filter.$or = [
+        { role: { $in: CREATOR_ROLES } },
+        { permissions: 'assets:create' }
+      ];
+    }
+
+    // Build sort object (relevance only makes sense with a search term)
+    const sortStages = {
+      relevance: search ? { score: -1, _id: 1 } : { createdAt: -1 },
+      followers: { followerCount: -1, _id: 1 },
+      sales: { totalSales: -1, _id: 1 },
+      newest: { createdAt: -1 }
+    };
+
+    const [result] = await User.aggregate([
+      { $match: filter },
+      { $project: PRIVATE_USER_FIELDS },
+      {
+        $addFields: {
+          followerCount: { $size: '$followers' },
+          ...(search && { score: { $meta: 'textScore' } })
+        }
+      },
+      { $sort: sortStages[sortBy] },
+      {
+        $facet: {
+          users: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const users = result.users.map(doc => User.hydrate(doc).getPublicProfile());
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalUsers: total,
+          hasNextPage: skip + limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while searching users'
+    });
+  }
+});
+
+// @route   GET /api/users/:username
+// @desc    Get a user's public profile and creator stats
+// @access  Public
+router.get('/:username', async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const assetStats = await Asset.getCreatorStats(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        user: user.getPublicProfile(),
+        stats: {
+          ...assetStats,
+          totalSales: user.totalSales
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching user profile'
+    });
+  }
+});
+
+// @route   PUT /api/users/:userId/role
+// @desc    Change a user's role and extra permissions
+// @access  Private (users:manage)
+router.put('/:userId/role', protect, requirePermission('users:manage'), [
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage('Unknown permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Admins cannot lock themselves out
+    if (user._id.equals(req.user._id) && req.body.role && req.body.role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove your own admin role'
+      });
+    }
+
+    const { role, permissions } = req.body;
+    if (role) user.role = role;
+    if (permissions) user.permissions = [...new Set(permissions)];
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        user: user.getPublicProfile(),
+        permissions: user.getPermissions()
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating user role'
+    });
+  }
+});
+
+// @route   POST /api/users/:userId/follow
+// @desc    Follow a user (no-op if already following)
+// @access  Private
+router.post('/:userId/follow', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (req.user._id.equals(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot follow yourself'
+      });
+    }
+
+    const target = await User.exists({ _id: req.params.userId });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await User.follow(req.user._id, target._id);
+    const updated = await User.findById(target._id).select('followers');
+
+    res.json({
+      success: true,
+      message: 'User followed successfully',
+      data: {
+        following: true,
+        followers: updated.followers.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while following user'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:userId/follow
+// @desc    Unfollow a user (no-op if not following)
+// @access  Private
+router.delete('/:userId/follow', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    await User.unfollow(req.user._id, req.params.userId);
+    const updated = await User.findById(req.params.userId).select('followers');
+
+    res.json({
+      success: true,
+      message: 'User unfollowed successfully',
+      data: {
+        following: false,
+        followers: updated ? updated.followers.length : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while unfollowing user'
+    });
+  }
+});
+
+// Shared handler for the followers/following lists
+const listFollows = (listName) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const result = await User.getFollowPage(req.params.userId, listName, { skip, limit });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        users: result.users.map(user => user.getPublicProfile()),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(result.total / limit),
+          totalUsers: result.total,
+          hasNextPage: skip + limit < result.total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error(`Get ${listName} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Server error while fetching ${listName}`
+    });
+  }
+};
+
+// @route   GET /api/users/:userId/followers
+// @desc    Get a user's followers (paginated, most recent first)
+// @access  Public
+router.get('/:userId/followers', listFollows('followers'));
+
+// @route   GET /api/users/:userId/following
+// @desc    Get the users a user follows (paginated, most recent first)
+// @access  Public
+router.get('/:userId/following', listFollows('following'));
+
+export default router;
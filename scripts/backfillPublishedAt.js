@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Asset from '../models/Asset.js';
+
+// Load environment variables
+dotenv.config();
+
+// Give assets published before publishing states existed a publishedAt (their upload time),
+// so feeds sorted and filtered by publishedAt include them
+const backfillPublishedAt = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/authenzia');
+    console.log('✅ Connected to MongoDB');
+
+    const result = await Asset.collection.updateMany(
+      { status: 'published', publishedAt: { $exists: false } },
+      [{ $set: { publishedAt: '$createdAt' } }]
+    );
+    console.log(`✅ Backfilled publishedAt on ${result.modifiedCount} assets`);
+
+    await mongoose.disconnect();
+    console.log('\n✅ Database connection closed');
+  } catch (error) {
+    console.error('❌ Error backfilling publishedAt:', error);
+    process.exit(1);
+  }
+};
+
+backfillPublishedAt();
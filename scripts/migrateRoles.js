@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+
+// Load environment variables
+dotenv.config();
+
+// Move the legacy isCreator flag into the role field
+const migrateRoles = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/authenzia');
+    console.log('✅ Connected to MongoDB');
+
+    // Creators become role=creator (only users without a role yet)
+    const creators = await User.collection.updateMany(
+      { isCreator: true, role: { $exists: false } },
+      { $set: { role: 'creator' } }
+    );
+    console.log(`✅ Migrated ${creators.modifiedCount} creators`);
+
+    // Everyone else becomes a buyer
+    const buyers = await User.collection.updateMany(
+      { role: { $exists: false } },
+      { $set: { role: 'buyer' } }
+    );
+    console.log(`✅ Migrated ${buyers.modifiedCount} buyers`);
+
+    // Drop the legacy flag
+    const cleaned = await User.collection.updateMany(
+      { isCreator: { $exists: true } },
+      { $unset: { isCreator: '' } }
+    );
+    console.log(`🧹 Removed isCreator from ${cleaned.modifiedCount} users`);
+
+    await mongoose.disconnect();
+    console.log('\n✅ Database connection closed');
+  } catch (error) {
+    console.error('❌ Error migrating roles:', error);
+    process.exit(1);
+  }
+};
+
+migrateRoles();
@@ -10,13 +10,30 @@ import { spawn } from 'child_process';
 
 // Import routes
 import authRoutes from './routes/auth.js';
-import assetRoutes from './routes/assets.js';
+import assetRoutes, { isUploadChunkRequest } from './routes/assets.js';
 import paymentRoutes from './routes/payments.js';
 import aiRoutes from './routes/ai.js';
+import userRoutes from './routes/users.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import feedRoutes from './routes/feed.js';
+import creatorApplicationRoutes from './routes/creatorApplications.js';
+import accountRoutes from './routes/account.js';
+import organizationRoutes from './routes/organizations.js';
+import moderationRoutes from './routes/moderation.js';
+import reportRoutes from './routes/reports.js';
+import collectionRoutes from './routes/collections.js';
+import reviewRoutes from './routes/reviews.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
+import { rateLimitByApiKey } from './middleware/auth.js';
 import { connectDB } from './config/database.js';
+import JobScheduler from './utils/jobScheduler.js';
+import Asset from './models/Asset.js';
+import AccountDataService from './utils/accountDataService.js';
+import ChunkedUploadService from './utils/chunkedUploadService.js';
+import BulkImportService from './utils/bulkImportService.js';
+import TrashService from './utils/trashService.js';
 
 // Import X402 Service and Middleware
 import X402Service from './utils/x402Service.js';
@@ -46,7 +63,15 @@ const limiter = rateLimit({
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
-app.use('/api/', limiter);
+// Requests with a valid API key are limited per key instead; resumable upload chunks
+// have their own limiter in routes/assets.js
+const apiLimiter = rateLimitByApiKey(limiter);
+app.use('/api/', (req, res, next) => {
+  if (isUploadChunkRequest(req)) {
+    return next();
+  }
+  apiLimiter(req, res, next);
+});
 
 // CORS configuration
 app.use(cors({
@@ -57,9 +82,9 @@ app.use(cors({
     'http://127.0.0.1:3000'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Length', 'Content-Type']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-MFA-Code', 'X-API-Key', 'Upload-Offset'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'Upload-Offset']
 }));
 
 // Body parsing middleware
@@ -144,6 +169,16 @@ app.use('/api/auth', authRoutes);
 app.use('/api/assets', assetRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/creator-applications', creatorApplicationRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -218,7 +253,17 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       assets: '/api/assets',
       payments: '/api/payments',
-      ai: '/api/ai'
+      ai: '/api/ai',
+      users: '/api/users',
+      apiKeys: '/api/api-keys',
+      feed: '/api/feed',
+      creatorApplications: '/api/creator-applications',
+      account: '/api/account',
+      organizations: '/api/organizations',
+      moderation: '/api/moderation',
+      reports: '/api/reports',
+      collections: '/api/collections',
+      reviews: '/api/reviews'
     }
   });
 });
@@ -231,11 +276,29 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
+// Background jobs (set JOBS_ENABLED=false on all but one instance)
+const accountDataService = new AccountDataService();
+const chunkedUploadService = new ChunkedUploadService();
+const bulkImportService = new BulkImportService();
+const trashService = new TrashService();
+const scheduler = new JobScheduler()
+  .every('data-exports', 60 * 1000, () => accountDataService.processPendingExports())
+  .every('expired-exports', 60 * 60 * 1000, () => accountDataService.purgeExpiredExports())
+  .every('account-deletions', 60 * 60 * 1000, () => accountDataService.processDueDeletions())
+  .every('stale-uploads', 60 * 60 * 1000, () => chunkedUploadService.purgeExpired())
+  .every('bulk-imports', 60 * 1000, () => bulkImportService.processPendingImports())
+  .every('scheduled-publishing', 60 * 1000, () => Asset.publishScheduled())
+  .every('trash-purge', 60 * 60 * 1000, () => trashService.purgeExpired());
+
 // Start server
 const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
+
+    if (process.env.JOBS_ENABLED !== 'false') {
+      scheduler.start();
+    }
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,198 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Asset from '../models/Asset.js';
+import AssetVersion from '../models/AssetVersion.js';
+import Collection from '../models/Collection.js';
+import Favorite from '../models/Favorite.js';
+import Review from '../models/Review.js';
+import Payment from '../models/Payment.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import CreatorApplication from '../models/CreatorApplication.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import DataExport from '../models/DataExport.js';
+import Organization from '../models/Organization.js';
+import Mailer from '../utils/mailer.js';
+import AccountDataService from '../utils/accountDataService.js';
+import accountRoutes from '../routes/account.js';
+import { buildApp, buildUser, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/account', accountRoutes);
+
+describe('data exports', () => {
+  let user;
+  let authorization;
+
+  beforeEach(() => {
+    user = buildUser();
+    authorization = authenticateAs(user);
+  });
+
+  test('queues an export and builds it in the background', async () => {
+    jest.spyOn(DataExport, 'exists').mockResolvedValue(null);
+    jest.spyOn(DataExport, 'create').mockImplementation(async fields => new DataExport(fields));
+    const runExport = jest.spyOn(AccountDataService.prototype, 'runExport').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/account/exports').set('Authorization', authorization);
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.export.status).toBe('pending');
+    expect(runExport).toHaveBeenCalledWith(new mongoose.Types.ObjectId(response.body.data.export._id));
+  });
+
+  test('refuses a second export while one is being prepared', async () => {
+    jest.spyOn(DataExport, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const create = jest.spyOn(DataExport, 'create');
+
+    expect((await request(app).post('/api/account/exports').set('Authorization', authorization)).status).toBe(409);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('only downloads your own exports', async () => {
+    const findOne = jest.spyOn(DataExport, 'findOne').mockReturnValue(mockQuery(null));
+    const exportId = new mongoose.Types.ObjectId();
+
+    const response = await request(app).get(`/api/account/exports/${exportId}/download`).set('Authorization', authorization);
+
+    expect(response.status).toBe(404);
+    expect(findOne).toHaveBeenCalledWith({ _id: String(exportId), user: user._id });
+  });
+
+  test('refuses expired exports', async () => {
+    const dataExport = new DataExport({ user: user._id, status: 'ready', expiresAt: new Date(Date.now() - 1000) });
+    jest.spyOn(DataExport, 'findOne').mockReturnValue(mockQuery(dataExport));
+
+    const response = await request(app).get(`/api/account/exports/${dataExport._id}/download`).set('Authorization', authorization);
+
+    expect(response.status).toBe(410);
+  });
+});
+
+describe('AccountDataService.runExport', () => {
+  test('builds each export once even when two workers pick it up', async () => {
+    const service = new AccountDataService();
+    service.exportPath = await fs.mkdtemp(path.join(os.tmpdir(), 'exports-'));
+    const job = new DataExport({ user: new mongoose.Types.ObjectId(), status: 'pending' });
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    jest.spyOn(DataExport, 'findOneAndUpdate')
+      .mockResolvedValueOnce(job)
+      .mockResolvedValueOnce(null);
+    jest.spyOn(service, 'collectUserData').mockResolvedValue({ profile: {}, assets: [], payments: {} });
+    const writeArchive = jest.spyOn(service, 'writeArchive').mockImplementation(filePath => fs.writeFile(filePath, 'zip'));
+    jest.spyOn(User, 'findById').mockResolvedValue(buildUser());
+    jest.spyOn(Mailer.prototype, 'sendDataExportReadyEmail').mockResolvedValue();
+
+    const results = await Promise.all([service.runExport(job._id), service.runExport(job._id)]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(writeArchive).toHaveBeenCalledTimes(1);
+    expect(job.status).toBe('ready');
+    expect(job.fileSize).toBe(3);
+    expect(job.expiresAt.getTime()).toBeGreaterThan(Date.now() + 47 * 60 * 60 * 1000);
+
+    await fs.rm(service.exportPath, { recursive: true, force: true });
+  });
+});
+
+describe('account deletion', () => {
+  let user;
+  let authorization;
+
+  beforeEach(() => {
+    jest.spyOn(Mailer.prototype, 'sendAccountDeletionScheduledEmail').mockResolvedValue();
+    jest.spyOn(Organization, 'find').mockResolvedValue([]);
+    user = buildUser();
+    authorization = authenticateAs(user);
+  });
+
+  test('schedules deletion after the grace period when the password is right', async () => {
+    const response = await request(app)
+      .post('/api/account/deletion')
+      .set('Authorization', authorization)
+      .send({ password: 'CorrectHorse1!' });
+
+    expect(response.status).toBe(200);
+    const scheduledFor = new Date(response.body.data.scheduledFor).getTime();
+    expect(scheduledFor).toBeGreaterThan(Date.now() + 13 * 24 * 60 * 60 * 1000);
+    expect(user.deletion.scheduledFor.getTime()).toBe(scheduledFor);
+  });
+
+  test('leaves the account alone when the password is wrong', async () => {
+    const response = await request(app)
+      .post('/api/account/deletion')
+      .set('Authorization', authorization)
+      .send({ password: 'wrong-password' });
+
+    expect(response.status).toBe(400);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('is refused while the user is the only owner of an organization', async () => {
+    const organization = new Organization({ name: 'Solo Studio', slug: 'solo-studio', members: [{ user: user._id, role: 'owner' }] });
+    Organization.find.mockResolvedValue([organization]);
+
+    const response = await request(app)
+      .post('/api/account/deletion')
+      .set('Authorization', authorization)
+      .send({ password: 'CorrectHorse1!' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.data.organizations.map(org => org.slug)).toEqual(['solo-studio']);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('can be cancelled during the grace period', async () => {
+    user.deletion = { requestedAt: new Date(), scheduledFor: new Date(Date.now() + 1000) };
+
+    const response = await request(app).delete('/api/account/deletion').set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(user.deletion?.scheduledFor).toBeUndefined();
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  test('erasing an account anonymizes payments, leaves organizations and drops personal records', async () => {
+    user.wallets = [{ address: '0x' + 'ab'.repeat(20) }];
+    const assetLookup = jest.spyOn(Asset, 'find').mockResolvedValue([]);
+    jest.spyOn(AssetVersion, 'find').mockResolvedValue([]);
+    const dropFavorites = jest.spyOn(Favorite, 'removeAllForUser').mockResolvedValue();
+    const reviewedAsset = new mongoose.Types.ObjectId();
+    jest.spyOn(Review, 'find').mockReturnValue({ distinct: async () => [reviewedAsset] });
+    const ratingUpdate = jest.spyOn(Review, 'updateAssetRating').mockResolvedValue({});
+    const flagUpdates = jest.spyOn(Review, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Asset, 'updateMany').mockResolvedValue({});
+    const leaveOrganizations = jest.spyOn(Organization, 'updateMany').mockResolvedValue({});
+    const paymentUpdates = jest.spyOn(Payment, 'updateMany').mockResolvedValue({});
+    const userUpdates = jest.spyOn(User, 'updateMany').mockResolvedValue({});
+    jest.spyOn(DataExport, 'find').mockReturnValue(mockQuery([]));
+    const deletions = [AssetVersion, Review, DataExport, Session, ApiKey, LoginAttempt, CreatorApplication, Collection, EmailVerificationToken, PasswordResetToken]
+      .map(Model => jest.spyOn(Model, 'deleteMany').mockResolvedValue({}));
+    const deleteUser = jest.spyOn(User, 'deleteOne').mockResolvedValue({});
+
+    await new AccountDataService().deleteAccount(user);
+
+    expect(paymentUpdates).toHaveBeenCalledWith(
+      { $or: [{ buyer: user._id }, { buyerAddress: { $in: [user.wallets[0].address] } }] },
+      expect.objectContaining({ $unset: expect.objectContaining({ buyer: '', deliveryEmail: '' }) })
+    );
+    expect(paymentUpdates).toHaveBeenCalledWith({ seller: user._id }, expect.objectContaining({ $unset: { seller: '', sellerAddress: '' } }));
+    expect(assetLookup).toHaveBeenCalledWith({ creator: user._id, organization: null });
+    expect(leaveOrganizations).toHaveBeenCalledWith({ 'members.user': user._id }, { $pull: { members: { user: user._id } } });
+    expect(userUpdates).toHaveBeenCalledWith({ followers: user._id }, { $pull: { followers: user._id } });
+    expect(dropFavorites).toHaveBeenCalledWith(user._id);
+    expect(ratingUpdate).toHaveBeenCalledWith(reviewedAsset);
+    expect(flagUpdates).toHaveBeenCalledWith(
+      { 'flags.user': user._id, flagCount: { $gt: 0 } },
+      { $pull: { flags: { user: user._id } }, $inc: { flagCount: -1 } }
+    );
+    deletions.forEach(deleteMany => expect(deleteMany).toHaveBeenCalled());
+    expect(deleteUser).toHaveBeenCalledWith({ _id: user._id });
+  });
+});
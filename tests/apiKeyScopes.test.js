@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import Payment from '../models/Payment.js';
+import paymentRoutes from '../routes/payments.js';
+import { buildApp, buildUser, authenticateAs } from './helpers.js';
+
+const app = buildApp('/api/payments', paymentRoutes);
+
+// Issue a key for a user, with the lookups protect() makes mocked out
+const issueKey = async (user, scopes) => {
+  jest.spyOn(ApiKey, 'create').mockImplementation(async fields => new ApiKey(fields));
+  const { key, apiKey } = await ApiKey.generate(user._id, { name: 'CI', scopes });
+
+  jest.spyOn(ApiKey, 'findOne').mockReturnValue({ select: async () => apiKey });
+  jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  return key;
+};
+
+const mockPaymentHistory = () => {
+  const query = { populate: () => query, sort: () => query, skip: () => query, limit: async () => [] };
+  jest.spyOn(Payment, 'find').mockReturnValue(query);
+  jest.spyOn(Payment, 'countDocuments').mockResolvedValue(0);
+};
+
+describe('API key scopes', () => {
+  test('API-key requests keep only the permissions keys may use', () => {
+    const admin = buildUser({ role: 'admin' });
+    expect(admin.hasPermission('payments:read')).toBe(true);
+
+    admin.limitToApiKey();
+    expect(admin.hasPermission('payments:read')).toBe(false);
+    expect(admin.hasPermission('payments:refund')).toBe(false);
+    expect(admin.hasPermission('assets:create')).toBe(true);
+  });
+
+  test('a key reads its owner\'s payments', async () => {
+    const user = buildUser();
+    const key = await issueKey(user, ['payments:read']);
+    mockPaymentHistory();
+
+    const response = await request(app).get(`/api/payments/user/${user._id}`).set('X-API-Key', key);
+    expect(response.status).toBe(200);
+  });
+
+  test('an admin\'s key cannot read other users\' payments', async () => {
+    const admin = buildUser({ role: 'admin' });
+    const key = await issueKey(admin, ['payments:read']);
+    mockPaymentHistory();
+
+    const otherUserId = new mongoose.Types.ObjectId();
+    const response = await request(app).get(`/api/payments/user/${otherUserId}`).set('X-API-Key', key);
+    expect(response.status).toBe(403);
+
+    // An admin signed in normally still can
+    const authorization = authenticateAs(buildUser({ role: 'admin' }));
+    const signedIn = await request(app).get(`/api/payments/user/${otherUserId}`).set('Authorization', authorization);
+    expect(signedIn.status).toBe(200);
+  });
+
+  test('a key without the route\'s scope is refused', async () => {
+    const user = buildUser();
+    const key = await issueKey(user, ['assets:read']);
+
+    const response = await request(app).get(`/api/payments/user/${user._id}`).set('X-API-Key', key);
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('API key is missing required scope: payments:read');
+  });
+
+  test('keys are refused on routes that did not opt in', async () => {
+    const admin = buildUser({ role: 'admin' });
+    const key = await issueKey(admin, ['payments:read']);
+
+    const response = await request(app)
+      .post(`/api/payments/${new mongoose.Types.ObjectId()}/refund`)
+      .set('X-API-Key', key);
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('API keys are not accepted on this route');
+  });
+});
@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import rateLimit from 'express-rate-limit';
+import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import Session from '../models/Session.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import Mailer from '../utils/mailer.js';
+import apiKeyRoutes from '../routes/apiKeys.js';
+import authRoutes from '../routes/auth.js';
+import { rateLimitByApiKey } from '../middleware/auth.js';
+import { buildApp, buildUser, authenticateAs, mockQuery } from './helpers.js';
+
+// Keys created through ApiKey.generate, looked up by prefix like findByKey does
+const mockKeyStore = () => {
+  const keys = [];
+  jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => {
+    const apiKey = new ApiKey(fields);
+    keys.push(apiKey);
+    return apiKey;
+  });
+  jest.spyOn(ApiKey, 'findOne').mockImplementation(({ prefix }) => (
+    mockQuery(keys.find(apiKey => apiKey.prefix === prefix) || null)
+  ));
+  return keys;
+};
+
+describe('POST /api/api-keys', () => {
+  const app = buildApp('/api/api-keys', apiKeyRoutes);
+
+  test('returns the key once and only stores its hash', async () => {
+    const keys = mockKeyStore();
+    jest.spyOn(ApiKey, 'countDocuments').mockResolvedValue(0);
+    const authorization = authenticateAs(buildUser());
+
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', authorization)
+      .send({ name: 'CI', scopes: ['assets:read', 'assets:read'] });
+
+    expect(response.status).toBe(201);
+    const { key } = response.body.data;
+    expect(key).toMatch(/^azk_[0-9a-f]{8}_/);
+    expect(keys[0].scopes).toEqual(['assets:read']);
+    expect(keys[0].keyHash).not.toContain(key);
+    expect(JSON.stringify(response.body.data.apiKey)).not.toContain(keys[0].keyHash);
+    expect(await ApiKey.findByKey(key)).toBe(keys[0]);
+  });
+
+  test('refuses unknown scopes and keys beyond the per-user limit', async () => {
+    mockKeyStore();
+    const authorization = authenticateAs(buildUser());
+
+    const badScope = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', authorization)
+      .send({ name: 'CI', scopes: ['users:manage'] });
+    expect(badScope.status).toBe(400);
+
+    jest.spyOn(ApiKey, 'countDocuments').mockResolvedValue(10);
+    const tooMany = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', authorization)
+      .send({ name: 'CI', scopes: ['assets:read'] });
+    expect(tooMany.status).toBe(400);
+    expect(ApiKey.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('rateLimitByApiKey', () => {
+  const buildLimitedApp = () => {
+    const app = express();
+    app.use(rateLimitByApiKey(rateLimit({ windowMs: 60 * 1000, max: 2 })));
+    app.get('/', (req, res) => res.json({ success: true }));
+    return app;
+  };
+
+  const statuses = async (app, count, key) => {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      const pending = request(app).get('/');
+      results.push((await (key ? pending.set('X-API-Key', key) : pending)).status);
+    }
+    return results;
+  };
+
+  test('limits valid keys by their own rate instead of the IP limit', async () => {
+    mockKeyStore();
+    const { key } = await ApiKey.generate(buildUser()._id, { name: 'CI', scopes: ['assets:read'], rateLimitPerMinute: 4 });
+
+    expect(await statuses(buildLimitedApp(), 5, key)).toEqual([200, 200, 200, 200, 429]);
+  });
+
+  test('keeps the IP limit for requests without a key or with an invalid one', async () => {
+    mockKeyStore();
+    const app = buildLimitedApp();
+
+    expect(await statuses(app, 2, 'azk_00000000_guessed')).toEqual([200, 200]);
+    expect(await statuses(app, 1)).toEqual([429]);
+  });
+});
+
+describe('password changes and API keys', () => {
+  const app = buildApp('/api/auth', authRoutes);
+
+  beforeEach(() => {
+    jest.spyOn(Mailer.prototype, 'sendPasswordChangedEmail').mockResolvedValue();
+    jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  test('changing the password revokes every key', async () => {
+    const user = buildUser();
+    const authorization = authenticateAs(user);
+    const revokeKeys = jest.spyOn(ApiKey, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const response = await request(app)
+      .put('/api/auth/password')
+      .set('Authorization', authorization)
+      .send({ currentPassword: 'CorrectHorse1!', newPassword: 'BrandNewPass1!' });
+
+    expect(response.status).toBe(200);
+    expect(revokeKeys).toHaveBeenCalledWith({ user: user._id, revokedAt: null }, { revokedAt: expect.any(Date) });
+  });
+
+  test('resetting the password revokes every key', async () => {
+    const user = buildUser({ email: 'keys@example.com' });
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(user));
+    jest.spyOn(PasswordResetToken, 'consume').mockResolvedValue({ _id: 'record' });
+    const revokeKeys = jest.spyOn(ApiKey, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const response = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ email: 'keys@example.com', code: '123456', newPassword: 'BrandNewPass1!' });
+
+    expect(response.status).toBe(200);
+    expect(revokeKeys).toHaveBeenCalledWith({ user: user._id, revokedAt: null }, { revokedAt: expect.any(Date) });
+  });
+});
@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import Asset from '../models/Asset.js';
+import assetRoutes from '../routes/assets.js';
+import { buildApp, buildAsset, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/assets', assetRoutes);
+
+const LISTED = { status: 'published', visibility: { $ne: 'unlisted' }, isPublic: true, isApproved: true };
+
+describe('GET /api/assets search', () => {
+  let find;
+  let sort;
+  let getSearchFacets;
+
+  beforeEach(() => {
+    sort = jest.fn();
+    find = jest.spyOn(Asset, 'find').mockImplementation(() => {
+      const query = mockQuery([buildAsset({ status: 'published', isApproved: true })]);
+      query.sort = (value) => {
+        sort(value);
+        return query;
+      };
+      return query;
+    });
+    jest.spyOn(Asset, 'countDocuments').mockResolvedValue(1);
+    getSearchFacets = jest.spyOn(Asset, 'getSearchFacets').mockResolvedValue({ categories: [{ value: 'photography', count: 1 }] });
+  });
+
+  test('matches any of several values per facet and counts facets without the selections', async () => {
+    const response = await request(app)
+      .get('/api/assets?category=photography,digital-art&license=commercial&license=personal&fileFormat=PNG&tags=sky&minPrice=5');
+
+    expect(response.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({
+      ...LISTED,
+      category: { $in: ['photography', 'digital-art'] },
+      license: { $in: ['commercial', 'personal'] },
+      fileFormat: { $in: ['png'] },
+      tags: { $in: ['sky'] },
+      price: { $gte: 5 }
+    });
+    expect(getSearchFacets).toHaveBeenCalledWith(LISTED, {
+      category: { category: { $in: ['photography', 'digital-art'] } },
+      license: { license: { $in: ['commercial', 'personal'] } },
+      fileFormat: { fileFormat: { $in: ['png'] } },
+      tags: { tags: { $in: ['sky'] } },
+      price: { price: { $gte: 5 } }
+    });
+    expect(response.body.data.facets.categories).toEqual([{ value: 'photography', count: 1 }]);
+  });
+
+  test('sorts searches by relevance and everything else by a whitelisted field', async () => {
+    await request(app).get('/api/assets?search=sunset');
+    expect(find).toHaveBeenLastCalledWith(expect.objectContaining({ $text: { $search: 'sunset' } }));
+    expect(sort).toHaveBeenLastCalledWith({ score: { $meta: 'textScore' }, _id: -1 });
+
+    await request(app).get('/api/assets?sortBy=title&sortOrder=asc');
+    expect(sort).toHaveBeenLastCalledWith({ title: 1, _id: 1 });
+
+    // Relevance without a search falls back to the newest assets
+    await request(app).get('/api/assets?sortBy=relevance');
+    expect(sort).toHaveBeenLastCalledWith({ createdAt: -1, _id: -1 });
+  });
+
+  test('refuses sort fields and filters outside the whitelist', async () => {
+    expect((await request(app).get('/api/assets?sortBy=originalFile.path')).status).toBe(400);
+    expect((await request(app).get('/api/assets?sortOrder=sideways')).status).toBe(400);
+    expect((await request(app).get('/api/assets?orientation=diagonal')).status).toBe(400);
+    expect((await request(app).get('/api/assets?minWidth=-5')).status).toBe(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('filters by dimensions and orientation, only matching assets with known dimensions', async () => {
+    await request(app).get('/api/assets?minWidth=1920&maxHeight=1080&orientation=landscape&facets=false');
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      'dimensions.width': { $gt: 0, $gte: 1920 },
+      'dimensions.height': { $gt: 0, $lte: 1080 },
+      $expr: { $gt: ['$dimensions.width', '$dimensions.height'] }
+    }));
+    expect(getSearchFacets).not.toHaveBeenCalled();
+  });
+});
+
+describe('Asset.getSearchFacets', () => {
+  test('lets each facet ignore its own selection and labels the price ranges', async () => {
+    const aggregate = jest.spyOn(Asset, 'aggregate').mockResolvedValue([{
+      categories: [{ _id: 'photography', count: 3 }],
+      licenses: [{ _id: 'commercial', count: 2 }],
+      fileFormats: [],
+      tags: [{ _id: 'sky', count: 2 }],
+      priceRanges: [{ _id: 10, count: 2 }, { _id: 250, count: 1 }]
+    }]);
+
+    const facets = await Asset.getSearchFacets(LISTED, {
+      category: { category: { $in: ['photography'] } },
+      license: { license: { $in: ['commercial'] } },
+      fileFormat: null,
+      tags: null,
+      price: null
+    });
+
+    const [match, { $facet: pipelines }] = aggregate.mock.calls[0][0];
+    expect(match).toEqual({ $match: LISTED });
+    expect(pipelines.categories[0]).toEqual({ $match: { license: { $in: ['commercial'] } } });
+    expect(pipelines.licenses[0]).toEqual({ $match: { category: { $in: ['photography'] } } });
+    expect(pipelines.fileFormats[0]).toEqual({ $match: { category: { $in: ['photography'] }, license: { $in: ['commercial'] } } });
+    expect(pipelines.tags).toContainEqual({ $unwind: '$tags' });
+    expect(pipelines.tags).toContainEqual({ $limit: 20 });
+
+    expect(facets.categories).toEqual([{ value: 'photography', count: 3 }]);
+    expect(facets.priceRanges).toEqual([
+      { min: 10, max: 25, count: 2 },
+      { min: 250, max: null, count: 1 }
+    ]);
+  });
+});
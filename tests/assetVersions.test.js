@@ -0,0 +1,245 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Asset from '../models/Asset.js';
+import AssetVersion from '../models/AssetVersion.js';
+import Payment from '../models/Payment.js';
+import ModerationAction from '../models/ModerationAction.js';
+import AssetUploadService from '../utils/assetUploadService.js';
+import ImageProcessor from '../utils/imageProcessor.js';
+import assetRoutes from '../routes/assets.js';
+import { buildApp, buildUser, buildAsset, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/assets', assetRoutes);
+
+describe('PUT /api/assets/:id/file', () => {
+  let creator;
+  let asset;
+
+  beforeEach(() => {
+    creator = buildUser({ role: 'creator', verifiedCreator: true });
+    asset = buildAsset({
+      creator: creator._id,
+      isApproved: true,
+      moderationStatus: 'approved',
+      originalFile: { filename: 'v1.png', path: '/files/v1.png', size: 100, mimetype: 'image/png' }
+    });
+    jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+    jest.spyOn(AssetUploadService.prototype, 'processFile').mockResolvedValue({
+      originalFile: { filename: 'v2.png', path: '/files/v2.png', size: 200, mimetype: 'image/png' },
+      watermarkedFile: { filename: 'v2-wm.png', path: '/files/v2-wm.png' },
+      duplicateCheck: {}
+    });
+    jest.spyOn(AssetVersion, 'exists').mockResolvedValue(null);
+    jest.spyOn(AssetVersion.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(AssetVersion, 'create').mockImplementation(async fields => fields);
+  });
+
+  const replace = (user, changelog = 'Sharper colours') => request(app)
+    .put(`/api/assets/${asset._id}/file`)
+    .set('Authorization', authenticateAs(user))
+    .field('changelog', changelog)
+    .attach('file', Buffer.from('new file'), { filename: 'v2.png', contentType: 'image/png' });
+
+  test('keeps the original upload as version 1 and makes the new file current', async () => {
+    const response = await replace(creator);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Asset file replaced (version 2)');
+    expect(AssetVersion.prototype.save).toHaveBeenCalledTimes(1);
+    expect(AssetVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+      asset: asset._id,
+      version: 2,
+      changelog: 'Sharper colours',
+      createdBy: creator._id
+    }));
+    expect(asset.currentVersion).toBe(2);
+    expect(asset.originalFile.path).toBe('/files/v2.png');
+    expect(asset.save).toHaveBeenCalled();
+  });
+
+  test('sends the asset of an unverified creator back to the moderation queue', async () => {
+    const unverified = buildUser({ role: 'creator' });
+    asset.creator = unverified._id;
+    jest.spyOn(ModerationAction, 'create').mockImplementation(async fields => fields);
+
+    const response = await replace(unverified);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toMatch(/awaiting moderation/);
+    expect(asset.isApproved).toBe(false);
+    expect(asset.moderationStatus).toBe('pending');
+    expect(ModerationAction.create).toHaveBeenCalledWith(expect.objectContaining({ reason: expect.stringMatching(/^File replaced \(version 2\)/) }));
+  });
+
+  test('answers 409 when another replacement took the version number', async () => {
+    AssetVersion.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    const cleanupTempFiles = jest.spyOn(ImageProcessor.prototype, 'cleanupTempFiles').mockResolvedValue();
+
+    const response = await replace(creator);
+
+    expect(response.status).toBe(409);
+    expect(cleanupTempFiles).toHaveBeenCalledWith(['/files/v2.png', '/files/v2-wm.png']);
+    expect(asset.currentVersion).toBe(1);
+    expect(asset.save).not.toHaveBeenCalled();
+  });
+
+  test('requires a changelog and refuses other users and taken-down assets', async () => {
+    expect((await replace(creator, '')).status).toBe(400);
+    expect((await replace(buildUser({ role: 'creator' }))).status).toBe(403);
+
+    asset.status = 'flagged';
+    expect((await replace(creator)).status).toBe(409);
+    expect(AssetUploadService.prototype.processFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/assets/:id/versions', () => {
+  let creator;
+  let asset;
+
+  beforeEach(() => {
+    creator = buildUser({ role: 'creator' });
+    asset = buildAsset({ creator: creator._id, currentVersion: 2 });
+    jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+    jest.spyOn(AssetVersion, 'find').mockReturnValue(mockQuery([
+      new AssetVersion({ asset: asset._id, version: 2, changelog: 'Fixed', ipfsData: { cid: 'bafy2' } }),
+      new AssetVersion({ asset: asset._id, version: 1, changelog: 'Initial upload', ipfsData: { cid: 'bafy1' } })
+    ]));
+  });
+
+  test('lists versions newest first for the creator, with IPFS data', async () => {
+    const response = await request(app)
+      .get(`/api/assets/${asset._id}/versions`)
+      .set('Authorization', authenticateAs(creator));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.currentVersion).toBe(2);
+    expect(response.body.data.versions.map(version => [version.version, version.isCurrent])).toEqual([[2, true], [1, false]]);
+    expect(response.body.data.versions[0].ipfsData.cid).toBe('bafy2');
+  });
+
+  test('shows buyers the changelogs without IPFS data, and refuses everyone else', async () => {
+    const buyer = buildUser();
+    const hasCompletedPurchase = jest.spyOn(Payment, 'hasCompletedPurchase').mockResolvedValue(true);
+
+    const response = await request(app)
+      .get(`/api/assets/${asset._id}/versions`)
+      .set('Authorization', authenticateAs(buyer));
+    expect(response.status).toBe(200);
+    expect(response.body.data.versions[0].ipfsData).toBeUndefined();
+
+    hasCompletedPurchase.mockResolvedValue(false);
+    const refused = await request(app)
+      .get(`/api/assets/${asset._id}/versions`)
+      .set('Authorization', authenticateAs(buildUser()));
+    expect(refused.status).toBe(403);
+  });
+
+  test('presents an asset that was never replaced as version 1', async () => {
+    asset.currentVersion = 1;
+    AssetVersion.find.mockReturnValue(mockQuery([]));
+
+    const response = await request(app)
+      .get(`/api/assets/${asset._id}/versions`)
+      .set('Authorization', authenticateAs(creator));
+
+    expect(response.body.data.versions).toHaveLength(1);
+    expect(response.body.data.versions[0]).toMatchObject({ version: 1, changelog: 'Initial upload', isCurrent: true });
+  });
+});
+
+describe('GET /api/assets/:id/versions/:version/download', () => {
+  let workDir;
+  let creator;
+  let asset;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-versions-'));
+    await fs.writeFile(path.join(workDir, 'v1.txt'), 'version 1');
+    await fs.writeFile(path.join(workDir, 'v2.txt'), 'version 2');
+
+    creator = buildUser({ role: 'creator' });
+    asset = buildAsset({
+      creator: creator._id,
+      currentVersion: 2,
+      originalFile: { filename: 'v2.txt', path: path.join(workDir, 'v2.txt') }
+    });
+    jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+    jest.spyOn(AssetVersion, 'findOne').mockResolvedValue(
+      new AssetVersion({ asset: asset._id, version: 1, originalFile: { filename: 'v1.txt', path: path.join(workDir, 'v1.txt') } })
+    );
+    jest.spyOn(Asset.prototype, 'incrementDownloads').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const download = (user, version) => request(app)
+    .get(`/api/assets/${asset._id}/versions/${version}/download`)
+    .set('Authorization', authenticateAs(user));
+
+  test('lets the creator download any version without counting it', async () => {
+    const response = await download(creator, 1);
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('version 1');
+    expect(asset.incrementDownloads).not.toHaveBeenCalled();
+    expect((await download(creator, 3)).status).toBe(404);
+  });
+
+  test('lets buyers with active access download only the latest version', async () => {
+    const buyer = buildUser();
+    const exists = jest.spyOn(Payment, 'exists').mockResolvedValue({ _id: 'payment' });
+
+    const response = await download(buyer, 'latest');
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('version 2');
+    expect(asset.incrementDownloads).toHaveBeenCalled();
+    expect(exists).toHaveBeenCalledWith(expect.objectContaining({
+      asset: asset._id,
+      paymentStatus: 'completed',
+      buyer: buyer._id,
+      accessGranted: true,
+      $and: [{ $or: [{ accessExpiresAt: null }, { accessExpiresAt: { $gt: expect.any(Date) } }] }]
+    }));
+
+    const older = await download(buyer, 1);
+    expect(older.status).toBe(403);
+    expect(older.body.error).toBe('Buyers can only download the latest version');
+  });
+
+  test('refuses buyers whose download access expired, and anyone once the asset is taken down', async () => {
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+    const expired = await download(buildUser(), 'latest');
+    expect(expired.status).toBe(403);
+    expect(expired.body.error).toBe('Purchase this asset to download it');
+
+    Payment.exists.mockResolvedValue({ _id: 'payment' });
+    asset.status = 'flagged';
+    expect((await download(buildUser(), 'latest')).status).toBe(403);
+  });
+});
+
+describe('Payment.hasCompletedPurchase', () => {
+  test('matches purchases from linked wallets, and only checks access when asked', async () => {
+    const user = buildUser({ wallets: [{ address: '0xabc' }] });
+    const exists = jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+
+    await Payment.hasCompletedPurchase('asset', user);
+    expect(exists).toHaveBeenLastCalledWith({
+      asset: 'asset',
+      paymentStatus: 'completed',
+      $or: [{ buyer: user._id }, { buyerAddress: { $in: ['0xabc'] } }]
+    });
+
+    await Payment.hasCompletedPurchase('asset', user, { activeAccess: true });
+    expect(exists).toHaveBeenLastCalledWith(expect.objectContaining({
+      $or: [{ buyer: user._id }, { buyerAddress: { $in: ['0xabc'] } }],
+      accessGranted: true
+    }));
+  });
+});
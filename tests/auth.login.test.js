@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import Mailer from '../utils/mailer.js';
+import authRoutes from '../routes/auth.js';
+import { buildApp, buildUser, mockQuery, mockLoginAudit } from './helpers.js';
+
+const app = buildApp('/api/auth', authRoutes);
+
+// Each test uses its own email, so the per-IP/email login limiter never kicks in
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+// One user "in the database": every login loads a fresh copy, and the lockout updates apply to the
+// stored fields the way MongoDB would, yielding between calls so concurrent requests interleave
+const mockStoredUser = (email, fields = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  const stored = { failedLoginAttempts: 0, lockUntil: undefined, ...fields };
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(buildUser({ _id, email, ...stored })));
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    await tick();
+    stored.failedLoginAttempts += update.$inc.failedLoginAttempts;
+    return { ...stored };
+  });
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    await tick();
+    if (update.$max) {
+      if (!stored.lockUntil || update.$max.lockUntil > stored.lockUntil) stored.lockUntil = update.$max.lockUntil;
+    } else if (stored.failedLoginAttempts >= filter.failedLoginAttempts.$gte && stored.lockUntil <= filter.lockUntil.$lte) {
+      Object.assign(stored, update);
+    }
+    return {};
+  });
+
+  return stored;
+};
+
+describe('POST /api/auth/login lockout', () => {
+  let sendAccountLockedEmail;
+
+  beforeEach(() => {
+    mockLoginAudit();
+    sendAccountLockedEmail = jest.spyOn(Mailer.prototype, 'sendAccountLockedEmail').mockResolvedValue();
+  });
+
+  test('locks the account on the fifth wrong password and refuses the right one', async () => {
+    const stored = mockStoredUser('lockout@example.com', {
+      failedLoginAttempts: 4,
+      lockUntil: new Date(Date.now() - 1000)
+    });
+
+    const failed = await login('lockout@example.com', 'wrong-password');
+    expect(failed.status).toBe(401);
+    expect(stored.failedLoginAttempts).toBe(5);
+    expect(sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+
+    const locked = await login('lockout@example.com', 'CorrectHorse1!');
+    expect(locked.status).toBe(429);
+    expect(locked.body.error).toMatch(/temporarily locked/);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(14 * 60);
+  });
+
+  test('counts every one of several concurrent wrong passwords', async () => {
+    const stored = mockStoredUser('concurrent@example.com');
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => login('concurrent@example.com', 'wrong-password'))
+    );
+    expect(responses.map(response => response.status)).toEqual([401, 401, 401, 401, 401]);
+    expect(stored.failedLoginAttempts).toBe(5);
+    expect(stored.lockUntil.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+    expect(sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+
+    expect((await login('concurrent@example.com', 'CorrectHorse1!')).status).toBe(429);
+  });
+
+  test('delays the next attempt after the third wrong password', async () => {
+    mockStoredUser('delay@example.com', { failedLoginAttempts: 2 });
+
+    expect((await login('delay@example.com', 'wrong-password')).status).toBe(401);
+
+    const delayed = await login('delay@example.com', 'CorrectHorse1!');
+    expect(delayed.status).toBe(429);
+    expect(delayed.body.error).toMatch(/wait before trying again/);
+    expect(sendAccountLockedEmail).not.toHaveBeenCalled();
+  });
+
+  test('starts counting again once a lockout has expired', async () => {
+    const stored = mockStoredUser('expired@example.com', {
+      failedLoginAttempts: 5,
+      lockUntil: new Date(Date.now() - 1000)
+    });
+
+    expect((await login('expired@example.com', 'wrong-password')).status).toBe(401);
+    expect(stored.failedLoginAttempts).toBe(1);
+    expect(sendAccountLockedEmail).not.toHaveBeenCalled();
+  });
+
+  test('answers unknown emails like wrong passwords', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(null));
+
+    const response = await login('nobody@example.com', 'whatever');
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid credentials');
+    expect(LoginAttempt.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ reason: 'unknown-user' }));
+  });
+});
+
+describe('POST /api/auth/login throttling', () => {
+  test('throttles repeated attempts for one IP and email, and audits them', async () => {
+    mockLoginAudit();
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(null));
+
+    for (let i = 0; i < 10; i++) {
+      expect((await login('throttled@example.com', 'wrong-password')).status).toBe(401);
+    }
+
+    const throttled = await login('throttled@example.com', 'wrong-password');
+    expect(throttled.status).toBe(429);
+    expect(LoginAttempt.record).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({ reason: 'throttled' }));
+  });
+});
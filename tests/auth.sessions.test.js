@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import authRoutes from '../routes/auth.js';
+import { buildApp, buildUser, authenticateAs } from './helpers.js';
+
+const app = buildApp('/api/auth', authRoutes);
+
+describe('session management', () => {
+  let user;
+  let authorization;
+  let current;
+
+  beforeEach(async () => {
+    user = buildUser();
+    authorization = authenticateAs(user);
+    current = await Session.findById();
+    jest.spyOn(Session.prototype, 'revoke').mockImplementation(function(reason) {
+      this.revokedAt = new Date();
+      this.revokedReason = reason;
+      return Promise.resolve(this);
+    });
+  });
+
+  test('logout revokes the current session', async () => {
+    const response = await request(app).post('/api/auth/logout').set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(current.revokedReason).toBe('logout');
+    expect((await request(app).post('/api/auth/logout').set('Authorization', authorization)).status).toBe(401);
+  });
+
+  test('only revokes sessions that belong to the signed-in user', async () => {
+    const findOne = jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+    const otherSessionId = new mongoose.Types.ObjectId();
+
+    const response = await request(app)
+      .delete(`/api/auth/sessions/${otherSessionId}`)
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(404);
+    expect(findOne).toHaveBeenCalledWith({ _id: String(otherSessionId), user: user._id });
+  });
+
+  test('signs out every other device but keeps this one', async () => {
+    const revokeAllForUser = jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 3 });
+
+    const response = await request(app).delete('/api/auth/sessions').set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.revoked).toBe(3);
+    expect(revokeAllForUser).toHaveBeenCalledWith(user._id, 'revoked', current._id);
+  });
+});
@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { Wallet } from 'ethers';
+import User from '../models/User.js';
+import SiweService from '../utils/siweService.js';
+import SessionService from '../utils/sessionService.js';
+import authRoutes from '../routes/auth.js';
+import { buildApp, buildUser, authenticateAs, mockLoginAudit } from './helpers.js';
+
+const app = buildApp('/api/auth', authRoutes);
+
+describe('POST /api/auth/siwe/verify', () => {
+  const address = Wallet.createRandom().address;
+  const signed = { message: 'signed message', signature: `0x${'a'.repeat(130)}` };
+
+  beforeEach(() => {
+    mockLoginAudit();
+    jest.spyOn(SiweService.prototype, 'verify').mockResolvedValue({ address, chainId: 1 });
+  });
+
+  test('links the wallet to the signed-in account and makes it the payout wallet', async () => {
+    const user = buildUser();
+    const authorization = authenticateAs(user);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/auth/siwe/verify').set('Authorization', authorization).send(signed);
+
+    expect(response.status).toBe(200);
+    expect(user.hasVerifiedWallet(address)).toBe(true);
+    expect(user.walletAddress).toBe(address.toLowerCase());
+  });
+
+  test('refuses a wallet linked to another account', async () => {
+    const user = buildUser();
+    const authorization = authenticateAs(user);
+    jest.spyOn(User, 'findOne').mockResolvedValue(buildUser());
+
+    const response = await request(app).post('/api/auth/siwe/verify').set('Authorization', authorization).send(signed);
+
+    expect(response.status).toBe(409);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('answers 409 when another account links the wallet at the same time', async () => {
+    const user = buildUser();
+    const authorization = authenticateAs(user);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    user.save.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const response = await request(app).post('/api/auth/siwe/verify').set('Authorization', authorization).send(signed);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('Wallet is already linked to another account');
+  });
+
+  test('logs in with a linked wallet', async () => {
+    const owner = buildUser({ wallets: [{ address }] });
+    jest.spyOn(User, 'findOne').mockResolvedValue(owner);
+    const createSession = jest.spyOn(SessionService.prototype, 'createSession')
+      .mockResolvedValue({ token: 'access', refreshToken: 'refresh', expiresIn: '15m' });
+
+    const response = await request(app).post('/api/auth/siwe/verify').send(signed);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.token).toBe('access');
+    expect(createSession).toHaveBeenCalledWith(owner, expect.any(Object));
+  });
+
+  test('refuses unlinked wallets and bad signatures', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    expect((await request(app).post('/api/auth/siwe/verify').send(signed)).status).toBe(404);
+
+    SiweService.prototype.verify.mockRejectedValue(new Error('Invalid signature'));
+    const response = await request(app).post('/api/auth/siwe/verify').send(signed);
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid signature');
+  });
+});
+
+describe('PUT /api/auth/profile walletAddress', () => {
+  test('only accepts a verified wallet as the payout wallet', async () => {
+    const user = buildUser();
+    const authorization = authenticateAs(user);
+    const update = jest.spyOn(User, 'findByIdAndUpdate');
+
+    const response = await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', authorization)
+      .send({ walletAddress: Wallet.createRandom().address });
+
+    expect(response.status).toBe(400);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
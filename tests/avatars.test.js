@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import ImageProcessor from '../utils/imageProcessor.js';
+import AIService from '../utils/aiService.js';
+import authRoutes from '../routes/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { buildApp, buildUser, authenticateAs } from './helpers.js';
+
+const app = buildApp('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const png = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } }
+}).png().toBuffer();
+
+const variantsFor = (name) => [64, 256, 512].map(size => ({
+  size,
+  filename: `${name}_${size}.webp`,
+  url: `/uploads/avatars/${name}_${size}.webp`
+}));
+
+describe('PUT /api/auth/profile/avatar', () => {
+  let user;
+  let authorization;
+  let cleanupTempFiles;
+
+  beforeEach(() => {
+    user = buildUser({ avatar: '/uploads/avatars/old_256.webp', avatarVariants: variantsFor('old') });
+    authorization = authenticateAs(user);
+    cleanupTempFiles = jest.spyOn(ImageProcessor.prototype, 'cleanupTempFiles').mockResolvedValue();
+    jest.spyOn(ImageProcessor.prototype, 'processAvatar').mockResolvedValue(variantsFor('new'));
+  });
+
+  const upload = async (mimetype = 'image/png') => request(app)
+    .put('/api/auth/profile/avatar')
+    .set('Authorization', authorization)
+    .attach('avatar', await png(10, 10), { filename: 'avatar.png', contentType: mimetype });
+
+  test('replaces the avatar and only then removes the old files', async () => {
+    jest.spyOn(AIService.prototype, 'validateImageContent').mockResolvedValue({ isAppropriate: true });
+
+    const response = await upload();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.user.avatar).toBe('/uploads/avatars/new_256.webp');
+    expect(response.body.data.user.avatarVariants).toHaveLength(3);
+    expect(user.save).toHaveBeenCalled();
+    expect(cleanupTempFiles).toHaveBeenCalledWith(
+      variantsFor('old').map(variant => path.join(new ImageProcessor().uploadPath, 'avatars', variant.filename))
+    );
+  });
+
+  test('refuses images that fail moderation before writing anything', async () => {
+    jest.spyOn(AIService.prototype, 'validateImageContent').mockResolvedValue({ isAppropriate: false });
+
+    const response = await upload();
+
+    expect(response.status).toBe(400);
+    expect(ImageProcessor.prototype.processAvatar).not.toHaveBeenCalled();
+    expect(user.avatar).toBe('/uploads/avatars/old_256.webp');
+    expect(cleanupTempFiles).not.toHaveBeenCalled();
+  });
+
+  test('refuses files that are not images', async () => {
+    const response = await request(app)
+      .put('/api/auth/profile/avatar')
+      .set('Authorization', authorization)
+      .attach('avatar', Buffer.from('%PDF-1.4'), { filename: 'avatar.pdf', contentType: 'application/pdf' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/Invalid file type/);
+    expect(ImageProcessor.prototype.processAvatar).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/auth/profile/avatar', () => {
+  test('clears the avatar and removes its files', async () => {
+    const user = buildUser({ avatar: '/uploads/avatars/old_256.webp', avatarVariants: variantsFor('old') });
+    const cleanupTempFiles = jest.spyOn(ImageProcessor.prototype, 'cleanupTempFiles').mockResolvedValue();
+
+    const response = await request(app).delete('/api/auth/profile/avatar').set('Authorization', authenticateAs(user));
+
+    expect(response.status).toBe(200);
+    expect(user.avatar).toBeNull();
+    expect(user.avatarVariants).toHaveLength(0);
+    expect(cleanupTempFiles.mock.calls[0][0]).toHaveLength(3);
+  });
+});
+
+describe('ImageProcessor.processAvatar', () => {
+  test('writes square WebP variants in every size', async () => {
+    const imageProcessor = new ImageProcessor();
+    imageProcessor.uploadPath = await fs.mkdtemp(path.join(os.tmpdir(), 'avatars-'));
+
+    const variants = await imageProcessor.processAvatar(await png(300, 120), 'user1');
+
+    expect(variants.map(variant => variant.size)).toEqual([64, 256, 512]);
+    for (const variant of variants) {
+      const metadata = await sharp(variant.path).metadata();
+      expect(metadata).toMatchObject({ format: 'webp', width: variant.size, height: variant.size });
+      expect(metadata.exif).toBeUndefined();
+    }
+
+    await fs.rm(imageProcessor.uploadPath, { recursive: true, force: true });
+  });
+
+  test('rejects data that is not an image', async () => {
+    await expect(new ImageProcessor().processAvatar(Buffer.from('not an image'), 'user1')).rejects.toThrow(/Failed to process avatar/);
+  });
+});
@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import archiver from 'archiver';
+import User from '../models/User.js';
+import BulkImport from '../models/BulkImport.js';
+import BulkImportService, { parseCsv } from '../utils/bulkImportService.js';
+import AssetUploadService, { UploadRejectedError } from '../utils/assetUploadService.js';
+import assetRoutes from '../routes/assets.js';
+import { buildApp, buildUser, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/assets', assetRoutes);
+
+// Write a ZIP with the given { name: contents } entries
+const writeZip = (zipPath, files) => new Promise((resolve, reject) => {
+  const output = createWriteStream(zipPath);
+  const archive = archiver('zip');
+  output.on('close', resolve);
+  archive.on('error', reject);
+  archive.pipe(output);
+  Object.entries(files).forEach(([name, contents]) => archive.append(contents, { name }));
+  archive.finalize();
+});
+
+const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes, CRLF line endings and a BOM', () => {
+    const rows = parseCsv('\uFEFFfile,Title,tags\r\na.png,"Sunset, warm","sky,""red"""\r\n\r\nb.mp4,Intro,\r\n');
+
+    expect(rows).toEqual([
+      { file: 'a.png', title: 'Sunset, warm', tags: 'sky,"red"' },
+      { file: 'b.mp4', title: 'Intro', tags: '' }
+    ]);
+  });
+});
+
+describe('BulkImportService', () => {
+  let service;
+  let workDir;
+  let user;
+
+  beforeEach(async () => {
+    service = new BulkImportService();
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bulk-imports-'));
+    service.importPath = workDir;
+    user = buildUser({ role: 'creator' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const archiveWith = async (files) => {
+    const archivePath = path.join(workDir, 'upload.zip');
+    await writeZip(archivePath, files);
+    return { path: archivePath, originalname: 'upload.zip' };
+  };
+
+  test('queues an import and fails unusable manifest rows up front', async () => {
+    const archive = await archiveWith({
+      'manifest.json': JSON.stringify([
+        { file: 'art/one.png', title: 'One', description: 'First', price: 5 },
+        { file: 'art/missing.png', title: 'Missing', description: 'Not in the archive' },
+        { file: 'art/one.png', title: 'No description' },
+        { file: 'notes.exe', title: 'Binary', description: 'Unsupported' }
+      ]),
+      'art/one.png': Buffer.alloc(16),
+      'notes.exe': Buffer.alloc(16)
+    });
+    const create = jest.spyOn(BulkImport, 'create').mockImplementation(async fields => fields);
+
+    const job = await service.createJob(user, archive);
+
+    expect(create).toHaveBeenCalled();
+    expect(job).toMatchObject({ user: user._id, manifestFormat: 'json', failed: 3 });
+    expect(job.items.map(item => item.status || 'pending')).toEqual(['pending', 'failed', 'failed', 'failed']);
+    expect(job.items.map(item => item.error)).toEqual([
+      undefined,
+      'File "art/missing.png" not found in archive',
+      'Missing description',
+      'Unsupported file type'
+    ]);
+  });
+
+  test('refuses archives without a manifest and removes them', async () => {
+    const archive = await archiveWith({ 'one.png': Buffer.alloc(16) });
+
+    await expect(service.createJob(user, archive)).rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/manifest/) });
+    expect(await exists(archive.path)).toBe(false);
+  });
+
+  test('imports each item and reports failures per item', async () => {
+    const archive = await archiveWith({
+      'manifest.csv': 'file,title,description,price\none.png,One,First,5\ntwo.png,Two,Second,5\n',
+      'one.png': Buffer.from('one'),
+      'two.png': Buffer.from('two')
+    });
+    const job = new BulkImport({
+      user: user._id,
+      archivePath: archive.path,
+      archiveName: 'upload.zip',
+      manifestFormat: 'csv',
+      items: [
+        { index: 0, file: 'one.png', title: 'One', description: 'First', price: '5' },
+        { index: 1, file: 'two.png', title: 'Two', description: 'Second', price: '5' }
+      ]
+    });
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    jest.spyOn(BulkImport, 'findOneAndUpdate').mockReturnValueOnce(mockQuery(job)).mockReturnValue(mockQuery(null));
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const assetId = new mongoose.Types.ObjectId();
+    const createAsset = jest.spyOn(AssetUploadService.prototype, 'createAsset')
+      .mockResolvedValueOnce({ _id: assetId })
+      .mockRejectedValueOnce(new UploadRejectedError(409, 'Duplicate content detected'));
+
+    const [result, second] = await Promise.all([service.runImport(job._id), service.runImport(job._id)]);
+
+    expect(second).toBeNull();
+    expect(result.status).toBe('completed');
+    expect(createAsset).toHaveBeenCalledTimes(2);
+    expect(createAsset.mock.calls[0][1]).toMatchObject({ originalname: 'one.png', mimetype: 'image/png', buffer: Buffer.from('one') });
+    expect(result.items.map(item => [item.status, item.error])).toEqual([
+      ['succeeded', undefined],
+      ['failed', 'Duplicate content detected']
+    ]);
+    expect(result.items[0].asset).toEqual(assetId);
+    expect([result.succeeded, result.failed]).toEqual([1, 1]);
+    expect(await exists(archive.path)).toBe(false);
+  });
+});
+
+describe('bulk import routes', () => {
+  test('require an archive', async () => {
+    const response = await request(app)
+      .post('/api/assets/bulk-imports')
+      .set('Authorization', authenticateAs(buildUser({ role: 'creator' })));
+
+    expect(response.status).toBe(400);
+  });
+
+  test('only show your own imports', async () => {
+    const user = buildUser({ role: 'creator' });
+    const findOne = jest.spyOn(BulkImport, 'findOne').mockResolvedValue(null);
+    const jobId = new mongoose.Types.ObjectId();
+
+    const response = await request(app).get(`/api/assets/bulk-imports/${jobId}`).set('Authorization', authenticateAs(user));
+
+    expect(response.status).toBe(404);
+    expect(findOne).toHaveBeenCalledWith({ _id: String(jobId), user: user._id });
+  });
+});
@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import UploadSession from '../models/UploadSession.js';
+import ChunkedUploadService from '../utils/chunkedUploadService.js';
+import assetRoutes, { isUploadChunkRequest } from '../routes/assets.js';
+import { buildApp, buildUser, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/assets', assetRoutes);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('POST /api/assets/uploads', () => {
+  const start = (authorization, fields) => request(app)
+    .post('/api/assets/uploads')
+    .set('Authorization', authorization)
+    .send({ filename: 'clip.mp4', mimetype: 'video/mp4', size: 1024, sha256: sha256('x'), ...fields });
+
+  test('starts large video uploads', async () => {
+    const user = buildUser({ role: 'creator' });
+    const create = jest.spyOn(ChunkedUploadService.prototype, 'create').mockImplementation(async (owner, fields) => (
+      new UploadSession({ user: owner._id, ...fields })
+    ));
+
+    const response = await start(authenticateAs(user), { size: 500 * 1024 * 1024 });
+
+    expect(response.status).toBe(201);
+    expect(response.headers['upload-offset']).toBe('0');
+    expect(create).toHaveBeenCalled();
+  });
+
+  test('refuses images larger than a regular upload', async () => {
+    const create = jest.spyOn(ChunkedUploadService.prototype, 'create');
+
+    const response = await start(authenticateAs(buildUser({ role: 'creator' })), {
+      filename: 'huge.png',
+      mimetype: 'image/png',
+      size: 11 * 1024 * 1024
+    });
+
+    expect(response.status).toBe(413);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('PATCH /api/assets/uploads/:uploadId', () => {
+  let user;
+  let session;
+
+  beforeEach(() => {
+    user = buildUser({ role: 'creator' });
+    session = new UploadSession({ user: user._id, filename: 'clip.mp4', mimetype: 'video/mp4', size: 100, sha256: sha256('x'), receivedBytes: 40 });
+    jest.spyOn(UploadSession, 'findOne').mockReturnValue(mockQuery(session));
+  });
+
+  const patch = (authorization, offset) => request(app)
+    .patch(`/api/assets/uploads/${session._id}`)
+    .set('Authorization', authorization)
+    .set('Upload-Offset', String(offset))
+    .set('Content-Type', 'application/offset+octet-stream')
+    .send(Buffer.alloc(10));
+
+  test('refuses chunks that do not start at the current offset', async () => {
+    const appendChunk = jest.spyOn(ChunkedUploadService.prototype, 'appendChunk');
+
+    const response = await patch(authenticateAs(user), 0);
+
+    expect(response.status).toBe(409);
+    expect(response.headers['upload-offset']).toBe('40');
+    expect(appendChunk).not.toHaveBeenCalled();
+  });
+
+  test('limits chunks per user instead of per IP', async () => {
+    const authorization = authenticateAs(user);
+
+    for (let i = 0; i < 120; i++) {
+      expect((await patch(authorization, 0)).status).toBe(409);
+    }
+
+    expect((await patch(authorization, 0)).status).toBe(429);
+    // Someone else uploading from the same address is not held back
+    expect((await patch(authenticateAs(buildUser({ role: 'creator' })), 0)).status).toBe(409);
+  });
+
+  test('are exempt from the global limiter', () => {
+    expect(isUploadChunkRequest({ method: 'PATCH', originalUrl: `/api/assets/uploads/${session._id}` })).toBe(true);
+    expect(isUploadChunkRequest({ method: 'POST', originalUrl: `/api/assets/uploads/${session._id}/complete` })).toBe(false);
+    expect(isUploadChunkRequest({ method: 'PATCH', originalUrl: `/api/assets/${session._id}` })).toBe(false);
+  });
+});
+
+describe('ChunkedUploadService', () => {
+  const data = Buffer.from('resumable upload contents');
+  let service;
+  let session;
+
+  beforeEach(async () => {
+    service = new ChunkedUploadService();
+    service.sessionPath = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-sessions-'));
+    jest.spyOn(UploadSession.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    session = await service.create(buildUser(), { filename: '../../clip?.mp4', mimetype: 'video/mp4', size: data.length, sha256: sha256(data) });
+
+    // Advancing the offset and claiming the session apply to this one session, like the guarded updates would
+    jest.spyOn(UploadSession, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      if (filter.status !== session.status || (filter.receivedBytes !== undefined && filter.receivedBytes !== session.receivedBytes)) {
+        return mockQuery(null);
+      }
+      if (update.$inc) session.receivedBytes += update.$inc.receivedBytes;
+      if (update.status) session.status = update.status;
+      return mockQuery(session);
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(service.sessionPath, { recursive: true, force: true });
+  });
+
+  test('keeps only a safe base name of the uploaded file', () => {
+    expect(session.filename).toBe('clip_.mp4');
+    expect(path.dirname(session.tempPath)).toBe(service.sessionPath);
+  });
+
+  test('appends chunks at the offset and verifies the checksum', async () => {
+    await service.appendChunk(session, Readable.from([data.subarray(0, 10)]));
+    await service.appendChunk(session, Readable.from([data.subarray(10)]));
+    expect(session.receivedBytes).toBe(data.length);
+
+    const { file } = await service.verify(session);
+    expect(file.sha256).toBe(sha256(data));
+    expect(file.buffer.equals(data)).toBe(true);
+    expect(session.status).toBe('processing');
+  });
+
+  test('refuses chunks past the declared size', async () => {
+    await expect(service.appendChunk(session, Readable.from([Buffer.concat([data, data])])))
+      .rejects.toMatchObject({ code: 'CHUNK_TOO_LARGE' });
+    expect(session.receivedBytes).toBe(0);
+  });
+
+  test('fails uploads whose checksum does not match and drops their data', async () => {
+    await service.appendChunk(session, Readable.from([Buffer.alloc(data.length)]));
+
+    await expect(service.verify(session)).rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+    expect(session.status).toBe('failed');
+    await expect(fs.access(session.tempPath)).rejects.toThrow();
+  });
+
+  test('leaves files above the in-memory limit on disk', async () => {
+    service.inMemoryLimit = 10;
+    await service.appendChunk(session, Readable.from([data]));
+
+    const { file } = await service.verify(session);
+    expect(file.buffer).toBeUndefined();
+    expect(file.path).toBe(session.tempPath);
+  });
+});
@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import Collection from '../models/Collection.js';
+import collectionRoutes from '../routes/collections.js';
+import { buildApp, buildUser, buildAsset, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/collections', collectionRoutes);
+
+// Unsaved collection served by Collection.findById; save() and populate() are mocked
+const mockCollection = (fields) => {
+  const collection = new Collection({ title: 'Favourites', ...fields });
+  jest.spyOn(collection, 'save').mockResolvedValue(collection);
+  jest.spyOn(collection, 'populate').mockResolvedValue(collection);
+  jest.spyOn(Collection, 'findById').mockResolvedValue(collection);
+  return collection;
+};
+
+describe('collection management', () => {
+  let owner;
+  let assets;
+  let collection;
+
+  beforeEach(() => {
+    owner = buildUser();
+    assets = [buildAsset(), buildAsset(), buildAsset()];
+    collection = mockCollection({ owner: owner._id, assets: assets.map(asset => ({ asset: asset._id })) });
+  });
+
+  const ids = () => collection.assets.map(entry => String(entry.asset));
+
+  test('creates a collection owned by the current user', async () => {
+    const create = jest.spyOn(Collection, 'create').mockImplementation(async fields => new Collection(fields));
+
+    const response = await request(app)
+      .post('/api/collections')
+      .set('Authorization', authenticateAs(owner))
+      .send({ title: 'Sunsets', isPublic: 'false' });
+
+    expect(response.status).toBe(201);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ owner: owner._id, title: 'Sunsets', isPublic: false }));
+  });
+
+  test('adds an asset at a position and refuses duplicates and invisible assets', async () => {
+    const added = buildAsset();
+    const findOne = jest.spyOn(Asset, 'findOne').mockResolvedValue(added);
+    const authorization = authenticateAs(owner);
+
+    const response = await request(app)
+      .post(`/api/collections/${collection._id}/assets`)
+      .set('Authorization', authorization)
+      .send({ assetId: String(added._id), position: 1 });
+    expect(response.status).toBe(201);
+    expect(response.body.data.position).toBe(1);
+    expect(ids()[1]).toBe(String(added._id));
+    expect(findOne).toHaveBeenCalledWith(expect.objectContaining({ _id: String(added._id), $or: expect.any(Array) }));
+
+    const duplicate = await request(app)
+      .post(`/api/collections/${collection._id}/assets`)
+      .set('Authorization', authorization)
+      .send({ assetId: String(added._id) });
+    expect(duplicate.status).toBe(409);
+
+    findOne.mockResolvedValue(null);
+    const hidden = await request(app)
+      .post(`/api/collections/${collection._id}/assets`)
+      .set('Authorization', authorization)
+      .send({ assetId: String(new mongoose.Types.ObjectId()) });
+    expect(hidden.status).toBe(404);
+  });
+
+  test('reorders only with every asset listed exactly once', async () => {
+    const authorization = authenticateAs(owner);
+    const reversed = assets.map(asset => String(asset._id)).reverse();
+
+    const partial = await request(app)
+      .put(`/api/collections/${collection._id}/assets/order`)
+      .set('Authorization', authorization)
+      .send({ assetIds: reversed.slice(1) });
+    expect(partial.status).toBe(400);
+
+    const response = await request(app)
+      .put(`/api/collections/${collection._id}/assets/order`)
+      .set('Authorization', authorization)
+      .send({ assetIds: reversed });
+    expect(response.status).toBe(200);
+    expect(ids()).toEqual(reversed);
+  });
+
+  test('removing the cover asset falls back to the first asset', async () => {
+    collection.cover = assets[0]._id;
+
+    const response = await request(app)
+      .delete(`/api/collections/${collection._id}/assets/${assets[0]._id}`)
+      .set('Authorization', authenticateAs(owner));
+
+    expect(response.status).toBe(200);
+    expect(collection.cover).toBeNull();
+    expect(collection.getPublicData().cover).toEqual(assets[1]._id);
+  });
+
+  test('only accepts a cover from the collection', async () => {
+    const response = await request(app)
+      .put(`/api/collections/${collection._id}`)
+      .set('Authorization', authenticateAs(owner))
+      .send({ cover: String(new mongoose.Types.ObjectId()) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Cover must be an asset in the collection');
+  });
+
+  test('only the owner may change a collection', async () => {
+    const response = await request(app)
+      .put(`/api/collections/${collection._id}`)
+      .set('Authorization', authenticateAs(buildUser()))
+      .send({ title: 'Mine now' });
+
+    expect(response.status).toBe(403);
+    expect(collection.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/collections/:id', () => {
+  test('hides private collections from everyone but their owner', async () => {
+    const owner = buildUser();
+    const collection = mockCollection({ owner: owner._id, isPublic: false });
+    jest.spyOn(Asset, 'find').mockReturnValue(mockQuery([]));
+
+    expect((await request(app).get(`/api/collections/${collection._id}`)).status).toBe(404);
+    expect((await request(app).get(`/api/collections/${collection._id}`).set('Authorization', authenticateAs(buildUser()))).status).toBe(404);
+    expect((await request(app).get(`/api/collections/${collection._id}`).set('Authorization', authenticateAs(owner))).status).toBe(200);
+  });
+
+  test('lists visible assets in collection order with price and view stats', async () => {
+    const first = buildAsset({ price: 10, views: 5 });
+    const hidden = buildAsset({ price: 99, views: 1000 });
+    const second = buildAsset({ price: 30, views: 7 });
+    const collection = mockCollection({
+      owner: new mongoose.Types.ObjectId(),
+      assets: [first, hidden, second].map(asset => ({ asset: asset._id }))
+    });
+    // Only listed assets come back from the visibility filter, in database order
+    jest.spyOn(Asset, 'find').mockImplementation(() => mockQuery([second, first]));
+
+    const response = await request(app).get(`/api/collections/${collection._id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.assets.map(asset => asset._id)).toEqual([String(first._id), String(second._id)]);
+    expect(response.body.data.collection.stats).toMatchObject({
+      assetCount: 2,
+      totalPrice: 40,
+      averagePrice: 20,
+      minPrice: 10,
+      maxPrice: 30,
+      totalViews: 12
+    });
+    expect(Asset.find).toHaveBeenCalledWith(expect.objectContaining({ status: 'published', visibility: { $ne: 'unlisted' } }));
+  });
+
+  test('refuses malformed IDs', async () => {
+    expect((await request(app).get('/api/collections/not-an-id')).status).toBe(400);
+  });
+});
@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import CreatorApplication from '../models/CreatorApplication.js';
+import Mailer from '../utils/mailer.js';
+import creatorApplicationRoutes from '../routes/creatorApplications.js';
+import { getUploadRestrictions } from '../config/creatorPolicy.js';
+import { buildApp, buildUser, authenticateAs } from './helpers.js';
+
+const app = buildApp('/api/creator-applications', creatorApplicationRoutes);
+
+const WALLET = '0x' + 'ab'.repeat(20);
+
+const buildApplicant = (fields = {}) => buildUser({
+  role: 'buyer',
+  wallets: [{ address: WALLET, chainId: 1 }],
+  ...fields
+});
+
+describe('POST /api/creator-applications', () => {
+  const submit = (authorization, fields = {}) => request(app)
+    .post('/api/creator-applications')
+    .set('Authorization', authorization)
+    .send({
+      portfolioLinks: ['https://portfolio.example.com'],
+      payoutWallet: WALLET.toUpperCase().replace('0X', '0x'),
+      identityAttestation: { method: 'kyc-provider', reference: 'kyc-123' },
+      ...fields
+    });
+
+  beforeEach(() => {
+    jest.spyOn(Asset, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(CreatorApplication, 'exists').mockResolvedValue(null);
+  });
+
+  test('submits an application with a verified payout wallet', async () => {
+    const applicant = buildApplicant();
+    const create = jest.spyOn(CreatorApplication, 'create').mockImplementation(async fields => fields);
+
+    const response = await submit(authenticateAs(applicant));
+
+    expect(response.status).toBe(201);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      applicant: applicant._id,
+      identityAttestation: expect.objectContaining({ reference: 'kyc-123', attestedAt: expect.any(Date) })
+    }));
+  });
+
+  test('refuses payout wallets the applicant has not verified', async () => {
+    const create = jest.spyOn(CreatorApplication, 'create');
+
+    const response = await submit(authenticateAs(buildApplicant()), { payoutWallet: '0x' + 'cd'.repeat(20) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/verified wallets/);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('refuses sample assets uploaded by someone else', async () => {
+    const response = await submit(authenticateAs(buildApplicant()), {
+      sampleAssets: [String(new mongoose.Types.ObjectId())]
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/assets you uploaded/);
+  });
+
+  test('allows only one pending application at a time', async () => {
+    jest.spyOn(CreatorApplication, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    expect((await submit(authenticateAs(buildApplicant()))).status).toBe(409);
+  });
+});
+
+describe('PUT /api/creator-applications/:id/review', () => {
+  let moderator;
+  let applicant;
+  let application;
+
+  beforeEach(() => {
+    jest.spyOn(Mailer.prototype, 'sendCreatorApplicationDecisionEmail').mockResolvedValue();
+    moderator = buildUser({ role: 'moderator' });
+    applicant = buildApplicant();
+    application = new CreatorApplication({
+      applicant: applicant._id,
+      portfolioLinks: ['https://portfolio.example.com'],
+      payoutWallet: WALLET,
+      identityAttestation: { method: 'document', reference: 'passport' }
+    });
+    jest.spyOn(application, 'save').mockResolvedValue(application);
+    jest.spyOn(CreatorApplication, 'findById').mockResolvedValue(application);
+  });
+
+  const review = (authorization, decision) => request(app)
+    .put(`/api/creator-applications/${application._id}/review`)
+    .set('Authorization', authorization)
+    .send({ decision, notes: 'Looks good' });
+
+  test('approving grants the badge and the creator role', async () => {
+    const response = await review(authenticateAs(moderator, applicant), 'approve');
+
+    expect(response.status).toBe(200);
+    expect(application.status).toBe('approved');
+    expect(application.reviewer).toEqual(moderator._id);
+    expect(applicant.verifiedCreator).toBe(true);
+    expect(applicant.role).toBe('creator');
+    expect(applicant.walletAddress).toBe(WALLET);
+  });
+
+  test('rejecting leaves the applicant untouched', async () => {
+    const response = await review(authenticateAs(moderator, applicant), 'reject');
+
+    expect(response.status).toBe(200);
+    expect(application.status).toBe('rejected');
+    expect(applicant.verifiedCreator).toBe(false);
+    expect(applicant.save).not.toHaveBeenCalled();
+  });
+
+  test('moderators cannot review their own application', async () => {
+    application.applicant = moderator._id;
+
+    expect((await review(authenticateAs(moderator), 'approve')).status).toBe(403);
+    expect(application.save).not.toHaveBeenCalled();
+  });
+
+  test('requires the moderation permission', async () => {
+    expect((await review(authenticateAs(buildUser({ role: 'creator' })), 'approve')).status).toBe(403);
+  });
+});
+
+describe('getUploadRestrictions', () => {
+  test('limits unverified creators only', () => {
+    expect(getUploadRestrictions(buildUser({ role: 'creator' }))).toEqual({ maxPrice: 50, requireModeration: true });
+    expect(getUploadRestrictions(buildUser({ role: 'creator', verifiedCreator: true }))).toBeNull();
+    expect(getUploadRestrictions(buildUser({ role: 'moderator' }))).toBeNull();
+  });
+});
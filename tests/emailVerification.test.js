@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
+import Mailer from '../utils/mailer.js';
+import authRoutes from '../routes/auth.js';
+import { buildApp, buildUser, authenticateAs } from './helpers.js';
+
+const app = buildApp('/api/auth', authRoutes);
+
+// Token records kept in memory; findOneAndUpdate applies the filter like MongoDB would
+const mockTokenStore = () => {
+  const records = [];
+
+  jest.spyOn(EmailVerificationToken, 'create').mockImplementation(async (fields) => {
+    const record = new EmailVerificationToken(fields);
+    record.createdAt = new Date();
+    records.push(record);
+    return record;
+  });
+  jest.spyOn(EmailVerificationToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const record = records.find(r => r.jti === filter.jti && !r.usedAt && !r.revokedAt);
+    if (!record) return null;
+    Object.assign(record, update);
+    return record;
+  });
+  jest.spyOn(EmailVerificationToken, 'updateMany').mockImplementation(async (filter, update) => {
+    records
+      .filter(r => String(r.user) === String(filter.user) && !r.usedAt && !r.revokedAt)
+      .forEach(r => Object.assign(r, update));
+    return { modifiedCount: 1 };
+  });
+
+  return records;
+};
+
+describe('EmailVerificationToken.consume', () => {
+  test('consumes a token once', async () => {
+    mockTokenStore();
+    const user = buildUser({ isVerified: false });
+    const { token } = await EmailVerificationToken.issue(user);
+
+    const record = await EmailVerificationToken.consume(token);
+    expect(String(record.user)).toBe(String(user._id));
+    expect(record.usedAt).toBeInstanceOf(Date);
+
+    expect(await EmailVerificationToken.consume(token)).toBeNull();
+  });
+
+  test('rejects revoked tokens', async () => {
+    mockTokenStore();
+    const user = buildUser({ isVerified: false });
+    const { token } = await EmailVerificationToken.issue(user);
+    await EmailVerificationToken.revokeForUser(user._id);
+
+    expect(await EmailVerificationToken.consume(token)).toBeNull();
+  });
+
+  test('rejects tokens signed for another purpose without a lookup', async () => {
+    const findOneAndUpdate = jest.spyOn(EmailVerificationToken, 'findOneAndUpdate');
+    const loginToken = jwt.sign({ id: 'someone', jti: 'abc' }, process.env.JWT_SECRET);
+
+    expect(await EmailVerificationToken.consume(loginToken)).toBeNull();
+    expect(await EmailVerificationToken.consume('not-a-jwt')).toBeNull();
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/verify/confirm', () => {
+  let records;
+
+  beforeEach(() => {
+    records = mockTokenStore();
+  });
+
+  const confirm = token => request(app).post('/api/auth/verify/confirm').send({ token });
+
+  test('verifies the account and refuses the same link twice', async () => {
+    const user = buildUser({ isVerified: false });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const { token } = await EmailVerificationToken.issue(user);
+
+    const first = await confirm(token);
+    expect(first.status).toBe(200);
+    expect(user.isVerified).toBe(true);
+
+    const second = await confirm(token);
+    expect(second.status).toBe(400);
+    expect(second.body.error).toMatch(/invalid or has expired/);
+  });
+
+  test('refuses an expired link', async () => {
+    const user = buildUser({ isVerified: false });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    await EmailVerificationToken.issue(user);
+    const expired = jwt.sign(
+      { id: user._id, email: user.email, jti: records[0].jti, purpose: 'email-verification' },
+      process.env.JWT_SECRET,
+      { expiresIn: -10 }
+    );
+
+    const response = await confirm(expired);
+    expect(response.status).toBe(400);
+    expect(user.isVerified).toBe(false);
+    expect(records[0].usedAt).toBeUndefined();
+  });
+
+  test('refuses a link issued for another address of the account', async () => {
+    const user = buildUser({ email: 'old@example.com', isVerified: false });
+    const { token } = await EmailVerificationToken.issue(user);
+
+    // The user has since switched to an address nobody has verified
+    user.email = 'new@example.com';
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const response = await confirm(token);
+    expect(response.status).toBe(400);
+    expect(user.isVerified).toBe(false);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('refuses a link whose user no longer exists', async () => {
+    const user = buildUser({ isVerified: false });
+    const { token } = await EmailVerificationToken.issue(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+
+    expect((await confirm(token)).status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/verify resend cooldown', () => {
+  let sendVerificationEmail;
+
+  beforeEach(() => {
+    mockTokenStore();
+    sendVerificationEmail = jest.spyOn(Mailer.prototype, 'sendVerificationEmail').mockResolvedValue();
+  });
+
+  const resend = email => request(app).post('/api/auth/verify').send({ email });
+
+  const mockLatestToken = (secondsAgo) => {
+    const latest = secondsAgo === null ? null : { createdAt: new Date(Date.now() - secondsAgo * 1000) };
+    jest.spyOn(EmailVerificationToken, 'findOne').mockReturnValue({ sort: async () => latest });
+  };
+
+  test('refuses another email inside the cooldown', async () => {
+    const user = buildUser({ email: 'cooldown@example.com', isVerified: false });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    mockLatestToken(10);
+
+    const response = await resend('cooldown@example.com');
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBe(50);
+    expect(response.body.retryAfter).toBe(50);
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  test('sends a fresh link once the cooldown has passed', async () => {
+    const user = buildUser({ email: 'resend@example.com', isVerified: false });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    mockLatestToken(61);
+
+    const response = await resend('resend@example.com');
+    expect(response.status).toBe(200);
+    expect(EmailVerificationToken.updateMany).toHaveBeenCalled();
+    expect(sendVerificationEmail).toHaveBeenCalledWith(user, expect.any(String));
+  });
+
+  test('does not send links to verified accounts', async () => {
+    const user = buildUser({ email: 'done@example.com' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    mockLatestToken(null);
+
+    const response = await resend('done@example.com');
+    expect(response.status).toBe(400);
+    expect(sendVerificationEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/auth/profile email change', () => {
+  test('unverifies the account and sends a link to the new address', async () => {
+    const records = mockTokenStore();
+    const sendVerificationEmail = jest.spyOn(Mailer.prototype, 'sendVerificationEmail').mockResolvedValue();
+    const user = buildUser({ email: 'before@example.com' });
+    const authorization = authenticateAs(user);
+    await EmailVerificationToken.issue(user);
+
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, updates) => {
+      Object.assign(user, updates);
+      return user;
+    });
+
+    const response = await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', authorization)
+      .send({ email: 'after@example.com' });
+
+    expect(response.status).toBe(200);
+    expect(user.isVerified).toBe(false);
+    expect(records[0].revokedAt).toBeInstanceOf(Date);
+    expect(records[1].email).toBe('after@example.com');
+    expect(sendVerificationEmail).toHaveBeenCalledWith(user, expect.any(String));
+  });
+});
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import Favorite from '../models/Favorite.js';
+import assetRoutes from '../routes/assets.js';
+import { buildApp, buildUser, buildAsset, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/assets', assetRoutes);
+
+describe('Favorite entries', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const assetId = new mongoose.Types.ObjectId();
+  let likeCount;
+
+  beforeEach(() => {
+    likeCount = jest.spyOn(Asset, 'updateOne').mockResolvedValue({});
+  });
+
+  test('counts a like only when it is created', async () => {
+    const upsert = jest.spyOn(Favorite, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+
+    expect(await Favorite.addEntry(userId, assetId, 'like')).toBe(true);
+    expect(likeCount).toHaveBeenCalledWith({ _id: assetId }, { $inc: { likes: 1 } });
+
+    upsert.mockResolvedValue({ upsertedCount: 0 });
+    expect(await Favorite.addEntry(userId, assetId, 'like')).toBe(false);
+
+    upsert.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    expect(await Favorite.addEntry(userId, assetId, 'like')).toBe(false);
+
+    expect(likeCount).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves the like count alone for wishlist entries', async () => {
+    jest.spyOn(Favorite, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+
+    expect(await Favorite.addEntry(userId, assetId, 'wishlist')).toBe(true);
+    expect(likeCount).not.toHaveBeenCalled();
+  });
+
+  test('uncounts a like only when one was removed, never below zero', async () => {
+    const deleteOne = jest.spyOn(Favorite, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    expect(await Favorite.removeEntry(userId, assetId, 'like')).toBe(true);
+    expect(likeCount).toHaveBeenCalledWith({ _id: assetId, likes: { $gt: 0 } }, { $inc: { likes: -1 } });
+
+    deleteOne.mockResolvedValue({ deletedCount: 0 });
+    expect(await Favorite.removeEntry(userId, assetId, 'like')).toBe(false);
+    expect(likeCount).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('liking and wishlisting', () => {
+  let user;
+  let asset;
+
+  beforeEach(() => {
+    user = buildUser();
+    asset = buildAsset({ status: 'published', isApproved: true, likes: 4 });
+    jest.spyOn(Asset, 'findById').mockImplementation(() => mockQuery(asset));
+  });
+
+  test('likes a published asset and answers with the new state and count', async () => {
+    const addEntry = jest.spyOn(Favorite, 'addEntry').mockImplementation(async () => {
+      asset.likes += 1;
+      return true;
+    });
+    jest.spyOn(Favorite, 'getUserState').mockResolvedValue({ liked: true, wishlisted: false });
+
+    const response = await request(app).post(`/api/assets/${asset._id}/like`).set('Authorization', authenticateAs(user));
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Asset added to your likes');
+    expect(response.body.data).toEqual({ liked: true, wishlisted: false, likes: 5 });
+    expect(addEntry).toHaveBeenCalledWith(user._id, asset._id, 'like');
+  });
+
+  test('repeating a request changes nothing', async () => {
+    jest.spyOn(Favorite, 'removeEntry').mockResolvedValue(false);
+    jest.spyOn(Favorite, 'getUserState').mockResolvedValue({ liked: false, wishlisted: false });
+
+    const response = await request(app).delete(`/api/assets/${asset._id}/wishlist`).set('Authorization', authenticateAs(user));
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Nothing changed');
+    expect(response.body.data.likes).toBeUndefined();
+  });
+
+  test('only saves assets that are live, but can always remove them', async () => {
+    asset.status = 'draft';
+    jest.spyOn(Favorite, 'removeEntry').mockResolvedValue(true);
+    jest.spyOn(Favorite, 'getUserState').mockResolvedValue({ liked: false, wishlisted: false });
+    const addEntry = jest.spyOn(Favorite, 'addEntry');
+    const authorization = authenticateAs(user);
+
+    expect((await request(app).post(`/api/assets/${asset._id}/wishlist`).set('Authorization', authorization)).status).toBe(404);
+    expect(addEntry).not.toHaveBeenCalled();
+    expect((await request(app).delete(`/api/assets/${asset._id}/wishlist`).set('Authorization', authorization)).status).toBe(200);
+    expect((await request(app).post('/api/assets/not-an-id/like').set('Authorization', authorization)).status).toBe(400);
+  });
+
+  test('tells a signed-in viewer whether they liked and wishlisted an asset', async () => {
+    jest.spyOn(Asset.prototype, 'incrementViews').mockResolvedValue();
+    const getUserState = jest.spyOn(Favorite, 'getUserState').mockResolvedValue({ liked: true, wishlisted: true });
+
+    const response = await request(app).get(`/api/assets/${asset._id}`).set('Authorization', authenticateAs(user));
+    expect(response.body.data.viewer).toEqual({ liked: true, wishlisted: true });
+    expect(getUserState).toHaveBeenCalledWith(user._id, asset._id);
+
+    const anonymous = await request(app).get(`/api/assets/${asset._id}`);
+    expect(anonymous.body.data.viewer).toBeUndefined();
+  });
+});
+
+describe('GET /api/assets/favorites and /wishlist', () => {
+  test('lists saved assets newest first, with stubs for assets that are no longer published', async () => {
+    const user = buildUser();
+    const live = buildAsset({ status: 'published', isApproved: true });
+    const unpublished = buildAsset({ status: 'archived', isApproved: true, title: 'Gone' });
+    const find = jest.spyOn(Favorite, 'find').mockReturnValue(mockQuery([
+      { asset: live, createdAt: new Date('2026-03-02') },
+      { asset: unpublished, createdAt: new Date('2026-03-01') },
+      { asset: null, createdAt: new Date('2026-02-01') }
+    ]));
+    jest.spyOn(Favorite, 'countDocuments').mockResolvedValue(3);
+
+    const response = await request(app).get('/api/assets/favorites').set('Authorization', authenticateAs(user));
+
+    expect(response.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ user: user._id, type: 'like' });
+    const [first, second] = response.body.data.assets;
+    expect(first).toMatchObject({ _id: String(live._id), title: 'Test Asset' });
+    expect(first.unavailable).toBeUndefined();
+    expect(second).toEqual({ _id: String(unpublished._id), unavailable: true, addedAt: '2026-03-01T00:00:00.000Z' });
+    expect(response.body.data.assets).toHaveLength(2);
+  });
+
+  test('reads the wishlist separately', async () => {
+    const user = buildUser();
+    const find = jest.spyOn(Favorite, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Favorite, 'countDocuments').mockResolvedValue(0);
+
+    expect((await request(app).get('/api/assets/wishlist').set('Authorization', authenticateAs(user))).status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ user: user._id, type: 'wishlist' });
+  });
+});
@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Asset from '../models/Asset.js';
+import userRoutes from '../routes/users.js';
+import feedRoutes from '../routes/feed.js';
+import { buildApp, buildUser, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/users', userRoutes);
+const feedApp = buildApp('/api/feed', feedRoutes);
+
+// Apply follow/unfollow updates to the given user documents like MongoDB would
+const mockFollowUpdates = (...users) => {
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    const user = users.find(candidate => candidate._id.equals(filter._id));
+    const [field, id] = Object.entries(update.$addToSet || update.$pull)[0];
+    const list = user[field].filter(existing => !existing.equals(id));
+    user[field] = update.$addToSet ? [...list, id] : list;
+    return { modifiedCount: 1 };
+  });
+};
+
+describe('POST /api/users/:userId/follow', () => {
+  test('follows a user once, however often it is repeated', async () => {
+    const follower = buildUser();
+    const creator = buildUser();
+    const authorization = authenticateAs(follower, creator);
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: creator._id });
+    mockFollowUpdates(follower, creator);
+
+    for (let i = 0; i < 2; i++) {
+      const response = await request(app).post(`/api/users/${creator._id}/follow`).set('Authorization', authorization);
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ following: true, followers: 1 });
+    }
+    expect(follower.following.map(String)).toEqual([String(creator._id)]);
+  });
+
+  test('unfollows', async () => {
+    const follower = buildUser();
+    const creator = buildUser({ followers: [follower._id] });
+    follower.following = [creator._id];
+    const authorization = authenticateAs(follower, creator);
+    mockFollowUpdates(follower, creator);
+
+    const response = await request(app).delete(`/api/users/${creator._id}/follow`).set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ following: false, followers: 0 });
+    expect(follower.following).toHaveLength(0);
+  });
+
+  test('refuses following yourself, unknown users and malformed IDs', async () => {
+    const user = buildUser();
+    const authorization = authenticateAs(user);
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    const updateOne = jest.spyOn(User, 'updateOne');
+
+    expect((await request(app).post(`/api/users/${user._id}/follow`).set('Authorization', authorization)).status).toBe(400);
+    expect((await request(app).post(`/api/users/${new mongoose.Types.ObjectId()}/follow`).set('Authorization', authorization)).status).toBe(404);
+    expect((await request(app).post('/api/users/nobody/follow').set('Authorization', authorization)).status).toBe(400);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/users/:userId/followers', () => {
+  test('lists the most recent followers first', async () => {
+    const [older, newer] = [buildUser({ username: 'older' }), buildUser({ username: 'newer' })];
+    jest.spyOn(User, 'aggregate').mockResolvedValue([{ total: 2, ids: [newer._id, older._id] }]);
+    jest.spyOn(User, 'find').mockResolvedValue([older, newer]);
+
+    const response = await request(app).get(`/api/users/${new mongoose.Types.ObjectId()}/followers?limit=2`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.users.map(user => user.username)).toEqual(['newer', 'older']);
+    expect(response.body.data.pagination).toMatchObject({ totalUsers: 2, hasNextPage: false });
+  });
+
+  test('returns 404 for unknown users', async () => {
+    jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+
+    expect((await request(app).get(`/api/users/${new mongoose.Types.ObjectId()}/following`)).status).toBe(404);
+  });
+});
+
+describe('GET /api/feed', () => {
+  test('is empty without a query when the user follows nobody', async () => {
+    const authorization = authenticateAs(buildUser());
+    const find = jest.spyOn(Asset, 'find');
+
+    const response = await request(feedApp).get('/api/feed').set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.assets).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('only shows published, listed assets of followed creators', async () => {
+    const creatorId = new mongoose.Types.ObjectId();
+    const authorization = authenticateAs(buildUser({ following: [creatorId] }));
+    const find = jest.spyOn(Asset, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Asset, 'countDocuments').mockResolvedValue(0);
+
+    const response = await request(feedApp)
+      .get('/api/feed?since=2026-01-01T00:00:00Z')
+      .set('Authorization', authorization);
+
+    expect(response.status).toBe(200);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      creator: { $in: [creatorId] },
+      status: 'published',
+      visibility: { $ne: 'unlisted' },
+      isPublic: true,
+      publishedAt: { $gt: new Date('2026-01-01T00:00:00Z') }
+    }));
+  });
+});
@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import Asset from '../models/Asset.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import SessionService from '../utils/sessionService.js';
+
+// Express app mounting a single router, like server.js does
+export const buildApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+// Chainable stand-in for a Mongoose query that resolves to the given result
+export const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// Unsaved user document; save() is mocked so nothing touches a database
+export const buildUser = (fields = {}) => {
+  const user = new User({
+    username: `user${Math.random().toString(36).slice(2, 10)}`,
+    email: `${new mongoose.Types.ObjectId()}@example.com`,
+    password: bcrypt.hashSync('CorrectHorse1!', 4),
+    fullName: 'Test User',
+    isVerified: true,
+    ...fields
+  });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+// Unsaved asset document; save() is mocked like buildUser's
+export const buildAsset = (fields = {}) => {
+  const asset = new Asset({
+    title: 'Test Asset',
+    description: 'An asset used in tests',
+    creator: new mongoose.Types.ObjectId(),
+    category: 'digital-art',
+    price: 10,
+    ...fields
+  });
+  jest.spyOn(asset, 'save').mockResolvedValue(asset);
+  return asset;
+};
+
+// Let protect() resolve an access token to this user; returns the Authorization header
+// Any other users passed along can be loaded with User.findById too
+export const authenticateAs = (user, ...others) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'unused',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  const users = [user, ...others];
+  jest.spyOn(User, 'findById').mockImplementation(id => (
+    mockQuery(users.find(candidate => String(candidate._id) === String(id)) || null)
+  ));
+  jest.spyOn(Session, 'findById').mockResolvedValue(session);
+
+  return `Bearer ${new SessionService().signAccessToken(user._id, session._id)}`;
+};
+
+// Keep the login audit trail out of the way; every device counts as known
+export const mockLoginAudit = () => {
+  jest.spyOn(LoginAttempt, 'record').mockResolvedValue(null);
+  jest.spyOn(LoginAttempt, 'exists').mockResolvedValue(null);
+  jest.spyOn(LoginAttempt, 'isKnownDevice').mockResolvedValue(true);
+};
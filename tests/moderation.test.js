@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import Asset from '../models/Asset.js';
+import ModerationAction from '../models/ModerationAction.js';
+import Favorite from '../models/Favorite.js';
+import Mailer from '../utils/mailer.js';
+import ModerationService from '../utils/moderationService.js';
+import moderationRoutes from '../routes/moderation.js';
+import assetRoutes from '../routes/assets.js';
+import { buildApp, buildUser, buildAsset, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/moderation', moderationRoutes);
+const assetApp = buildApp('/api/assets', assetRoutes);
+
+describe('ModerationService.getInitialState', () => {
+  const moderationService = new ModerationService();
+
+  afterEach(() => {
+    delete process.env.MODERATION_MODE;
+  });
+
+  test('publishes uploads of verified creators and moderators right away', () => {
+    expect(moderationService.getInitialState(buildUser({ role: 'creator', verifiedCreator: true })).isApproved).toBe(true);
+    expect(moderationService.getInitialState(buildUser({ role: 'moderator' })).isApproved).toBe(true);
+  });
+
+  test('queues uploads of unverified creators and uploads the AI flagged', () => {
+    const verified = buildUser({ role: 'creator', verifiedCreator: true });
+
+    expect(moderationService.getInitialState(buildUser({ role: 'creator' }))).toMatchObject({ moderationStatus: 'pending', reason: 'Creator is not verified' });
+    expect(moderationService.getInitialState(verified, { flags: ['violence'] })).toMatchObject({ moderationStatus: 'pending', reason: 'AI flags: violence' });
+  });
+
+  test('queues every upload in pre-moderation mode', () => {
+    process.env.MODERATION_MODE = 'pre';
+
+    expect(moderationService.getInitialState(buildUser({ role: 'creator', verifiedCreator: true })).isApproved).toBe(false);
+  });
+});
+
+describe('moderator decisions', () => {
+  let moderator;
+  let creator;
+  let asset;
+  let sendModerationDecisionEmail;
+
+  beforeEach(() => {
+    moderator = buildUser({ role: 'moderator' });
+    creator = buildUser({ role: 'creator' });
+    asset = buildAsset({ creator: creator._id, moderationStatus: 'pending', isApproved: false });
+    jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+    jest.spyOn(ModerationAction, 'create').mockImplementation(async fields => fields);
+    sendModerationDecisionEmail = jest.spyOn(Mailer.prototype, 'sendModerationDecisionEmail').mockResolvedValue();
+  });
+
+  test('approving publishes the asset, records the decision and tells the creator', async () => {
+    const response = await request(app)
+      .post(`/api/moderation/assets/${asset._id}/approve`)
+      .set('Authorization', authenticateAs(moderator, creator));
+
+    expect(response.status).toBe(200);
+    expect(asset).toMatchObject({ moderationStatus: 'approved', isApproved: true });
+    expect(ModerationAction.create).toHaveBeenCalledWith(expect.objectContaining({
+      actor: moderator._id,
+      action: 'approve',
+      previousStatus: 'pending',
+      newStatus: 'approved'
+    }));
+    expect(sendModerationDecisionEmail).toHaveBeenCalledWith(creator, asset, 'approve', undefined);
+  });
+
+  test('rejecting requires a reason', async () => {
+    const response = await request(app)
+      .post(`/api/moderation/assets/${asset._id}/reject`)
+      .set('Authorization', authenticateAs(moderator, creator));
+
+    expect(response.status).toBe(400);
+    expect(asset.save).not.toHaveBeenCalled();
+  });
+
+  test('only moderators decide', async () => {
+    const response = await request(app)
+      .post(`/api/moderation/assets/${asset._id}/approve`)
+      .set('Authorization', authenticateAs(creator));
+
+    expect(response.status).toBe(403);
+    expect(asset.isApproved).toBe(false);
+  });
+});
+
+describe('appeals', () => {
+  let moderator;
+  let creator;
+  let asset;
+
+  beforeEach(() => {
+    moderator = buildUser({ role: 'moderator' });
+    creator = buildUser({ role: 'creator' });
+    asset = buildAsset({ creator: creator._id, moderationStatus: 'rejected', isApproved: false });
+    jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+    jest.spyOn(ModerationAction, 'create').mockImplementation(async fields => fields);
+    jest.spyOn(Mailer.prototype, 'sendModerationDecisionEmail').mockResolvedValue();
+  });
+
+  const appeal = (user) => request(app)
+    .post(`/api/moderation/assets/${asset._id}/appeal`)
+    .set('Authorization', authenticateAs(user))
+    .send({ message: 'This is my own original artwork.' });
+
+  test('creators can appeal once, and an overturned appeal approves the asset', async () => {
+    expect((await appeal(creator)).status).toBe(201);
+    expect(asset.appeal.status).toBe('pending');
+    expect((await appeal(creator)).status).toBe(409);
+
+    const resolved = await request(app)
+      .post(`/api/moderation/assets/${asset._id}/appeal/resolve`)
+      .set('Authorization', authenticateAs(moderator, creator))
+      .send({ decision: 'overturn', notes: 'Verified as original' });
+
+    expect(resolved.status).toBe(200);
+    expect(asset).toMatchObject({ moderationStatus: 'approved', isApproved: true });
+    expect(asset.appeal.status).toBe('overturned');
+  });
+
+  test('only the creator can appeal, and only rejected or flagged assets', async () => {
+    expect((await appeal(buildUser())).status).toBe(403);
+
+    asset.moderationStatus = 'approved';
+    expect((await appeal(creator)).status).toBe(400);
+  });
+
+  test('creators see the history without moderator details', async () => {
+    jest.spyOn(ModerationAction, 'find').mockReturnValue(mockQuery([
+      { action: 'reject', reason: 'Stolen artwork', notes: 'internal', actor: moderator._id, newStatus: 'rejected' }
+    ]));
+
+    const response = await request(app)
+      .get(`/api/moderation/assets/${asset._id}/history`)
+      .set('Authorization', authenticateAs(creator));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.history).toEqual([{ action: 'reject', reason: 'Stolen artwork', newStatus: 'rejected' }]);
+  });
+});
+
+describe('GET /api/assets/:id while awaiting moderation', () => {
+  test('is hidden from everyone but the creator and moderators', async () => {
+    const creator = buildUser({ role: 'creator' });
+    const asset = buildAsset({ creator: creator._id, moderationStatus: 'pending', isApproved: false, status: 'published' });
+    jest.spyOn(Asset, 'findById').mockReturnValue(mockQuery(asset));
+    jest.spyOn(Asset.prototype, 'incrementViews').mockResolvedValue();
+    jest.spyOn(Favorite, 'getUserState').mockResolvedValue({ liked: false, wishlisted: false });
+
+    expect((await request(assetApp).get(`/api/assets/${asset._id}`)).status).toBe(404);
+    expect((await request(assetApp).get(`/api/assets/${asset._id}`).set('Authorization', authenticateAs(buildUser()))).status).toBe(404);
+    expect((await request(assetApp).get(`/api/assets/${asset._id}`).set('Authorization', authenticateAs(creator))).status).toBe(200);
+  });
+});
@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Asset from '../models/Asset.js';
+import Payment from '../models/Payment.js';
+import Organization from '../models/Organization.js';
+import organizationRoutes from '../routes/organizations.js';
+import assetRoutes from '../routes/assets.js';
+import paymentRoutes from '../routes/payments.js';
+import { buildApp, buildUser, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/organizations', organizationRoutes);
+const assetApp = buildApp('/api/assets', assetRoutes);
+const paymentApp = buildApp('/api/payments', paymentRoutes);
+
+// Organization "in the database" with the given members; save() and populate() stay in memory
+const mockOrganization = (members) => {
+  const organization = new Organization({
+    name: 'Pixel Studio',
+    slug: 'pixel-studio',
+    members: members.map(([user, role]) => ({ user: user._id, role }))
+  });
+  jest.spyOn(organization, 'save').mockResolvedValue(organization);
+  jest.spyOn(organization, 'populate').mockResolvedValue(organization);
+  jest.spyOn(Organization, 'findById').mockImplementation(id => (
+    mockQuery(String(id) === String(organization._id) ? organization : null)
+  ));
+  return organization;
+};
+
+describe('organization membership', () => {
+  let owner;
+  let editor;
+  let organization;
+
+  beforeEach(() => {
+    owner = buildUser({ role: 'creator' });
+    editor = buildUser({ role: 'creator' });
+    organization = mockOrganization([[owner, 'owner'], [editor, 'editor']]);
+  });
+
+  test('the creator of an organization becomes its owner', async () => {
+    jest.spyOn(Organization, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(Organization, 'create').mockImplementation(async fields => new Organization(fields));
+
+    const response = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', authenticateAs(owner))
+      .send({ name: 'New Studio', slug: 'New-Studio' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ role: 'owner', organization: { slug: 'new-studio', memberCount: 1 } });
+    expect(create.mock.calls[0][0].members).toEqual([{ user: owner._id, role: 'owner', addedBy: owner._id }]);
+  });
+
+  test('owners add members by username', async () => {
+    const newcomer = buildUser({ username: 'newcomer' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(newcomer);
+
+    const response = await request(app)
+      .post(`/api/organizations/${organization._id}/members`)
+      .set('Authorization', authenticateAs(owner))
+      .send({ username: 'newcomer', role: 'finance' });
+
+    expect(response.status).toBe(201);
+    expect(organization.getMemberRole(newcomer._id)).toBe('finance');
+  });
+
+  test('editors cannot manage members', async () => {
+    const response = await request(app)
+      .post(`/api/organizations/${organization._id}/members`)
+      .set('Authorization', authenticateAs(editor))
+      .send({ username: 'newcomer', role: 'owner' });
+
+    expect(response.status).toBe(403);
+    expect(organization.save).not.toHaveBeenCalled();
+  });
+
+  test('the last owner can be neither demoted nor removed', async () => {
+    const authorization = authenticateAs(owner);
+
+    const demoted = await request(app)
+      .put(`/api/organizations/${organization._id}/members/${owner._id}`)
+      .set('Authorization', authorization)
+      .send({ role: 'editor' });
+    const left = await request(app)
+      .delete(`/api/organizations/${organization._id}/members/${owner._id}`)
+      .set('Authorization', authorization);
+
+    expect(demoted.status).toBe(400);
+    expect(left.status).toBe(400);
+    expect(organization.getMemberRole(owner._id)).toBe('owner');
+  });
+
+  test('members can leave on their own', async () => {
+    const response = await request(app)
+      .delete(`/api/organizations/${organization._id}/members/${editor._id}`)
+      .set('Authorization', authenticateAs(editor));
+
+    expect(response.status).toBe(200);
+    expect(organization.getMemberRole(editor._id)).toBeNull();
+  });
+});
+
+describe('organization-owned assets', () => {
+  let owner;
+  let editor;
+  let asset;
+
+  beforeEach(() => {
+    owner = buildUser({ role: 'creator' });
+    editor = buildUser({ role: 'creator' });
+    const organization = mockOrganization([[owner, 'owner'], [editor, 'editor']]);
+    asset = new Asset({ title: 'Studio asset', creator: editor._id, organization: organization._id, status: 'published' });
+    jest.spyOn(asset, 'save').mockResolvedValue(asset);
+    jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+  });
+
+  test('only organization owners may delete them, even the uploading editor may not', async () => {
+    const refused = await request(assetApp).delete(`/api/assets/${asset._id}`).set('Authorization', authenticateAs(editor));
+    expect(refused.status).toBe(403);
+    expect(asset.status).toBe('published');
+
+    const deleted = await request(assetApp).delete(`/api/assets/${asset._id}`).set('Authorization', authenticateAs(owner));
+    expect(deleted.status).toBe(200);
+    expect(asset.status).toBe('archived');
+  });
+
+  test('outsiders cannot touch them', async () => {
+    const response = await request(assetApp)
+      .delete(`/api/assets/${asset._id}`)
+      .set('Authorization', authenticateAs(buildUser({ role: 'creator' })));
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('organization earnings', () => {
+  test('finance members see the organization stats, editors do not', async () => {
+    const finance = buildUser();
+    const editor = buildUser({ role: 'creator' });
+    const organization = mockOrganization([[finance, 'finance'], [editor, 'editor']]);
+    const getStats = jest.spyOn(Payment, 'getStats').mockResolvedValue({ totalEarnings: 42 });
+
+    const allowed = await request(paymentApp)
+      .get(`/api/payments/stats/${organization._id}`)
+      .set('Authorization', authenticateAs(finance));
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data.allTime).toEqual({ totalEarnings: 42 });
+    expect(getStats).toHaveBeenCalledWith(organization._id, 'all', { organization: true });
+
+    const refused = await request(paymentApp)
+      .get(`/api/payments/stats/${organization._id}`)
+      .set('Authorization', authenticateAs(editor));
+    expect(refused.status).toBe(403);
+  });
+
+  test('personal stats leave organization sales out', async () => {
+    const aggregate = jest.spyOn(Payment, 'aggregate').mockResolvedValue([]);
+    const userId = new mongoose.Types.ObjectId();
+
+    await Payment.getStats(userId);
+
+    expect(aggregate.mock.calls[0][0][0].$match).toMatchObject({ seller: userId, sellerOrganization: null });
+  });
+});
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import Mailer from '../utils/mailer.js';
+import authRoutes from '../routes/auth.js';
+import { protect } from '../middleware/auth.js';
+import { buildApp, buildUser, authenticateAs } from './helpers.js';
+
+const app = buildApp('/api/auth', authRoutes);
+
+beforeEach(() => {
+  jest.spyOn(ApiKey, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 0 });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  let sendPasswordResetCode;
+
+  beforeEach(() => {
+    sendPasswordResetCode = jest.spyOn(Mailer.prototype, 'sendPasswordResetCode').mockResolvedValue();
+  });
+
+  test('emails a code to an existing account', async () => {
+    const user = buildUser({ email: 'forgot@example.com' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const issue = jest.spyOn(PasswordResetToken, 'issue').mockResolvedValue({ code: '123456', expiresInMinutes: 15 });
+
+    const response = await request(app).post('/api/auth/forgot-password').send({ email: 'forgot@example.com' });
+    expect(response.status).toBe(200);
+    expect(issue).toHaveBeenCalledWith(user, expect.any(Object));
+    expect(sendPasswordResetCode).toHaveBeenCalledWith(user, '123456', 15);
+  });
+
+  test('answers unknown emails the same way without sending anything', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/auth/forgot-password').send({ email: 'ghost@example.com' });
+    expect(response.status).toBe(200);
+    expect(response.body.message).toMatch(/If an account exists/);
+    expect(sendPasswordResetCode).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  let sendPasswordChangedEmail;
+  let revokeAllForUser;
+
+  beforeEach(() => {
+    sendPasswordChangedEmail = jest.spyOn(Mailer.prototype, 'sendPasswordChangedEmail').mockResolvedValue();
+    revokeAllForUser = jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 2 });
+  });
+
+  const reset = (email, code) => request(app)
+    .post('/api/auth/reset-password')
+    .send({ email, code, newPassword: 'BrandNewPass1!' });
+
+  test('sets the new password with a valid code and signs out every device', async () => {
+    const user = buildUser({ email: 'reset@example.com' });
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => user });
+    jest.spyOn(PasswordResetToken, 'consume').mockResolvedValue({ _id: 'record' });
+
+    const response = await reset('reset@example.com', '123456');
+    expect(response.status).toBe(200);
+    expect(PasswordResetToken.consume).toHaveBeenCalledWith(user._id, '123456');
+    expect(user.password).toBe('BrandNewPass1!');
+    expect(user.save).toHaveBeenCalled();
+    expect(revokeAllForUser).toHaveBeenCalledWith(user._id, 'password-change');
+    expect(sendPasswordChangedEmail).toHaveBeenCalledWith(user);
+  });
+
+  test('leaves the password alone when the code is refused', async () => {
+    const user = buildUser({ email: 'wrongcode@example.com' });
+    const password = user.password;
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => user });
+    jest.spyOn(PasswordResetToken, 'consume').mockResolvedValue(null);
+
+    const response = await reset('wrongcode@example.com', '000000');
+    expect(response.status).toBe(400);
+    expect(user.password).toBe(password);
+    expect(user.save).not.toHaveBeenCalled();
+    expect(revokeAllForUser).not.toHaveBeenCalled();
+  });
+});
+
+describe('password changes and sessions', () => {
+  test('a change keeps the current session and signs out the others', async () => {
+    jest.spyOn(Mailer.prototype, 'sendPasswordChangedEmail').mockResolvedValue();
+    const user = buildUser();
+    const authorization = authenticateAs(user);
+    const session = await Session.findById();
+    const revokeAllForUser = jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 2 });
+
+    const response = await request(app)
+      .put('/api/auth/password')
+      .set('Authorization', authorization)
+      .send({ currentPassword: 'CorrectHorse1!', newPassword: 'BrandNewPass1!' });
+
+    expect(response.status).toBe(200);
+    expect(revokeAllForUser).toHaveBeenCalledWith(user._id, 'password-change', session._id);
+    expect(jwt.decode(response.body.data.token).sid).toBe(String(session._id));
+  });
+
+  test('tokens of a revoked session are refused', async () => {
+    const router = express.Router();
+    router.get('/', protect, (req, res) => res.json({ success: true }));
+    const protectedApp = buildApp('/protected', router);
+
+    const user = buildUser();
+    const authorization = authenticateAs(user);
+    expect((await request(protectedApp).get('/protected').set('Authorization', authorization)).status).toBe(200);
+
+    const session = await Session.findById();
+    session.revokedAt = new Date();
+
+    const refused = await request(protectedApp).get('/protected').set('Authorization', authorization);
+    expect(refused.status).toBe(401);
+    expect(refused.body.error).toMatch(/revoked/);
+  });
+});
@@ -0,0 +1,70 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+
+// Just enough of MongoDB's update semantics for the filters consume() uses
+const matches = (record, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = record[field];
+  if (condition === null) return value == null;
+  if (condition?.$gt !== undefined) return value > condition.$gt;
+  if (condition?.$lt !== undefined) return value < condition.$lt;
+  return String(value) === String(condition);
+});
+
+describe('PasswordResetToken.consume', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let record;
+  let code;
+
+  beforeEach(async () => {
+    jest.spyOn(PasswordResetToken, 'updateMany').mockResolvedValue({});
+    jest.spyOn(PasswordResetToken, 'create').mockImplementation(async fields => new PasswordResetToken(fields).toObject());
+    ({ code, record } = await PasswordResetToken.issue({ _id: userId }));
+
+    jest.spyOn(PasswordResetToken, 'findOne').mockImplementation(filter => ({
+      sort: async () => (matches(record, filter) ? { ...record } : null)
+    }));
+    jest.spyOn(PasswordResetToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (!matches(record, filter)) return null;
+      if (update.$inc) {
+        record.attempts += update.$inc.attempts;
+      } else {
+        Object.assign(record, update);
+      }
+      return { ...record };
+    });
+  });
+
+  const wrongCode = () => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+  test('accepts the emailed code once', async () => {
+    expect(await PasswordResetToken.consume(userId, code)).toMatchObject({ _id: record._id });
+    expect(record.usedAt).toBeInstanceOf(Date);
+    expect(await PasswordResetToken.consume(userId, code)).toBeNull();
+  });
+
+  test('refuses the right code after five wrong guesses', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(await PasswordResetToken.consume(userId, wrongCode())).toBeNull();
+    }
+    expect(record.attempts).toBe(5);
+
+    expect(await PasswordResetToken.consume(userId, code)).toBeNull();
+    expect(record.usedAt).toBeUndefined();
+  });
+
+  test('counts concurrent guesses against the cap', async () => {
+    await Promise.all(Array.from({ length: 20 }, () => PasswordResetToken.consume(userId, wrongCode())));
+
+    expect(record.attempts).toBe(5);
+    expect(await PasswordResetToken.consume(userId, code)).toBeNull();
+  });
+
+  test('refuses expired codes', async () => {
+    record.expiresAt = new Date(Date.now() - 1000);
+
+    expect(await PasswordResetToken.consume(userId, code)).toBeNull();
+    expect(record.attempts).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Asset from '../models/Asset.js';
+import Payment from '../models/Payment.js';
+import paymentRoutes from '../routes/payments.js';
+import { buildApp, buildUser, authenticateAs } from './helpers.js';
+
+const app = buildApp('/api/payments', paymentRoutes);
+
+describe('POST /api/payments/:paymentId/refund', () => {
+  let payment;
+  let assetUpdate;
+  let sellerUpdate;
+
+  beforeEach(() => {
+    payment = new Payment({
+      asset: new mongoose.Types.ObjectId(),
+      buyer: new mongoose.Types.ObjectId(),
+      seller: new mongoose.Types.ObjectId(),
+      amount: 20,
+      creatorAmount: 18,
+      paymentStatus: 'completed',
+      accessGranted: true,
+      deliveryEmail: 'buyer@example.com'
+    }).toObject();
+
+    jest.spyOn(Payment, 'exists').mockImplementation(async ({ _id }) => (String(_id) === String(payment._id) ? { _id } : null));
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (String(filter._id) !== String(payment._id) || payment.paymentStatus !== filter.paymentStatus) {
+        return null;
+      }
+      Object.assign(payment, update);
+      return { ...payment };
+    });
+    assetUpdate = jest.spyOn(Asset, 'findByIdAndUpdate').mockResolvedValue({});
+    sellerUpdate = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+  });
+
+  const refund = (authorization, body = {}) => request(app)
+    .post(`/api/payments/${payment._id}/refund`)
+    .set('Authorization', authorization)
+    .send(body);
+
+  test('refunds a completed payment, revokes access and reverses the statistics', async () => {
+    const authorization = authenticateAs(buildUser({ role: 'admin' }));
+
+    const response = await refund(authorization, { reason: 'Duplicate charge' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.payment.status).toBe('refunded');
+    expect(payment).toMatchObject({ paymentStatus: 'refunded', accessGranted: false, notes: 'Refund: Duplicate charge' });
+
+    expect(assetUpdate).toHaveBeenCalledWith(payment.asset, { $inc: { purchases: -1, revenue: -20 } });
+    expect(sellerUpdate).toHaveBeenCalledWith(payment.seller, { $inc: { totalEarnings: -18, totalSales: -1 } });
+  });
+
+  test('reverses the statistics once when two refunds race', async () => {
+    const authorization = authenticateAs(buildUser({ role: 'admin' }));
+
+    const responses = await Promise.all([refund(authorization), refund(authorization)]);
+    expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+    expect(assetUpdate).toHaveBeenCalledTimes(1);
+    expect(sellerUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses payments that are not completed', async () => {
+    payment.paymentStatus = 'pending';
+    const authorization = authenticateAs(buildUser({ role: 'admin' }));
+
+    const response = await refund(authorization);
+    expect(response.status).toBe(400);
+    expect(assetUpdate).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 for unknown payments', async () => {
+    const authorization = authenticateAs(buildUser({ role: 'admin' }));
+
+    const response = await request(app)
+      .post(`/api/payments/${new mongoose.Types.ObjectId()}/refund`)
+      .set('Authorization', authorization);
+    expect(response.status).toBe(404);
+  });
+
+  test('rejects malformed payment IDs', async () => {
+    const authorization = authenticateAs(buildUser({ role: 'admin' }));
+
+    const response = await request(app)
+      .post('/api/payments/not-an-id/refund')
+      .set('Authorization', authorization);
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid payment ID');
+    expect(Payment.exists).not.toHaveBeenCalled();
+  });
+
+  test('requires the payments:refund permission', async () => {
+    const authorization = authenticateAs(buildUser({ role: 'moderator' }));
+
+    const response = await refund(authorization);
+    expect(response.status).toBe(403);
+    expect(payment.paymentStatus).toBe('completed');
+  });
+});
@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import Organization from '../models/Organization.js';
+import Favorite from '../models/Favorite.js';
+import { resolvePublishing, UploadRejectedError } from '../utils/assetUploadService.js';
+import assetRoutes from '../routes/assets.js';
+import { buildApp, buildUser, buildAsset, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/assets', assetRoutes);
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+describe('resolvePublishing', () => {
+  test('publishes new uploads unless asked otherwise', () => {
+    expect(resolvePublishing({})).toMatchObject({ status: 'published', publishAt: null, publishedAt: expect.any(Date) });
+    expect(resolvePublishing({ status: 'draft', visibility: 'unlisted' })).toEqual({ status: 'draft', publishAt: null, visibility: 'unlisted' });
+  });
+
+  test('schedules with a future publishAt, even without a status', () => {
+    const publishAt = inOneHour();
+
+    expect(resolvePublishing({ publishAt })).toEqual({ status: 'scheduled', publishAt: new Date(publishAt) });
+    expect(() => resolvePublishing({ status: 'scheduled' })).toThrow('publishAt must be a valid date to schedule publication');
+    expect(() => resolvePublishing({ publishAt: '2020-01-01T00:00:00Z' })).toThrow('publishAt must be in the future');
+  });
+
+  test('leaves updates without a state alone and keeps the first publication date', () => {
+    const published = buildAsset({ status: 'published', publishedAt: new Date('2026-01-01') });
+
+    expect(resolvePublishing({}, published)).toEqual({});
+    expect(resolvePublishing({ status: 'published' }, published).publishedAt).toBeUndefined();
+  });
+
+  test('refuses unknown states and changes to archived or taken-down assets', () => {
+    expect(() => resolvePublishing({ status: 'archived' })).toThrow(UploadRejectedError);
+    expect(() => resolvePublishing({ visibility: 'secret' })).toThrow('Visibility must be one of: public, unlisted');
+
+    expect(() => resolvePublishing({ status: 'published' }, buildAsset({ status: 'flagged' })))
+      .toThrow('The publishing state of a flagged asset cannot be changed');
+  });
+});
+
+describe('PUT /api/assets/:id publishing state', () => {
+  test('schedules a draft and refuses a date in the past', async () => {
+    const creator = buildUser({ role: 'creator', verifiedCreator: true });
+    const asset = buildAsset({ creator: creator._id, status: 'draft' });
+    jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+    const update = jest.spyOn(Asset, 'findByIdAndUpdate').mockReturnValue(mockQuery(asset));
+    const publishAt = inOneHour();
+
+    const response = await request(app)
+      .put(`/api/assets/${asset._id}`)
+      .set('Authorization', authenticateAs(creator))
+      .send({ publishAt });
+
+    expect(response.status).toBe(200);
+    expect(update).toHaveBeenCalledWith(String(asset._id), expect.objectContaining({
+      status: 'scheduled',
+      publishAt: new Date(publishAt)
+    }), expect.any(Object));
+
+    const refused = await request(app)
+      .put(`/api/assets/${asset._id}`)
+      .set('Authorization', authenticateAs(creator))
+      .send({ status: 'scheduled', publishAt: '2020-01-01T00:00:00Z' });
+    expect(refused.status).toBe(400);
+    expect(refused.body.error).toBe('publishAt must be in the future');
+  });
+});
+
+describe('GET /api/assets/:id for unpublished assets', () => {
+  let creator;
+
+  beforeEach(() => {
+    creator = buildUser({ role: 'creator' });
+    jest.spyOn(Asset.prototype, 'incrementViews').mockResolvedValue();
+    jest.spyOn(Favorite, 'getUserState').mockResolvedValue({ liked: false, wishlisted: false });
+  });
+
+  test('lets the creator preview a draft without counting a view, and hides it from others', async () => {
+    const asset = buildAsset({ creator: creator._id, status: 'draft', isApproved: true });
+    jest.spyOn(Asset, 'findById').mockReturnValue(mockQuery(asset));
+
+    expect((await request(app).get(`/api/assets/${asset._id}`)).status).toBe(404);
+    expect((await request(app).get(`/api/assets/${asset._id}`).set('Authorization', authenticateAs(buildUser()))).status).toBe(404);
+
+    const preview = await request(app).get(`/api/assets/${asset._id}`).set('Authorization', authenticateAs(creator));
+    expect(preview.status).toBe(200);
+    expect(asset.incrementViews).not.toHaveBeenCalled();
+  });
+
+  test('opens unlisted assets to anyone with the link', async () => {
+    const asset = buildAsset({ creator: creator._id, status: 'published', visibility: 'unlisted', isApproved: true });
+    jest.spyOn(Asset, 'findById').mockReturnValue(mockQuery(asset));
+
+    const response = await request(app).get(`/api/assets/${asset._id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.asset.visibility).toBe('unlisted');
+    expect(asset.incrementViews).toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/assets', () => {
+  test('leaves unlisted assets out of listings', async () => {
+    const find = jest.spyOn(Asset, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Asset, 'countDocuments').mockResolvedValue(0);
+
+    expect((await request(app).get('/api/assets?facets=false')).status).toBe(200);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ status: 'published', visibility: { $ne: 'unlisted' } }));
+  });
+});
+
+describe('GET /api/assets/mine', () => {
+  let user;
+  let find;
+  let aggregate;
+
+  beforeEach(() => {
+    user = buildUser({ role: 'creator' });
+    find = jest.spyOn(Asset, 'find').mockReturnValue(mockQuery([buildAsset({ creator: user._id, status: 'draft' })]));
+    jest.spyOn(Asset, 'countDocuments').mockResolvedValue(1);
+    aggregate = jest.spyOn(Asset, 'aggregate').mockResolvedValue([{ _id: 'draft', count: 1 }, { _id: 'published', count: 4 }]);
+  });
+
+  test('lists your assets in every state with counts per status', async () => {
+    const response = await request(app)
+      .get('/api/assets/mine?status=draft&visibility=public')
+      .set('Authorization', authenticateAs(user));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.counts).toEqual({ draft: 1, published: 4 });
+    expect(response.body.data.assets).toHaveLength(1);
+    expect(find).toHaveBeenCalledWith({ creator: user._id, status: 'draft', visibility: { $ne: 'unlisted' } });
+    expect(aggregate).toHaveBeenCalledWith([
+      { $match: { creator: user._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+  });
+
+  test('lists the assets of an organization you can edit for', async () => {
+    const organizationId = new mongoose.Types.ObjectId();
+    const userCan = jest.spyOn(Organization, 'userCan').mockResolvedValue(true);
+
+    const response = await request(app)
+      .get(`/api/assets/mine?organizationId=${organizationId}`)
+      .set('Authorization', authenticateAs(user));
+
+    expect(response.status).toBe(200);
+    expect(userCan).toHaveBeenCalledWith(String(organizationId), user._id, 'assets:edit');
+    expect(find).toHaveBeenCalledWith({ organization: organizationId });
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { organization: organizationId } });
+  });
+
+  test('refuses organizations you cannot edit for', async () => {
+    jest.spyOn(Organization, 'userCan').mockResolvedValue(false);
+    const authorization = authenticateAs(user);
+
+    expect((await request(app).get(`/api/assets/mine?organizationId=${new mongoose.Types.ObjectId()}`).set('Authorization', authorization)).status).toBe(403);
+    expect((await request(app).get('/api/assets/mine?organizationId=not-an-id').set('Authorization', authorization)).status).toBe(403);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('Asset.publishScheduled', () => {
+  test('publishes scheduled assets whose time has come', async () => {
+    const updateMany = jest.spyOn(Asset, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await Asset.publishScheduled()).toBe(0);
+    expect(updateMany).toHaveBeenCalledWith(
+      { status: 'scheduled', publishAt: { $lte: expect.any(Date) } },
+      { $set: { status: 'published', publishedAt: expect.any(Date) } }
+    );
+  });
+});
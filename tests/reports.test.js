@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import Asset from '../models/Asset.js';
+import Report from '../models/Report.js';
+import ModerationAction from '../models/ModerationAction.js';
+import Mailer from '../utils/mailer.js';
+import reportRoutes from '../routes/reports.js';
+import moderationRoutes from '../routes/moderation.js';
+import { buildApp, buildUser, buildAsset, authenticateAs } from './helpers.js';
+
+const app = buildApp('/api/reports', reportRoutes);
+const moderationApp = buildApp('/api/moderation', moderationRoutes);
+
+let creator;
+let reporter;
+let moderator;
+let asset;
+let assetUpdates;
+
+beforeEach(() => {
+  creator = buildUser({ role: 'creator' });
+  reporter = buildUser();
+  moderator = buildUser({ role: 'moderator' });
+  asset = buildAsset({ creator: creator._id, status: 'published', moderationStatus: 'approved', isApproved: true });
+  jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+  assetUpdates = jest.spyOn(Asset, 'updateOne').mockResolvedValue({});
+  jest.spyOn(ModerationAction, 'create').mockImplementation(async fields => fields);
+  jest.spyOn(Mailer.prototype, 'sendModerationDecisionEmail').mockResolvedValue();
+  jest.spyOn(Mailer.prototype, 'sendReportUpdateEmail').mockResolvedValue();
+});
+
+describe('POST /api/reports', () => {
+  const submit = (user, fields = {}) => request(app)
+    .post('/api/reports')
+    .set('Authorization', authenticateAs(user))
+    .send({
+      assetId: String(asset._id),
+      reason: 'stolen-content',
+      description: 'This is a copy of my artwork.',
+      ...fields
+    });
+
+  test('files a report, counts it on the asset and records it in the audit trail', async () => {
+    jest.spyOn(Report, 'exists').mockResolvedValue(null);
+    jest.spyOn(Report, 'create').mockImplementation(async fields => new Report(fields));
+
+    const response = await submit(reporter);
+
+    expect(response.status).toBe(201);
+    expect(assetUpdates).toHaveBeenCalledWith({ _id: asset._id }, { $inc: { reportCount: 1 } });
+    expect(ModerationAction.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'report', actor: reporter._id }));
+  });
+
+  test('requires a good-faith statement for copyright notices', async () => {
+    const create = jest.spyOn(Report, 'create');
+
+    expect((await submit(reporter, { reason: 'copyright' })).status).toBe(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('refuses reports on your own asset and repeated open reports', async () => {
+    jest.spyOn(Report, 'exists').mockResolvedValue({ _id: 'open-report' });
+
+    expect((await submit(creator)).status).toBe(400);
+    expect((await submit(reporter)).status).toBe(409);
+  });
+});
+
+describe('takedowns and counter-notices', () => {
+  let report;
+
+  beforeEach(() => {
+    report = new Report({ asset: asset._id, reporter: reporter._id, reason: 'copyright', description: 'My photo, reposted.' });
+    jest.spyOn(report, 'save').mockResolvedValue(report);
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+  });
+
+  const takedown = () => request(app)
+    .post(`/api/reports/${report._id}/takedown`)
+    .set('Authorization', authenticateAs(moderator, creator, reporter))
+    .send({ notes: 'Matches the original' });
+
+  const counterNotice = (user) => request(app)
+    .post(`/api/reports/${report._id}/counter-notice`)
+    .set('Authorization', authenticateAs(user, reporter))
+    .send({
+      statement: 'I created this work myself and hold all rights.',
+      legalName: 'Casey Creator',
+      contactEmail: 'casey@example.com',
+      consentToJurisdiction: true
+    });
+
+  test('a takedown hides the asset, closes the report and notifies both sides', async () => {
+    const response = await takedown();
+
+    expect(response.status).toBe(200);
+    expect(asset).toMatchObject({ status: 'flagged', moderationStatus: 'flagged', isApproved: false, takenDownFromStatus: 'published' });
+    expect(report.status).toBe('taken-down');
+    expect(assetUpdates).toHaveBeenCalledWith({ _id: asset._id, reportCount: { $gt: 0 } }, { $inc: { reportCount: -1 } });
+    expect(Mailer.prototype.sendModerationDecisionEmail).toHaveBeenCalledWith(creator, asset, 'takedown', expect.any(String));
+    expect(Mailer.prototype.sendReportUpdateEmail).toHaveBeenCalledWith(reporter, asset, report);
+  });
+
+  test('taken-down assets are disputed with a counter-notice, not an appeal', async () => {
+    await takedown();
+
+    const appeal = await request(moderationApp)
+      .post(`/api/moderation/assets/${asset._id}/appeal`)
+      .set('Authorization', authenticateAs(creator))
+      .send({ message: 'This is my own original artwork.' });
+    expect(appeal.status).toBe(400);
+
+    expect((await counterNotice(reporter)).status).toBe(403);
+    expect((await counterNotice(creator)).status).toBe(201);
+    expect(report.status).toBe('counter-noticed');
+  });
+
+  test('reinstating restores the status the asset had before the takedown', async () => {
+    asset.status = 'draft';
+    await takedown();
+    await counterNotice(creator);
+
+    const response = await request(app)
+      .post(`/api/reports/${report._id}/counter-notice/resolve`)
+      .set('Authorization', authenticateAs(moderator, creator, reporter))
+      .send({ decision: 'reinstate' });
+
+    expect(response.status).toBe(200);
+    expect(report.status).toBe('reinstated');
+    expect(asset).toMatchObject({ status: 'draft', moderationStatus: 'approved', isApproved: true });
+  });
+
+  test('decisions on reports need the moderation permission', async () => {
+    const response = await request(app)
+      .post(`/api/reports/${report._id}/takedown`)
+      .set('Authorization', authenticateAs(reporter));
+
+    expect(response.status).toBe(403);
+    expect(asset.status).toBe('published');
+  });
+});
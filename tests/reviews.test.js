@@ -0,0 +1,261 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import Review from '../models/Review.js';
+import Payment from '../models/Payment.js';
+import ModerationAction from '../models/ModerationAction.js';
+import ModerationService from '../utils/moderationService.js';
+import reviewRoutes from '../routes/reviews.js';
+import { buildApp, buildUser, buildAsset, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/reviews', reviewRoutes);
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+// Unsaved review; save() and deleteOne() are mocked
+const buildReview = (fields) => {
+  const review = new Review({ rating: 4, text: 'Lovely colours', ...fields });
+  jest.spyOn(review, 'save').mockResolvedValue(review);
+  jest.spyOn(review, 'deleteOne').mockResolvedValue({});
+  return review;
+};
+
+let creator;
+let asset;
+let ratingUpdate;
+
+beforeEach(() => {
+  creator = buildUser({ role: 'creator' });
+  asset = buildAsset({ creator: creator._id, status: 'published', isApproved: true, ratingAverage: 4.5, ratingCount: 2 });
+  jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+  ratingUpdate = jest.spyOn(Review, 'updateAssetRating').mockResolvedValue({ ratingAverage: 4.3, ratingCount: 3 });
+});
+
+describe('POST /api/reviews/asset/:assetId', () => {
+  const submit = (user, body = { rating: 4, text: 'Great texture pack' }) => request(app)
+    .post(`/api/reviews/asset/${asset._id}`)
+    .set('Authorization', authenticateAs(user))
+    .send(body);
+
+  test('lets a buyer review once and refreshes the asset rating', async () => {
+    const buyer = buildUser();
+    const hasCompletedPurchase = jest.spyOn(Payment, 'hasCompletedPurchase').mockResolvedValue(true);
+    jest.spyOn(Review, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(Review, 'create').mockImplementation(async fields => new Review(fields));
+
+    const response = await submit(buyer);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.review).toMatchObject({ rating: 4, verifiedPurchase: true });
+    expect(response.body.data.summary).toEqual({ ratingAverage: 4.3, ratingCount: 3 });
+    expect(hasCompletedPurchase).toHaveBeenCalledWith(asset._id, expect.objectContaining({ _id: buyer._id }));
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ asset: asset._id, reviewer: buyer._id, rating: 4 }));
+    expect(ratingUpdate).toHaveBeenCalledWith(asset._id);
+
+    Review.exists.mockResolvedValue({ _id: 'review' });
+    expect((await submit(buyer)).status).toBe(409);
+  });
+
+  test('refuses users without a purchase, the creator and invalid ratings', async () => {
+    jest.spyOn(Payment, 'hasCompletedPurchase').mockResolvedValue(false);
+    const create = jest.spyOn(Review, 'create');
+
+    expect((await submit(buildUser())).status).toBe(403);
+    expect((await submit(creator)).status).toBe(400);
+    expect((await submit(buildUser(), { rating: 6 })).status).toBe(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('only reviews published assets', async () => {
+    asset.status = 'draft';
+
+    expect((await submit(buildUser())).status).toBe(404);
+  });
+});
+
+describe('GET /api/reviews/asset/:assetId', () => {
+  test('returns published reviews with the rating summary and the viewer\'s own review', async () => {
+    const viewer = buildUser();
+    const own = buildReview({ asset: asset._id, reviewer: viewer._id, rating: 5 });
+    const find = jest.spyOn(Review, 'find').mockReturnValue(mockQuery([own]));
+    jest.spyOn(Review, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Review, 'getDistribution').mockResolvedValue({ 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 });
+    jest.spyOn(Review, 'findOne').mockResolvedValue(own);
+
+    const response = await request(app)
+      .get(`/api/reviews/asset/${asset._id}?sort=highest`)
+      .set('Authorization', authenticateAs(viewer));
+
+    expect(response.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ asset: asset._id, status: 'published' });
+    expect(response.body.data.summary).toEqual({ ratingAverage: 4.5, ratingCount: 2, distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 } });
+    expect(response.body.data.ownReview._id).toBe(String(own._id));
+  });
+
+  test('refuses unknown sort orders', async () => {
+    expect((await request(app).get(`/api/reviews/asset/${asset._id}?sort=random`)).status).toBe(400);
+  });
+});
+
+describe('editing, replying and deleting', () => {
+  let reviewer;
+  let review;
+
+  beforeEach(() => {
+    reviewer = buildUser();
+    review = buildReview({ asset: asset._id, reviewer: reviewer._id });
+    jest.spyOn(Review, 'findById').mockResolvedValue(review);
+  });
+
+  test('the reviewer edits their review and the rating is refreshed', async () => {
+    const response = await request(app)
+      .put(`/api/reviews/${review._id}`)
+      .set('Authorization', authenticateAs(reviewer))
+      .send({ rating: 2 });
+
+    expect(response.status).toBe(200);
+    expect(review.rating).toBe(2);
+    expect(review.editedAt).toBeInstanceOf(Date);
+    expect(ratingUpdate).toHaveBeenCalledWith(asset._id);
+
+    const refused = await request(app)
+      .put(`/api/reviews/${review._id}`)
+      .set('Authorization', authenticateAs(buildUser()))
+      .send({ rating: 1 });
+    expect(refused.status).toBe(403);
+  });
+
+  test('only the asset creator replies', async () => {
+    const refused = await request(app)
+      .post(`/api/reviews/${review._id}/reply`)
+      .set('Authorization', authenticateAs(reviewer))
+      .send({ text: 'Thanks to me' });
+    expect(refused.status).toBe(403);
+
+    const response = await request(app)
+      .post(`/api/reviews/${review._id}/reply`)
+      .set('Authorization', authenticateAs(creator))
+      .send({ text: 'Thanks for the kind words!' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.review.reply.text).toBe('Thanks for the kind words!');
+    expect(review.reply.author).toEqual(creator._id);
+  });
+
+  test('the reviewer and moderators delete reviews, the creator does not', async () => {
+    expect((await request(app).delete(`/api/reviews/${review._id}`).set('Authorization', authenticateAs(creator))).status).toBe(403);
+    expect(review.deleteOne).not.toHaveBeenCalled();
+
+    const response = await request(app)
+      .delete(`/api/reviews/${review._id}`)
+      .set('Authorization', authenticateAs(buildUser({ role: 'moderator' })));
+    expect(response.status).toBe(200);
+    expect(review.deleteOne).toHaveBeenCalled();
+    expect(ratingUpdate).toHaveBeenCalledWith(asset._id);
+  });
+});
+
+describe('flagging and review moderation', () => {
+  let review;
+
+  beforeEach(() => {
+    review = buildReview({ asset: asset._id, reviewer: new mongoose.Types.ObjectId() });
+    jest.spyOn(Review, 'findById').mockResolvedValue(review);
+    jest.spyOn(ModerationAction, 'create').mockImplementation(async fields => fields);
+  });
+
+  afterEach(() => {
+    delete process.env.REVIEW_AUTO_HIDE_FLAGS;
+  });
+
+  const flag = (user) => request(app)
+    .post(`/api/reviews/${review._id}/flag`)
+    .set('Authorization', authenticateAs(user))
+    .send({ reason: 'Spam' });
+
+  test('counts flags from established accounts as trusted and hides the review at the threshold', async () => {
+    process.env.REVIEW_AUTO_HIDE_FLAGS = '2';
+    const flagger = buildUser({ createdAt: daysAgo(30) });
+    const hasCompletedPurchase = jest.spyOn(Payment, 'hasCompletedPurchase');
+    const findOneAndUpdate = jest.spyOn(Review, 'findOneAndUpdate').mockImplementation(async () => {
+      review.flagCount = 2;
+      review.trustedFlagCount = 2;
+      return review;
+    });
+
+    const response = await flag(flagger);
+
+    expect(response.status).toBe(200);
+    expect(hasCompletedPurchase).not.toHaveBeenCalled();
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: review._id, 'flags.user': { $ne: flagger._id } },
+      { $push: { flags: { user: flagger._id, reason: 'Spam', trusted: true } }, $inc: { flagCount: 1, trustedFlagCount: 1 } },
+      { new: true }
+    );
+    expect(review.status).toBe('hidden');
+    expect(ratingUpdate).toHaveBeenCalledWith(asset._id);
+    expect(ModerationAction.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'review-hidden', actor: null, review: review._id }));
+  });
+
+  test('counts flags from new accounts as trusted only when they bought the asset', async () => {
+    const flagger = buildUser({ createdAt: new Date() });
+    const hasCompletedPurchase = jest.spyOn(Payment, 'hasCompletedPurchase').mockResolvedValue(false);
+
+    expect(await new ModerationService().isTrustedFlagger(review, flagger)).toBe(false);
+    // Any completed purchase counts, whether or not its download access has expired
+    expect(hasCompletedPurchase).toHaveBeenCalledWith(asset._id, flagger);
+  });
+
+  test('refuses flags from the reviewer, the creator and repeat flaggers', async () => {
+    const reviewer = buildUser();
+    review.reviewer = reviewer._id;
+    expect((await flag(reviewer)).status).toBe(400);
+    expect((await flag(creator)).status).toBe(403);
+
+    jest.spyOn(Review, 'findOneAndUpdate').mockResolvedValue(null);
+    expect((await flag(buildUser({ createdAt: daysAgo(30) }))).status).toBe(409);
+  });
+
+  test('moderators hide and restore reviews, clearing the flags', async () => {
+    const moderator = buildUser({ role: 'moderator' });
+    Object.assign(review, { flagCount: 3, trustedFlagCount: 1 });
+
+    const hidden = await request(app)
+      .post(`/api/reviews/${review._id}/hide`)
+      .set('Authorization', authenticateAs(moderator))
+      .send({ reason: 'Abusive language' });
+    expect(hidden.status).toBe(200);
+    expect(review).toMatchObject({ status: 'hidden', moderationReason: 'Abusive language' });
+    expect(review.moderatedBy).toEqual(moderator._id);
+
+    const restored = await request(app)
+      .post(`/api/reviews/${review._id}/restore`)
+      .set('Authorization', authenticateAs(moderator))
+      .send({});
+    expect(restored.status).toBe(200);
+    expect(review).toMatchObject({ status: 'published', flagCount: 0, trustedFlagCount: 0 });
+    expect(ModerationAction.create).toHaveBeenLastCalledWith(expect.objectContaining({ action: 'review-restored', previousStatus: 'hidden' }));
+  });
+
+  test('only moderators see the queue and hide reviews', async () => {
+    const user = buildUser();
+
+    expect((await request(app).get('/api/reviews').set('Authorization', authenticateAs(user))).status).toBe(403);
+    expect((await request(app).post(`/api/reviews/${review._id}/hide`).set('Authorization', authenticateAs(user)).send({ reason: 'Nope' })).status).toBe(403);
+  });
+});
+
+describe('Review.updateAssetRating', () => {
+  test('stores the rounded average of published reviews on the asset', async () => {
+    ratingUpdate.mockRestore();
+    const aggregate = jest.spyOn(Review, 'aggregate').mockResolvedValue([{ _id: null, average: 4.333, count: 3 }]);
+    const assetUpdate = jest.spyOn(Asset, 'updateOne').mockResolvedValue({});
+
+    expect(await Review.updateAssetRating(asset._id)).toEqual({ ratingAverage: 4.3, ratingCount: 3 });
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { asset: asset._id, status: 'published' } });
+    expect(assetUpdate).toHaveBeenCalledWith({ _id: asset._id }, { ratingAverage: 4.3, ratingCount: 3 });
+
+    aggregate.mockResolvedValue([]);
+    expect(await Review.updateAssetRating(asset._id)).toEqual({ ratingAverage: 0, ratingCount: 0 });
+  });
+});
@@ -0,0 +1,82 @@
+import request from 'supertest';
+import { getRolePermissions } from '../config/roles.js';
+import userRoutes from '../routes/users.js';
+import { buildApp, buildUser, authenticateAs } from './helpers.js';
+
+describe('roles and permissions', () => {
+  test('each role inherits the permissions of the roles before it', () => {
+    expect(getRolePermissions('buyer')).toEqual([]);
+    expect(getRolePermissions('creator')).toContain('assets:create');
+    expect(getRolePermissions('moderator')).toEqual(expect.arrayContaining(['assets:create', 'assets:moderate']));
+    expect(getRolePermissions('admin')).toEqual(expect.arrayContaining(['assets:moderate', 'payments:refund', 'users:manage']));
+    expect(getRolePermissions('superuser')).toEqual([]);
+  });
+
+  test('explicit grants add to the role without duplicates', () => {
+    const user = buildUser({ role: 'creator', permissions: ['payments:read', 'assets:create'] });
+
+    expect(user.hasPermission('payments:read')).toBe(true);
+    expect(user.hasPermission('payments:refund')).toBe(false);
+    expect(user.getPermissions().filter(permission => permission === 'assets:create')).toHaveLength(1);
+  });
+});
+
+describe('PUT /api/users/:userId/role', () => {
+  const app = buildApp('/api/users', userRoutes);
+
+  test('lets an admin promote a user and grant extra permissions', async () => {
+    const admin = buildUser({ role: 'admin' });
+    const target = buildUser({ role: 'buyer' });
+    const authorization = authenticateAs(admin, target);
+
+    const response = await request(app)
+      .put(`/api/users/${target._id}/role`)
+      .set('Authorization', authorization)
+      .send({ role: 'creator', permissions: ['payments:read'] });
+
+    expect(response.status).toBe(200);
+    expect(target.role).toBe('creator');
+    expect(response.body.data.permissions).toEqual(expect.arrayContaining(['assets:create', 'payments:read']));
+  });
+
+  test('refuses unknown permissions', async () => {
+    const admin = buildUser({ role: 'admin' });
+    const target = buildUser();
+    const authorization = authenticateAs(admin, target);
+
+    const response = await request(app)
+      .put(`/api/users/${target._id}/role`)
+      .set('Authorization', authorization)
+      .send({ permissions: ['everything'] });
+
+    expect(response.status).toBe(400);
+    expect(target.save).not.toHaveBeenCalled();
+  });
+
+  test('stops admins from demoting themselves', async () => {
+    const admin = buildUser({ role: 'admin' });
+    const authorization = authenticateAs(admin);
+
+    const response = await request(app)
+      .put(`/api/users/${admin._id}/role`)
+      .set('Authorization', authorization)
+      .send({ role: 'buyer' });
+
+    expect(response.status).toBe(400);
+    expect(admin.role).toBe('admin');
+  });
+
+  test('requires users:manage', async () => {
+    const moderator = buildUser({ role: 'moderator' });
+    const target = buildUser();
+    const authorization = authenticateAs(moderator, target);
+
+    const response = await request(app)
+      .put(`/api/users/${target._id}/role`)
+      .set('Authorization', authorization)
+      .send({ role: 'admin' });
+
+    expect(response.status).toBe(403);
+    expect(target.role).toBe('buyer');
+  });
+});
@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import SessionService from '../utils/sessionService.js';
+
+const sessionService = new SessionService();
+const req = { ip: '203.0.113.7' };
+
+describe('SessionService.rotate', () => {
+  let stored;
+  let revoke;
+
+  // One session "in the database"; every findById returns a fresh copy, like separate queries would
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      refreshTokenHash: sessionService.hashSecret('first-secret'),
+      previousTokenHashes: [],
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    };
+    revoke = jest.spyOn(Session.prototype, 'revoke').mockImplementation(function(reason) {
+      stored.revokedAt = new Date();
+      stored.revokedReason = reason;
+      return Promise.resolve(this);
+    });
+
+    jest.spyOn(Session, 'findById').mockImplementation(() => ({
+      select: async () => new Session({ ...stored, previousTokenHashes: [...stored.previousTokenHashes] })
+    }));
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (String(filter._id) !== String(stored._id) || filter.refreshTokenHash !== stored.refreshTokenHash) {
+        return null;
+      }
+      Object.assign(stored, update.$set);
+      stored.previousTokenHashes = [...stored.previousTokenHashes, ...update.$push.previousTokenHashes.$each]
+        .slice(update.$push.previousTokenHashes.$slice);
+      return new Session(stored);
+    });
+  });
+
+  test('issues a new token pair and remembers the rotated secret', async () => {
+    const tokens = await sessionService.rotate(`${stored._id}.first-secret`, req);
+
+    const [sessionId, secret] = tokens.refreshToken.split('.');
+    expect(sessionId).toBe(stored._id.toString());
+    expect(secret).not.toBe('first-secret');
+    expect(stored.refreshTokenHash).toBe(sessionService.hashSecret(secret));
+    expect(stored.previousTokenHashes).toEqual([sessionService.hashSecret('first-secret')]);
+    expect(jwt.verify(tokens.token, process.env.JWT_SECRET).sid).toBe(stored._id.toString());
+  });
+
+  test('revokes the session when a rotated token is replayed', async () => {
+    const tokens = await sessionService.rotate(`${stored._id}.first-secret`, req);
+
+    await expect(sessionService.rotate(`${stored._id}.first-secret`, req))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Refresh token has already been used' });
+    expect(revoke).toHaveBeenCalledWith('reuse-detected');
+
+    // The whole family is gone, including the token issued by the legitimate rotation
+    await expect(sessionService.rotate(tokens.refreshToken, req))
+      .rejects.toThrow('Session has expired or been revoked');
+  });
+
+  test('lets only one of two concurrent refreshes with the same token succeed', async () => {
+    const results = await Promise.allSettled([
+      sessionService.rotate(`${stored._id}.first-secret`, req),
+      sessionService.rotate(`${stored._id}.first-secret`, req)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const [rejected] = results.filter(result => result.status === 'rejected');
+    expect(rejected.reason.message).toBe('Refresh token has already been used');
+    expect(revoke).toHaveBeenCalledWith('reuse-detected');
+  });
+
+  test('rejects unknown secrets and malformed tokens', async () => {
+    await expect(sessionService.rotate(`${stored._id}.guessed-secret`, req))
+      .rejects.toThrow('Invalid refresh token');
+    await expect(sessionService.rotate('not-a-token', req))
+      .rejects.toThrow('Invalid refresh token');
+    expect(revoke).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,8 @@
+import mongoose from 'mongoose';
+
+// Tests run without a database: model calls are mocked, and anything left unmocked fails
+// straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.MAIL_TRANSPORT = 'console';
@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import { Wallet } from 'ethers';
+import SiweNonce from '../models/SiweNonce.js';
+import SiweService from '../utils/siweService.js';
+
+const siweService = new SiweService();
+
+const buildMessage = (address, nonce) => [
+  `${siweService.domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  'Sign in to Authenzia',
+  '',
+  `URI: http://${siweService.domain}`,
+  'Version: 1',
+  'Chain ID: 1',
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date().toISOString()}`
+].join('\n');
+
+describe('SiweService.verify nonce consumption', () => {
+  const wallet = Wallet.createRandom();
+  let nonces;
+
+  beforeEach(() => {
+    nonces = new Map();
+    jest.spyOn(SiweNonce, 'create').mockImplementation(async fields => {
+      nonces.set(fields.nonce, { ...fields, usedAt: null });
+      return fields;
+    });
+    jest.spyOn(SiweNonce, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const record = nonces.get(filter.nonce);
+      if (!record || record.usedAt !== filter.usedAt || record.expiresAt <= filter.expiresAt.$gt) {
+        return null;
+      }
+      Object.assign(record, update);
+      return record;
+    });
+  });
+
+  test('accepts a signed message once and consumes its nonce', async () => {
+    const { nonce } = await SiweNonce.issue('203.0.113.7');
+    const message = buildMessage(wallet.address, nonce);
+    const signature = await wallet.signMessage(message);
+
+    const result = await siweService.verify(message, signature);
+    expect(result.address).toBe(wallet.address);
+    expect(nonces.get(nonce).usedAt).toBeInstanceOf(Date);
+
+    await expect(siweService.verify(message, signature))
+      .rejects.toThrow('Nonce is invalid, expired or already used');
+  });
+
+  test('does not burn the nonce when the signature is wrong', async () => {
+    const { nonce } = await SiweNonce.issue('203.0.113.7');
+    const message = buildMessage(wallet.address, nonce);
+    const forged = await Wallet.createRandom().signMessage(message);
+
+    await expect(siweService.verify(message, forged)).rejects.toThrow('Signature does not match address');
+    expect(nonces.get(nonce).usedAt).toBeNull();
+
+    await expect(siweService.verify(message, await wallet.signMessage(message))).resolves.toMatchObject({
+      address: wallet.address
+    });
+  });
+
+  test('rejects unknown and expired nonces', async () => {
+    const unknown = buildMessage(wallet.address, 'never-issued');
+    await expect(siweService.verify(unknown, await wallet.signMessage(unknown)))
+      .rejects.toThrow('Nonce is invalid, expired or already used');
+
+    const { nonce } = await SiweNonce.issue('203.0.113.7');
+    nonces.get(nonce).expiresAt = new Date(Date.now() - 1000);
+    const expired = buildMessage(wallet.address, nonce);
+    await expect(siweService.verify(expired, await wallet.signMessage(expired)))
+      .rejects.toThrow('Nonce is invalid, expired or already used');
+  });
+});
@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import TotpService from '../utils/totpService.js';
+import SessionService from '../utils/sessionService.js';
+import authRoutes from '../routes/auth.js';
+import { buildApp, buildUser, mockQuery, mockLoginAudit } from './helpers.js';
+
+const totpService = new TotpService();
+
+describe('TotpService codes', () => {
+  const secret = totpService.generateSecret();
+
+  test('accepts the current code once and refuses replays of the same step', () => {
+    const code = totpService.generateCode(secret, totpService.currentStep());
+
+    const step = totpService.verifyCode(secret, code);
+    expect(step).toBe(totpService.currentStep());
+    expect(totpService.verifyCode(secret, code, step)).toBeNull();
+  });
+
+  test('allows one step of clock drift but no more', () => {
+    const step = totpService.currentStep();
+
+    expect(totpService.verifyCode(secret, totpService.generateCode(secret, step - 1))).toBe(step - 1);
+    expect(totpService.verifyCode(secret, totpService.generateCode(secret, step + 3))).toBeNull();
+    expect(totpService.verifyCode(secret, 'abcdef')).toBeNull();
+  });
+
+  test('stores secrets encrypted', () => {
+    const stored = totpService.encryptSecret(secret);
+
+    expect(stored).not.toContain(secret);
+    expect(totpService.decryptSecret(stored)).toBe(secret);
+  });
+});
+
+describe('TotpService.verifyUserCode', () => {
+  const secret = totpService.generateSecret();
+  const { codes, hashes } = totpService.generateRecoveryCodes(2);
+  let user;
+
+  // One user "in the database"; updateOne applies the same guards MongoDB would
+  beforeEach(() => {
+    user = buildUser({
+      mfa: {
+        enabled: true,
+        secret: totpService.encryptSecret(secret),
+        lastUsedStep: -1,
+        recoveryCodes: hashes.map(entry => ({ ...entry }))
+      }
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (filter['mfa.lastUsedStep']) {
+        if (!(user.mfa.lastUsedStep < filter['mfa.lastUsedStep'].$lt)) return { modifiedCount: 0 };
+        user.mfa.lastUsedStep = update['mfa.lastUsedStep'];
+        return { modifiedCount: 1 };
+      }
+      const entry = user.mfa.recoveryCodes.find(candidate => (
+        candidate.hash === filter['mfa.recoveryCodes'].$elemMatch.hash && !candidate.usedAt
+      ));
+      if (!entry) return { modifiedCount: 0 };
+      entry.usedAt = new Date();
+      return { modifiedCount: 1 };
+    });
+  });
+
+  test('lets only one of two concurrent requests use the same code', async () => {
+    const code = totpService.generateCode(secret, totpService.currentStep());
+
+    const results = await Promise.all([
+      totpService.verifyUserCode(user._id, code),
+      totpService.verifyUserCode(user._id, code)
+    ]);
+    expect(results.filter(result => result.valid)).toHaveLength(1);
+  });
+
+  test('accepts each recovery code once, and only where allowed', async () => {
+    expect((await totpService.verifyUserCode(user._id, codes[0])).valid).toBe(false);
+
+    const first = await totpService.verifyUserCode(user._id, codes[0], { allowRecoveryCode: true });
+    expect(first).toEqual({ valid: true, method: 'recovery-code', remainingRecoveryCodes: 1 });
+
+    expect((await totpService.verifyUserCode(user._id, codes[0], { allowRecoveryCode: true })).valid).toBe(false);
+  });
+});
+
+describe('POST /api/auth/login with two-factor authentication', () => {
+  const app = buildApp('/api/auth', authRoutes);
+
+  test('answers with an MFA ticket instead of a session', async () => {
+    mockLoginAudit();
+    const user = buildUser({ email: 'mfa@example.com', mfa: { enabled: true } });
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(user));
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+    const createSession = jest.spyOn(SessionService.prototype, 'createSession');
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'mfa@example.com', password: 'CorrectHorse1!' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.mfaRequired).toBe(true);
+    expect(response.body.data.token).toBeUndefined();
+    expect(jwt.decode(response.body.data.mfaTicket)).toMatchObject({ id: String(user._id), purpose: 'mfa-login' });
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  test('refuses the second step with a ticket that was not issued for it', async () => {
+    const response = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaTicket: jwt.sign({ id: 'someone' }, process.env.JWT_SECRET), code: '123456' });
+
+    expect(response.status).toBe(401);
+  });
+});
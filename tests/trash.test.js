@@ -0,0 +1,176 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import AssetVersion from '../models/AssetVersion.js';
+import Payment from '../models/Payment.js';
+import Organization from '../models/Organization.js';
+import IPFSService from '../utils/ipfsService.js';
+import TrashService from '../utils/trashService.js';
+import assetRoutes from '../routes/assets.js';
+import { buildApp, buildUser, buildAsset, authenticateAs, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/assets', assetRoutes);
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('deleting and restoring assets', () => {
+  let creator;
+  let asset;
+
+  beforeEach(() => {
+    creator = buildUser({ role: 'creator' });
+    asset = buildAsset({ creator: creator._id, status: 'scheduled', publishAt: new Date(Date.now() + 60 * 60 * 1000) });
+    jest.spyOn(Asset, 'findById').mockResolvedValue(asset);
+  });
+
+  test('deleting moves the asset to the trash and restoring brings back its previous state', async () => {
+    const authorization = authenticateAs(creator);
+
+    const deleted = await request(app).delete(`/api/assets/${asset._id}`).set('Authorization', authorization);
+    expect(deleted.status).toBe(200);
+    expect(asset.status).toBe('archived');
+    expect(asset.archivedFromStatus).toBe('scheduled');
+    expect(new Date(deleted.body.data.restorableUntil).getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+    const restored = await request(app).post(`/api/assets/${asset._id}/restore`).set('Authorization', authorization);
+    expect(restored.status).toBe(200);
+    expect(asset.status).toBe('scheduled');
+    expect(asset.archivedAt).toBeUndefined();
+  });
+
+  test('refuses to restore assets that are not in the trash, were purged, or belong to someone else', async () => {
+    const authorization = authenticateAs(creator);
+    expect((await request(app).post(`/api/assets/${asset._id}/restore`).set('Authorization', authorization)).status).toBe(400);
+
+    Object.assign(asset, { status: 'archived', archivedAt: daysAgo(40), purgedAt: new Date() });
+    expect((await request(app).post(`/api/assets/${asset._id}/restore`).set('Authorization', authorization)).status).toBe(410);
+
+    expect((await request(app).post(`/api/assets/${asset._id}/restore`).set('Authorization', authenticateAs(buildUser()))).status).toBe(403);
+  });
+});
+
+describe('GET /api/assets/trash', () => {
+  let user;
+  let find;
+
+  beforeEach(() => {
+    user = buildUser({ role: 'creator' });
+    find = jest.spyOn(Asset, 'find').mockReturnValue(mockQuery([
+      buildAsset({ creator: user._id, status: 'archived', archivedAt: daysAgo(10) })
+    ]));
+    jest.spyOn(Asset, 'countDocuments').mockResolvedValue(1);
+  });
+
+  test('lists your restorable assets with the date they will be purged', async () => {
+    const response = await request(app).get('/api/assets/trash').set('Authorization', authenticateAs(user));
+
+    expect(response.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ status: 'archived', archivedAt: { $exists: true }, purgedAt: null, creator: user._id });
+    const [trashed] = response.body.data.assets;
+    expect(new Date(trashed.restorableUntil).getTime() - new Date(trashed.archivedAt).getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  test('shows an organization trash only to members who may delete its assets', async () => {
+    const organizationId = String(new mongoose.Types.ObjectId());
+    const userCan = jest.spyOn(Organization, 'userCan').mockResolvedValue(false);
+    const authorization = authenticateAs(user);
+
+    expect((await request(app).get(`/api/assets/trash?organizationId=${organizationId}`).set('Authorization', authorization)).status).toBe(403);
+    expect(userCan).toHaveBeenCalledWith(organizationId, user._id, 'assets:delete');
+
+    userCan.mockResolvedValue(true);
+    expect((await request(app).get(`/api/assets/trash?organizationId=${organizationId}`).set('Authorization', authorization)).status).toBe(200);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ organization: organizationId }));
+  });
+});
+
+describe('TrashService purging', () => {
+  let workDir;
+  let trashService;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trash-'));
+    trashService = new TrashService();
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const writeFiles = (...names) => Promise.all(names.map(name => fs.writeFile(path.join(workDir, name), name)));
+  const fileExists = (name) => fs.access(path.join(workDir, name)).then(() => true, () => false);
+
+  test('removes the files and Pinata pins of every version but keeps the asset record', async () => {
+    await writeFiles('v2.png', 'v2-wm.png', 'v1.png');
+    const asset = buildAsset({
+      status: 'archived',
+      archivedAt: daysAgo(31),
+      purchases: 3,
+      originalFile: { filename: 'v2.png', path: path.join(workDir, 'v2.png') },
+      watermarkedFile: { filename: 'v2-wm.png', path: path.join(workDir, 'v2-wm.png') },
+      ipfsData: { cid: 'bafy-v2', metadataCid: 'bafy-meta', provider: 'pinata' }
+    });
+    const version = new AssetVersion({
+      asset: asset._id,
+      version: 1,
+      originalFile: { filename: 'v1.png', path: path.join(workDir, 'v1.png') },
+      ipfsData: { cid: 'bafy-v1', provider: 'pinata' }
+    });
+    jest.spyOn(AssetVersion, 'find').mockResolvedValue([version]);
+    const versionDeletion = jest.spyOn(AssetVersion, 'deleteMany').mockResolvedValue({});
+    const unpin = jest.spyOn(IPFSService.prototype, 'unpinFromPinata').mockResolvedValue();
+
+    await trashService.purge(asset);
+
+    expect(unpin.mock.calls.map(([cid]) => cid).sort()).toEqual(['bafy-meta', 'bafy-v1', 'bafy-v2']);
+    for (const name of ['v2.png', 'v2-wm.png', 'v1.png']) {
+      expect(await fileExists(name)).toBe(false);
+    }
+    expect(versionDeletion).toHaveBeenCalledWith({ asset: asset._id });
+    expect(asset.purgedAt).toBeInstanceOf(Date);
+    expect(asset.originalFile?.path).toBeUndefined();
+    expect(asset.purchases).toBe(3);
+    expect(asset.save).toHaveBeenCalled();
+  });
+
+  test('keeps the files when Pinata cannot unpin, so the next run retries', async () => {
+    await writeFiles('kept.png');
+    const asset = buildAsset({
+      status: 'archived',
+      archivedAt: daysAgo(31),
+      originalFile: { filename: 'kept.png', path: path.join(workDir, 'kept.png') },
+      ipfsData: { cid: 'bafy-kept', provider: 'pinata' }
+    });
+    jest.spyOn(Asset, 'find').mockReturnValue(mockQuery([asset]));
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+    jest.spyOn(AssetVersion, 'find').mockResolvedValue([]);
+    jest.spyOn(IPFSService.prototype, 'unpinFromPinata').mockRejectedValue(new Error('Pinata unpin failed: timeout'));
+
+    await trashService.purgeExpired();
+
+    expect(await fileExists('kept.png')).toBe(true);
+    expect(asset.purgedAt).toBeUndefined();
+  });
+
+  test('only purges assets past the retention period whose buyers no longer have access', async () => {
+    const paid = buildAsset({ status: 'archived', archivedAt: daysAgo(31) });
+    const free = buildAsset({ status: 'archived', archivedAt: daysAgo(45) });
+    const find = jest.spyOn(Asset, 'find').mockReturnValue(mockQuery([free, paid]));
+    const exists = jest.spyOn(Payment, 'exists').mockImplementation(async filter => (
+      String(filter.asset) === String(paid._id) ? { _id: 'payment' } : null
+    ));
+    const purge = jest.spyOn(trashService, 'purge').mockResolvedValue();
+
+    await trashService.purgeExpired();
+
+    expect(find.mock.calls[0][0]).toMatchObject({ status: 'archived', purgedAt: null });
+    expect(find.mock.calls[0][0].archivedAt.$lte.getTime()).toBeLessThanOrEqual(daysAgo(30).getTime());
+    expect(exists).toHaveBeenCalledWith(expect.objectContaining({ asset: paid._id, accessGranted: true }));
+    expect(purge).toHaveBeenCalledTimes(1);
+    expect(purge).toHaveBeenCalledWith(free);
+  });
+});
@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import User from '../models/User.js';
+import Asset from '../models/Asset.js';
+import userRoutes from '../routes/users.js';
+import { buildApp, buildUser, mockQuery } from './helpers.js';
+
+const app = buildApp('/api/users', userRoutes);
+
+describe('GET /api/users/:username', () => {
+  test('shows the public profile with creator stats but no private fields', async () => {
+    const user = buildUser({ username: 'maker', totalEarnings: 1234, totalSales: 7 });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const aggregate = jest.spyOn(Asset, 'aggregate').mockResolvedValue([{
+      totals: [{ publishedAssets: 3, totalViews: 90, totalPurchases: 7 }],
+      categories: [{ _id: 'templates', count: 2, purchases: 5 }]
+    }]);
+
+    const response = await request(app).get('/api/users/maker');
+
+    expect(response.status).toBe(200);
+    const { user: profile, stats } = response.body.data;
+    expect(profile.username).toBe('maker');
+    expect(profile).not.toHaveProperty('totalEarnings');
+    expect(profile).not.toHaveProperty('email');
+    expect(stats).toEqual({
+      publishedAssets: 3,
+      totalViews: 90,
+      totalPurchases: 7,
+      topCategories: [{ category: 'templates', count: 2, purchases: 5 }],
+      totalSales: 7
+    });
+    expect(aggregate.mock.calls[0][0][0].$match).toMatchObject({ status: 'published', isPublic: true, isApproved: true });
+  });
+
+  test('reports zero stats for users without published assets', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(buildUser({ username: 'newcomer' }));
+    jest.spyOn(Asset, 'aggregate').mockResolvedValue([{ totals: [], categories: [] }]);
+
+    const response = await request(app).get('/api/users/newcomer');
+
+    expect(response.body.data.stats).toMatchObject({ publishedAssets: 0, totalViews: 0, topCategories: [] });
+  });
+
+  test('returns 404 for unknown usernames', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(null));
+
+    expect((await request(app).get('/api/users/nobody')).status).toBe(404);
+  });
+});
+
+describe('GET /api/users', () => {
+  test('searches creators by text without loading private fields', async () => {
+    const found = buildUser({ username: 'painter' });
+    const aggregate = jest.spyOn(User, 'aggregate').mockResolvedValue([{
+      users: [{ ...found.toObject(), email: undefined, password: undefined }],
+      total: [{ count: 1 }]
+    }]);
+
+    const response = await request(app).get('/api/users?search=paint&creators=true&limit=10');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.users.map(user => user.username)).toEqual(['painter']);
+    expect(response.body.data.pagination).toMatchObject({ totalUsers: 1, totalPages: 1 });
+
+    const [match, project, , sort] = aggregate.mock.calls[0][0];
+    expect(match.$match.$text).toEqual({ $search: 'paint' });
+    expect(match.$match.$or).toContainEqual({ permissions: 'assets:create' });
+    expect(project.$project).toMatchObject({ password: 0, email: 0, mfa: 0 });
+    expect(sort.$sort).toEqual({ score: -1, _id: 1 });
+  });
+
+  test('sorts by follower count on request', async () => {
+    const aggregate = jest.spyOn(User, 'aggregate').mockResolvedValue([{ users: [], total: [] }]);
+
+    const response = await request(app).get('/api/users?sortBy=followers');
+
+    expect(response.status).toBe(200);
+    expect(aggregate.mock.calls[0][0][3].$sort).toEqual({ followerCount: -1, _id: 1 });
+  });
+
+  test('rejects unknown sort orders', async () => {
+    expect((await request(app).get('/api/users?sortBy=earnings')).status).toBe(400);
+  });
+});
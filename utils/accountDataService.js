@@ -0,0 +1,395 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import User from '../models/User.js';
+import Asset from '../models/Asset.js';
+import AssetVersion from '../models/AssetVersion.js';
+import Collection from '../models/Collection.js';
+import Favorite from '../models/Favorite.js';
+import Review from '../models/Review.js';
+import Payment from '../models/Payment.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import CreatorApplication from '../models/CreatorApplication.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import DataExport from '../models/DataExport.js';
+import Organization from '../models/Organization.js';
+import Mailer from './mailer.js';
+import { removeFile, removeAssetFiles } from './fileUtils.js';
+
+// Optional ZIP support - gracefully handle missing package
+let archiver;
+try {
+  const archiverModule = await import('archiver');
+  archiver = archiverModule.default;
+} catch (error) {
+  console.warn('⚠️ archiver not available:', error.message);
+}
+
+const EXPORT_README = [
+  'Authenzia personal data export',
+  '',
+  'profile.json     - your account, sessions, login history, API keys and creator applications',
+  'assets.json      - metadata for every asset you uploaded',
+  'collections.json - your collections and the assets in them',
+  'favorites.json   - assets you liked or added to your wishlist',
+  'reviews.json     - reviews you wrote',
+  'payments.json    - payments you made (asBuyer) and received (asSeller)',
+  'originals/       - the original files of your assets that are still stored on this server'
+].join('\n');
+
+// Personal data export and account deletion
+export class AccountDataService {
+  constructor() {
+    this.uploadPath = process.env.UPLOAD_PATH || './uploads';
+    this.exportPath = process.env.DATA_EXPORT_PATH || './exports';
+    this.exportExpiresHours = parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 48;
+    this.exportStaleMinutes = parseInt(process.env.DATA_EXPORT_STALE_MINUTES) || 60;
+    this.exportMaxAttempts = 3;
+    this.deletionGraceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+    this.mailer = new Mailer();
+  }
+
+  // Gather everything stored about a user
+  async collectUserData(userId) {
+    const user = await User.findById(userId).select('-password -failedLoginAttempts -lockUntil').lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const walletAddresses = (user.wallets || []).map(wallet => wallet.address);
+    const buyerFilter = walletAddresses.length > 0
+      ? { $or: [{ buyer: userId }, { buyerAddress: { $in: walletAddresses } }] }
+      : { buyer: userId };
+
+    const [
+      assets,
+      paymentsAsBuyer,
+      paymentsAsSeller,
+      sessions,
+      apiKeys,
+      loginHistory,
+      creatorApplications,
+      collections,
+      favorites,
+      reviews
+    ] = await Promise.all([
+      Asset.find({ creator: userId }).lean(),
+      Payment.find(buyerFilter).select('-coinbaseWebhookData').lean(),
+      // Other people's details are left out of the seller view
+      Payment.find({ seller: userId })
+        .select('-buyer -buyerAddress -deliveryEmail -ipAddress -userAgent -coinbaseWebhookData')
+        .lean(),
+      Session.find({ user: userId }).lean(),
+      ApiKey.find({ user: userId }).lean(),
+      LoginAttempt.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+      CreatorApplication.find({ applicant: userId }).lean(),
+      Collection.find({ owner: userId }).lean(),
+      Favorite.find({ user: userId }).lean(),
+      Review.find({ reviewer: userId }).select('-flags').lean()
+    ]);
+
+    return {
+      profile: {
+        user,
+        sessions: sessions.map(({ refreshTokenHash, ...session }) => session),
+        apiKeys,
+        loginHistory,
+        creatorApplications
+      },
+      assets,
+      collections,
+      favorites,
+      reviews,
+      payments: {
+        asBuyer: paymentsAsBuyer,
+        asSeller: paymentsAsSeller
+      }
+    };
+  }
+
+  // Write the export archive to disk
+  async writeArchive(filePath, data) {
+    // Only include originals that still exist on disk
+    const originals = [];
+    for (const asset of data.assets) {
+      const originalPath = asset.originalFile?.path;
+      if (!originalPath) continue;
+      try {
+        await fs.access(originalPath);
+        originals.push({
+          path: originalPath,
+          name: `originals/${asset._id}_${path.basename(asset.originalFile.filename || originalPath)}`
+        });
+      } catch (error) {
+        // File no longer on disk
+      }
+    }
+
+    await new Promise((resolve, reject) => {
+      const output = createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+
+      archive.pipe(output);
+      archive.append(EXPORT_README, { name: 'README.txt' });
+      archive.append(JSON.stringify(data.profile, null, 2), { name: 'profile.json' });
+      archive.append(JSON.stringify(data.assets, null, 2), { name: 'assets.json' });
+      archive.append(JSON.stringify(data.collections, null, 2), { name: 'collections.json' });
+      archive.append(JSON.stringify(data.favorites, null, 2), { name: 'favorites.json' });
+      archive.append(JSON.stringify(data.reviews, null, 2), { name: 'reviews.json' });
+      archive.append(JSON.stringify(data.payments, null, 2), { name: 'payments.json' });
+      for (const original of originals) {
+        archive.file(original.path, { name: original.name });
+      }
+
+      archive.finalize();
+    });
+  }
+
+  // Build the archive for a pending export job
+  async runExport(exportId) {
+    // Claim the job so two workers never build the same export
+    const job = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: 'pending' },
+      { status: 'processing', startedAt: new Date(), $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!job) return null;
+
+    const filePath = path.join(this.exportPath, `${job.user}_${job._id}.zip`);
+
+    try {
+      if (!archiver) {
+        throw new Error('ZIP support is not available (archiver package missing)');
+      }
+
+      const data = await this.collectUserData(job.user);
+      await fs.mkdir(this.exportPath, { recursive: true });
+      await this.writeArchive(filePath, data);
+      const stats = await fs.stat(filePath);
+
+      job.status = 'ready';
+      job.filePath = filePath;
+      job.fileSize = stats.size;
+      job.completedAt = new Date();
+      job.expiresAt = new Date(Date.now() + this.exportExpiresHours * 60 * 60 * 1000);
+      await job.save();
+
+      console.log('📦 Data export ready:', job._id.toString());
+
+      try {
+        const user = await User.findById(job.user);
+        await this.mailer.sendDataExportReadyEmail(user, job);
+      } catch (mailError) {
+        console.warn('Data export notification failed:', mailError.message);
+      }
+    } catch (error) {
+      console.error('❌ Data export failed:', error);
+      await removeFile(filePath);
+      job.status = 'failed';
+      job.error = error.message;
+      await job.save();
+    }
+
+    return job;
+  }
+
+  // Pick up exports that were queued but never started, or interrupted while processing
+  // (e.g. by a crash or restart); an export that keeps getting interrupted is given up
+  async processPendingExports() {
+    const stalled = {
+      status: 'processing',
+      startedAt: { $lte: new Date(Date.now() - this.exportStaleMinutes * 60 * 1000) }
+    };
+    await DataExport.updateMany(
+      { ...stalled, attempts: { $gte: this.exportMaxAttempts } },
+      { status: 'failed', error: 'Export was interrupted too many times' }
+    );
+    await DataExport.updateMany(stalled, { status: 'pending' });
+
+    const pending = await DataExport.find({ status: 'pending' }).sort({ createdAt: 1 }).limit(5);
+    for (const job of pending) {
+      await this.runExport(job._id);
+    }
+  }
+
+  // Delete archives whose download window has passed
+  async purgeExpiredExports() {
+    const expired = await DataExport.find({
+      status: 'ready',
+      expiresAt: { $lte: new Date() }
+    }).select('+filePath');
+
+    for (const job of expired) {
+      await removeFile(job.filePath);
+      job.status = 'expired';
+      job.filePath = undefined;
+      await job.save();
+    }
+  }
+
+  // Organizations that would be left without an owner; the account can't be erased until
+  // ownership of each is transferred
+  async getDeletionBlockers(user) {
+    const organizations = await Organization.findSoleOwnedBy(user._id);
+    return organizations.map(organization => organization.getPublicData());
+  }
+
+  // Start the grace period before an account is erased
+  async scheduleDeletion(user) {
+    const scheduledFor = new Date(Date.now() + this.deletionGraceDays * 24 * 60 * 60 * 1000);
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor
+    };
+    await user.save();
+
+    try {
+      await this.mailer.sendAccountDeletionScheduledEmail(user, scheduledFor);
+    } catch (mailError) {
+      console.warn('Account deletion notification failed:', mailError.message);
+    }
+
+    return scheduledFor;
+  }
+
+  // Stop a scheduled deletion during the grace period
+  async cancelDeletion(user) {
+    user.deletion = undefined;
+    return user.save();
+  }
+
+  // Erase an account: archive assets, remove their files, anonymize payments and drop personal records
+  async deleteAccount(user) {
+    const userId = user._id;
+    const now = new Date();
+
+    const blockers = await this.getDeletionBlockers(user);
+    if (blockers.length > 0) {
+      throw new Error(`User is the only owner of ${blockers.length} organization(s)`);
+    }
+
+    // Archive the user's own assets and remove their files (including earlier versions) from uploads/.
+    // Assets they uploaded for an organization belong to the organization and stay.
+    const assets = await Asset.find({ creator: userId, organization: null });
+    const versions = await AssetVersion.find({ asset: { $in: assets.map(asset => asset._id) } });
+    for (const record of [...assets, ...versions]) {
+      await removeAssetFiles(record);
+    }
+    await AssetVersion.deleteMany({ asset: { $in: assets.map(asset => asset._id) } });
+    await Asset.updateMany(
+      { creator: userId, organization: null },
+      {
+        $set: { status: 'archived', isPublic: false },
+        $unset: {
+          'originalFile.path': '',
+          'watermarkedFile.path': '',
+          'thumbnail.path': '',
+          'qrCode.path': ''
+        }
+      }
+    );
+
+    // Anonymize payments on both sides, keeping amounts for accounting
+    const walletAddresses = (user.wallets || []).map(wallet => wallet.address);
+    await Payment.updateMany(
+      walletAddresses.length > 0
+        ? { $or: [{ buyer: userId }, { buyerAddress: { $in: walletAddresses } }] }
+        : { buyer: userId },
+      {
+        $set: { anonymizedAt: now },
+        $unset: { buyer: '', buyerAddress: '', deliveryEmail: '', ipAddress: '', userAgent: '', coinbaseWebhookData: '' }
+      }
+    );
+    await Payment.updateMany(
+      { seller: userId },
+      {
+        $set: { anonymizedAt: now },
+        $unset: { seller: '', sellerAddress: '' }
+      }
+    );
+
+    // Remove avatar files
+    for (const variant of user.avatarVariants || []) {
+      await removeFile(path.join(this.uploadPath, 'avatars', variant.filename));
+    }
+
+    // Remove the user from other people's follow lists
+    await Promise.all([
+      User.updateMany({ followers: userId }, { $pull: { followers: userId } }),
+      User.updateMany({ following: userId }, { $pull: { following: userId } })
+    ]);
+
+    // Drop likes (updating the like counts) and wishlist entries
+    await Favorite.removeAllForUser(userId);
+
+    // Drop reviews (updating the ratings of the reviewed assets) and flags raised on other reviews
+    const reviewedAssets = await Review.find({ reviewer: userId }).distinct('asset');
+    await Review.deleteMany({ reviewer: userId });
+    for (const assetId of reviewedAssets) {
+      await Review.updateAssetRating(assetId);
+    }
+    await Review.updateMany(
+      { flags: { $elemMatch: { user: userId, trusted: true } }, trustedFlagCount: { $gt: 0 } },
+      { $inc: { trustedFlagCount: -1 } }
+    );
+    await Review.updateMany(
+      { 'flags.user': userId, flagCount: { $gt: 0 } },
+      { $pull: { flags: { user: userId } }, $inc: { flagCount: -1 } }
+    );
+    await Review.updateMany({ 'flags.user': userId }, { $pull: { flags: { user: userId } } });
+
+    // Leave organizations
+    await Organization.updateMany(
+      { 'members.user': userId },
+      { $pull: { members: { user: userId } } }
+    );
+
+    // Drop exports (and their archives)
+    const exports = await DataExport.find({ user: userId }).select('+filePath');
+    for (const job of exports) {
+      await removeFile(job.filePath);
+    }
+
+    await Promise.all([
+      DataExport.deleteMany({ user: userId }),
+      Session.deleteMany({ user: userId }),
+      ApiKey.deleteMany({ user: userId }),
+      LoginAttempt.deleteMany({ user: userId }),
+      CreatorApplication.deleteMany({ applicant: userId }),
+      Collection.deleteMany({ owner: userId }),
+      EmailVerificationToken.deleteMany({ user: userId }),
+      PasswordResetToken.deleteMany({ user: userId })
+    ]);
+
+    await User.deleteOne({ _id: userId });
+    console.log('🗑️ Account deleted:', userId.toString());
+  }
+
+  // Erase accounts whose grace period has ended
+  async processDueDeletions() {
+    const due = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } }).limit(20);
+    for (const user of due) {
+      try {
+        // Owners who became an organization's only owner during the grace period are retried
+        // a day later, once ownership has been transferred
+        if ((await this.getDeletionBlockers(user)).length > 0) {
+          console.warn('⚠️ Account deletion postponed, user is the only owner of an organization:', user._id.toString());
+          await User.updateOne({ _id: user._id }, { 'deletion.scheduledFor': new Date(Date.now() + 24 * 60 * 60 * 1000) });
+          continue;
+        }
+        await this.deleteAccount(user);
+      } catch (error) {
+        console.error('❌ Account deletion failed:', user._id.toString(), error);
+      }
+    }
+  }
+}
+
+export default AccountDataService;
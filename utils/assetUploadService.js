@@ -0,0 +1,489 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import AssetVersion from '../models/AssetVersion.js';
+import Organization from '../models/Organization.js';
+import { getUploadRestrictions } from '../config/creatorPolicy.js';
+import ImageProcessor from './imageProcessor.js';
+import AIService from './aiService.js';
+import IPFSService from './ipfsService.js';
+import ModerationService from './moderationService.js';
+
+// Upload refused by the pipeline; carries the HTTP status and optional details for the client
+export class UploadRejectedError extends Error {
+  constructor(statusCode, message, details = undefined) {
+    super(message);
+    this.name = 'UploadRejectedError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Parse tags from FormData, JSON or a comma-separated string
+export const parseTags = (tags) => {
+  if (!tags) return [];
+  if (Array.isArray(tags)) {
+    return tags.filter(tag => tag && tag.trim().length > 0);
+  }
+  if (typeof tags === 'string') {
+    try {
+      const jsonTags = JSON.parse(tags);
+      if (Array.isArray(jsonTags)) {
+        return jsonTags.filter(tag => tag && tag.trim().length > 0);
+      }
+    } catch (error) {
+      return tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    }
+  }
+  return [];
+};
+
+// File format shown in search facets: the upload's extension, or the MIME subtype without one
+const getFileFormat = (file) => {
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  if (extension) return extension === 'jpeg' ? 'jpg' : extension;
+  return file.mimetype?.split('/')[1]?.toLowerCase() || null;
+};
+
+// Publishing states a creator can choose (archived and flagged are set by deletion and takedowns)
+export const PUBLISH_STATUSES = ['draft', 'scheduled', 'published'];
+export const VISIBILITIES = ['public', 'unlisted'];
+
+// Validate a requested publishing state (status, publishAt, visibility) and return the asset fields
+// to set. `asset` is the existing asset on updates; new uploads are published unless asked otherwise.
+export const resolvePublishing = ({ status, publishAt, visibility }, asset = null) => {
+  const update = {};
+
+  if (visibility !== undefined && visibility !== '') {
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new UploadRejectedError(400, `Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    update.visibility = visibility;
+  }
+
+  // A publishAt on its own means "schedule it"
+  const requestedStatus = status || (publishAt ? 'scheduled' : (asset ? null : 'published'));
+  if (!requestedStatus) return update;
+
+  if (!PUBLISH_STATUSES.includes(requestedStatus)) {
+    throw new UploadRejectedError(400, `Status must be one of: ${PUBLISH_STATUSES.join(', ')}`);
+  }
+  if (asset && !PUBLISH_STATUSES.includes(asset.status)) {
+    throw new UploadRejectedError(409, `The publishing state of a ${asset.status} asset cannot be changed`);
+  }
+
+  if (requestedStatus === 'scheduled') {
+    const date = new Date(publishAt);
+    if (!publishAt || isNaN(date.getTime())) {
+      throw new UploadRejectedError(400, 'publishAt must be a valid date to schedule publication');
+    }
+    if (date <= new Date()) {
+      throw new UploadRejectedError(400, 'publishAt must be in the future');
+    }
+    update.status = 'scheduled';
+    update.publishAt = date;
+    return update;
+  }
+
+  update.status = requestedStatus;
+  update.publishAt = null;
+  if (requestedStatus === 'published' && asset?.status !== 'published') {
+    update.publishedAt = new Date();
+  }
+  return update;
+};
+
+// SHA-256 duplicate check for streamed uploads (same result shape as aiService.detectDuplicates)
+const findExactDuplicates = (sha256, existingAssets) => {
+  const matches = existingAssets
+    .filter(asset => asset.originalFile?.hash === sha256)
+    .map(asset => ({
+      assetId: asset._id,
+      method: 'sha256',
+      confidence: 1.0,
+      reason: 'Exact hash match'
+    }));
+
+  return {
+    isDuplicate: matches.length > 0,
+    confidence: matches.length > 0 ? 1.0 : 0,
+    matches,
+    methods: { sha256: matches.length > 0, perceptual: false, ai: false }
+  };
+};
+
+// Asset creation pipeline shared by multipart, resumable and bulk uploads and file replacement:
+// watermark/thumbnail/QR for images, duplicate and content checks, IPFS and moderation
+export class AssetUploadService {
+  constructor() {
+    this.imageProcessor = new ImageProcessor();
+    this.aiService = new AIService();
+    this.ipfsService = new IPFSService();
+    this.moderationService = new ModerationService();
+  }
+
+  // Check the listing fields before any file work; returns the normalized values
+  async validateFields(user, { title, description, category, price, tags, organizationId, status, publishAt, visibility }) {
+    // Required listing text, checked here so large files aren't stored for a listing that can't be saved
+    const trimmedTitle = typeof title === 'string' ? title.trim() : '';
+    if (trimmedTitle.length === 0 || trimmedTitle.length > 100) {
+      throw new UploadRejectedError(400, 'Title is required and cannot exceed 100 characters');
+    }
+    const trimmedDescription = typeof description === 'string' ? description.trim() : '';
+    if (trimmedDescription.length === 0 || trimmedDescription.length > 1000) {
+      throw new UploadRejectedError(400, 'Description is required and cannot exceed 1000 characters');
+    }
+    const categories = Asset.schema.path('category').enumValues;
+    if (category && !categories.includes(category)) {
+      throw new UploadRejectedError(400, `Category must be one of: ${categories.join(', ')}`);
+    }
+
+    // Validate and sanitize price
+    const assetPrice = (isNaN(price) || price === undefined || price === null || price === '') ? 0 : Number(price);
+    if (assetPrice < 0) {
+      throw new UploadRejectedError(400, 'Price cannot be negative');
+    }
+
+    // Publishing on behalf of an organization requires an editor or owner role there
+    if (organizationId) {
+      const canPublish = mongoose.Types.ObjectId.isValid(organizationId) &&
+        await Organization.userCan(organizationId, user._id, 'assets:edit');
+      if (!canPublish) {
+        throw new UploadRejectedError(403, 'Not authorized to publish for this organization');
+      }
+    }
+
+    // Unverified creators get a price cap and their uploads wait for moderation
+    const uploadRestrictions = getUploadRestrictions(user);
+    if (uploadRestrictions && assetPrice > uploadRestrictions.maxPrice) {
+      throw new UploadRejectedError(403, `Unverified creators can list assets for at most ${uploadRestrictions.maxPrice}. Apply for creator verification to lift this limit.`);
+    }
+
+    const parsedTags = parseTags(tags);
+    if (parsedTags.length > 10) {
+      throw new UploadRejectedError(400, 'Maximum 10 tags allowed');
+    }
+
+    const publishing = resolvePublishing({ status, publishAt, visibility });
+
+    return { assetPrice, parsedTags, publishing };
+  }
+
+  // Remove the files written for an upload that was rejected or couldn't be saved
+  removeProcessedFiles(processedFiles = {}) {
+    return this.imageProcessor.cleanupTempFiles([
+      processedFiles.original?.path,
+      processedFiles.watermarked?.path,
+      processedFiles.thumbnail?.path,
+      processedFiles.qrCode?.path
+    ].filter(Boolean));
+  }
+
+  // Watermark, thumbnail, QR code plus AI duplicate and content checks for an image
+  async processImageFile(ownerId, file) {
+    // Generate payment URL (placeholder for Coinbase integration)
+    const paymentUrl = `${process.env.FRONTEND_URL}/payment/placeholder`;
+    let processedFiles;
+    let aiModeration = null;
+
+    try {
+      // Process image: create watermarked version, thumbnail, and QR code
+      processedFiles = await this.imageProcessor.processImage(file.buffer, ownerId, paymentUrl);
+    } catch (error) {
+      console.error('Image processing error:', error);
+      throw new UploadRejectedError(500, 'Failed to process image');
+    }
+
+    // Check for duplicates using AI
+    const existingAssets = await Asset.find({
+      'originalFile.hash': { $exists: true },
+      creator: { $ne: ownerId } // Don't check against user's own assets
+    }).limit(50); // Limit for performance
+
+    // AI duplicate check (optional - don't fail upload if AI service fails)
+    let duplicateCheck = null;
+    if (existingAssets.length > 0) {
+      try {
+        duplicateCheck = await this.aiService.checkForDuplicates(file.buffer, existingAssets);
+      } catch (aiError) {
+        console.warn('AI duplicate check failed, continuing with upload:', aiError.message);
+      }
+    }
+    if (duplicateCheck && duplicateCheck.hasDuplicates) {
+      await this.removeProcessedFiles(processedFiles);
+      throw new UploadRejectedError(400, 'Duplicate content detected', {
+        message: 'This image appears to be similar to existing content on the platform',
+        duplicates: duplicateCheck.duplicates
+      });
+    }
+
+    // AI content validation (optional - don't fail upload if AI service fails)
+    let contentValidation = null;
+    try {
+      contentValidation = await this.aiService.validateImageContent(file.buffer);
+      aiModeration = {
+        isAppropriate: contentValidation.isAppropriate,
+        confidence: contentValidation.confidence,
+        flags: contentValidation.flags || [],
+        reason: contentValidation.reason,
+        checkedAt: new Date()
+      };
+    } catch (aiError) {
+      console.warn('AI content validation failed, continuing with upload:', aiError.message);
+    }
+    if (contentValidation && !contentValidation.isAppropriate) {
+      await this.removeProcessedFiles(processedFiles);
+      throw new UploadRejectedError(400, 'Content not appropriate for platform', contentValidation);
+    }
+
+    return { processedFiles, aiModeration };
+  }
+
+  // Store a non-image file as-is (streamed uploads are moved into place without loading them into memory)
+  async storeFile(file) {
+    const filename = `${Date.now()}_${file.originalname}`;
+    const filePath = `./uploads/documents/${filename}`;
+
+    // Ensure directory exists
+    await this.imageProcessor.ensureDirectories();
+
+    if (file.buffer) {
+      await fs.writeFile(filePath, file.buffer);
+    } else {
+      await fs.rename(file.path, filePath);
+    }
+
+    return {
+      original: {
+        filename,
+        path: filePath,
+        size: file.size,
+        mimetype: file.mimetype
+      }
+    };
+  }
+
+  // Process a file: derived images, duplicate and content checks, hashes, IPFS and search metadata.
+  // `file` has originalname, mimetype and size, plus a buffer and/or a path on disk with its sha256.
+  // Other assets of `ownerId` are not treated as duplicates.
+  async processFile(ownerId, file, metadata = {}) {
+    let processedFiles = {};
+    let aiModeration = null;
+    if (file.mimetype.startsWith('image/')) {
+      ({ processedFiles, aiModeration } = await this.processImageFile(ownerId, file));
+    } else {
+      processedFiles = await this.storeFile(file);
+    }
+
+    // Enhanced duplicate detection using multiple methods
+    console.log('🔍 Running enhanced duplicate detection...');
+    const existingAssets = await Asset.find({
+      creator: { $ne: ownerId } // Don't check against user's own assets
+    }).limit(100); // Limit for performance
+
+    const duplicateResult = file.buffer
+      ? await this.aiService.detectDuplicates(file.buffer, existingAssets)
+      : findExactDuplicates(file.sha256, existingAssets);
+
+    if (duplicateResult.isDuplicate && duplicateResult.confidence > 0.8) {
+      await this.removeProcessedFiles(processedFiles);
+      throw new UploadRejectedError(409, 'Duplicate content detected', {
+        confidence: duplicateResult.confidence,
+        matches: duplicateResult.matches,
+        methods: duplicateResult.methods
+      });
+    }
+
+    // Process image for duplicate detection (get hashes)
+    const hashData = file.buffer
+      ? await this.aiService.processImageForDuplicateDetection(file.buffer)
+      : { sha256Hash: file.sha256, perceptualHash: null, processedAt: new Date() };
+
+    // Upload to IPFS
+    let ipfsData = null;
+    if (file.buffer) {
+      try {
+        console.log('📤 Uploading original file to IPFS...');
+        ipfsData = await this.ipfsService.uploadFile(
+          file.buffer,
+          processedFiles.original.filename,
+          {
+            ...metadata,
+            uploadedAt: new Date().toISOString(),
+            contentHash: hashData.sha256Hash
+          }
+        );
+        if (ipfsData) {
+          console.log('✅ IPFS upload successful:', ipfsData.cid);
+        } else {
+          console.log('⚠️ IPFS upload skipped - no services configured');
+        }
+      } catch (error) {
+        console.warn('⚠️ IPFS upload failed, continuing with local storage:', error.message);
+        // Continue without IPFS - the asset will still work with local storage
+      }
+    } else {
+      console.log('⚠️ IPFS upload skipped - streamed uploads stay in local storage');
+    }
+
+    return {
+      originalFile: {
+        filename: processedFiles.original.filename,
+        path: processedFiles.original.path,
+        size: processedFiles.original.size,
+        mimetype: processedFiles.original.mimetype,
+        hash: hashData.sha256Hash,
+        perceptualHash: hashData.perceptualHash
+      },
+      watermarkedFile: processedFiles.watermarked || null,
+      thumbnail: processedFiles.thumbnail || null,
+      qrCode: processedFiles.qrCode || null,
+      ipfsData: ipfsData || null,
+      dimensions: processedFiles.dimensions || null,
+      fileFormat: getFileFormat(file),
+      aiModeration,
+      duplicateCheck: {
+        isDuplicate: duplicateResult.isDuplicate,
+        confidence: duplicateResult.confidence,
+        methods: duplicateResult.methods,
+        matches: duplicateResult.matches,
+        checkedAt: new Date()
+      }
+    };
+  }
+
+  // Run the full pipeline and create the asset
+  async createAsset(user, file, fields) {
+    const { title, description, category, license, usageRights, organizationId } = fields;
+    const { assetPrice, parsedTags, publishing } = await this.validateFields(user, fields);
+
+    // Relaxed validation: only check for file presence (creator permission checked by middleware)
+    if (!file) {
+      throw new UploadRejectedError(400, 'No file uploaded');
+    }
+
+    const processed = await this.processFile(user._id, file, {
+      title,
+      description,
+      category: category || 'digital-art',
+      creator: user.username
+    });
+    const { aiModeration } = processed;
+
+    // Decide whether the asset goes live now or waits in the moderation queue
+    const moderationState = this.moderationService.getInitialState(user, aiModeration);
+
+    // Create asset record
+    const asset = new Asset({
+      title,
+      description,
+      creator: user._id,
+      organization: organizationId || null,
+      category: category || 'digital-art',
+      tags: parsedTags,
+      price: assetPrice,
+      license: license || 'personal',
+      usageRights: usageRights || [],
+      originalFile: processed.originalFile,
+      watermarkedFile: processed.watermarkedFile,
+      thumbnail: processed.thumbnail,
+      qrCode: processed.qrCode,
+      ipfsData: processed.ipfsData, // IPFS storage information
+      dimensions: processed.dimensions,
+      fileFormat: processed.fileFormat,
+      ...publishing, // Published right away unless saved as a draft, scheduled or unlisted
+      isPublic: true,
+      isApproved: moderationState.isApproved,
+      moderationStatus: moderationState.moderationStatus,
+      moderatedAt: moderationState.isApproved ? new Date() : undefined,
+      aiModeration,
+      aiVerified: true,
+      duplicateCheck: processed.duplicateCheck
+    });
+
+    try {
+      await asset.save();
+    } catch (error) {
+      // Don't leave the stored files behind when the record can't be saved
+      await this.removeProcessedFiles(processedFiles);
+      throw error;
+    }
+    await this.moderationService.recordInitialState(asset, moderationState);
+
+    // X402 payment will be handled by middleware automatically
+    console.log('💰 Asset ready for X402 payment protection:', asset._id);
+
+    return asset;
+  }
+
+  // Replace the file of an existing asset with a new version; earlier versions stay in AssetVersion
+  async replaceFile(asset, user, file, changelog) {
+    if (!file) {
+      throw new UploadRejectedError(400, 'No file uploaded');
+    }
+    if (asset.status === 'flagged') {
+      throw new UploadRejectedError(409, 'The file of a taken-down asset cannot be replaced');
+    }
+
+    const version = (asset.currentVersion || 1) + 1;
+    const processed = await this.processFile(asset.creator, file, {
+      title: asset.title,
+      description: asset.description,
+      category: asset.category,
+      assetId: asset._id.toString(),
+      version
+    });
+
+    try {
+      // The original upload becomes version 1 the first time the file is replaced
+      if (!await AssetVersion.exists({ asset: asset._id })) {
+        await AssetVersion.fromAsset(asset).save();
+      }
+
+      await AssetVersion.create({
+        asset: asset._id,
+        version,
+        changelog,
+        createdBy: user._id,
+        originalFile: processed.originalFile,
+        watermarkedFile: processed.watermarkedFile,
+        thumbnail: processed.thumbnail,
+        qrCode: processed.qrCode,
+        ipfsData: processed.ipfsData
+      });
+    } catch (error) {
+      // Unique (asset, version) index: another replacement got there first
+      if (error.code === 11000) {
+        await this.imageProcessor.cleanupTempFiles([
+          processed.originalFile.path,
+          processed.watermarkedFile?.path,
+          processed.thumbnail?.path,
+          processed.qrCode?.path
+        ].filter(Boolean));
+        throw new UploadRejectedError(409, 'The file was replaced by another request; reload the asset and try again');
+      }
+      throw error;
+    }
+
+    asset.originalFile = processed.originalFile;
+    asset.watermarkedFile = processed.watermarkedFile;
+    asset.thumbnail = processed.thumbnail;
+    asset.qrCode = processed.qrCode;
+    asset.ipfsData = processed.ipfsData;
+    asset.dimensions = processed.dimensions;
+    asset.fileFormat = processed.fileFormat;
+    asset.duplicateCheck = processed.duplicateCheck;
+    if (processed.aiModeration) {
+      asset.aiModeration = processed.aiModeration;
+    }
+    asset.currentVersion = version;
+
+    await this.moderationService.reviewReplacement(asset, user, version, processed.aiModeration);
+    await asset.save();
+
+    return asset;
+  }
+}
+
+export default AssetUploadService;
@@ -0,0 +1,388 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import crypto from 'crypto';
+import path from 'path';
+import User from '../models/User.js';
+import BulkImport from '../models/BulkImport.js';
+import AssetUploadService, { UploadRejectedError } from './assetUploadService.js';
+import { categoryForMimetype } from './chunkedUploadService.js';
+import { removeFile } from './fileUtils.js';
+
+// Optional ZIP reading support - gracefully handle missing package
+let yauzl;
+try {
+  const yauzlModule = await import('yauzl');
+  yauzl = yauzlModule.default;
+} catch (error) {
+  console.warn('⚠️ yauzl not available:', error.message);
+}
+
+// Supported file types by extension (ZIP entries carry no mimetype)
+const MIMETYPES_BY_EXTENSION = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.aac': 'audio/aac',
+  '.glb': 'model/gltf-binary',
+  '.gltf': 'model/gltf+json',
+  '.obj': 'model/obj',
+  '.stl': 'model/stl'
+};
+
+const MANIFEST_FILES = {
+  'manifest.csv': 'csv',
+  'manifest.json': 'json'
+};
+
+const MANIFEST_FIELDS = ['file', 'title', 'description', 'category', 'price', 'tags', 'license'];
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const keys = header.map(key => key.replace(/^\uFEFF/, '').trim().toLowerCase());
+
+  return records.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()])));
+};
+
+// Promise wrappers around the callback-based yauzl API
+const openZip = (archivePath) => new Promise((resolve, reject) => {
+  yauzl.open(archivePath, { lazyEntries: true, autoClose: false }, (error, zipfile) => (
+    error ? reject(error) : resolve(zipfile)
+  ));
+});
+
+const readEntries = (zipfile) => new Promise((resolve, reject) => {
+  const entries = new Map();
+  zipfile.on('entry', (entry) => {
+    if (!entry.fileName.endsWith('/')) {
+      entries.set(entry.fileName, entry);
+    }
+    zipfile.readEntry();
+  });
+  zipfile.on('end', () => resolve(entries));
+  zipfile.on('error', reject);
+  zipfile.readEntry();
+});
+
+const openEntryStream = (zipfile, entry) => new Promise((resolve, reject) => {
+  zipfile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+});
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Bulk asset import from a ZIP archive with a manifest, run in the background
+export class BulkImportService {
+  constructor() {
+    this.importPath = process.env.BULK_IMPORT_PATH || './bulk-imports';
+    this.maxArchiveSize = parseInt(process.env.BULK_IMPORT_MAX_SIZE) || 500 * 1024 * 1024; // 500MB
+    this.maxItems = parseInt(process.env.BULK_IMPORT_MAX_ITEMS) || 200;
+    this.maxEntrySize = parseInt(process.env.CHUNKED_UPLOAD_MAX_SIZE) || 2 * 1024 * 1024 * 1024; // 2GB
+    // Entries up to the regular upload limit are processed in memory like multipart uploads
+    this.inMemoryLimit = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+    // Imports without progress for this long are treated as interrupted
+    this.staleMinutes = parseInt(process.env.BULK_IMPORT_STALE_MINUTES) || 60;
+    this.assetUploadService = new AssetUploadService();
+  }
+
+  // Read and parse the manifest at the root of the archive
+  async readManifest(zipfile, entries) {
+    const manifestName = Object.keys(MANIFEST_FILES).find(name => entries.has(name));
+    if (!manifestName) {
+      throw new UploadRejectedError(400, 'Archive must contain manifest.csv or manifest.json at its root');
+    }
+
+    const format = MANIFEST_FILES[manifestName];
+    const text = (await streamToBuffer(await openEntryStream(zipfile, entries.get(manifestName)))).toString('utf8');
+
+    let rows;
+    if (format === 'csv') {
+      rows = parseCsv(text);
+    } else {
+      try {
+        const parsed = JSON.parse(text);
+        rows = Array.isArray(parsed) ? parsed : parsed.items;
+      } catch (error) {
+        throw new UploadRejectedError(400, `manifest.json is not valid JSON: ${error.message}`);
+      }
+      if (!Array.isArray(rows)) {
+        throw new UploadRejectedError(400, 'manifest.json must be an array of items (or { "items": [...] })');
+      }
+    }
+
+    if (rows.length === 0) {
+      throw new UploadRejectedError(400, 'Manifest has no items');
+    }
+    if (rows.length > this.maxItems) {
+      throw new UploadRejectedError(400, `Manifest has ${rows.length} items; at most ${this.maxItems} are allowed per import`);
+    }
+
+    return { format, rows };
+  }
+
+  // Problem with a manifest row that would make it fail, or null
+  checkItem(row, entries) {
+    if (!row.file || typeof row.file !== 'string') return 'Missing file';
+    if (!row.title || String(row.title).trim().length === 0) return 'Missing title';
+    if (String(row.title).trim().length > 100) return 'Title cannot exceed 100 characters';
+    if (!row.description || String(row.description).trim().length === 0) return 'Missing description';
+    if (String(row.description).trim().length > 1000) return 'Description cannot exceed 1000 characters';
+    const entry = entries.get(row.file);
+    if (!entry) return `File "${row.file}" not found in archive`;
+    const mimetype = MIMETYPES_BY_EXTENSION[path.extname(row.file).toLowerCase()];
+    if (!mimetype) return 'Unsupported file type';
+    if (entry.uncompressedSize > this.maxEntrySize) return 'File is too large';
+    // Images are processed in memory, so they get the regular upload limit
+    if (mimetype.startsWith('image/') && entry.uncompressedSize > this.inMemoryLimit) {
+      return `Image exceeds the ${Math.round(this.inMemoryLimit / (1024 * 1024))}MB upload limit`;
+    }
+    return null;
+  }
+
+  // Validate an uploaded archive and queue the import
+  async createJob(user, archive, { organizationId } = {}) {
+    if (!yauzl) {
+      throw new UploadRejectedError(503, 'ZIP support is not available (yauzl package missing)');
+    }
+
+    let zipfile;
+    try {
+      try {
+        zipfile = await openZip(archive.path);
+      } catch (error) {
+        throw new UploadRejectedError(400, 'Archive is not a valid ZIP file');
+      }
+
+      const entries = await readEntries(zipfile);
+      const { format, rows } = await this.readManifest(zipfile, entries);
+      const now = new Date();
+
+      const items = rows.map((row, index) => {
+        const item = Object.fromEntries(MANIFEST_FIELDS.map(field => [field, row?.[field]]));
+        const problem = this.checkItem(item, entries);
+        return {
+          ...item,
+          index,
+          ...(problem && { status: 'failed', error: problem, processedAt: now })
+        };
+      });
+
+      return await BulkImport.create({
+        user: user._id,
+        organization: organizationId || null,
+        archivePath: archive.path,
+        archiveName: archive.originalname,
+        manifestFormat: format,
+        items,
+        failed: items.filter(item => item.status === 'failed').length
+      });
+    } catch (error) {
+      await removeFile(archive.path);
+      throw error;
+    } finally {
+      zipfile?.close();
+    }
+  }
+
+  // Pull one entry out of the archive in the shape the asset pipeline expects
+  async extractEntry(zipfile, entry, item) {
+    const mimetype = MIMETYPES_BY_EXTENSION[path.extname(item.file).toLowerCase()];
+    const file = {
+      originalname: path.basename(item.file).replace(/[^a-zA-Z0-9._-]/g, '_'),
+      mimetype,
+      size: entry.uncompressedSize
+    };
+    const stream = await openEntryStream(zipfile, entry);
+
+    // Images and small files are processed in memory like regular uploads
+    if (mimetype.startsWith('image/') || entry.uncompressedSize <= this.inMemoryLimit) {
+      file.buffer = await streamToBuffer(stream);
+      return file;
+    }
+
+    // Large media is streamed to disk and hashed on the way
+    const hash = crypto.createHash('sha256');
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    file.path = path.join(this.importPath, `${crypto.randomUUID()}_${file.originalname}`);
+    await pipeline(stream, hasher, createWriteStream(file.path));
+    file.sha256 = hash.digest('hex');
+
+    return file;
+  }
+
+  // Run the asset pipeline for one manifest item
+  async importItem(job, user, zipfile, entries, item) {
+    let file;
+    try {
+      file = await this.extractEntry(zipfile, entries.get(item.file), item);
+      const asset = await this.assetUploadService.createAsset(user, file, {
+        title: item.title,
+        description: item.description,
+        category: item.category || categoryForMimetype(file.mimetype),
+        price: item.price,
+        tags: item.tags,
+        license: item.license,
+        organizationId: job.organization ? job.organization.toString() : undefined
+      });
+
+      item.status = 'succeeded';
+      item.asset = asset._id;
+      job.succeeded += 1;
+    } catch (error) {
+      if (!(error instanceof UploadRejectedError)) {
+        console.error(`❌ Bulk import item ${item.index} failed:`, error);
+      }
+      item.status = 'failed';
+      item.error = error instanceof UploadRejectedError ? error.message : 'Processing failed';
+      item.details = error instanceof UploadRejectedError ? error.details : undefined;
+      job.failed += 1;
+    } finally {
+      await removeFile(file?.path);
+    }
+    item.processedAt = new Date();
+  }
+
+  // Process a queued import
+  async runImport(jobId) {
+    // Only the worker that moves the import out of pending runs it
+    const job = await BulkImport.findOneAndUpdate(
+      { _id: jobId, status: 'pending' },
+      { status: 'processing', startedAt: new Date() },
+      { new: true }
+    ).select('+archivePath');
+    if (!job) return null;
+
+    let zipfile;
+    try {
+      const user = await User.findById(job.user);
+      if (!user || !user.hasPermission('assets:create')) {
+        throw new Error('User can no longer create assets');
+      }
+
+      await fs.mkdir(this.importPath, { recursive: true });
+      zipfile = await openZip(job.archivePath);
+      const entries = await readEntries(zipfile);
+
+      for (const item of job.items) {
+        if (item.status !== 'pending') continue;
+        await this.importItem(job, user, zipfile, entries, item);
+        // Persist progress so the status endpoint shows it
+        await job.save();
+      }
+
+      job.status = 'completed';
+      console.log(`📦 Bulk import finished: ${job.succeeded} succeeded, ${job.failed} failed`);
+    } catch (error) {
+      console.error('❌ Bulk import failed:', error);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      zipfile?.close();
+    }
+
+    job.completedAt = new Date();
+    await job.save();
+    await removeFile(job.archivePath);
+
+    return job;
+  }
+
+  // Close imports that were interrupted while processing (e.g. by a crash or restart). They are not
+  // resumed, since the item in progress may already have created its asset; remaining items fail.
+  async failStalledImports() {
+    const stalled = await BulkImport.find({
+      status: 'processing',
+      updatedAt: { $lte: new Date(Date.now() - this.staleMinutes * 60 * 1000) }
+    }).select('+archivePath');
+
+    for (const job of stalled) {
+      const now = new Date();
+      for (const item of job.items) {
+        if (item.status !== 'pending') continue;
+        item.status = 'failed';
+        item.error = 'Import was interrupted, please import this item again';
+        item.processedAt = now;
+        job.failed += 1;
+      }
+      job.status = 'failed';
+      job.error = 'Import was interrupted';
+      job.completedAt = now;
+      await job.save();
+      await removeFile(job.archivePath);
+      console.warn('⚠️ Bulk import interrupted, closed as failed:', job._id.toString());
+    }
+  }
+
+  // Background job: close interrupted imports, then start the oldest queued ones
+  async processPendingImports() {
+    await this.failStalledImports();
+
+    const pending = await BulkImport.find({ status: 'pending' }).sort({ createdAt: 1 }).limit(2);
+    for (const job of pending) {
+      await this.runImport(job._id);
+    }
+  }
+}
+
+export default BulkImportService;
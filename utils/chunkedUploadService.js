@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import crypto from 'crypto';
+import path from 'path';
+import UploadSession from '../models/UploadSession.js';
+import { removeFile } from './fileUtils.js';
+
+// File types accepted through resumable uploads (large media on top of the regular upload types)
+export const CHUNKED_UPLOAD_TYPES = [
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'video/mp4',
+  'video/webm',
+  'video/quicktime',
+  'audio/mpeg',
+  'audio/wav',
+  'audio/x-wav',
+  'audio/ogg',
+  'audio/flac',
+  'audio/aac',
+  'model/gltf-binary',
+  'model/gltf+json',
+  'model/obj',
+  'model/stl'
+];
+
+// Default asset category for a mimetype when the creator does not pick one
+export const categoryForMimetype = (mimetype) => {
+  if (mimetype.startsWith('video/')) return 'video';
+  if (mimetype.startsWith('audio/')) return 'audio';
+  if (mimetype.startsWith('model/')) return '3d-models';
+  if (mimetype.startsWith('image/')) return 'digital-art';
+  return 'documents';
+};
+
+// Resumable chunked uploads streamed to disk
+export class ChunkedUploadService {
+  constructor() {
+    this.sessionPath = process.env.UPLOAD_SESSION_PATH || './upload-sessions';
+    this.maxFileSize = parseInt(process.env.CHUNKED_UPLOAD_MAX_SIZE) || 2 * 1024 * 1024 * 1024; // 2GB
+    this.maxChunkSize = parseInt(process.env.CHUNKED_UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024; // 8MB
+    this.expiresHours = parseInt(process.env.UPLOAD_SESSION_EXPIRES_HOURS) || 24;
+    // Files up to the regular upload limit are processed in memory like multipart uploads
+    this.inMemoryLimit = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+  }
+
+  getExpiry() {
+    return new Date(Date.now() + this.expiresHours * 60 * 60 * 1000);
+  }
+
+  // Start a new upload and reserve its temp file
+  async create(user, { filename, mimetype, size, sha256 }) {
+    const session = new UploadSession({
+      user: user._id,
+      // Only keep a safe base name; it ends up in the stored filename
+      filename: path.basename(filename).replace(/[^a-zA-Z0-9._-]/g, '_'),
+      mimetype,
+      size,
+      sha256,
+      expiresAt: this.getExpiry()
+    });
+    session.tempPath = path.join(this.sessionPath, `${user._id}_${session._id}.part`);
+
+    await fs.mkdir(this.sessionPath, { recursive: true });
+    await fs.writeFile(session.tempPath, '');
+    await session.save();
+
+    return session;
+  }
+
+  // Stream one chunk to disk at the current offset and advance it
+  async appendChunk(session, stream) {
+    const maxBytes = Math.min(this.maxChunkSize, session.size - session.receivedBytes);
+    let written = 0;
+
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        written += chunk.length;
+        if (written > maxBytes) {
+          const error = new Error(`Chunk exceeds ${maxBytes} bytes`);
+          error.code = 'CHUNK_TOO_LARGE';
+          return callback(error);
+        }
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(
+      stream,
+      limiter,
+      createWriteStream(session.tempPath, { flags: 'r+', start: session.receivedBytes })
+    );
+
+    // Only advance if nobody else wrote this offset in the meantime
+    return UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'uploading', receivedBytes: session.receivedBytes },
+      { $inc: { receivedBytes: written }, $set: { expiresAt: this.getExpiry() } },
+      { new: true }
+    ).select('+tempPath');
+  }
+
+  // SHA-256 of a file on disk, streamed
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(createReadStream(filePath), hash);
+    return hash.digest('hex');
+  }
+
+  // Claim a fully received upload and check its checksum; returns the claimed session and
+  // the file to hand to the asset pipeline
+  async verify(session) {
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'uploading', receivedBytes: session.size },
+      { status: 'processing' },
+      { new: true }
+    ).select('+tempPath');
+    if (!claimed) {
+      const error = new Error('Upload is already being completed');
+      error.code = 'UPLOAD_BUSY';
+      throw error;
+    }
+
+    // The file on disk must be exactly the declared size
+    await fs.truncate(claimed.tempPath, claimed.size);
+
+    const sha256 = await this.hashFile(claimed.tempPath);
+    if (sha256 !== claimed.sha256) {
+      await this.fail(claimed, 'SHA-256 mismatch: the uploaded file does not match the declared checksum');
+      const error = new Error(claimed.error);
+      error.code = 'CHECKSUM_MISMATCH';
+      throw error;
+    }
+
+    const file = {
+      originalname: claimed.filename,
+      mimetype: claimed.mimetype,
+      size: claimed.size,
+      path: claimed.tempPath,
+      sha256
+    };
+
+    // Small files go through the same in-memory processing as regular uploads
+    // (images always do: larger ones are refused when the upload starts)
+    if (claimed.size <= this.inMemoryLimit) {
+      file.buffer = await fs.readFile(claimed.tempPath);
+    }
+
+    return { session: claimed, file };
+  }
+
+  // Record the outcome of the asset pipeline
+  async finish(session, asset) {
+    if (asset) {
+      session.status = 'completed';
+      session.asset = asset._id;
+      session.expiresAt = undefined;
+      await session.save();
+      await removeFile(session.tempPath);
+      return;
+    }
+
+    // Rejected before the file was moved (e.g. invalid metadata): allow another completion attempt
+    try {
+      await fs.access(session.tempPath);
+      session.status = 'uploading';
+      await session.save();
+    } catch (error) {
+      await this.fail(session, 'Asset processing failed');
+    }
+  }
+
+  // Mark an upload as failed and drop its data
+  async fail(session, message) {
+    session.status = 'failed';
+    session.error = message;
+    await session.save();
+    await removeFile(session.tempPath);
+  }
+
+  // Abort an upload
+  async cancel(session) {
+    session.status = 'cancelled';
+    await session.save();
+    await removeFile(session.tempPath);
+  }
+
+  // Remove temp files of uploads that were abandoned
+  async purgeExpired() {
+    const expired = await UploadSession.find({
+      status: 'uploading',
+      expiresAt: { $lte: new Date() }
+    }).select('+tempPath');
+
+    for (const session of expired) {
+      await removeFile(session.tempPath);
+      session.status = 'expired';
+      await session.save();
+    }
+  }
+}
+
+export default ChunkedUploadService;
@@ -0,0 +1,26 @@
+import fs from 'fs/promises';
+
+// Remove a file, ignoring files that are already gone
+export const removeFile = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('⚠️ Failed to remove file:', filePath, error.message);
+    }
+  }
+};
+
+// Remove the stored files of an asset or asset version
+export const removeAssetFiles = (record) => Promise.all([
+  removeFile(record.originalFile?.path),
+  removeFile(record.watermarkedFile?.path),
+  removeFile(record.thumbnail?.path),
+  removeFile(record.qrCode?.path)
+]);
+
+export default {
+  removeFile,
+  removeAssetFiles
+};
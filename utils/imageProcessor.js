@@ -88,6 +88,8 @@ export class ImageProcessor {
       
       // Create directories if they don't exist
       await this.ensureDirectories();
+
+      const { width, height } = await sharp(imageBuffer).metadata();
       
       // Generate QR code
       const qrCodeBuffer = await this.generateQRCode(paymentUrl, 200);
@@ -130,13 +132,57 @@ export class ImageProcessor {
           filename: `${filename}_qr.png`,
           path: qrCodePath,
           paymentUrl
-        }
+        },
+        dimensions: { width, height }
       };
     } catch (error) {
       throw new Error(`Failed to process image: ${error.message}`);
     }
   }
 
+  // Create square WebP avatars in several sizes
+  // sharp drops EXIF/ICC metadata unless withMetadata() is used; rotate() applies the EXIF orientation first
+  async processAvatar(imageBuffer, userId, sizes = [64, 256, 512]) {
+    try {
+      const metadata = await sharp(imageBuffer).metadata();
+      if (!metadata.width || !metadata.height) {
+        throw new Error('Unreadable image');
+      }
+
+      await this.ensureDirectories();
+
+      const baseName = `${userId}_${uuidv4()}`;
+      const variants = [];
+
+      for (const size of sizes) {
+        const buffer = await sharp(imageBuffer)
+          .rotate()
+          .resize(size, size, {
+            fit: 'cover',
+            position: 'attention'
+          })
+          .webp({ quality: 85 })
+          .toBuffer();
+
+        const filename = `${baseName}_${size}.webp`;
+        const filePath = path.join(this.uploadPath, 'avatars', filename);
+        await fs.writeFile(filePath, buffer);
+
+        variants.push({
+          size,
+          filename,
+          path: filePath,
+          url: `/uploads/avatars/${filename}`,
+          fileSize: buffer.length
+        });
+      }
+
+      return variants;
+    } catch (error) {
+      throw new Error(`Failed to process avatar: ${error.message}`);
+    }
+  }
+
   // Ensure upload directories exist
   async ensureDirectories() {
     const dirs = [
@@ -144,7 +190,9 @@ export class ImageProcessor {
       path.join(this.uploadPath, 'originals'),
       path.join(this.uploadPath, 'watermarked'),
       path.join(this.uploadPath, 'thumbnails'),
-      path.join(this.uploadPath, 'qrcodes')
+      path.join(this.uploadPath, 'qrcodes'),
+      path.join(this.uploadPath, 'avatars'),
+      path.join(this.uploadPath, 'documents')
     ];
 
     for (const dir of dirs) {
@@ -290,6 +290,19 @@ export class IPFSService {
     };
   }
 
+  // Remove a pin from Pinata
+  async unpinFromPinata(cid) {
+    if (!this.pinata) {
+      throw new Error('Pinata not configured');
+    }
+
+    try {
+      await this.pinata.unpin(cid);
+    } catch (error) {
+      throw new Error(`Pinata unpin failed: ${error.message}`);
+    }
+  }
+
   // Get IPFS URL from CID
   getIPFSUrl(cid, gateway = null) {
     const selectedGateway = gateway || this.ipfsGateway;
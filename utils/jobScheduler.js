@@ -0,0 +1,60 @@
+// Minimal in-process scheduler for periodic background jobs
+export class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  // Register a task to run every intervalMs
+  every(name, intervalMs, task) {
+    this.jobs.set(name, { name, intervalMs, task, timer: null, running: false, lastRunAt: null });
+    if (this.started) {
+      this.schedule(this.jobs.get(name));
+    }
+    return this;
+  }
+
+  // Run a job now unless the previous run is still in progress
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) return;
+
+    job.running = true;
+    try {
+      await job.task();
+    } catch (error) {
+      console.error(`❌ Job "${name}" failed:`, error);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  schedule(job) {
+    job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    job.timer.unref();
+  }
+
+  start() {
+    if (this.started) return this;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      this.schedule(job);
+    }
+    console.log(`⏰ Background jobs scheduled: ${[...this.jobs.keys()].join(', ') || 'none'}`);
+    return this;
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+    this.started = false;
+    return this;
+  }
+}
+
+export default JobScheduler;
@@ -0,0 +1,305 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+// Optional SMTP transport - gracefully handle missing package
+let nodemailer;
+try {
+  const nodemailerModule = await import('nodemailer');
+  nodemailer = nodemailerModule.default;
+} catch (error) {
+  console.warn('⚠️ nodemailer not available:', error.message);
+}
+
+export class Mailer {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'Authenzia <no-reply@authenzia.com>';
+    this.outboxPath = process.env.MAIL_OUTBOX_PATH || './mail-outbox';
+    this.transportName = process.env.MAIL_TRANSPORT || 'console';
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    // Built-in transports; more can be plugged in with use()
+    this.transports = {
+      console: (message) => this.sendToConsole(message),
+      file: (message) => this.sendToFile(message),
+      smtp: (message) => this.sendViaSmtp(message)
+    };
+
+    this.smtpClient = null;
+    try {
+      if (this.transportName === 'smtp' && nodemailer && process.env.SMTP_HOST) {
+        this.smtpClient = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: parseInt(process.env.SMTP_PORT) === 465,
+          auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+          } : undefined
+        });
+      }
+    } catch (error) {
+      console.warn('⚠️ SMTP transport initialization failed:', error.message);
+    }
+  }
+
+  // Register a custom transport (e.g. a third-party email API)
+  use(name, sendFn) {
+    this.transports[name] = sendFn;
+    this.transportName = name;
+    return this;
+  }
+
+  // Send an email through the configured transport
+  async send({ to, subject, text, html }) {
+    const transport = this.transports[this.transportName];
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${this.transportName}`);
+    }
+
+    const message = {
+      id: uuidv4(),
+      from: this.from,
+      to,
+      subject,
+      text,
+      html: html || undefined,
+      createdAt: new Date().toISOString()
+    };
+
+    await transport(message);
+    return message;
+  }
+
+  // Development transport: print the message to the console
+  async sendToConsole(message) {
+    console.log('📧 Email:', {
+      to: message.to,
+      subject: message.subject
+    });
+    console.log(message.text);
+  }
+
+  // Development/test transport: write the message to the outbox directory as JSON
+  async sendToFile(message) {
+    await fs.mkdir(this.outboxPath, { recursive: true });
+    const filePath = path.join(this.outboxPath, `${Date.now()}_${message.id}.json`);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+  }
+
+  // Production transport: deliver through SMTP
+  async sendViaSmtp(message) {
+    if (!this.smtpClient) {
+      throw new Error('SMTP transport not configured');
+    }
+
+    await this.smtpClient.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+  }
+
+  // Email verification link sent after registration or email change
+  async sendVerificationEmail(user, token) {
+    const verifyUrl = `${this.frontendUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your Authenzia email address',
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        verifyUrl,
+        '',
+        'If you did not create an Authenzia account, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  // One-time code for the forgot-password flow
+  async sendPasswordResetCode(user, code, expiresInMinutes) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Authenzia password reset code',
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        `Your password reset code is: ${code}`,
+        `It expires in ${expiresInMinutes} minutes and can only be used once.`,
+        '',
+        'If you did not request a password reset, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  // Security notice after the password was changed or reset
+  async sendPasswordChangedEmail(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Authenzia password was changed',
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        `The password for your Authenzia account was changed on ${new Date().toUTCString()}.`,
+        'All existing sessions have been signed out.',
+        '',
+        'If you did not make this change, reset your password immediately and contact support.'
+      ].join('\n')
+    });
+  }
+
+  // Security notice after too many failed login attempts
+  async sendAccountLockedEmail(user, { lockoutMinutes, ipAddress }) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Authenzia account has been temporarily locked',
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        `We locked your Authenzia account for ${lockoutMinutes} minutes after several failed login attempts`,
+        `(most recently from IP address ${ipAddress || 'unknown'}).`,
+        '',
+        'If this was you, wait for the lock to expire or reset your password to sign in right away:',
+        `${this.frontendUrl}/forgot-password`,
+        '',
+        'If it was not you, we recommend resetting your password and enabling two-factor authentication.'
+      ].join('\n')
+    });
+  }
+
+  // Security notice when a login succeeds from a client not seen before
+  async sendNewDeviceLoginEmail(user, { device, ipAddress }) {
+    return this.send({
+      to: user.email,
+      subject: 'New sign-in to your Authenzia account',
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        `Your Authenzia account was signed in to from a new device on ${new Date().toUTCString()}.`,
+        `Device: ${device}`,
+        `IP address: ${ipAddress || 'unknown'}`,
+        '',
+        'If this was you, no action is needed.',
+        'If not, reset your password and sign out other sessions from your account settings.'
+      ].join('\n')
+    });
+  }
+
+  // Outcome of a creator application review
+  async sendCreatorApplicationDecisionEmail(user, application) {
+    const approved = application.status === 'approved';
+
+    return this.send({
+      to: user.email,
+      subject: approved
+        ? 'Your Authenzia creator application was approved'
+        : 'Update on your Authenzia creator application',
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        approved
+          ? 'Congratulations - your creator application was approved and your profile now shows the verified creator badge.'
+          : 'Thanks for applying to become a verified creator. Unfortunately your application was not approved this time.',
+        ...(application.reviewNotes ? ['', 'Reviewer notes:', application.reviewNotes] : []),
+        '',
+        approved
+          ? 'Price caps and pre-moderation for new uploads no longer apply to your account.'
+          : 'You are welcome to address the notes above and apply again.'
+      ].join('\n')
+    });
+  }
+
+  // Personal data export is ready to download
+  async sendDataExportReadyEmail(user, dataExport) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Authenzia data export is ready',
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        'The export of your personal data you requested is ready.',
+        `Download it from your account settings before ${dataExport.expiresAt.toUTCString()}:`,
+        `${this.frontendUrl}/settings/privacy`,
+        '',
+        'If you did not request this export, change your password and review your active sessions.'
+      ].join('\n')
+    });
+  }
+
+  // Confirmation that the account will be deleted after the grace period
+  async sendAccountDeletionScheduledEmail(user, scheduledFor) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Authenzia account is scheduled for deletion',
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        `Your Authenzia account will be permanently deleted on ${scheduledFor.toUTCString()}.`,
+        'Your assets will be archived and their files removed. Payment records are kept without your personal details.',
+        '',
+        'Changed your mind? Log in and cancel the deletion before that date:',
+        `${this.frontendUrl}/settings/privacy`
+      ].join('\n')
+    });
+  }
+
+  // Moderation decision on one of the creator's assets
+  async sendModerationDecisionEmail(user, asset, action, reason) {
+    const outcomes = {
+      approve: 'was approved and is now visible in the marketplace',
+      reject: 'was rejected by our moderators',
+      flag: 'was flagged and hidden while our moderators look into it',
+      takedown: 'was taken down following a report',
+      reinstate: 'is back online - your counter-notice was accepted',
+      'takedown-upheld': 'remains unavailable - your counter-notice was reviewed and the takedown stands',
+      'appeal-overturned': 'is back online - your appeal was accepted',
+      'appeal-upheld': 'remains unavailable - your appeal was reviewed and the decision stands'
+    };
+    const canAppeal = ['reject', 'flag'].includes(action);
+
+    return this.send({
+      to: user.email,
+      subject: `Moderation update for "${asset.title}"`,
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        `Your asset "${asset.title}" ${outcomes[action] || 'was reviewed by our moderators'}.`,
+        ...(reason ? ['', `Reason: ${reason}`] : []),
+        ...(canAppeal ? ['', 'If you believe this is a mistake, you can appeal from the asset page in your dashboard.'] : []),
+        ...(action === 'takedown' ? ['', 'If you own the rights to this work, you can file a counter-notice from the asset page in your dashboard.'] : []),
+        '',
+        `${this.frontendUrl}/dashboard/assets/${asset._id}`
+      ].join('\n')
+    });
+  }
+
+  // Progress on a report the user filed
+  async sendReportUpdateEmail(user, asset, report) {
+    const outcomes = {
+      dismissed: 'was reviewed and no action was taken',
+      'taken-down': 'was upheld and the asset has been taken down',
+      'counter-noticed': 'was disputed by the creator with a counter-notice. The asset may be restored unless you take further action',
+      reinstated: 'was closed - the creator\'s counter-notice was accepted and the asset has been restored',
+      upheld: 'was closed - the takedown stands'
+    };
+
+    return this.send({
+      to: user.email,
+      subject: `Update on your report about "${asset.title}"`,
+      text: [
+        `Hi ${user.fullName || user.username},`,
+        '',
+        `Your ${report.reason} report about "${asset.title}" ${outcomes[report.status] || 'was updated'}.`,
+        ...(report.reviewNotes ? ['', `Moderator notes: ${report.reviewNotes}`] : []),
+        '',
+        `Report reference: ${report._id}`
+      ].join('\n')
+    });
+  }
+}
+
+export default Mailer;
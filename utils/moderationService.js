@@ -0,0 +1,418 @@
+import User from '../models/User.js';
+import Asset from '../models/Asset.js';
+import Report from '../models/Report.js';
+import Review from '../models/Review.js';
+import Payment from '../models/Payment.js';
+import ModerationAction from '../models/ModerationAction.js';
+import Mailer from './mailer.js';
+import { getModerationMode, getReviewAutoHideFlags, getReviewFlagMinAccountDays } from '../config/moderation.js';
+import { getUploadRestrictions } from '../config/creatorPolicy.js';
+
+// Asset moderation decisions, audit trail and creator notifications
+export class ModerationService {
+  constructor() {
+    this.mailer = new Mailer();
+  }
+
+  // Decide whether a new upload goes live or waits for review
+  getInitialState(user, aiModeration = null) {
+    if (user.hasPermission('assets:moderate')) {
+      return { isApproved: true, moderationStatus: 'approved', reason: 'Uploaded by a moderator' };
+    }
+
+    if (getModerationMode() === 'pre') {
+      return { isApproved: false, moderationStatus: 'pending', reason: 'Pre-moderation is enabled' };
+    }
+
+    if (aiModeration?.flags?.length > 0) {
+      return { isApproved: false, moderationStatus: 'pending', reason: `AI flags: ${aiModeration.flags.join(', ')}` };
+    }
+
+    if (getUploadRestrictions(user)?.requireModeration) {
+      return { isApproved: false, moderationStatus: 'pending', reason: 'Creator is not verified' };
+    }
+
+    return { isApproved: true, moderationStatus: 'approved', reason: 'Auto-approved' };
+  }
+
+  // Record the initial decision for a freshly created asset
+  recordInitialState(asset, state) {
+    return ModerationAction.create({
+      asset: asset._id,
+      actor: null,
+      action: state.isApproved ? 'auto-approve' : 'submit',
+      reason: state.reason,
+      newStatus: state.moderationStatus
+    });
+  }
+
+  // Send an approved asset back to the queue when its replacement file needs review
+  // (same rules as a new upload); the caller saves the asset
+  async reviewReplacement(asset, user, version, aiModeration = null) {
+    if (!asset.isApproved) return false;
+
+    const state = this.getInitialState(user, aiModeration);
+    if (state.isApproved) return false;
+
+    const previousStatus = asset.moderationStatus;
+    asset.isApproved = false;
+    asset.moderationStatus = 'pending';
+
+    await ModerationAction.create({
+      asset: asset._id,
+      actor: null,
+      action: 'submit',
+      reason: `File replaced (version ${version}): ${state.reason}`,
+      previousStatus,
+      newStatus: 'pending'
+    });
+    return true;
+  }
+
+  // Apply a moderator decision (approve, reject or flag) and notify the creator
+  async applyDecision(asset, moderator, action, { reason, notes } = {}) {
+    const previousStatus = asset.moderationStatus;
+    const newStatus = {
+      approve: 'approved',
+      reject: 'rejected',
+      flag: 'flagged'
+    }[action];
+
+    asset.moderationStatus = newStatus;
+    asset.isApproved = newStatus === 'approved';
+    asset.moderationReason = reason;
+    asset.moderationNotes = notes;
+    asset.moderatedBy = moderator._id;
+    asset.moderatedAt = new Date();
+    // A new decision closes any earlier appeal
+    if (asset.appeal?.status === 'pending') {
+      asset.appeal.status = newStatus === 'approved' ? 'overturned' : 'upheld';
+      asset.appeal.resolvedBy = moderator._id;
+      asset.appeal.resolvedAt = new Date();
+    }
+    await asset.save();
+
+    const record = await ModerationAction.create({
+      asset: asset._id,
+      actor: moderator._id,
+      action,
+      reason,
+      notes,
+      previousStatus,
+      newStatus
+    });
+
+    await this.notifyCreator(asset, action, reason);
+    return record;
+  }
+
+  // Creator contests a reject/flag decision
+  async submitAppeal(asset, user, message) {
+    asset.appeal = {
+      status: 'pending',
+      message,
+      submittedAt: new Date()
+    };
+    await asset.save();
+
+    return ModerationAction.create({
+      asset: asset._id,
+      actor: user._id,
+      action: 'appeal',
+      notes: message,
+      previousStatus: asset.moderationStatus,
+      newStatus: asset.moderationStatus
+    });
+  }
+
+  // Moderator resolves a pending appeal
+  async resolveAppeal(asset, moderator, decision, notes) {
+    const previousStatus = asset.moderationStatus;
+    const overturned = decision === 'overturn';
+
+    asset.appeal.status = overturned ? 'overturned' : 'upheld';
+    asset.appeal.resolvedBy = moderator._id;
+    asset.appeal.resolvedAt = new Date();
+    asset.appeal.resolutionNotes = notes;
+
+    if (overturned) {
+      asset.moderationStatus = 'approved';
+      asset.isApproved = true;
+      asset.moderatedBy = moderator._id;
+      asset.moderatedAt = new Date();
+    }
+    await asset.save();
+
+    const record = await ModerationAction.create({
+      asset: asset._id,
+      actor: moderator._id,
+      action: overturned ? 'appeal-overturned' : 'appeal-upheld',
+      notes,
+      previousStatus,
+      newStatus: asset.moderationStatus
+    });
+
+    await this.notifyCreator(asset, record.action, notes);
+    return record;
+  }
+
+  // File a user report against an asset
+  async submitReport(asset, reporter, { reason, description, evidenceUrls, claimedOriginalAsset, goodFaithStatement }) {
+    const report = await Report.create({
+      asset: asset._id,
+      reporter: reporter._id,
+      reason,
+      description,
+      evidenceUrls,
+      claimedOriginalAsset,
+      goodFaithStatement
+    });
+
+    await Asset.updateOne({ _id: asset._id }, { $inc: { reportCount: 1 } });
+    await ModerationAction.create({
+      asset: asset._id,
+      actor: reporter._id,
+      action: 'report',
+      reason,
+      report: report._id,
+      previousStatus: asset.moderationStatus,
+      newStatus: asset.moderationStatus
+    });
+
+    return report;
+  }
+
+  // Record a moderator's decision on an open report
+  async closeReport(report, moderator, status, notes) {
+    report.status = status;
+    report.reviewer = moderator._id;
+    report.reviewNotes = notes;
+    report.reviewedAt = new Date();
+    await report.save();
+
+    await Asset.updateOne(
+      { _id: report.asset, reportCount: { $gt: 0 } },
+      { $inc: { reportCount: -1 } }
+    );
+  }
+
+  // Report did not warrant action
+  async dismissReport(report, asset, moderator, notes) {
+    await this.closeReport(report, moderator, 'dismissed', notes);
+
+    const record = await ModerationAction.create({
+      asset: asset._id,
+      actor: moderator._id,
+      action: 'report-dismissed',
+      notes,
+      report: report._id,
+      previousStatus: asset.moderationStatus,
+      newStatus: asset.moderationStatus
+    });
+
+    await this.notifyReporter(report, asset);
+    return record;
+  }
+
+  // Take an asset down following a report; it is hidden until reinstated
+  async takedown(report, asset, moderator, notes) {
+    const previousStatus = asset.moderationStatus;
+
+    if (asset.status !== 'flagged') {
+      asset.takenDownFromStatus = asset.status;
+    }
+    asset.status = 'flagged';
+    asset.moderationStatus = 'flagged';
+    asset.isApproved = false;
+    asset.moderationReason = `Taken down following a ${report.reason} report`;
+    asset.moderationNotes = notes;
+    asset.moderatedBy = moderator._id;
+    asset.moderatedAt = new Date();
+    await asset.save();
+
+    await this.closeReport(report, moderator, 'taken-down', notes);
+
+    const record = await ModerationAction.create({
+      asset: asset._id,
+      actor: moderator._id,
+      action: 'takedown',
+      reason: asset.moderationReason,
+      notes,
+      report: report._id,
+      previousStatus,
+      newStatus: asset.moderationStatus
+    });
+
+    await this.notifyCreator(asset, 'takedown', asset.moderationReason);
+    await this.notifyReporter(report, asset);
+    return record;
+  }
+
+  // Creator disputes a takedown
+  async submitCounterNotice(report, asset, user, { statement, legalName, contactEmail, consentToJurisdiction }) {
+    report.status = 'counter-noticed';
+    report.counterNotice = {
+      statement,
+      legalName,
+      contactEmail,
+      consentToJurisdiction,
+      submittedAt: new Date()
+    };
+    await report.save();
+
+    const record = await ModerationAction.create({
+      asset: asset._id,
+      actor: user._id,
+      action: 'counter-notice',
+      notes: statement,
+      report: report._id,
+      previousStatus: asset.moderationStatus,
+      newStatus: asset.moderationStatus
+    });
+
+    // The claimant is told so they can respond before the asset is restored
+    await this.notifyReporter(report, asset);
+    return record;
+  }
+
+  // Moderator accepts (reinstate) or rejects (uphold) a counter-notice
+  async resolveCounterNotice(report, asset, moderator, decision, notes) {
+    const previousStatus = asset.moderationStatus;
+    const reinstated = decision === 'reinstate';
+
+    report.status = reinstated ? 'reinstated' : 'upheld';
+    report.counterNotice.resolvedBy = moderator._id;
+    report.counterNotice.resolvedAt = new Date();
+    report.counterNotice.resolutionNotes = notes;
+    await report.save();
+
+    if (reinstated) {
+      // Back to where it was: a draft, scheduled or trashed asset doesn't go live by being reinstated
+      asset.status = asset.takenDownFromStatus || 'published';
+      asset.takenDownFromStatus = undefined;
+      if (asset.status === 'published' && !asset.publishedAt) {
+        asset.publishedAt = new Date();
+      }
+      asset.moderationStatus = 'approved';
+      asset.isApproved = true;
+      asset.moderationReason = undefined;
+      asset.moderatedBy = moderator._id;
+      asset.moderatedAt = new Date();
+      await asset.save();
+    }
+
+    const record = await ModerationAction.create({
+      asset: asset._id,
+      actor: moderator._id,
+      action: reinstated ? 'reinstate' : 'takedown-upheld',
+      notes,
+      report: report._id,
+      previousStatus,
+      newStatus: asset.moderationStatus
+    });
+
+    await this.notifyCreator(asset, record.action, notes);
+    await this.notifyReporter(report, asset);
+    return record;
+  }
+
+  // Hide or restore a review (moderator, or null when automatic) and refresh the asset rating
+  async setReviewStatus(review, moderator, status, reason) {
+    const previousStatus = review.status;
+
+    review.status = status;
+    review.moderationReason = reason;
+    review.moderatedBy = moderator ? moderator._id : null;
+    review.moderatedAt = new Date();
+    // Restoring settles the flags so far; the same users can't flag it again
+    if (status === 'published') {
+      review.flagCount = 0;
+      review.trustedFlagCount = 0;
+    }
+    await review.save();
+    await Review.updateAssetRating(review.asset);
+
+    return ModerationAction.create({
+      asset: review.asset,
+      actor: moderator ? moderator._id : null,
+      action: status === 'hidden' ? 'review-hidden' : 'review-restored',
+      reason,
+      review: review._id,
+      previousStatus,
+      newStatus: status
+    });
+  }
+
+  // Whether a user's flag on a review counts towards auto-hide: buyers of the asset and
+  // established accounts only, so a batch of fresh accounts can't bury a review
+  async isTrustedFlagger(review, user) {
+    const minAccountAge = getReviewFlagMinAccountDays() * 24 * 60 * 60 * 1000;
+    if (user.createdAt && Date.now() - user.createdAt.getTime() >= minAccountAge) {
+      return true;
+    }
+    return Payment.hasCompletedPurchase(review.asset, user);
+  }
+
+  // Record a user's flag on a review (once per user); returns null if they already flagged it.
+  // Every flag puts the review in the moderation queue; trusted flags can also hide it automatically.
+  async flagReview(review, user, reason) {
+    const trusted = await this.isTrustedFlagger(review, user);
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, 'flags.user': { $ne: user._id } },
+      {
+        $push: { flags: { user: user._id, reason, trusted } },
+        $inc: { flagCount: 1, trustedFlagCount: trusted ? 1 : 0 }
+      },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    const threshold = getReviewAutoHideFlags();
+    if (updated.status === 'published' && updated.trustedFlagCount >= threshold) {
+      await this.setReviewStatus(updated, null, 'hidden', `Flagged by ${threshold} users`);
+    }
+    return updated;
+  }
+
+  // Email the reporter about progress on their report
+  async notifyReporter(report, asset) {
+    try {
+      const reporter = await User.findById(report.reporter);
+      if (reporter) {
+        await this.mailer.sendReportUpdateEmail(reporter, asset, report);
+      }
+    } catch (mailError) {
+      console.warn('Report notification failed:', mailError.message);
+    }
+  }
+
+  // Email the creator about a decision on their asset
+  async notifyCreator(asset, action, reason) {
+    try {
+      const creator = await User.findById(asset.creator);
+      if (creator) {
+        await this.mailer.sendModerationDecisionEmail(creator, asset, action, reason);
+      }
+    } catch (mailError) {
+      console.warn('Moderation notification failed:', mailError.message);
+    }
+  }
+
+  // Moderation history for an asset, newest first
+  getHistory(assetId) {
+    return ModerationAction.find({ asset: assetId })
+      .populate('actor', 'username fullName role')
+      .populate('report', 'reason status')
+      .populate('review', 'rating text reviewer')
+      .sort({ createdAt: -1 });
+  }
+
+  // IDs of users who joined in the last `days` days
+  async getNewCreatorIds(days) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const creators = await User.find({ createdAt: { $gte: cutoff } }).select('_id');
+    return creators.map(creator => creator._id);
+  }
+}
+
+export default ModerationService;
@@ -0,0 +1,136 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+
+export class SessionService {
+  constructor() {
+    this.accessTokenExpiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+    this.maxPreviousTokens = 20; // Rotated tokens remembered for reuse detection
+  }
+
+  // Hash a refresh token secret for storage
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // Sign a short-lived access token bound to a session
+  signAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+      expiresIn: this.accessTokenExpiresIn
+    });
+  }
+
+  // Rough device label from the User-Agent header
+  describeDevice(userAgent = '') {
+    const ua = userAgent.toLowerCase();
+    let platform = 'Unknown device';
+    if (/iphone|ipad|ipod/.test(ua)) platform = 'iOS';
+    else if (ua.includes('android')) platform = 'Android';
+    else if (ua.includes('windows')) platform = 'Windows';
+    else if (ua.includes('mac os')) platform = 'macOS';
+    else if (ua.includes('linux')) platform = 'Linux';
+
+    let client = null;
+    if (ua.includes('edg/')) client = 'Edge';
+    else if (ua.includes('chrome/')) client = 'Chrome';
+    else if (ua.includes('firefox/')) client = 'Firefox';
+    else if (ua.includes('safari/')) client = 'Safari';
+    else if (ua.includes('curl/') || ua.includes('node') || ua.includes('axios')) client = 'Script';
+
+    return client ? `${client} on ${platform}` : platform;
+  }
+
+  // Build the response payload for a freshly issued token pair
+  buildTokens(session, secret) {
+    return {
+      token: this.signAccessToken(session.user, session._id),
+      refreshToken: `${session._id}.${secret}`,
+      expiresIn: this.accessTokenExpiresIn,
+      session
+    };
+  }
+
+  // Start a new session for a user and issue an access/refresh token pair
+  async createSession(user, req) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const userAgent = req.get('User-Agent') || '';
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: this.hashSecret(secret),
+      device: req.body?.device || this.describeDevice(userAgent),
+      ipAddress: req.ip,
+      userAgent,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000)
+    });
+
+    return this.buildTokens(session, secret);
+  }
+
+  // Exchange a refresh token for a new pair, detecting replay of rotated tokens
+  async rotate(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+      throw this.authError('Invalid refresh token');
+    }
+
+    const session = await Session.findById(sessionId).select('+previousTokenHashes');
+    if (!session) {
+      throw this.authError('Invalid refresh token');
+    }
+
+    const presentedHash = this.hashSecret(secret);
+
+    // A rotated token came back: assume it was stolen and kill the whole family
+    if (session.previousTokenHashes.includes(presentedHash)) {
+      if (!session.revokedAt) {
+        await session.revoke('reuse-detected');
+        console.warn('⚠️ Refresh token reuse detected, session revoked:', session._id.toString());
+      }
+      throw this.authError('Refresh token has already been used');
+    }
+
+    if (presentedHash !== session.refreshTokenHash) {
+      throw this.authError('Invalid refresh token');
+    }
+
+    if (!session.isActive()) {
+      throw this.authError('Session has expired or been revoked');
+    }
+
+    // Rotate only if the token is still current, so two concurrent refreshes can't both succeed
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash },
+      {
+        $set: {
+          refreshTokenHash: this.hashSecret(nextSecret),
+          lastUsedAt: new Date(),
+          ipAddress: req.ip
+        },
+        $push: { previousTokenHashes: { $each: [presentedHash], $slice: -this.maxPreviousTokens } }
+      },
+      { new: true }
+    );
+
+    // Another request rotated it first: the same token was used twice, treat it as reuse
+    if (!rotated) {
+      await session.revoke('reuse-detected');
+      console.warn('⚠️ Refresh token reuse detected, session revoked:', session._id.toString());
+      throw this.authError('Refresh token has already been used');
+    }
+
+    return this.buildTokens(rotated, nextSecret);
+  }
+
+  // Error carrying an HTTP status for the route to report
+  authError(message) {
+    const error = new Error(message);
+    error.statusCode = 401;
+    return error;
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,120 @@
+import { verifyMessage, getAddress } from 'ethers';
+import SiweNonce from '../models/SiweNonce.js';
+
+// Sign-In With Ethereum (EIP-4361) message parsing and verification
+export class SiweService {
+  constructor() {
+    const frontendUrl = new URL(process.env.FRONTEND_URL || 'http://localhost:5173');
+    this.domain = process.env.SIWE_DOMAIN || frontendUrl.host;
+  }
+
+  // Parse an EIP-4361 message into its fields
+  parseMessage(message) {
+    const lines = String(message || '').replace(/\r\n/g, '\n').split('\n');
+
+    const header = lines[0]?.match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+    if (!header) {
+      throw new Error('Invalid SIWE message header');
+    }
+
+    const address = lines[1]?.trim();
+    if (!address || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      throw new Error('Invalid SIWE message address');
+    }
+
+    const fieldNames = {
+      'URI': 'uri',
+      'Version': 'version',
+      'Chain ID': 'chainId',
+      'Nonce': 'nonce',
+      'Issued At': 'issuedAt',
+      'Expiration Time': 'expirationTime',
+      'Not Before': 'notBefore',
+      'Request ID': 'requestId'
+    };
+
+    const fields = { domain: header[1], address, statement: null, resources: [] };
+    const statementLines = [];
+    let inResources = false;
+
+    for (const line of lines.slice(2)) {
+      if (inResources) {
+        if (line.startsWith('- ')) fields.resources.push(line.slice(2));
+        continue;
+      }
+
+      if (line === 'Resources:') {
+        inResources = true;
+        continue;
+      }
+
+      const separator = line.indexOf(': ');
+      const key = separator > -1 ? line.slice(0, separator) : null;
+      if (key && fieldNames[key]) {
+        fields[fieldNames[key]] = line.slice(separator + 2).trim();
+      } else if (!fields.uri && line.trim()) {
+        statementLines.push(line);
+      }
+    }
+
+    if (statementLines.length > 0) {
+      fields.statement = statementLines.join('\n');
+    }
+
+    for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+      if (!fields[required]) {
+        throw new Error(`SIWE message is missing ${required}`);
+      }
+    }
+
+    fields.chainId = parseInt(fields.chainId);
+    return fields;
+  }
+
+  // Verify a signed SIWE message and return the checksummed wallet address
+  async verify(message, signature) {
+    const fields = this.parseMessage(message);
+
+    if (fields.version !== '1') {
+      throw new Error('Unsupported SIWE message version');
+    }
+
+    if (fields.domain !== this.domain) {
+      throw new Error('SIWE message domain does not match');
+    }
+
+    const now = new Date();
+    if (fields.expirationTime && new Date(fields.expirationTime) <= now) {
+      throw new Error('SIWE message has expired');
+    }
+    if (fields.notBefore && new Date(fields.notBefore) > now) {
+      throw new Error('SIWE message is not valid yet');
+    }
+
+    let recovered;
+    try {
+      recovered = verifyMessage(message, signature);
+    } catch (error) {
+      throw new Error('Invalid signature');
+    }
+
+    const address = getAddress(fields.address);
+    if (recovered !== address) {
+      throw new Error('Signature does not match address');
+    }
+
+    // Consume the nonce last so a bad signature can't burn someone else's nonce
+    const nonce = await SiweNonce.consume(fields.nonce);
+    if (!nonce) {
+      throw new Error('Nonce is invalid, expired or already used');
+    }
+
+    return {
+      address,
+      chainId: fields.chainId,
+      fields
+    };
+  }
+}
+
+export default SiweService;
@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import ImageProcessor from './imageProcessor.js';
+import User from '../models/User.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Time-based one-time passwords (RFC 6238) for two-factor authentication
+export class TotpService {
+  constructor() {
+    this.issuer = process.env.MFA_ISSUER || 'Authenzia';
+    this.digits = 6;
+    this.period = 30; // seconds
+    this.window = 1; // accept one step of clock drift either way
+    this.maxTicketAttempts = parseInt(process.env.MFA_TICKET_MAX_ATTEMPTS) || 5;
+    this.imageProcessor = new ImageProcessor();
+
+    // Key for encrypting secrets at rest
+    this.encryptionKey = crypto
+      .createHash('sha256')
+      .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+      .digest();
+  }
+
+  // Encode bytes as RFC 4648 base32 (no padding)
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  // Decode an RFC 4648 base32 string
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // Generate a new random base32 secret
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  // Encrypt a secret for storage (AES-256-GCM)
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  // Decrypt a stored secret
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // Compute the code for a given time step (HOTP over the step counter)
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return (binary % 10 ** this.digits).toString().padStart(this.digits, '0');
+  }
+
+  // Current time step
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / this.period);
+  }
+
+  // Check a code; returns the matching time step, or null
+  // Steps at or before lastUsedStep are rejected so a code can't be replayed
+  verifyCode(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = this.currentStep();
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const candidate = step + offset;
+      if (candidate <= lastUsedStep) continue;
+
+      const expected = Buffer.from(this.generateCode(secret, candidate));
+      if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  // Build the otpauth:// URL understood by authenticator apps
+  buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Render the otpauth URL as a QR code data URL
+  async generateQRCodeDataUrl(otpauthUrl) {
+    const qrCodeBuffer = await this.imageProcessor.generateQRCode(otpauthUrl, 256);
+    return `data:image/png;base64,${qrCodeBuffer.toString('base64')}`;
+  }
+
+  // Hash a recovery code for storage
+  hashRecoveryCode(code) {
+    return crypto
+      .createHmac('sha256', this.encryptionKey)
+      .update(String(code).trim().toLowerCase())
+      .digest('hex');
+  }
+
+  // Generate a set of one-time recovery codes (plain codes + hashes to store)
+  generateRecoveryCodes(count = 10) {
+    const codes = Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => ({ hash: this.hashRecoveryCode(code) }))
+    };
+  }
+
+  // Verify a user's TOTP code (or, optionally, an unused recovery code) and consume it
+  async verifyUserCode(userId, code, { allowRecoveryCode = false } = {}) {
+    const user = await User.findById(userId)
+      .select('+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes');
+
+    if (!user || !user.mfa?.enabled || !user.mfa.secret) {
+      return { valid: false };
+    }
+
+    const secret = this.decryptSecret(user.mfa.secret);
+    const step = this.verifyCode(secret, code, user.mfa.lastUsedStep);
+
+    if (step !== null) {
+      // Only succeed if no concurrent request consumed this step first
+      const result = await User.updateOne(
+        { _id: user._id, 'mfa.lastUsedStep': { $lt: step } },
+        { 'mfa.lastUsedStep': step }
+      );
+      return { valid: result.modifiedCount === 1, method: 'totp' };
+    }
+
+    if (allowRecoveryCode) {
+      const hash = this.hashRecoveryCode(code);
+      const result = await User.updateOne(
+        { _id: user._id, 'mfa.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+        { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+      );
+      if (result.modifiedCount === 1) {
+        const remaining = user.mfa.recoveryCodes.filter(entry => !entry.usedAt && entry.hash !== hash).length;
+        return { valid: true, method: 'recovery-code', remainingRecoveryCodes: remaining };
+      }
+    }
+
+    return { valid: false };
+  }
+
+  // Current version of a user's login tickets, signed into each ticket
+  async getTicketVersion(userId) {
+    const user = await User.findById(userId).select('+mfa.ticketVersion');
+    return user?.mfa?.ticketVersion || 0;
+  }
+
+  // Check a code for the login step of a ticket. The attempt is counted atomically before the code is
+  // checked, so however many IPs send guesses a ticket version gets at most maxTicketAttempts of them;
+  // the last failure invalidates every outstanding ticket and the user has to log in again.
+  // Returns verifyUserCode's result, plus ticketInvalid when the ticket can't be used (any more).
+  async verifyLoginCode(userId, ticketVersion, code) {
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        'mfa.ticketVersion': ticketVersion ? ticketVersion : { $in: [0, null] },
+        'mfa.failedAttempts': { $not: { $gte: this.maxTicketAttempts } }
+      },
+      { $inc: { 'mfa.failedAttempts': 1 } },
+      { new: true }
+    ).select('+mfa.failedAttempts');
+    if (!claimed) {
+      return { valid: false, ticketInvalid: true };
+    }
+
+    const result = await this.verifyUserCode(userId, code, { allowRecoveryCode: true });
+    if (result.valid) {
+      await User.updateOne({ _id: userId }, { 'mfa.failedAttempts': 0 });
+      return result;
+    }
+
+    if (claimed.mfa.failedAttempts >= this.maxTicketAttempts) {
+      await User.updateOne(
+        { _id: userId },
+        { $set: { 'mfa.failedAttempts': 0 }, $inc: { 'mfa.ticketVersion': 1 } }
+      );
+      return { valid: false, ticketInvalid: true };
+    }
+    return result;
+  }
+}
+
+export default TotpService;
@@ -0,0 +1,103 @@
+import Asset from '../models/Asset.js';
+import AssetVersion from '../models/AssetVersion.js';
+import Payment from '../models/Payment.js';
+import IPFSService from './ipfsService.js';
+import { removeAssetFiles } from './fileUtils.js';
+
+// Deleted (archived) assets: restore within the retention period, then purge files and IPFS pins
+export class TrashService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+    this.ipfsService = new IPFSService();
+  }
+
+  // When a trashed asset becomes eligible for purging
+  getPurgeDate(asset) {
+    return new Date(asset.archivedAt.getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Move an asset to the trash
+  async archive(asset) {
+    if (asset.status !== 'archived') {
+      asset.archivedFromStatus = asset.status;
+      asset.archivedAt = new Date();
+      asset.status = 'archived';
+      await asset.save();
+    }
+    return asset;
+  }
+
+  // Whether an asset can still be restored (archived through deletion, files not purged yet)
+  isRestorable(asset) {
+    return asset.status === 'archived' && Boolean(asset.archivedAt) && !asset.purgedAt;
+  }
+
+  // Bring an asset back to the state it was deleted from
+  async restore(asset) {
+    asset.status = asset.archivedFromStatus || 'draft';
+    asset.archivedAt = undefined;
+    asset.archivedFromStatus = undefined;
+    await asset.save();
+    return asset;
+  }
+
+  // Remove the files and Pinata pins of an asset and all its versions; the asset record is kept
+  // (with its sales figures) so payments keep pointing at something
+  async purge(asset) {
+    const versions = await AssetVersion.find({ asset: asset._id });
+    const records = [asset, ...versions];
+
+    // Unpin first: if Pinata fails the asset stays in the trash and is retried on the next run
+    const pinnedCids = new Set();
+    for (const record of records) {
+      if (record.ipfsData?.provider === 'pinata') {
+        [record.ipfsData.cid, record.ipfsData.metadataCid].filter(Boolean).forEach(cid => pinnedCids.add(cid));
+      }
+    }
+    for (const cid of pinnedCids) {
+      await this.ipfsService.unpinFromPinata(cid);
+    }
+
+    for (const record of records) {
+      await removeAssetFiles(record);
+    }
+    await AssetVersion.deleteMany({ asset: asset._id });
+
+    asset.originalFile = undefined;
+    asset.watermarkedFile = undefined;
+    asset.thumbnail = undefined;
+    asset.qrCode = undefined;
+    asset.ipfsData = undefined;
+    asset.isPublic = false;
+    asset.purgedAt = new Date();
+    await asset.save();
+
+    console.log('🗑️ Asset purged:', asset._id.toString());
+  }
+
+  // Purge assets that have been in the trash longer than the retention period
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    const due = await Asset.find({
+      status: 'archived',
+      archivedAt: { $lte: cutoff },
+      purgedAt: null
+    }).sort({ archivedAt: 1 });
+
+    for (const asset of due) {
+      // Buyers whose download access has not expired yet keep the files available
+      if (await Payment.hasActiveAccess(asset._id)) {
+        console.log('⏳ Purge postponed, buyers still have access:', asset._id.toString());
+        continue;
+      }
+
+      try {
+        await this.purge(asset);
+      } catch (error) {
+        console.error('❌ Asset purge failed:', asset._id.toString(), error.message);
+      }
+    }
+  }
+}
+
+export default TrashService;